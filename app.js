@@ -1,11 +1,29 @@
 // Main application initialization and event coordination
-import { loadData, saveData, clearData, setCurrency, getCurrency, getEquityAllocation, setEquityAllocation, getEquityReturn, setEquityReturn, getDebtReturn, setDebtReturn, getArbitrageReturn, setArbitrageReturn, getEpfReturn, setEpfReturn, getNpsReturn, setNpsReturn, getEpfStepUp, setEpfStepUp, getNpsStepUp, setNpsStepUp, getInvestmentStepUp, setInvestmentStepUp } from './modules/storage.js';
+import { initStorage, watchExternalChanges, setSaveErrorListener, flushSaves, loadData, saveData, clearData, isStoredByNewerVersion, isStoredEncrypted, readStoredData, getProfiles, getActiveProfile, createProfile, switchProfile, setCurrency, getCurrency, getEquityAllocation, setEquityAllocation, getEquityReturn, setEquityReturn, getDebtReturn, setDebtReturn, getArbitrageReturn, setArbitrageReturn, getEpfReturn, setEpfReturn, getNpsReturn, setNpsReturn, getEpfStepUp, setEpfStepUp, getNpsStepUp, setNpsStepUp, getInvestmentStepUp, setInvestmentStepUp, getEquityVolatility, setEquityVolatility, getDebtVolatility, setDebtVolatility, getReturnCorrelation, setReturnCorrelation, getTaxProfile, setTaxProfile } from './modules/storage.js';
 import { initCashflow, updateCurrency as updateCashflowCurrency, refreshData as refreshCashflow } from './modules/cashflow.js';
 import { initAssets, updateCurrency as updateAssetsCurrency, refreshData as refreshAssets } from './modules/assets.js';
 import { initGoals, updateCurrency as updateGoalsCurrency, updateReturns as updateGoalsReturns, refreshData as refreshGoals } from './modules/goals.js';
-import { initInvestmentPlan, updateCurrency as updateInvestmentPlanCurrency, updateAllocation as updateInvestmentPlanAllocation, updateReturns as updateInvestmentPlanReturns, updateStepUp as updateInvestmentPlanStepUp, refreshData as refreshInvestmentPlan } from './modules/investmentplan.js';
+import { initInvestmentPlan, updateCurrency as updateInvestmentPlanCurrency, updateAllocation as updateInvestmentPlanAllocation, updateReturns as updateInvestmentPlanReturns, updateStepUp as updateInvestmentPlanStepUp, updateVolatility as updateInvestmentPlanVolatility, refreshData as refreshInvestmentPlan } from './modules/investmentplan.js';
+import { initPrepayment, updateCurrency as updatePrepaymentCurrency, updateAllocation as updatePrepaymentAllocation, updateReturns as updatePrepaymentReturns, refreshData as refreshPrepayment } from './modules/prepayment.js';
+import { initProjection, updateCurrency as updateProjectionCurrency, refreshData as refreshProjection } from './modules/projection.js';
+import { initIncomeTax, updateCurrency as updateIncomeTaxCurrency, refreshData as refreshIncomeTax } from './modules/incometax.js';
+import { initAffordability, updateCurrency as updateAffordabilityCurrency, refreshData as refreshAffordability } from './modules/affordability.js';
+import { initLedger, updateCurrency as updateLedgerCurrency, refreshData as refreshLedger } from './modules/ledger.js';
+import { initHistory, recordExternalChange, handleHistoryKeydown } from './modules/history.js';
+import { initLock, refreshLock, showUnlockScreen } from './modules/lock.js';
+import { initProfiles, refreshProfiles, getUniqueProfileName } from './modules/profiles.js';
+import { initScenarios, updateCurrency as updateScenariosCurrency, refreshData as refreshScenarios } from './modules/scenarios.js';
 import { autoAssignAssets } from './modules/autoassign.js';
+import { TAX_REGIMES, DEFAULT_TAX_PROFILE, validateTaxProfile } from './modules/tax.js';
+import { syncLoans } from './modules/loans.js';
+import { describeStorageError } from './modules/adapters.js';
 import { initWizard, openWizard, isDataEmpty } from './modules/wizard.js';
+import { initBackup } from './modules/backup.js';
+import { initCasImport } from './modules/cas.js';
+import { initStatementImport } from './modules/statement.js';
+import { initHarvest, updateCurrency as updateHarvestCurrency, refreshData as refreshHarvest } from './modules/harvest.js';
+import { initReturns, updateCurrency as updateReturnsCurrency, refreshData as refreshReturns } from './modules/returns.js';
+import { initNetWorthHistory, updateCurrency as updateNetWorthCurrency, refreshData as refreshNetWorth, recordMonthlySnapshot } from './modules/networth.js';
 
 let appData = null;
 
@@ -125,10 +143,15 @@ function initSlider(sliderId, valueId, initialValue, handler, formatter = v => `
   slider.addEventListener('input', handler);
 }
 
-// Helper: Reset a slider to default value
-function resetSlider(sliderId, valueId, value, setter, formatter = v => `${v}%`) {
+// Helper: Show a value on a slider without firing its handler
+function setSliderValue(sliderId, valueId, value, formatter = v => `${v}%`) {
   document.getElementById(sliderId).value = value;
   document.getElementById(valueId).textContent = formatter(value);
+}
+
+// Helper: Reset a slider to default value
+function resetSlider(sliderId, valueId, value, setter, formatter = v => `${v}%`) {
+  setSliderValue(sliderId, valueId, value, formatter);
   setter(appData, value);
 }
 
@@ -157,9 +180,9 @@ function setupHomeTab(switchToTab) {
 
   // Wire Clear Data button
   document.getElementById('clear-data-btn')?.addEventListener('click', () => {
-    if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
+    if (confirm(`Are you sure you want to clear all data in the profile "${getActiveProfile().name}"? This cannot be undone.`)) {
       clearData();
-      window.location.reload();
+      afterSaves(() => window.location.reload());
     }
   });
 }
@@ -312,31 +335,77 @@ function setupTabNavigation() {
   return { switchToTab };
 }
 
+// Writes land asynchronously; navigate away only once they have
+function afterSaves(navigate) {
+  flushSaves().then(navigate, navigate);
+}
+
+function showStorageError(error) {
+  document.getElementById('storage-error-banner')?.classList.toggle('hidden', !error);
+  if (error) document.getElementById('storage-error-message').textContent = describeStorageError(error);
+}
+
 function init() {
+  // Open IndexedDB (moving localStorage data there on first run) before anything reads data
+  initStorage().then(openApp, e => console.error('Error opening storage:', e));
+}
+
+function openApp() {
   // Check for URL parameters
   const urlParams = new URLSearchParams(window.location.search);
 
   // Handle clear data route
   if (urlParams.get('clear') === '1') {
     clearData();
-    window.location.href = window.location.pathname;
+    afterSaves(() => { window.location.href = window.location.pathname; });
     return;
   }
 
-  // Handle sample data route
+  // Handle sample data route (opens in a new profile, leaving the current one alone)
   if (urlParams.get('sample_plan') === '1') {
-    appData = getSampleData();
-    saveData(appData);
-    window.location.href = window.location.pathname;
+    createProfile(getUniqueProfileName('Sample Plan', getProfiles()), getSampleData())
+      .then(profile => switchProfile(profile.id))
+      .then(
+        () => { window.location.href = window.location.pathname; },
+        e => console.error('Error creating sample profile:', e)
+      );
     return;
   }
 
-  // Load data from localStorage
-  appData = loadData();
+  // Encrypted data: ask for the passphrase before anything renders
+  if (isStoredEncrypted()) {
+    showUnlockScreen(startApp);
+    return;
+  }
+
+  startApp(loadData());
+}
+
+function startApp(data) {
+  appData = data;
+
+  // Warn if data came from a newer version (saves are refused to avoid data loss)
+  document.getElementById('newer-schema-warning')?.classList.toggle('hidden', !isStoredByNewerVersion());
+
+  // Warn while changes can't be written (e.g. storage quota full)
+  setSaveErrorListener(showStorageError);
+
+  // Set up the header profile switcher
+  initProfiles();
+
+  // Record every save from here on for undo/redo (loan sync and auto-assign included)
+  initHistory(() => appData, handleHistoryChange);
+  document.addEventListener('keydown', handleHistoryKeydown);
+
+  // Bring loan balances and EMI expenses up to today
+  syncLoans(appData);
 
   // Run auto-assign before any module renders (ensures fresh FV-aware allocations)
   autoAssignAssets(appData);
 
+  // Record this month's net-worth snapshot (once per calendar month)
+  recordMonthlySnapshot(appData);
+
   const currency = getCurrency(appData);
   const equityAllocation = getEquityAllocation(appData);
   const equityReturn = getEquityReturn(appData);
@@ -347,6 +416,9 @@ function init() {
   const epfStepUp = getEpfStepUp(appData);
   const npsStepUp = getNpsStepUp(appData);
   const investmentStepUp = getInvestmentStepUp(appData);
+  const equityVolatility = getEquityVolatility(appData);
+  const debtVolatility = getDebtVolatility(appData);
+  const returnCorrelation = getReturnCorrelation(appData);
 
   // Set up tab navigation
   const { switchToTab } = setupTabNavigation();
@@ -383,6 +455,14 @@ function init() {
   initSlider('nps-stepup-setting', 'nps-stepup-value', npsStepUp, handleNpsStepUpChange);
   initSlider('investment-stepup-setting', 'investment-stepup-value', investmentStepUp, handleInvestmentStepUpChange);
 
+  // Set up volatility sliders (Monte Carlo)
+  initSlider('equity-volatility-setting', 'equity-volatility-value', equityVolatility, handleEquityVolatilityChange);
+  initSlider('debt-volatility-setting', 'debt-volatility-value', debtVolatility, handleDebtVolatilityChange);
+  initSlider('return-correlation-setting', 'return-correlation-value', returnCorrelation, handleCorrelationChange, formatCorrelation);
+
+  // Set up tax profile selects
+  initTaxProfile();
+
   // Set up reset button
   document.getElementById('reset-returns-btn').addEventListener('click', handleResetReturns);
 
@@ -426,8 +506,29 @@ function init() {
 
   initCashflow(appData, currency, onDataChange);
   initAssets(appData, currency, onDataChange);
+  initHarvest(appData, currency);
+  initReturns(appData, currency);
+  initNetWorthHistory(appData, currency, onDataChange);
   initGoals(appData, currency, equityReturn, debtReturn, arbitrageReturn, onDataChange);
-  initInvestmentPlan(appData, currency, equityAllocation, equityReturn, debtReturn, arbitrageReturn, epfReturn, npsReturn, epfStepUp, npsStepUp, investmentStepUp, onDataChange);
+  initInvestmentPlan(appData, currency, equityAllocation, equityReturn, debtReturn, arbitrageReturn, epfReturn, npsReturn, epfStepUp, npsStepUp, investmentStepUp, equityVolatility, debtVolatility, returnCorrelation, onDataChange);
+  initPrepayment(appData, currency, equityAllocation, equityReturn, debtReturn);
+  initIncomeTax(appData, currency, onDataChange);
+  initProjection(appData, currency, onDataChange);
+  initAffordability(appData, currency);
+  initLedger(appData, currency, onDataChange);
+  initScenarios(appData, currency, syncSettingsFromData);
+
+  // Set up backup export/restore on the Home tab
+  initBackup(() => appData);
+
+  // Set up the passphrase lock card and auto-lock
+  initLock(() => appData);
+
+  // Set up CAS mutual fund import on the Assets tab
+  initCasImport(() => appData, onDataChange);
+
+  // Set up bank statement import on the Cash Flow tab
+  initStatementImport(() => appData, onDataChange);
 
   // Show/hide EPF/NPS returns based on retirement goals
   updateEpfNpsVisibility();
@@ -435,13 +536,24 @@ function init() {
   // Update Home tab CTA based on data state
   updateHomeTabCTA();
 
-  // Listen for storage changes from other tabs
-  window.addEventListener('storage', (e) => {
-    if (e.key === 'financial-planner-data') {
-      appData = loadData();
-      refreshAllModules();
-      updateHomeTabCTA();
+  // Listen for storage changes from other tabs, to this profile or the profile list
+  // (if this tab can't decrypt them, another tab set or changed the passphrase:
+  // reload to the unlock screen; if this profile was deleted, reload into another)
+  watchExternalChanges((change) => {
+    if (change === 'profiles') {
+      const { id } = getActiveProfile();
+      if (getProfiles().some(p => p.id === id)) refreshProfiles();
+      else window.location.reload();
+      return;
     }
+    readStoredData().then(data => {
+      appData = data;
+      document.getElementById('newer-schema-warning')?.classList.toggle('hidden', !isStoredByNewerVersion());
+      recordExternalChange(appData);
+      syncSettingsFromData();
+      updateHomeTabCTA();
+      refreshLock();
+    }, () => window.location.reload());
   });
 
   console.log('RupeeFolio initialized');
@@ -452,9 +564,18 @@ function handleCurrencyChange(e) {
   setCurrency(appData, newCurrency);
 
   updateCashflowCurrency(newCurrency);
+  updateIncomeTaxCurrency(newCurrency);
   updateAssetsCurrency(newCurrency);
+  updateHarvestCurrency(newCurrency);
+  updateReturnsCurrency(newCurrency);
+  updateNetWorthCurrency(newCurrency);
   updateGoalsCurrency(newCurrency);
   updateInvestmentPlanCurrency(newCurrency);
+  updatePrepaymentCurrency(newCurrency);
+  updateProjectionCurrency(newCurrency);
+  updateAffordabilityCurrency(newCurrency);
+  updateLedgerCurrency(newCurrency);
+  updateScenariosCurrency(newCurrency);
 }
 
 function handleEquityAllocationChange(e) {
@@ -466,6 +587,11 @@ function handleEquityAllocationChange(e) {
   updateTaperingDisplay(newEquityAllocation);
   setEquityAllocation(appData, newEquityAllocation);
   updateInvestmentPlanAllocation(newEquityAllocation);
+  updatePrepaymentAllocation(newEquityAllocation);
+  refreshProjection(appData);
+  refreshAffordability(appData);
+  refreshLedger(appData);
+  refreshScenarios(appData);
 }
 
 function updateTaperingDisplay(equityPercent) {
@@ -541,6 +667,12 @@ function handleReturnChange(valueId, setter, updateGoals = true) {
       updateGoalsReturns(returns.equity, returns.debt, returns.arbitrage);
     }
     updateInvestmentPlanReturns(returns.equity, returns.debt, returns.arbitrage, returns.epf, returns.nps);
+    updatePrepaymentReturns(returns.equity, returns.debt);
+    refreshReturns(appData);
+    refreshProjection(appData);
+    refreshAffordability(appData);
+    refreshLedger(appData);
+    refreshScenarios(appData);
     updateReturnsSummary(returns.equity, getInvestmentStepUp(appData));
     updateSettingsProfileLabel();
   };
@@ -565,6 +697,10 @@ function handleStepUpChange(valueId, setter) {
     updateReturnsSummary(getEquityReturn(appData), investment);
     updateSettingsProfileLabel();
     updateInvestmentPlanStepUp(epfStep, npsStep, investment);
+    refreshProjection(appData);
+    refreshAffordability(appData);
+    refreshLedger(appData);
+    refreshScenarios(appData);
   };
 }
 
@@ -572,6 +708,71 @@ const handleEpfStepUpChange = handleStepUpChange('epf-stepup-value', setEpfStepU
 const handleNpsStepUpChange = handleStepUpChange('nps-stepup-value', setNpsStepUp);
 const handleInvestmentStepUpChange = handleStepUpChange('investment-stepup-value', setInvestmentStepUp);
 
+const formatCorrelation = v => Number(v).toFixed(1);
+
+// Unified handler for volatility changes (only the Monte Carlo simulation uses these)
+function handleVolatilityChange(valueId, setter, formatter = v => `${v}%`) {
+  return (e) => {
+    const newValue = parseFloat(e.target.value);
+    document.getElementById(valueId).textContent = formatter(newValue);
+    setter(appData, newValue);
+    updateInvestmentPlanVolatility(getEquityVolatility(appData), getDebtVolatility(appData), getReturnCorrelation(appData));
+    refreshScenarios(appData);
+  };
+}
+
+const handleEquityVolatilityChange = handleVolatilityChange('equity-volatility-value', setEquityVolatility);
+const handleDebtVolatilityChange = handleVolatilityChange('debt-volatility-value', setDebtVolatility);
+const handleCorrelationChange = handleVolatilityChange('return-correlation-value', setReturnCorrelation, formatCorrelation);
+
+function initTaxProfile() {
+  document.getElementById('tax-regime-setting').addEventListener('change', handleTaxRegimeChange);
+  document.getElementById('tax-slab-setting').addEventListener('change', handleTaxSlabChange);
+  renderTaxProfile();
+}
+
+function renderTaxProfile() {
+  const profile = getTaxProfile(appData);
+  const regimeSelect = document.getElementById('tax-regime-setting');
+  const slabSelect = document.getElementById('tax-slab-setting');
+
+  regimeSelect.value = profile ? profile.regime : '';
+  slabSelect.disabled = !profile;
+  slabSelect.innerHTML = profile
+    ? TAX_REGIMES[profile.regime].slabs.map(slab => `<option value="${slab}">${slab}%</option>`).join('')
+    : '<option value="">-</option>';
+  if (profile) slabSelect.value = String(profile.slab);
+
+  document.getElementById('returns-tax-hint').textContent = profile
+    ? 'Pre-tax annual returns; tax is applied per asset using your slab'
+    : 'Post-tax annual returns for different asset classes';
+}
+
+// Tax changes every goal's SIP and the asset links, so refresh everything
+function applyTaxProfile(profile) {
+  if (profile && !validateTaxProfile(profile).valid) return;
+  setTaxProfile(appData, profile);
+  renderTaxProfile();
+  refreshAllModules();
+}
+
+function handleTaxRegimeChange(e) {
+  const regime = e.target.value;
+  if (!regime) {
+    applyTaxProfile(null);
+    return;
+  }
+  // Keep the current slab if the new regime has it, else fall back to the top slab
+  const slabs = TAX_REGIMES[regime].slabs;
+  const current = getTaxProfile(appData)?.slab ?? DEFAULT_TAX_PROFILE.slab;
+  applyTaxProfile({ regime, slab: slabs.includes(current) ? current : slabs[slabs.length - 1] });
+}
+
+function handleTaxSlabChange(e) {
+  const profile = getTaxProfile(appData);
+  if (!profile) return;
+  applyTaxProfile({ ...profile, slab: parseInt(e.target.value) });
+}
 
 function updateSettingsProfileLabel() {
   const label = document.getElementById('stepup-profile-label');
@@ -611,7 +812,10 @@ function handleResetReturns() {
     npsReturn: 9,
     epfStepUp: 5,
     npsStepUp: 0,
-    investmentStepUp: 5
+    investmentStepUp: 5,
+    equityVolatility: 16,
+    debtVolatility: 2,
+    returnCorrelation: 0
   };
 
   // Reset all sliders using helper
@@ -623,17 +827,93 @@ function handleResetReturns() {
   resetSlider('epf-stepup-setting', 'epf-stepup-value', defaults.epfStepUp, setEpfStepUp);
   resetSlider('nps-stepup-setting', 'nps-stepup-value', defaults.npsStepUp, setNpsStepUp);
   resetSlider('investment-stepup-setting', 'investment-stepup-value', defaults.investmentStepUp, setInvestmentStepUp);
+  resetSlider('equity-volatility-setting', 'equity-volatility-value', defaults.equityVolatility, setEquityVolatility);
+  resetSlider('debt-volatility-setting', 'debt-volatility-value', defaults.debtVolatility, setDebtVolatility);
+  resetSlider('return-correlation-setting', 'return-correlation-value', defaults.returnCorrelation, setReturnCorrelation, formatCorrelation);
 
   // Update modules
   updateGoalsReturns(defaults.equityReturn, defaults.debtReturn, defaults.arbitrageReturn);
   updateInvestmentPlanReturns(defaults.equityReturn, defaults.debtReturn, defaults.arbitrageReturn, defaults.epfReturn, defaults.npsReturn);
+  updatePrepaymentReturns(defaults.equityReturn, defaults.debtReturn);
+  refreshReturns(appData);
   updateInvestmentPlanStepUp(defaults.epfStepUp, defaults.npsStepUp, defaults.investmentStepUp);
+  updateInvestmentPlanVolatility(defaults.equityVolatility, defaults.debtVolatility, defaults.returnCorrelation);
+  refreshProjection(appData);
+  refreshAffordability(appData);
+  refreshLedger(appData);
+  refreshScenarios(appData);
 
   // Update summaries
   updateReturnsSummary(defaults.equityReturn, defaults.investmentStepUp);
   updateSettingsProfileLabel();
 }
 
+// Settings changed outside the sliders (scenario promoted, undo/redo): show them and re-plan everything
+function syncSettingsFromData() {
+  const currency = getCurrency(appData);
+  const currencySelect = document.getElementById('currency-select');
+  if (currencySelect.value !== currency) {
+    currencySelect.value = currency;
+    handleCurrencyChange({ target: currencySelect });
+  }
+
+  const equityAllocation = getEquityAllocation(appData);
+  const returns = {
+    equity: getEquityReturn(appData),
+    debt: getDebtReturn(appData),
+    arbitrage: getArbitrageReturn(appData),
+    epf: getEpfReturn(appData),
+    nps: getNpsReturn(appData)
+  };
+  const stepUps = {
+    epf: getEpfStepUp(appData),
+    nps: getNpsStepUp(appData),
+    investment: getInvestmentStepUp(appData)
+  };
+  const volatility = {
+    equity: getEquityVolatility(appData),
+    debt: getDebtVolatility(appData),
+    correlation: getReturnCorrelation(appData)
+  };
+
+  setSliderValue('equity-allocation-setting', 'equity-allocation-value', equityAllocation);
+  document.getElementById('debt-allocation-value').textContent = `${100 - equityAllocation}%`;
+  setSliderValue('equity-return-setting', 'equity-return-value', returns.equity);
+  setSliderValue('debt-return-setting', 'debt-return-value', returns.debt);
+  setSliderValue('arbitrage-return-setting', 'arbitrage-return-value', returns.arbitrage);
+  setSliderValue('epf-return-setting', 'epf-return-value', returns.epf);
+  setSliderValue('nps-return-setting', 'nps-return-value', returns.nps);
+  setSliderValue('epf-stepup-setting', 'epf-stepup-value', stepUps.epf);
+  setSliderValue('nps-stepup-setting', 'nps-stepup-value', stepUps.nps);
+  setSliderValue('investment-stepup-setting', 'investment-stepup-value', stepUps.investment);
+  setSliderValue('equity-volatility-setting', 'equity-volatility-value', volatility.equity);
+  setSliderValue('debt-volatility-setting', 'debt-volatility-value', volatility.debt);
+  setSliderValue('return-correlation-setting', 'return-correlation-value', volatility.correlation, formatCorrelation);
+
+  updateRiskProfileLabel(equityAllocation);
+  updateAllocationSummary(equityAllocation);
+  updateTaperingDisplay(equityAllocation);
+  updateReturnsSummary(returns.equity, stepUps.investment);
+  updateSettingsProfileLabel();
+  renderTaxProfile();
+
+  updateGoalsReturns(returns.equity, returns.debt, returns.arbitrage);
+  updateInvestmentPlanAllocation(equityAllocation);
+  updateInvestmentPlanReturns(returns.equity, returns.debt, returns.arbitrage, returns.epf, returns.nps);
+  updateInvestmentPlanStepUp(stepUps.epf, stepUps.nps, stepUps.investment);
+  updateInvestmentPlanVolatility(volatility.equity, volatility.debt, volatility.correlation);
+  updatePrepaymentAllocation(equityAllocation);
+  updatePrepaymentReturns(returns.equity, returns.debt);
+  refreshAllModules();
+}
+
+// Undo/redo replaced part of the data
+function handleHistoryChange() {
+  syncSettingsFromData();
+  updateEpfNpsVisibility();
+  updateHomeTabCTA();
+}
+
 function updateEpfNpsVisibility() {
   const hasRetirementGoal = appData.goals.some(g => g.goalType === 'retirement');
   const container = document.getElementById('epf-nps-returns-container');
@@ -663,10 +943,19 @@ function updateAllocationSummary(equityPercent) {
 function refreshAllModules() {
   const currency = getCurrency(appData);
   refreshCashflow(appData);
+  refreshIncomeTax(appData);
   refreshAssets(appData);
+  refreshHarvest(appData);
+  refreshReturns(appData);
+  refreshNetWorth(appData);
   refreshGoals(appData);
   autoAssignAssets(appData);
   refreshInvestmentPlan(appData);
+  refreshPrepayment(appData);
+  refreshProjection(appData);
+  refreshAffordability(appData);
+  refreshLedger(appData);
+  refreshScenarios(appData);
 }
 
 // Initialize when DOM is ready
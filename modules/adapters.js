@@ -0,0 +1,123 @@
+// Storage adapters: one small async key/value interface over IndexedDB,
+// localStorage, or memory (tests)
+//
+// An adapter is { name, read(key), write(key, text), remove(key) }; read
+// resolves to the stored text or null, and failures (e.g. QuotaExceededError)
+// reject.
+
+const DB_NAME = 'rupeefolio';
+const DB_STORE = 'keyval';
+
+/**
+ * Adapter backed by a plain object (tests, or when nothing else is available)
+ * @param {object} store - Key/text pairs; kept by reference so tests can inspect it
+ * @param {object} options - { quota } total characters before writes fail
+ */
+export function createMemoryAdapter(store = {}, { quota = Infinity } = {}) {
+  return {
+    name: 'memory',
+    store,
+    read: key => Promise.resolve(Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    write: (key, text) => {
+      const others = Object.keys(store).filter(k => k !== key).reduce((sum, k) => sum + store[k].length, 0);
+      if (others + text.length > quota) {
+        return Promise.reject(new DOMException('Storage quota exceeded', 'QuotaExceededError'));
+      }
+      store[key] = text;
+      return Promise.resolve();
+    },
+    remove: key => {
+      delete store[key];
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Adapter backed by localStorage (about 5 MB per origin)
+ * @param {Storage} storage - Defaults to the page's localStorage
+ */
+export function createLocalStorageAdapter(storage = globalThis.localStorage) {
+  return {
+    name: 'localStorage',
+    read: key => Promise.resolve().then(() => storage.getItem(key)),
+    write: (key, text) => Promise.resolve().then(() => storage.setItem(key, text)),
+    remove: key => Promise.resolve().then(() => storage.removeItem(key))
+  };
+}
+
+/**
+ * Adapter backed by an IndexedDB object store (quota is a share of free disk)
+ * @param {IDBFactory} factory - Defaults to the page's indexedDB
+ * @param {string} dbName - Database name
+ */
+export function createIndexedDBAdapter(factory = globalThis.indexedDB, dbName = DB_NAME) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(e => {
+        dbPromise = null; // Try again on the next call
+        throw e;
+      });
+    }
+    return dbPromise;
+  };
+
+  // Resolves once the transaction commits; quota errors abort the transaction
+  const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    const request = operation(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error || request.error);
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+  }));
+
+  return {
+    name: 'indexedDB',
+    read: key => run('readonly', store => store.get(key)).then(value => value ?? null),
+    write: (key, text) => run('readwrite', store => store.put(text, key)).then(() => {}),
+    remove: key => run('readwrite', store => store.delete(key)).then(() => {})
+  };
+}
+
+/**
+ * Move a stored value to another adapter, once: it is copied only if the
+ * target has nothing under the key yet, checked, then removed from the source.
+ * If both hold a value the target's wins and the source is left alone.
+ * @returns {Promise<boolean>} True if a value was moved
+ */
+export function moveStoredValue(from, to, key) {
+  return Promise.all([from.read(key), to.read(key)]).then(([value, existing]) => {
+    if (value === null || existing !== null) return false;
+    return to.write(key, value)
+      .then(() => to.read(key))
+      .then(copied => {
+        if (copied !== value) throw new Error(`Copy to ${to.name} could not be verified`);
+        return from.remove(key);
+      })
+      .then(() => true);
+  });
+}
+
+/**
+ * True if a storage error means the browser's quota is used up
+ */
+export function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+}
+
+/**
+ * Message shown to the user when a save fails
+ */
+export function describeStorageError(error) {
+  if (isQuotaError(error)) {
+    return 'Browser storage is full, so your latest changes were not saved. Export a backup, then free up space (for example by deleting old net-worth snapshots).';
+  }
+  return `Your latest changes could not be saved (${error?.message || 'unknown error'}). Export a backup to keep a copy.`;
+}
@@ -0,0 +1,176 @@
+// Year-by-year SIP affordability timeline (Plan tab)
+import { getCategoryInflation } from './storage.js';
+import { formatCurrency, formatCompact } from './currency.js';
+import { getGoalSipSchedule } from './investmentplan.js';
+import { projectCashflow, getProjectionYears, getShortfallYears } from './projection.js';
+
+const GOAL_COLORS = ['#2563eb', '#059669', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d', '#9333ea'];
+const SURPLUS_COLOR = '#111827'; // gray-900
+const SHORTFALL_COLOR = '#dc2626'; // red-600
+
+let appData = null;
+let currency = 'INR';
+
+export function initAffordability(data, curr) {
+  appData = data;
+  currency = curr;
+  renderAffordability();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderAffordability();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderAffordability();
+}
+
+/**
+ * Years to show: until the last SIP ends, within the cash flow projection horizon
+ * @param {Array} schedule - From getGoalSipSchedule
+ * @param {Array} goals - App goals (a retirement goal ends salary income)
+ */
+export function getTimelineYears(schedule, goals) {
+  const lastSipMonth = Math.max(0, ...schedule.filter(g => g.monthlySIP > 0).map(g => g.months));
+  return Math.max(1, Math.min(getProjectionYears(goals), Math.ceil(lastSipMonth / 12)));
+}
+
+/**
+ * Group shortfall years into consecutive ranges
+ * @param {Array} rows - From projectCashflow
+ * @returns {Array} [{ from, to, worst }] - calendar years and the largest monthly shortfall
+ */
+export function getShortfallRanges(rows) {
+  const ranges = [];
+  getShortfallYears(rows).forEach(row => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.to === row.calendarYear - 1) {
+      last.to = row.calendarYear;
+      last.worst = Math.max(last.worst, -row.balance);
+    } else {
+      ranges.push({ from: row.calendarYear, to: row.calendarYear, worst: -row.balance });
+    }
+  });
+  return ranges;
+}
+
+function renderAffordability() {
+  const container = document.getElementById('sip-affordability');
+  if (!container) return;
+
+  const schedule = getGoalSipSchedule();
+  if (appData.cashflow.income.length === 0 || !schedule.some(g => g.monthlySIP > 0)) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+
+  const rows = projectCashflow(appData.cashflow, schedule, {
+    years: getTimelineYears(schedule, appData.goals),
+    categoryInflation: getCategoryInflation(appData)
+  });
+  const ranges = getShortfallRanges(rows);
+  const formatRange = r => r.from === r.to ? `${r.from}` : `${r.from}–${r.to}`;
+
+  const verdict = ranges.length === 0
+    ? `<p class="text-sm text-emerald-700">Your stepped-up SIPs fit within the projected surplus every year through ${rows[rows.length - 1].calendarYear}.</p>`
+    : `<p class="text-sm text-red-700">SIPs exceed the projected surplus in ${ranges.map(r => `<strong>${formatRange(r)}</strong>`).join(', ')}, by up to ${formatCurrency(Math.round(Math.max(...ranges.map(r => r.worst))), currency)}/month.</p>`;
+
+  container.innerHTML = `
+    <div class="bg-white rounded-lg shadow-sm p-4 sm:p-5">
+      <h3 class="text-lg font-semibold text-gray-800">Can You Keep Up the SIPs?</h3>
+      <p class="text-sm text-gray-500 mb-3">Each goal's SIP steps up yearly and stops at its target date. The line is your projected monthly surplus from the Cash Flow tab.</p>
+      ${verdict}
+      ${renderChart(rows, schedule)}
+      <p class="text-xs text-gray-400 mt-3">EPF/NPS are deducted before take-home pay, so their step-ups are already outside the surplus. Amounts are monthly averages in future (nominal) money.</p>
+    </div>
+  `;
+}
+
+function renderChart(rows, schedule) {
+  const width = 600;
+  const height = 220;
+  const padLeft = 8;
+  const padRight = 8;
+  const padTop = 12;
+  const padBottom = 24;
+  const plotWidth = width - padLeft - padRight;
+  const plotHeight = height - padTop - padBottom;
+
+  const maxValue = Math.max(...rows.map(r => Math.max(r.sip, r.surplus)), 1);
+  const minValue = Math.min(0, ...rows.map(r => r.surplus));
+  const range = maxValue - minValue;
+  const slot = plotWidth / rows.length;
+  const barWidth = Math.max(slot * 0.7, 2);
+  const x = (i) => padLeft + slot * i + slot / 2;
+  const y = (value) => padTop + ((maxValue - value) / range) * plotHeight;
+
+  // Stacked bars, one segment per goal
+  const bars = rows.map((row, i) => {
+    let base = 0;
+    const segments = row.goalSips.map((amount, g) => {
+      if (amount <= 0) return '';
+      const top = base + amount;
+      const rect = `<rect x="${x(i) - barWidth / 2}" y="${y(top)}" width="${barWidth}" height="${Math.max(y(base) - y(top), 0)}" fill="${GOAL_COLORS[g % GOAL_COLORS.length]}" fill-opacity="0.8"><title>${row.calendarYear} · ${schedule[g].name}: ${formatCurrency(Math.round(amount), currency)}/month</title></rect>`;
+      base = top;
+      return rect;
+    }).join('');
+    const marker = row.sip > 0 && row.balance < 0
+      ? `<circle cx="${x(i)}" cy="${padTop - 4}" r="3" fill="${SHORTFALL_COLOR}"><title>${row.calendarYear}: short by ${formatCurrency(Math.round(-row.balance), currency)}/month</title></circle>`
+      : '';
+    return segments + marker;
+  }).join('');
+
+  const surplusPoints = rows.map((r, i) => `${x(i)},${y(r.surplus)}`).join(' ');
+  const surplusLine = rows.length > 1
+    ? `<polyline points="${surplusPoints}" fill="none" stroke="${SURPLUS_COLOR}" stroke-width="2" />`
+    : `<line x1="${padLeft}" x2="${width - padRight}" y1="${y(rows[0].surplus)}" y2="${y(rows[0].surplus)}" stroke="${SURPLUS_COLOR}" stroke-width="2" />`;
+
+  const zeroLine = minValue < 0
+    ? `<line x1="${padLeft}" x2="${width - padRight}" y1="${y(0)}" y2="${y(0)}" stroke="#d1d5db" stroke-dasharray="4 4" />`
+    : '';
+
+  const labelIndexes = rows.length === 1 ? [0] : [0, rows.length - 1];
+  const labels = labelIndexes.map(i => {
+    const anchor = rows.length === 1 ? 'middle' : (i === 0 ? 'start' : 'end');
+    const labelX = rows.length === 1 ? x(i) : (i === 0 ? padLeft : width - padRight);
+    return `<text x="${labelX}" y="${height - 6}" text-anchor="${anchor}" font-size="11" fill="#6b7280">${rows[i].calendarYear}</text>`;
+  }).join('');
+
+  const legend = [
+    ...schedule.map((g, i) => g.monthlySIP > 0 ? `
+      <div class="flex items-center gap-1.5">
+        <span class="w-2.5 h-2.5 rounded-full shrink-0" style="background-color: ${GOAL_COLORS[i % GOAL_COLORS.length]}"></span>
+        <span class="text-xs text-gray-600">${g.name}</span>
+      </div>
+    ` : ''),
+    `<div class="flex items-center gap-1.5">
+      <span class="w-4 h-0.5 shrink-0" style="background-color: ${SURPLUS_COLOR}"></span>
+      <span class="text-xs text-gray-600">Surplus</span>
+    </div>`,
+    `<div class="flex items-center gap-1.5">
+      <span class="w-2 h-2 rounded-full shrink-0" style="background-color: ${SHORTFALL_COLOR}"></span>
+      <span class="text-xs text-gray-600">Shortfall year</span>
+    </div>`
+  ].join('');
+
+  return `
+    <div class="mt-3">
+      <div class="flex items-baseline justify-between mb-2">
+        <span class="text-xs text-gray-500">Monthly amounts, peak ${formatCompact(Math.round(maxValue), currency)}</span>
+      </div>
+      <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" preserveAspectRatio="none">
+        ${bars}
+        ${zeroLine}
+        ${surplusLine}
+        ${labels}
+      </svg>
+      <div class="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+        ${legend}
+      </div>
+    </div>
+  `;
+}
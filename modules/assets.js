@@ -1,7 +1,9 @@
 // Assets & Liabilities management UI and logic
-import { addAsset, updateAsset, deleteAsset, addLiability, updateLiability, deleteLiability, generateId } from './storage.js';
-import { formatCurrency, formatNumber, getSymbol, parseCurrencyInput, setupCurrencyInput } from './currency.js';
+import { addAsset, updateAsset, deleteAsset, addLiability, updateLiability, deleteLiability, updateExpense, generateId } from './storage.js';
+import { formatCurrency, formatNumber, formatMonth, getSymbol, parseCurrencyInput, setupCurrencyInput } from './currency.js';
 import { numberToWords } from './wizard.js';
+import { getLoanStatus, validateLoanTerms, summarizeScheduleByYear, syncLoans } from './loans.js';
+import { escapeHtml } from './html.js';
 
 // Asset class mapping for pie chart allocation
 const ASSET_CLASS_MAP = {
@@ -43,7 +45,7 @@ const ASSET_CLASS_COLORS = {
 };
 
 // Grouped asset categories for organized dropdown
-const assetCategoryGroups = [
+export const assetCategoryGroups = [
   {
     group: 'Retirement',
     categories: ['EPF Corpus', 'PPF Corpus', 'NPS Corpus']
@@ -256,7 +258,7 @@ function renderAssetsList() {
           <div class="text-xs font-semibold uppercase text-gray-500 mb-1">${cls}</div>
           ${assets.map(asset => `
             <div class="flex items-center justify-between py-3 border-b border-gray-100 group" data-asset-id="${asset.id}">
-              <span class="text-sm min-w-0">${asset.name}</span>
+              <span class="text-sm min-w-0">${escapeHtml(asset.name)}</span>
               <div class="flex items-center gap-2 shrink-0">
                 <span class="text-sm font-medium text-emerald-600">${formatCurrency(asset.value, currency)}</span>
                 <button class="edit-asset-btn text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded p-1 transition-colors" data-id="${asset.id}">
@@ -296,7 +298,7 @@ function editAsset(id) {
       <select class="edit-asset-category w-full px-3 py-2 border rounded text-sm">
         ${renderAssetCategoryOptions(asset.category)}
       </select>
-      <input type="text" value="${asset.name}" class="edit-asset-name w-full px-3 py-2 border rounded text-sm" placeholder="Description">
+      <input type="text" value="${escapeHtml(asset.name)}" class="edit-asset-name w-full px-3 py-2 border rounded text-sm" placeholder="Description">
       <div class="relative">
         <span class="absolute left-3 top-2 text-gray-500 text-sm">${getSymbol(currency)}</span>
         <input type="text" value="${formatNumber(asset.value, currency)}" class="edit-asset-value w-full pl-7 pr-3 py-2 border rounded text-sm" placeholder="Value" inputmode="numeric">
@@ -355,6 +357,7 @@ function showAddLiabilityForm() {
       <p id="new-liability-amount-words" class="text-xs text-gray-400 mt-0.5 mb-2 pl-8 h-4"></p>
       <input type="text" id="new-liability-name" placeholder="Description - optional (e.g., SBI Home Loan)"
         class="w-full px-3 py-2 border rounded mb-2 text-sm">
+      ${renderLoanFields()}
       <div class="flex gap-2 justify-end">
         <button id="cancel-liability-btn" class="bg-gray-300 px-4 py-2 rounded text-sm hover:bg-gray-400">Cancel</button>
         <button id="save-liability-btn" class="bg-orange-600 text-white px-4 py-2 rounded text-sm hover:bg-orange-700">Save</button>
@@ -371,26 +374,192 @@ function showAddLiabilityForm() {
     document.getElementById('new-liability-amount-words'),
     numberToWords, currency
   );
+  setupLoanFields(container);
   document.getElementById('new-liability-amount').focus();
 }
 
 function saveNewLiability() {
+  const container = document.getElementById('liability-form-container');
   const category = document.getElementById('new-liability-category').value;
   const name = document.getElementById('new-liability-name').value.trim() || category;
   const amount = parseCurrencyInput(document.getElementById('new-liability-amount').value);
+  const loanInput = readLoanFields(container);
 
-  if (isNaN(amount) || amount < 0) {
+  if (loanInput.filled) {
+    const check = validateLoanTerms(loanInput.loan);
+    if (!check.valid) {
+      alert(check.error);
+      return;
+    }
+  } else if (isNaN(amount) || amount < 0) {
     alert('Please enter a valid amount');
     return;
   }
 
-  addLiability(appData, { category, name, amount });
-  document.getElementById('liability-form-container').innerHTML = '';
+  // Outstanding amount for loans is recomputed from the schedule by syncLoans()
+  const liability = { category, name, amount: isNaN(amount) ? 0 : amount, ...getLoanUpdates(loanInput) };
+  addLiability(appData, liability);
+  linkExpenseToLoan(loanInput, liability.id);
+  syncLoans(appData);
+
+  container.innerHTML = '';
   renderLiabilitiesList();
   updateNetWorthSummary();
   if (onDataChange) onDataChange();
 }
 
+// Optional loan details shared by the add and edit liability forms
+function renderLoanFields(liability = {}) {
+  const hasLoan = liability.principal > 0;
+  const linkedExpense = liability.id && appData.cashflow.expenses.find(e => e.liabilityId === liability.id);
+  const linkableExpenses = appData.cashflow.expenses.filter(e => e.category === 'EMIs/Loans' && !e.liabilityId && (e.frequency || 'monthly') === 'monthly');
+  const tenureYears = liability.tenureMonths ? +(liability.tenureMonths / 12).toFixed(2) : '';
+
+  return `
+    <details class="loan-details mb-2" ${hasLoan ? 'open' : ''}>
+      <summary class="cursor-pointer text-xs text-blue-600 hover:text-blue-800">+ Loan details for EMI schedule (optional)</summary>
+      <div class="mt-2 p-2 bg-white rounded border space-y-2">
+        <div class="grid grid-cols-2 gap-2">
+          <div>
+            <label class="text-xs text-gray-500">Original loan amount</label>
+            <div class="relative">
+              <span class="absolute left-2 top-1 text-gray-500 text-sm">${getSymbol(currency)}</span>
+              <input type="text" class="loan-principal w-full pl-6 pr-2 py-1 border rounded text-sm" inputmode="numeric"
+                value="${hasLoan ? formatNumber(liability.principal, currency) : ''}">
+            </div>
+            <p class="loan-principal-words text-xs text-gray-400 h-4"></p>
+          </div>
+          <div>
+            <label class="text-xs text-gray-500">Interest rate (% p.a.)</label>
+            <input type="number" class="loan-rate w-full px-2 py-1 border rounded text-sm" step="0.05" min="0" max="50"
+              value="${hasLoan ? liability.interestRate : ''}">
+          </div>
+          <div>
+            <label class="text-xs text-gray-500">Start date</label>
+            <input type="date" class="loan-start w-full px-2 py-1 border rounded text-sm" value="${liability.startDate || ''}">
+          </div>
+          <div>
+            <label class="text-xs text-gray-500">Tenure (years)</label>
+            <input type="number" class="loan-tenure w-full px-2 py-1 border rounded text-sm" step="0.5" min="0" value="${tenureYears}">
+          </div>
+        </div>
+        <div>
+          <label class="text-xs text-gray-500">Monthly EMI (used if tenure is blank)</label>
+          <div class="relative">
+            <span class="absolute left-2 top-1 text-gray-500 text-sm">${getSymbol(currency)}</span>
+            <input type="text" class="loan-emi w-full pl-6 pr-2 py-1 border rounded text-sm" inputmode="numeric"
+              value="${!liability.tenureMonths && liability.emi ? formatNumber(Math.round(liability.emi), currency) : ''}">
+          </div>
+          <p class="loan-emi-words text-xs text-gray-400 h-4"></p>
+        </div>
+        ${linkedExpense ? `
+          <p class="text-xs text-gray-500">EMI expense: <span class="font-medium text-gray-700">${linkedExpense.name}</span> (kept in sync)</p>
+        ` : `
+          <div>
+            <label class="text-xs text-gray-500">EMI expense in Cash Flow</label>
+            <select class="loan-expense w-full px-2 py-1 border rounded text-sm">
+              ${linkableExpenses.map(e => `<option value="${e.id}">Use "${e.name}" (${formatCurrency(e.amount, currency)})</option>`).join('')}
+              <option value="new">Create a new EMI expense</option>
+            </select>
+          </div>
+        `}
+        <p class="text-xs text-gray-400">Outstanding amount, payoff date and EMI expense are calculated from these details</p>
+      </div>
+    </details>
+  `;
+}
+
+function setupLoanFields(container) {
+  setupCurrencyInput(container.querySelector('.loan-principal'), container.querySelector('.loan-principal-words'), numberToWords, currency);
+  setupCurrencyInput(container.querySelector('.loan-emi'), container.querySelector('.loan-emi-words'), numberToWords, currency);
+}
+
+function readLoanFields(container) {
+  const principal = parseCurrencyInput(container.querySelector('.loan-principal').value);
+  const rateValue = container.querySelector('.loan-rate').value;
+  const startDate = container.querySelector('.loan-start').value;
+  const tenureYears = parseFloat(container.querySelector('.loan-tenure').value);
+  const emi = parseCurrencyInput(container.querySelector('.loan-emi').value);
+  const expenseSelect = container.querySelector('.loan-expense');
+
+  const filled = !isNaN(principal) || rateValue !== '' || startDate !== '' || !isNaN(tenureYears) || !isNaN(emi);
+  return {
+    filled,
+    loan: {
+      principal,
+      interestRate: rateValue === '' ? NaN : parseFloat(rateValue),
+      startDate,
+      tenureMonths: tenureYears > 0 ? Math.round(tenureYears * 12) : 0,
+      emi: emi > 0 ? emi : 0
+    },
+    expenseId: expenseSelect ? expenseSelect.value : null
+  };
+}
+
+// Loan fields to store on the liability (clears them when the section is empty)
+function getLoanUpdates(loanInput) {
+  if (!loanInput.filled) {
+    return { principal: undefined, interestRate: undefined, startDate: undefined, tenureMonths: undefined, emi: undefined };
+  }
+  const { principal, interestRate, startDate, tenureMonths, emi } = loanInput.loan;
+  return {
+    principal,
+    interestRate,
+    startDate,
+    tenureMonths: tenureMonths || undefined,
+    emi: tenureMonths ? undefined : emi
+  };
+}
+
+// Link an existing EMI expense chosen in the form; syncLoans() creates one otherwise
+function linkExpenseToLoan(loanInput, liabilityId) {
+  if (loanInput.filled && loanInput.expenseId && loanInput.expenseId !== 'new') {
+    updateExpense(appData, loanInput.expenseId, { liabilityId });
+  }
+}
+
+function renderLoanSummary(liability) {
+  const status = getLoanStatus(liability);
+  if (!status) return '';
+
+  const yearly = summarizeScheduleByYear(status.schedule);
+  const currentYear = new Date().getFullYear();
+
+  return `
+    <div class="text-xs text-gray-500 mt-0.5">
+      ${status.isPaidOff
+        ? `Paid off in ${formatMonth(status.payoffDate)}`
+        : `EMI ${formatCurrency(Math.round(status.emi), currency)} · ${liability.interestRate}% · ends ${formatMonth(status.payoffDate)} · ${formatCurrency(Math.round(status.interestRemaining), currency)} interest left`}
+    </div>
+    <details class="text-xs mt-1">
+      <summary class="cursor-pointer text-blue-600 hover:text-blue-800">Amortization schedule</summary>
+      <div class="mt-2 overflow-x-auto">
+        <table class="w-full">
+          <thead>
+            <tr class="text-gray-500 border-b border-gray-200">
+              <th class="text-left py-1 pr-2 font-medium">Year</th>
+              <th class="text-right py-1 px-2 font-medium">Principal</th>
+              <th class="text-right py-1 px-2 font-medium">Interest</th>
+              <th class="text-right py-1 pl-2 font-medium">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${yearly.map(row => `
+              <tr class="border-b border-gray-100 ${row.year === currentYear ? 'bg-orange-50' : ''}">
+                <td class="py-1 pr-2 text-gray-700">${row.year}</td>
+                <td class="py-1 px-2 text-right text-gray-700">${formatCurrency(Math.round(row.principal), currency)}</td>
+                <td class="py-1 px-2 text-right text-gray-700">${formatCurrency(Math.round(row.interest), currency)}</td>
+                <td class="py-1 pl-2 text-right text-gray-900">${formatCurrency(Math.round(row.closing), currency)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <p class="text-gray-400 mt-1">Total interest over the loan: ${formatCurrency(Math.round(status.totalInterest), currency)}</p>
+      </div>
+    </details>
+  `;
+}
+
 function renderLiabilitiesList() {
   const list = document.getElementById('liabilities-list');
   if (!list) return;
@@ -411,8 +580,11 @@ function renderLiabilitiesList() {
     <div class="pt-4 first:pt-0">
       <div class="text-xs font-semibold text-gray-500 uppercase mb-1">${category}</div>
       ${liabilities.map(liability => `
-        <div class="flex items-center justify-between py-3 border-b border-gray-100 group" data-liability-id="${liability.id}">
-          <span class="text-sm min-w-0">${liability.name}</span>
+        <div class="flex items-start justify-between py-3 border-b border-gray-100 group" data-liability-id="${liability.id}">
+          <div class="min-w-0">
+            <span class="text-sm">${liability.name}</span>
+            ${renderLoanSummary(liability)}
+          </div>
           <div class="flex items-center gap-2 shrink-0">
             <span class="text-sm font-medium text-orange-600">${formatCurrency(liability.amount, currency)}</span>
             <button class="edit-liability-btn text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded p-1 transition-colors" data-id="${liability.id}">
@@ -457,6 +629,7 @@ function editLiability(id) {
         <input type="text" value="${formatNumber(liability.amount, currency)}" class="edit-liability-amount w-full pl-7 pr-3 py-2 border rounded text-sm" placeholder="Amount" inputmode="numeric">
       </div>
       <p class="edit-liability-amount-words text-xs text-gray-400 pl-7 h-4"></p>
+      ${renderLoanFields(liability)}
     </div>
     <div class="flex gap-2 justify-end">
       <button class="cancel-edit-liability bg-gray-300 px-3 py-1.5 rounded text-sm hover:bg-gray-400">Cancel</button>
@@ -469,17 +642,35 @@ function editLiability(id) {
     row.querySelector('.edit-liability-amount-words'),
     numberToWords, currency
   );
+  setupLoanFields(row);
 
   row.querySelector('.save-edit-liability').addEventListener('click', () => {
     const newCategory = row.querySelector('.edit-liability-category').value;
     const newName = row.querySelector('.edit-liability-name').value.trim() || newCategory;
     const newAmount = parseCurrencyInput(row.querySelector('.edit-liability-amount').value);
-    if (!isNaN(newAmount) && newAmount >= 0) {
-      updateLiability(appData, id, { category: newCategory, name: newName, amount: newAmount });
-      renderLiabilitiesList();
-      updateNetWorthSummary();
-      if (onDataChange) onDataChange();
+    const loanInput = readLoanFields(row);
+
+    if (loanInput.filled) {
+      const check = validateLoanTerms(loanInput.loan);
+      if (!check.valid) {
+        alert(check.error);
+        return;
+      }
+    } else if (isNaN(newAmount) || newAmount < 0) {
+      return;
     }
+
+    updateLiability(appData, id, {
+      category: newCategory,
+      name: newName,
+      amount: isNaN(newAmount) ? 0 : newAmount,
+      ...getLoanUpdates(loanInput)
+    });
+    linkExpenseToLoan(loanInput, id);
+    syncLoans(appData);
+    renderLiabilitiesList();
+    updateNetWorthSummary();
+    if (onDataChange) onDataChange();
   });
 
   row.querySelector('.cancel-edit-liability').addEventListener('click', () => {
@@ -488,7 +679,8 @@ function editLiability(id) {
 }
 
 function removeLiability(id) {
-  if (confirm('Delete this liability?')) {
+  const hasEmiExpense = appData.cashflow.expenses.some(e => e.liabilityId === id);
+  if (confirm(hasEmiExpense ? 'Delete this liability and its EMI expense?' : 'Delete this liability?')) {
     deleteLiability(appData, id);
     renderLiabilitiesList();
     updateNetWorthSummary();
@@ -823,4 +1015,4 @@ export function checkAssetOverAllocation(data, assetId) {
 }
 
 // Export constants for use in other modules
-export { SHORT_TERM_ONLY, LONG_TERM_ONLY, BOTH_TERMS, NOT_LINKABLE };
+export { SHORT_TERM_ONLY, LONG_TERM_ONLY, BOTH_TERMS, NOT_LINKABLE, ASSET_CLASS_MAP, ASSET_CLASS_COLORS };
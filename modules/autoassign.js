@@ -1,19 +1,98 @@
 // Auto-assign assets to goals based on asset type and goal timeline
 import { SHORT_TERM_ONLY, LONG_TERM_ONLY, BOTH_TERMS, NOT_LINKABLE } from './assets.js';
-import { getUnifiedCategory, getYearsRemaining, calculateInflationAdjustedAmount, calculateLumpsumFV, getReturnForCategory } from './calculator.js';
-import { saveData } from './storage.js';
+import {
+  GOAL_PRIORITIES,
+  getUnifiedCategory,
+  getUnifiedBlendedReturn,
+  getYearsRemaining,
+  getMonthsRemaining,
+  getPriorityRank,
+  calculateInflationAdjustedAmount,
+  calculateLumpsumFV,
+  calculateLinkedAssetsFV,
+  calculateEpfNpsCorpusFV,
+  calculateEpfNpsSipFV,
+  calculateSipPerRupeeOfGap,
+  getReturnForCategory
+} from './calculator.js';
+import { getPostTaxGrowthFactor } from './tax.js';
+import { getRetirementContributions } from './cashflow.js';
+import {
+  saveData,
+  getAssignStrategy,
+  getEquityAllocation,
+  getEquityReturn,
+  getDebtReturn,
+  getArbitrageReturn,
+  getEpfReturn,
+  getNpsReturn,
+  getEpfStepUp,
+  getNpsStepUp,
+  getInvestmentStepUp,
+  getTaxProfile
+} from './storage.js';
+
+// 'greedy': highest tier and nearest goals first. 'optimal': lowest total SIP.
+export const ASSIGN_STRATEGIES = ['greedy', 'optimal'];
+
+// Nudges the optimizer toward higher-priority goals when two links save the same SIP
+const PRIORITY_TIE_BREAK = 1e-6;
 
 /**
- * Auto-assign all linkable assets to eligible goals using a greedy algorithm.
- * Clears existing linkedAssets and re-assigns from scratch (idempotent).
+ * Auto-assign all linkable assets to eligible goals using the strategy in
+ * settings (greedy unless the user picked the optimizer).
+ * Locked links stay as they are; everything else is cleared and re-assigned
+ * from what the locked links leave over (idempotent).
+ *
+ * @param {object} data - App data (mutated in place)
+ * @returns {object} The updated data
+ */
+export function autoAssignAssets(data) {
+  if (!data || !data.goals || !data.assets || !data.assets.items) {
+    return data;
+  }
+
+  runStrategy(data, getAssignStrategy(data));
+  saveData(data);
+  return data;
+}
+
+/**
+ * Total monthly SIP each strategy would leave, without changing the saved links
+ * @param {object} data - App data (not mutated)
+ * @returns {object} { greedy, optimal } - starting monthly SIP summed over all goals
+ */
+export function compareAssignStrategies(data) {
+  const totals = {};
+  ASSIGN_STRATEGIES.forEach(strategy => {
+    const trial = { ...data, goals: data.goals.map(goal => ({ ...goal })) };
+    runStrategy(trial, strategy);
+    totals[strategy] = getTotalRequiredSIP(trial);
+  });
+  return totals;
+}
+
+function runStrategy(data, strategy) {
+  if (strategy === 'optimal') {
+    optimalAssign(data);
+  } else {
+    greedyAssign(data);
+  }
+}
+
+/**
+ * Greedy strategy.
  *
  * Algorithm:
- * 1. Clear all existing linkedAssets from all goals
- * 2. Partition linkable assets into shortTermPool, longTermPool, bothTermPool
+ * 1. Clear all existing linkedAssets from all goals, except locked links
+ *    (link.locked, or every link of a goal with linksLocked)
+ * 2. Partition linkable assets into shortTermPool, longTermPool, bothTermPool,
+ *    less whatever locked links already hold
  * 3. Allocate to short-term goals (< 5yr):
  *    - First pass: exhaust SHORT_TERM_ONLY assets (they can't go anywhere else)
  *    - Second pass: use BOTH_TERMS assets for any remaining gap
- *    - Process goals closest-first, largest available assets first (fewest per goal)
+ *    - Process goals by priority tier (essential, important, aspirational),
+ *      closest-first within a tier, largest available assets first (fewest per goal)
  *    - Cap per goal at inflation-adjusted targetAmount using asset FV (not current value)
  * 4. Allocate to long-term goals (>= 5yr):
  *    - First pass: exhaust LONG_TERM_ONLY assets (they can't go anywhere else)
@@ -22,29 +101,67 @@ import { saveData } from './storage.js';
  * 5. Cross-category spillover — any assets still remaining after their
  *    preferred pool is exhausted are offered to goals of the other timeline
  *    (short-term goals first, then long-term) to maximize utilization
- * 6. Save and return updated data
- *
- * @param {object} data - App data (mutated in place)
- * @returns {object} The updated data
  */
-export function autoAssignAssets(data) {
-  if (!data || !data.goals || !data.assets || !data.assets.items) {
-    return data;
+function greedyAssign(data) {
+  // Step 1: Clear all linkedAssets except locked ones
+  clearUnlockedLinks(data);
+
+  const { shortTermGoals, longTermGoals } = collectGoals(data);
+
+  // Step 2: Partition assets into pools
+  const { shortTermPool, longTermPool, bothTermPool } = collectAssetPools(data);
+
+  // Step 3: Allocate to short-term goals (highest tier and closest first, largest assets first)
+  // First pass: exhaust SHORT_TERM_ONLY assets (they can't go anywhere else)
+  greedyAssignToGoals(shortTermPool, shortTermGoals, data);
+  // Second pass: use BOTH_TERMS assets for any remaining gap
+  greedyAssignToGoals(bothTermPool, shortTermGoals, data);
+
+  // Step 4: Allocate to long-term goals
+  // First pass: exhaust LONG_TERM_ONLY assets (they can't go anywhere else)
+  greedyAssignToGoals(longTermPool, longTermGoals, data);
+  // Second pass: use remaining BOTH_TERMS assets for any remaining gap
+  const remainingBoth = bothTermPool.filter(a => a.remaining > 0);
+  greedyAssignToGoals(remainingBoth, longTermGoals, data);
+
+  // Step 5: Cross-category spillover — maximize asset utilization
+  // Any assets still remaining can help goals of the other timeline
+  const remainingAll = [...shortTermPool, ...longTermPool, ...bothTermPool]
+    .filter(a => a.remaining > 0.01);
+  if (remainingAll.length > 0) {
+    greedyAssignToGoals(remainingAll, shortTermGoals, data);
+    greedyAssignToGoals(remainingAll, longTermGoals, data);
   }
+}
 
-  const equityReturn = data.settings?.equityReturn ?? 10;
-  const debtReturn = data.settings?.debtReturn ?? 5;
+/**
+ * Whether auto-assign must leave this link as it is
+ */
+export function isLinkLocked(goal, link) {
+  return Boolean(goal.linksLocked || link.locked);
+}
 
-  // Step 1: Clear all existing linkedAssets
+/**
+ * Drop every link auto-assign is free to redo, keeping locked ones
+ */
+function clearUnlockedLinks(data) {
   data.goals.forEach(goal => {
-    goal.linkedAssets = [];
+    goal.linkedAssets = (goal.linkedAssets || []).filter(link => isLinkLocked(goal, link));
   });
+}
 
-  // Partition goals into short-term and long-term, sorted by yearsRemaining asc
+/**
+ * Goals that still need money, split by timeline and sorted by priority tier then yearsRemaining asc.
+ * Locked links count as already allocated; goals locked as a whole take nothing more.
+ */
+function collectGoals(data) {
+  const equityReturn = getEquityReturn(data);
+  const debtReturn = getDebtReturn(data);
   const shortTermGoals = [];
   const longTermGoals = [];
 
   data.goals.forEach(goal => {
+    if (goal.linksLocked) return;
     const years = getYearsRemaining(goal.targetDate);
     if (years <= 0) return; // Skip past goals
     const category = getUnifiedCategory(goal.targetDate);
@@ -55,8 +172,15 @@ export function autoAssignAssets(data) {
     );
     if (target <= 0) return; // Skip zero-target goals
 
-    // allocated tracks FV of assets assigned so far
-    const goalInfo = { goal, years, category, target, allocatedFV: 0 };
+    // allocated tracks FV of assets assigned so far, starting with locked links
+    const goalInfo = {
+      goal,
+      years,
+      category,
+      target,
+      allocatedFV: calculateLinkedAssetsFV(goal.linkedAssets, data.assets, goal.targetDate, equityReturn, debtReturn, getTaxProfile(data)),
+      lockedAssetIds: new Set(goal.linkedAssets.map(link => link.assetId))
+    };
     if (category === 'short') {
       shortTermGoals.push(goalInfo);
     } else {
@@ -64,19 +188,36 @@ export function autoAssignAssets(data) {
     }
   });
 
-  shortTermGoals.sort((a, b) => a.years - b.years);
-  longTermGoals.sort((a, b) => a.years - b.years);
+  const byPriority = (a, b) => getPriorityRank(a.goal) - getPriorityRank(b.goal) || a.years - b.years;
+  shortTermGoals.sort(byPriority);
+  longTermGoals.sort(byPriority);
 
-  // Step 2: Partition assets into pools
+  return { shortTermGoals, longTermGoals };
+}
+
+/**
+ * Linkable assets with value left after locked links, split by which timelines they suit
+ */
+function collectAssetPools(data) {
   const shortTermPool = [];
   const longTermPool = [];
   const bothTermPool = [];
 
+  const lockedAmounts = {};
+  data.goals.forEach(goal => {
+    goal.linkedAssets.forEach(link => {
+      lockedAmounts[link.assetId] = (lockedAmounts[link.assetId] || 0) + (link.amount || 0);
+    });
+  });
+
   data.assets.items.forEach(asset => {
     if (NOT_LINKABLE.includes(asset.category)) return;
     if (!asset.value || asset.value <= 0) return;
 
-    const assetInfo = { asset, remaining: asset.value };
+    const remaining = asset.value - (lockedAmounts[asset.id] || 0);
+    if (remaining <= 0.01) return;
+
+    const assetInfo = { asset, remaining };
 
     if (SHORT_TERM_ONLY.includes(asset.category)) {
       shortTermPool.push(assetInfo);
@@ -87,46 +228,210 @@ export function autoAssignAssets(data) {
     }
   });
 
-  // Step 3: Allocate to short-term goals (closest first, largest assets first)
-  // First pass: exhaust SHORT_TERM_ONLY assets (they can't go anywhere else)
-  greedyAssignToGoals(shortTermPool, shortTermGoals, data, equityReturn, debtReturn);
-  // Second pass: use BOTH_TERMS assets for any remaining gap
-  greedyAssignToGoals(bothTermPool, shortTermGoals, data, equityReturn, debtReturn);
+  return { shortTermPool, longTermPool, bothTermPool };
+}
 
-  // Step 4: Allocate to long-term goals
-  // First pass: exhaust LONG_TERM_ONLY assets (they can't go anywhere else)
-  greedyAssignToGoals(longTermPool, longTermGoals, data, equityReturn, debtReturn);
-  // Second pass: use remaining BOTH_TERMS assets for any remaining gap
-  const remainingBoth = bothTermPool.filter(a => a.remaining > 0);
-  greedyAssignToGoals(remainingBoth, longTermGoals, data, equityReturn, debtReturn);
+/**
+ * Optimal strategy: choose link amounts that minimize the total starting SIP.
+ *
+ * Each rupee of an asset linked to a goal removes (asset growth factor to the
+ * goal date) × (SIP per rupee of gap) from that goal's SIP, until the goal's gap
+ * after EPF/NPS is covered. Maximizing that saving under the asset values and
+ * goal gaps is a linear program.
+ *
+ * 1. Clear all existing linkedAssets from all goals, except locked links
+ * 2. Solve with timeline-eligible links only (SHORT_TERM_ONLY to short-term
+ *    goals, LONG_TERM_ONLY to long-term goals, BOTH_TERMS to either)
+ * 3. Solve again with whatever is left over, across timelines — the same
+ *    last-resort spillover the greedy strategy does
+ */
+function optimalAssign(data) {
+  clearUnlockedLinks(data);
 
-  // Step 5: Cross-category spillover — maximize asset utilization
-  // Any assets still remaining can help goals of the other timeline
-  const remainingAll = [...shortTermPool, ...longTermPool, ...bothTermPool]
-    .filter(a => a.remaining > 0.01);
-  if (remainingAll.length > 0) {
-    greedyAssignToGoals(remainingAll, shortTermGoals, data, equityReturn, debtReturn);
-    greedyAssignToGoals(remainingAll, longTermGoals, data, equityReturn, debtReturn);
+  const { shortTermGoals, longTermGoals } = collectGoals(data);
+  const goalInfos = [...shortTermGoals, ...longTermGoals].map(info => ({ ...info, ...priceGoal(info.goal, data) }));
+  const { shortTermPool, longTermPool, bothTermPool } = collectAssetPools(data);
+  const assetInfos = [...shortTermPool, ...longTermPool, ...bothTermPool];
+
+  const canTake = (assetInfo, goalInfo) => !goalInfo.lockedAssetIds.has(assetInfo.asset.id);
+  const isEligible = (assetInfo, goalInfo) => canTake(assetInfo, goalInfo) && (BOTH_TERMS.includes(assetInfo.asset.category) ||
+    (goalInfo.category === 'short'
+      ? SHORT_TERM_ONLY.includes(assetInfo.asset.category)
+      : LONG_TERM_ONLY.includes(assetInfo.asset.category)));
+
+  linkOptimally(assetInfos, goalInfos, isEligible, data);
+  linkOptimally(assetInfos, goalInfos, canTake, data);
+}
+
+/**
+ * Gap the SIP has to cover (after EPF/NPS) and the SIP needed per rupee of it,
+ * using the same settings the Plan tab uses
+ */
+function priceGoal(goal, data) {
+  const equityAllocation = getEquityAllocation(data);
+  const equityReturn = getEquityReturn(data);
+  const debtReturn = getDebtReturn(data);
+  const years = getYearsRemaining(goal.targetDate);
+  const months = getMonthsRemaining(goal.targetDate);
+  const category = getUnifiedCategory(goal.targetDate);
+  const target = calculateInflationAdjustedAmount(goal.targetAmount || 0, goal.inflationRate || 0, years);
+  const blendedReturn = getUnifiedBlendedReturn(category, equityReturn, debtReturn, getArbitrageReturn(data), equityAllocation);
+
+  // Mirrors calculateRetirementProjectionsWithEpfNps
+  let epfNpsFV = 0;
+  if (goal.goalType === 'retirement' && goal.includeEpfNps) {
+    const contributions = getRetirementContributions(data);
+    epfNpsFV = calculateEpfNpsCorpusFV(contributions.epfCorpus, contributions.npsCorpus, goal.targetDate, getEpfReturn(data), getNpsReturn(data)) +
+      calculateEpfNpsSipFV(contributions.monthlyEpf, contributions.monthlyNps, goal.targetDate, getEpfStepUp(data), getNpsStepUp(data), getEpfReturn(data), getNpsReturn(data));
   }
 
-  // Step 6: Save
-  saveData(data);
-  return data;
+  return {
+    gapFV: Math.max(0, target - epfNpsFV),
+    sipPerRupee: calculateSipPerRupeeOfGap(category, months, getInvestmentStepUp(data), blendedReturn, equityAllocation, equityReturn, debtReturn, getTaxProfile(data))
+  };
 }
 
 /**
- * Greedy assignment: process goals in order (closest first),
+ * Starting monthly SIP across all goals for the links currently on data.goals
+ */
+function getTotalRequiredSIP(data) {
+  const equityReturn = getEquityReturn(data);
+  const debtReturn = getDebtReturn(data);
+
+  return data.goals.reduce((total, goal) => {
+    if (getMonthsRemaining(goal.targetDate) <= 0) return total;
+    const { gapFV, sipPerRupee } = priceGoal(goal, data);
+    const linkedFV = calculateLinkedAssetsFV(goal.linkedAssets, data.assets, goal.targetDate, equityReturn, debtReturn, getTaxProfile(data));
+    return total + Math.max(0, gapFV - linkedFV) * sipPerRupee;
+  }, 0);
+}
+
+/**
+ * Solve one linear program over the allowed (asset, goal) pairs and link the result
+ */
+function linkOptimally(assetInfos, goalInfos, isAllowed, data) {
+  const assets = assetInfos.filter(a => a.remaining > 0.01);
+  const goals = goalInfos.filter(g => g.gapFV - g.allocatedFV > 0.01 && g.sipPerRupee > 0);
+
+  // One variable per allowed pair: current value of the asset linked to the goal
+  const pairs = [];
+  assets.forEach((assetInfo, a) => {
+    goals.forEach((goalInfo, g) => {
+      if (!isAllowed(assetInfo, goalInfo)) return;
+      const growth = getGrowthFactor(assetInfo.asset.category, goalInfo.years, data);
+      const tieBreak = 1 + PRIORITY_TIE_BREAK * (GOAL_PRIORITIES.length - getPriorityRank(goalInfo.goal));
+      pairs.push({ a, g, growth, saving: growth * goalInfo.sipPerRupee * tieBreak });
+    });
+  });
+  if (pairs.length === 0) return;
+
+  // Rows: each asset's remaining value, then each goal's remaining gap (in FV)
+  const maxSaving = Math.max(...pairs.map(p => p.saving));
+  const objective = pairs.map(p => p.saving / maxSaving);
+  const constraints = [
+    ...assets.map((_, a) => pairs.map(p => (p.a === a ? 1 : 0))),
+    ...goals.map((_, g) => pairs.map(p => (p.g === g ? p.growth : 0)))
+  ];
+  const bounds = [
+    ...assets.map(a => a.remaining),
+    ...goals.map(g => g.gapFV - g.allocatedFV)
+  ];
+
+  const amounts = maximizeLinearProgram(objective, constraints, bounds);
+  pairs.forEach((pair, i) => {
+    const assetInfo = assets[pair.a];
+    const amount = Math.min(amounts[i], assetInfo.remaining);
+    if (amount <= 0.01) return;
+    const goalInfo = goals[pair.g];
+    linkAssetToGoalDirect(data, goalInfo.goal, assetInfo.asset, amount);
+    goalInfo.allocatedFV += amount * pair.growth;
+    assetInfo.remaining -= amount;
+  });
+}
+
+/**
+ * Maximize c·x subject to Ax <= b and x >= 0, where every b is non-negative
+ * (so x = 0 is a feasible start). Tableau simplex with Bland's rule, which
+ * cannot cycle on the degenerate pivots link problems are full of.
+ * @param {number[]} c - Objective coefficients, one per variable
+ * @param {number[][]} A - Constraint rows, each with one coefficient per variable
+ * @param {number[]} b - Right-hand side per row
+ * @returns {number[]} Optimal x
+ */
+export function maximizeLinearProgram(c, A, b) {
+  const EPS = 1e-9;
+  const n = c.length;
+  const width = n + b.length + 1;
+  const rhs = width - 1;
+
+  // Slack variables start in the basis
+  const rows = A.map((coefficients, i) => {
+    const row = new Array(width).fill(0);
+    coefficients.forEach((value, j) => { row[j] = value; });
+    row[n + i] = 1;
+    row[rhs] = b[i];
+    return row;
+  });
+  const reduced = new Array(width).fill(0);
+  c.forEach((value, j) => { reduced[j] = -value; });
+  const basis = rows.map((_, i) => n + i);
+
+  for (;;) {
+    // Entering: lowest-index column that still improves the objective
+    let entering = -1;
+    for (let j = 0; j < rhs; j++) {
+      if (reduced[j] < -EPS) {
+        entering = j;
+        break;
+      }
+    }
+    if (entering === -1) break;
+
+    // Leaving: minimum ratio, ties to the lowest-index basic variable
+    let leaving = -1;
+    let bestRatio = Infinity;
+    rows.forEach((row, i) => {
+      if (row[entering] <= EPS) return;
+      const ratio = row[rhs] / row[entering];
+      if (ratio < bestRatio - EPS || (ratio <= bestRatio + EPS && basis[i] < basis[leaving])) {
+        leaving = i;
+        bestRatio = ratio;
+      }
+    });
+    if (leaving === -1) break; // Unbounded; can't happen when every variable sits in a bounded row
+
+    const pivotRow = rows[leaving];
+    const pivot = pivotRow[entering];
+    for (let j = 0; j < width; j++) pivotRow[j] /= pivot;
+    [...rows, reduced].forEach(row => {
+      if (row === pivotRow) return;
+      const factor = row[entering];
+      if (factor === 0) return;
+      for (let j = 0; j < width; j++) row[j] -= factor * pivotRow[j];
+    });
+    basis[leaving] = entering;
+  }
+
+  const x = new Array(n).fill(0);
+  basis.forEach((variable, i) => {
+    if (variable < n) x[variable] = Math.max(0, rows[i][rhs]);
+  });
+  return x;
+}
+
+/**
+ * Greedy assignment: process goals in order (highest tier, then closest first),
  * for each goal pick largest available assets until goal is covered.
  * Tracks allocation in FV terms to avoid over-allocating.
  */
-function greedyAssignToGoals(assetPool, goalInfos, data, equityReturn, debtReturn) {
+function greedyAssignToGoals(assetPool, goalInfos, data) {
   if (assetPool.length === 0 || goalInfos.length === 0) return;
 
   for (const goalInfo of goalInfos) {
     const neededFV = goalInfo.target - goalInfo.allocatedFV;
     if (neededFV <= 0.01) continue;
 
-    assignToSingleGoal(assetPool, goalInfo, neededFV, data, equityReturn, debtReturn);
+    assignToSingleGoal(assetPool, goalInfo, neededFV, data);
   }
 }
 
@@ -134,19 +439,19 @@ function greedyAssignToGoals(assetPool, goalInfos, data, equityReturn, debtRetur
  * Assign assets to a single goal greedily — largest available assets first.
  * Computes FV of each asset to determine how much current value to assign.
  */
-function assignToSingleGoal(assetPool, goalInfo, neededFV, data, equityReturn, debtReturn) {
+function assignToSingleGoal(assetPool, goalInfo, neededFV, data) {
   // Sort available assets by remaining value descending (largest first)
   const available = assetPool
-    .filter(a => a.remaining > 0.01)
+    .filter(a => a.remaining > 0.01 && !goalInfo.lockedAssetIds.has(a.asset.id))
     .sort((a, b) => b.remaining - a.remaining);
 
   let remainingFV = neededFV;
   for (const assetInfo of available) {
     if (remainingFV <= 0.01) break;
 
-    const returnRate = getReturnForCategory(assetInfo.asset.category, equityReturn, debtReturn);
+    const growthFactor = getGrowthFactor(assetInfo.asset.category, goalInfo.years, data);
     // FV of the entire remaining current value of this asset at goal date
-    const assetFV = calculateLumpsumFV(assetInfo.remaining, returnRate, goalInfo.years);
+    const assetFV = assetInfo.remaining * growthFactor;
 
     let assignAmount;
     if (assetFV <= remainingFV) {
@@ -154,14 +459,10 @@ function assignToSingleGoal(assetPool, goalInfo, neededFV, data, equityReturn, d
       assignAmount = assetInfo.remaining;
     } else {
       // Partial assignment: find current value whose FV = remainingFV
-      // Must use monthly compounding to match calculateLumpsumFV
-      const monthlyRate = returnRate / 100 / 12;
-      const months = Math.round(goalInfo.years * 12);
-      const growthFactor = Math.pow(1 + monthlyRate, months);
       assignAmount = Math.min(assetInfo.remaining, remainingFV / growthFactor);
     }
 
-    const assignedFV = calculateLumpsumFV(assignAmount, returnRate, goalInfo.years);
+    const assignedFV = assignAmount * growthFactor;
     linkAssetToGoalDirect(data, goalInfo.goal, assetInfo.asset, assignAmount);
     goalInfo.allocatedFV += assignedFV;
     assetInfo.remaining -= assignAmount;
@@ -169,6 +470,18 @@ function assignToSingleGoal(assetPool, goalInfo, neededFV, data, equityReturn, d
   }
 }
 
+/**
+ * Value at the goal date of ₹1 of an asset linked today, with the same monthly
+ * compounding as calculateLumpsumFV (post-tax when a tax profile is set)
+ */
+function getGrowthFactor(category, years, data) {
+  const returnRate = getReturnForCategory(category, getEquityReturn(data), getDebtReturn(data));
+  const taxProfile = getTaxProfile(data);
+  return taxProfile
+    ? getPostTaxGrowthFactor(returnRate, years, category, taxProfile)
+    : calculateLumpsumFV(1, returnRate, years);
+}
+
 /**
  * Directly link an asset amount to a goal (accumulates if already linked)
  */
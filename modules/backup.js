@@ -0,0 +1,311 @@
+// Full-plan backup export and validated restore
+import { saveData, flushSaves, migrateData, getActiveProfile, SCHEMA_VERSION } from './storage.js';
+import { isEncryptedPayload, deriveKey, encryptText, decryptWithPassphrase } from './crypto.js';
+import { describeStorageError } from './adapters.js';
+import { showPassphraseModal } from './lock.js';
+
+const BACKUP_APP_ID = 'rupeefolio';
+
+// Sections counted in the restore summary
+const SUMMARY_SECTIONS = [
+  { key: 'income', label: 'Income sources', count: d => d.cashflow.income.length },
+  { key: 'expenses', label: 'Expenses', count: d => d.cashflow.expenses.length },
+  { key: 'assets', label: 'Assets', count: d => d.assets.items.length },
+  { key: 'liabilities', label: 'Liabilities', count: d => d.liabilities.items.length },
+  { key: 'goals', label: 'Goals', count: d => d.goals.length },
+  { key: 'transactions', label: 'Ledger entries', count: d => (d.transactions || []).length },
+  { key: 'scenarios', label: 'Scenarios', count: d => (d.scenarios || []).length }
+];
+
+let getAppData = null;
+
+/**
+ * Wrap the full app data in a backup envelope
+ * @param {object} data - App data as returned by loadData()
+ * @param {Date} now - Export timestamp (injectable for tests)
+ * @returns {object} { app, schemaVersion, exportedAt, data }
+ */
+export function createBackup(data, now = new Date()) {
+  return {
+    app: BACKUP_APP_ID,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    data: JSON.parse(JSON.stringify(data))
+  };
+}
+
+/**
+ * Backup envelope whose data is encrypted with a passphrase
+ * @param {object} data - App data
+ * @param {string} passphrase - Needed again to restore
+ * @param {Date} now - Export timestamp (injectable for tests)
+ * @returns {Promise<object>} { app, schemaVersion, exportedAt, encrypted, kdf, cipher, iv, ciphertext }
+ */
+export function createEncryptedBackup(data, passphrase, now = new Date()) {
+  const { data: plain, ...envelope } = createBackup(data, now);
+  return deriveKey(passphrase)
+    .then(keyInfo => encryptText(keyInfo, JSON.stringify(plain)))
+    .then(payload => ({ ...envelope, ...payload }));
+}
+
+/**
+ * Download filename for a backup, e.g. rupeefolio-backup-2026-01-29.json
+ */
+export function getBackupFilename(now = new Date()) {
+  return `${BACKUP_APP_ID}-backup-${now.toISOString().split('T')[0]}.json`;
+}
+
+/**
+ * Validate a backup file's text and migrate its data to the current schema
+ * @param {string} text - Raw file contents
+ * @returns {object} { success: true, data, exportedAt, schemaVersion } or { success: false, error },
+ *   with encrypted: true if the backup needs a passphrase (see decryptBackup)
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    return { success: false, error: 'File is not valid JSON' };
+  }
+
+  if (!backup || typeof backup !== 'object' || backup.app !== BACKUP_APP_ID) {
+    return { success: false, error: 'File is not a RupeeFolio backup' };
+  }
+
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 0) {
+    return { success: false, error: 'Backup has no valid schema version' };
+  }
+  if (backup.schemaVersion > SCHEMA_VERSION) {
+    return { success: false, error: 'Backup was created by a newer version of RupeeFolio' };
+  }
+
+  if (backup.encrypted) {
+    if (!isEncryptedPayload(backup)) return { success: false, error: 'Encrypted backup is malformed' };
+    return { success: false, encrypted: true, error: 'Backup is encrypted' };
+  }
+
+  const data = backup.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { success: false, error: 'Backup has no plan data' };
+  }
+
+  const listChecks = [
+    ['cashflow.income', data.cashflow?.income],
+    ['cashflow.expenses', data.cashflow?.expenses],
+    ['assets.items', data.assets?.items],
+    ['liabilities.items', data.liabilities?.items],
+    ['goals', data.goals],
+    ['transactions', data.transactions],
+    ['scenarios', data.scenarios]
+  ];
+  for (const [path, value] of listChecks) {
+    if (value !== undefined && !Array.isArray(value)) {
+      return { success: false, error: `Backup field ${path} must be a list` };
+    }
+  }
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    return { success: false, error: 'Backup settings are malformed' };
+  }
+
+  const { data: migrated, newer } = migrateData(data);
+  if (newer) {
+    return { success: false, error: 'Backup was created by a newer version of RupeeFolio' };
+  }
+
+  return {
+    success: true,
+    data: migrated,
+    exportedAt: backup.exportedAt || null,
+    schemaVersion: backup.schemaVersion
+  };
+}
+
+/**
+ * Decrypt an encrypted backup and validate it like parseBackup
+ * @param {string} text - Raw file contents
+ * @param {string} passphrase
+ * @returns {Promise<object>} parseBackup result; rejects with 'Wrong passphrase'
+ */
+export function decryptBackup(text, passphrase) {
+  return Promise.resolve(text).then(JSON.parse).then(({ app, schemaVersion, exportedAt, ...payload }) =>
+    decryptWithPassphrase(payload, passphrase)
+      .then(({ text: plain }) => parseBackup(JSON.stringify({ app, schemaVersion, exportedAt, data: JSON.parse(plain) }))));
+}
+
+/**
+ * Compare section counts between the current plan and a backup
+ * @returns {Array} [{ key, label, current, incoming, change }]
+ */
+export function getBackupDiff(currentData, incomingData) {
+  return SUMMARY_SECTIONS.map(section => {
+    const current = section.count(currentData);
+    const incoming = section.count(incomingData);
+    return { key: section.key, label: section.label, current, incoming, change: incoming - current };
+  });
+}
+
+/**
+ * Wire Export/Import backup buttons on the Home tab
+ * @param {function} getData - Returns the live app data
+ */
+export function initBackup(getData) {
+  getAppData = getData;
+
+  document.querySelectorAll('.export-backup-btn').forEach(btn => {
+    btn.addEventListener('click', exportBackup);
+  });
+  document.querySelectorAll('.export-encrypted-backup-btn').forEach(btn => {
+    btn.addEventListener('click', exportEncryptedBackup);
+  });
+
+  const fileInput = document.getElementById('import-backup-input');
+  document.querySelectorAll('.import-backup-btn').forEach(btn => {
+    btn.addEventListener('click', () => fileInput?.click());
+  });
+
+  fileInput?.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = reader.result;
+      const result = parseBackup(text);
+      if (result.encrypted) {
+        showPassphraseModal({
+          title: 'Encrypted Backup',
+          description: 'Enter the passphrase this backup was exported with.',
+          submitLabel: 'Decrypt',
+          onSubmit: ({ passphrase }) => decryptBackup(text, passphrase).then(decrypted => {
+            if (!decrypted.success) throw new Error(decrypted.error);
+            showRestoreModal(decrypted);
+          })
+        });
+        return;
+      }
+      if (!result.success) {
+        alert(`Could not import backup: ${result.error}`);
+        return;
+      }
+      showRestoreModal(result);
+    };
+    reader.onerror = () => alert('Could not read the selected file');
+    reader.readAsText(file);
+  });
+}
+
+function exportBackup() {
+  const now = new Date();
+  downloadBackup(createBackup(getAppData(), now), now);
+}
+
+function exportEncryptedBackup() {
+  showPassphraseModal({
+    title: 'Export Encrypted Backup',
+    description: 'The backup can only be restored with this passphrase. It can\'t be recovered if you forget it.',
+    confirm: true,
+    submitLabel: 'Export',
+    onSubmit: ({ passphrase }) => {
+      const now = new Date();
+      return createEncryptedBackup(getAppData(), passphrase, now).then(backup => downloadBackup(backup, now));
+    }
+  });
+}
+
+function downloadBackup(backup, now) {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getBackupFilename(now);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function showRestoreModal(result) {
+  const diff = getBackupDiff(getAppData(), result.data);
+  const exportedAt = result.exportedAt
+    ? new Date(result.exportedAt).toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : 'Unknown date';
+
+  const formatChange = (change) => {
+    if (change === 0) return '<span class="text-gray-400">No change</span>';
+    const cls = change > 0 ? 'text-emerald-600' : 'text-red-600';
+    return `<span class="${cls}">${change > 0 ? '+' : ''}${change}</span>`;
+  };
+
+  const overlay = document.createElement('div');
+  overlay.id = 'restore-modal-overlay';
+  overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4';
+  overlay.innerHTML = `
+    <div class="bg-white rounded-2xl shadow-xl w-full max-w-md max-h-[85vh] overflow-hidden flex flex-col">
+      <div class="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+        <h3 class="text-base font-semibold text-gray-900">Restore Backup</h3>
+        <button id="close-restore-modal" class="text-gray-400 hover:text-gray-600 rounded-lg p-1 transition-colors">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <div class="px-5 py-4 overflow-y-auto">
+        <p class="text-sm text-gray-500 mb-4">Backup from <span class="font-medium text-gray-700">${exportedAt}</span>. Restoring replaces everything in the profile <span class="restore-profile-name font-medium text-gray-700"></span>.</p>
+
+        <div class="rounded-lg border border-gray-200 overflow-hidden">
+          <table class="w-full text-sm">
+            <thead>
+              <tr class="bg-gray-50">
+                <th class="text-left py-2 px-3 font-medium text-gray-600"></th>
+                <th class="text-right py-2 px-3 font-medium text-gray-600">Current</th>
+                <th class="text-right py-2 px-3 font-medium text-gray-600">Backup</th>
+                <th class="text-right py-2 px-3 font-medium text-gray-600">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${diff.map((row, i) => `
+                <tr class="${i < diff.length - 1 ? 'border-b border-gray-100' : ''}">
+                  <td class="py-2 px-3 text-gray-700">${row.label}</td>
+                  <td class="py-2 px-3 text-right text-gray-700">${row.current}</td>
+                  <td class="py-2 px-3 text-right font-medium text-gray-900">${row.incoming}</td>
+                  <td class="py-2 px-3 text-right">${formatChange(row.change)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div class="flex justify-end gap-3 px-5 py-4 border-t border-gray-100">
+        <button id="cancel-restore-btn" class="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm">Cancel</button>
+        <button id="confirm-restore-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">Replace my data</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+  overlay.querySelector('.restore-profile-name').textContent = getActiveProfile().name;
+
+  const closeModal = () => overlay.remove();
+  overlay.querySelector('#close-restore-modal').addEventListener('click', closeModal);
+  overlay.querySelector('#cancel-restore-btn').addEventListener('click', closeModal);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeModal();
+  });
+
+  overlay.querySelector('#confirm-restore-btn').addEventListener('click', () => {
+    if (!saveData(result.data)) {
+      alert('Could not save the restored data');
+      return;
+    }
+    // Writes land asynchronously; reload once the restored data is stored
+    flushSaves().then(
+      () => window.location.reload(),
+      err => alert(`Could not save the restored data: ${describeStorageError(err)}`)
+    );
+  });
+}
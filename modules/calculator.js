@@ -1,4 +1,5 @@
 // Financial calculation functions
+import { calculatePostTaxValue, calculatePostTaxSipValue, calculateSipInvested, getBlendedGainsTaxRate, getPostTaxGrowthFactor } from './tax.js';
 
 // Unified Portfolio Constants
 export const UNIFIED_PORTFOLIO = {
@@ -15,6 +16,24 @@ export const UNIFIED_PORTFOLIO = {
   }
 };
 
+// Goal priority tiers, highest first
+export const GOAL_PRIORITIES = ['essential', 'important', 'aspirational'];
+export const DEFAULT_GOAL_PRIORITY = 'important';
+
+/**
+ * Priority tier of a goal; goals without one count as important
+ */
+export function getGoalPriority(goal) {
+  return GOAL_PRIORITIES.includes(goal?.priority) ? goal.priority : DEFAULT_GOAL_PRIORITY;
+}
+
+/**
+ * Sort rank of a goal's tier (0 = essential)
+ */
+export function getPriorityRank(goal) {
+  return GOAL_PRIORITIES.indexOf(getGoalPriority(goal));
+}
+
 /**
  * Get unified portfolio category based on years remaining
  * @returns 'short' for < 5 years, 'long' for >= 5 years
@@ -156,9 +175,14 @@ export function calculateTaperedSIP(futureValue, totalMonths, annualStepUp = 0,
  * Calculate required SIP for a gap amount based on goal category
  * Short-term: uses step-up SIP (constant return)
  * Long-term: uses tapered SIP (glide path with equity tapering)
+ * With a tax profile the post-tax corpus is linear in the SIP, so the gap is simply divided out
  */
-function calculateSipForGap(gap, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn) {
+function calculateSipForGap(gap, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile = null) {
   if (gap <= 0) return 0;
+  if (taxProfile) {
+    const perRupeeOfSip = calculateSipFVForGoal(1, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile);
+    return perRupeeOfSip > 0 ? gap / perRupeeOfSip : 0;
+  }
   if (category === 'short') return calculateStepUpSIP(gap, blendedReturn, months, annualStepUp);
   return calculateTaperedSIP(gap, months, annualStepUp, equityAllocation, equityReturn, debtReturn);
 }
@@ -168,8 +192,9 @@ function calculateSipForGap(gap, category, months, annualStepUp, blendedReturn,
  * Short-term: constant return (with optional step-up)
  * Long-term: tapered return (glide path with equity tapering)
  */
-function calculateSipFVForGoal(sip, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn) {
+function calculateSipFVForGoal(sip, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile = null) {
   if (sip <= 0 || months <= 0) return 0;
+  if (taxProfile) return calculatePostTaxSipFVForGoal(sip, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile);
   if (category === 'short') {
     if (annualStepUp === 0) return calculateSipFV(sip, blendedReturn, months);
     return calculateStepUpSIPFutureValue(sip, blendedReturn / 100 / 12, months, annualStepUp / 100);
@@ -177,6 +202,47 @@ function calculateSipFVForGoal(sip, category, months, annualStepUp, blendedRetur
   return calculateTaperedSipFV(sip, months, annualStepUp, equityAllocation, equityReturn, debtReturn);
 }
 
+/**
+ * Post-tax SIP corpus at the goal date
+ * Short-term: arbitrage funds are taxed as equity, each instalment on its own holding period
+ * Long-term: glide-path gains split into equity (LTCG) and debt (slab) by where they were earned
+ */
+function calculatePostTaxSipFVForGoal(sip, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile) {
+  if (category === 'short') {
+    return calculatePostTaxSipValue(sip, blendedReturn, months, annualStepUp, 'equity', taxProfile);
+  }
+  const fv = calculateTaperedSipFV(sip, months, annualStepUp, equityAllocation, equityReturn, debtReturn);
+  const gains = Math.max(0, fv - calculateSipInvested(sip, months, annualStepUp));
+  const equityShare = getTaperedEquityShareOfReturns(months / 12, equityAllocation, equityReturn, debtReturn);
+  return fv - gains * getBlendedGainsTaxRate(equityShare, taxProfile) / 100;
+}
+
+/**
+ * Fraction of glide-path returns earned in equity (mirrors calculateEffectiveTaperedReturn)
+ */
+function getTaperedEquityShareOfReturns(years, initialEquity, equityReturn, debtReturn) {
+  const n = Math.ceil(years);
+  let equityPart = 0;
+  let total = 0;
+
+  for (let yr = 1; yr <= n; yr++) {
+    const equity = getTaperedEquityAllocation(yr, initialEquity) / 100;
+    equityPart += equity * equityReturn;
+    total += equity * equityReturn + (1 - equity) * debtReturn;
+  }
+
+  return total > 0 ? equityPart / total : 0;
+}
+
+/**
+ * Starting monthly SIP needed per rupee of gap at the goal date.
+ * Required SIP scales linearly with the gap, so this prices any gap amount.
+ */
+export function calculateSipPerRupeeOfGap(category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile = null) {
+  const fv = calculateSipFVForGoal(1, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile);
+  return fv > 0 ? 1 / fv : 0;
+}
+
 /**
  * Calculate unified goal projections with equity tapering for long-term goals
  * Optionally supports annual step-up for SIP calculations
@@ -188,8 +254,9 @@ function calculateSipFVForGoal(sip, category, months, annualStepUp, blendedRetur
  * @param {number} equityAllocation - Equity allocation percentage
  * @param {number} annualStepUp - Annual step-up percentage
  * @param {object} assetsData - Assets data for linked asset calculations (optional)
+ * @param {object} taxProfile - { regime, slab } to treat returns as pre-tax and tax them (optional)
  */
-export function calculateUnifiedGoalProjections(goal, equityReturn, debtReturn, arbitrageReturn, equityAllocation = 60, annualStepUp = 0, assetsData = null) {
+export function calculateUnifiedGoalProjections(goal, equityReturn, debtReturn, arbitrageReturn, equityAllocation = 60, annualStepUp = 0, assetsData = null, taxProfile = null) {
   const years = getYearsRemaining(goal.targetDate);
   const months = getMonthsRemaining(goal.targetDate);
   const category = getUnifiedCategory(goal.targetDate);
@@ -207,17 +274,17 @@ export function calculateUnifiedGoalProjections(goal, equityReturn, debtReturn,
   // Calculate future value of linked assets (if any)
   const linkedAssets = goal.linkedAssets || [];
   const linkedAssetsFV = assetsData
-    ? calculateLinkedAssetsFV(linkedAssets, assetsData, goal.targetDate, equityReturn, debtReturn)
+    ? calculateLinkedAssetsFV(linkedAssets, assetsData, goal.targetDate, equityReturn, debtReturn, taxProfile)
     : 0;
 
   // Gap amount = what SIP needs to cover after linked assets
   const gapAmount = Math.max(0, inflationAdjustedTarget - linkedAssetsFV);
 
   // Calculate required SIP for gap amount with tapering for long-term goals
-  const monthlySIP = calculateSipForGap(gapAmount, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn);
+  const monthlySIP = calculateSipForGap(gapAmount, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile);
 
   // Actual corpus the SIP will build (from binary search result)
-  const sipCorpusFV = calculateSipFVForGoal(monthlySIP, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn);
+  const sipCorpusFV = calculateSipFVForGoal(monthlySIP, category, months, annualStepUp, blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile);
   const totalCorpusFV = sipCorpusFV + linkedAssetsFV;
 
   // Effective return accounting for equity tapering glide path
@@ -470,9 +537,10 @@ export function getReturnForCategory(category, equityReturn, debtReturn) {
  * @param {string} targetDate - Goal target date
  * @param {number} equityReturn - Expected equity return
  * @param {number} debtReturn - Expected debt return
+ * @param {object} taxProfile - Tax profile; when given, returns are pre-tax and the result is post-tax (optional)
  * @returns {number} Total future value of all linked assets
  */
-export function calculateLinkedAssetsFV(linkedAssets, assetsData, targetDate, equityReturn, debtReturn) {
+export function calculateLinkedAssetsFV(linkedAssets, assetsData, targetDate, equityReturn, debtReturn, taxProfile = null) {
   if (!linkedAssets || linkedAssets.length === 0 || !assetsData || !assetsData.items) {
     return 0;
   }
@@ -483,6 +551,16 @@ export function calculateLinkedAssetsFV(linkedAssets, assetsData, targetDate, eq
     return linkedAssets.reduce((total, { amount }) => total + (amount || 0), 0);
   }
 
+  if (taxProfile) {
+    // Redeemed together at the goal date, sharing one LTCG exemption
+    const holdings = linkedAssets.map(({ assetId, amount }) => {
+      const asset = assetsData.items.find(a => a.id === assetId);
+      if (!asset || !amount) return null;
+      return { principal: amount, annualRate: getReturnForCategory(asset.category, equityReturn, debtReturn), category: asset.category };
+    }).filter(Boolean);
+    return calculatePostTaxValue(holdings, years, taxProfile);
+  }
+
   return linkedAssets.reduce((total, { assetId, amount }) => {
     const asset = assetsData.items.find(a => a.id === assetId);
     if (!asset || !amount) return total;
@@ -493,6 +571,58 @@ export function calculateLinkedAssetsFV(linkedAssets, assetsData, targetDate, eq
   }, 0);
 }
 
+/**
+ * Value of SIP instalments already invested for a goal
+ * Each instalment compounds from its own date, both to today and to the goal date
+ * @param {Array} contributions - Array of { date, amount, annualRate, category }
+ * @param {string} targetDate - Goal target date
+ * @param {object} taxProfile - Tax profile; when given, the goal-date value is post-tax (optional)
+ * @param {Date} now - Valuation date (injectable for tests)
+ * @returns {object} { invested, currentValue, futureValue }
+ */
+export function calculateContributionsValue(contributions, targetDate, taxProfile = null, now = new Date()) {
+  const yearsBetween = (from, to) => Math.max(0, (to - from) / (1000 * 60 * 60 * 24 * 365.25));
+  const target = new Date(targetDate);
+
+  return (contributions || []).reduce((totals, { date, amount, annualRate, category }) => {
+    if (!amount) return totals;
+    const invested = new Date(date);
+    const yearsToGoal = yearsBetween(invested, target);
+    totals.invested += amount;
+    totals.currentValue += calculateLumpsumFV(amount, annualRate, yearsBetween(invested, now));
+    totals.futureValue += taxProfile
+      ? amount * getPostTaxGrowthFactor(annualRate, yearsToGoal, category, taxProfile)
+      : calculateLumpsumFV(amount, annualRate, yearsToGoal);
+    return totals;
+  }, { invested: 0, currentValue: 0, futureValue: 0 });
+}
+
+/**
+ * Re-price a goal's SIP after the contributions actually invested for it.
+ * Following the plan leaves the SIP where it was; missed or smaller
+ * instalments raise it and extra ones lower it.
+ * @param {object} projections - From calculateUnifiedGoalProjections or calculateRetirementProjectionsWithEpfNps
+ * @param {object} contributed - From calculateContributionsValue
+ * @param {number} sipPerRupeeOfGap - From calculateSipPerRupeeOfGap for the same goal
+ * @returns {object} Projections with the gap, SIP and corpus updated, plus
+ *   contributions and sipBeforeContributions (the SIP if nothing had been invested)
+ */
+export function applyContributions(projections, contributed, sipPerRupeeOfGap) {
+  const gapAmount = Math.max(0, projections.gapAmount - contributed.futureValue);
+  const monthlySIP = gapAmount * sipPerRupeeOfGap;
+  const sipCorpusFV = monthlySIP > 0 ? gapAmount : 0;
+
+  return {
+    ...projections,
+    gapAmount,
+    monthlySIP,
+    sipCorpusFV,
+    totalCorpusFV: projections.totalCorpusFV - projections.sipCorpusFV + sipCorpusFV + contributed.futureValue,
+    contributions: contributed,
+    sipBeforeContributions: projections.monthlySIP
+  };
+}
+
 /**
  * Calculate future value of EPF/NPS corpus at target date
  */
@@ -535,10 +665,11 @@ export function calculateEpfNpsSipFV(monthlyEpf, monthlyNps, targetDate, epfAnnu
  * @param npsStepUp - Annual step-up percentage for NPS contributions (from settings)
  * @param investmentStepUp - Annual step-up percentage for other investments (from settings)
  * @param assetsData - Assets data for linked asset calculations (optional)
+ * @param taxProfile - Tax profile for post-tax projections (optional); EPF/NPS are tax-free
  */
-export function calculateRetirementProjectionsWithEpfNps(goal, retirementContributions, equityReturn, debtReturn, arbitrageReturn, equityAllocation = 60, epfReturn = EPF_RETURN, npsReturn = NPS_RETURN, epfStepUp = 0, npsStepUp = 0, investmentStepUp = 0, assetsData = null) {
+export function calculateRetirementProjectionsWithEpfNps(goal, retirementContributions, equityReturn, debtReturn, arbitrageReturn, equityAllocation = 60, epfReturn = EPF_RETURN, npsReturn = NPS_RETURN, epfStepUp = 0, npsStepUp = 0, investmentStepUp = 0, assetsData = null, taxProfile = null) {
   // Get base projections including linked assets FV
-  const baseProjections = calculateUnifiedGoalProjections(goal, equityReturn, debtReturn, arbitrageReturn, equityAllocation, investmentStepUp, assetsData);
+  const baseProjections = calculateUnifiedGoalProjections(goal, equityReturn, debtReturn, arbitrageReturn, equityAllocation, investmentStepUp, assetsData, taxProfile);
 
   // Skip EPF/NPS if not a retirement goal, no contributions data, or flag is unchecked
   if (goal.goalType !== 'retirement' || !retirementContributions || !goal.includeEpfNps) {
@@ -573,10 +704,10 @@ export function calculateRetirementProjectionsWithEpfNps(goal, retirementContrib
 
   // Recalculate required SIP for remaining gap
   // Use tapering for long-term goals (consistent with calculateUnifiedGoalProjections)
-  const adjustedMonthlySIP = calculateSipForGap(adjustedGapAmount, baseProjections.category, baseProjections.months, investmentStepUp, baseProjections.blendedReturn, equityAllocation, equityReturn, debtReturn);
+  const adjustedMonthlySIP = calculateSipForGap(adjustedGapAmount, baseProjections.category, baseProjections.months, investmentStepUp, baseProjections.blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile);
 
   // Actual corpus the adjusted SIP will build
-  const adjustedSipCorpusFV = calculateSipFVForGoal(adjustedMonthlySIP, baseProjections.category, baseProjections.months, investmentStepUp, baseProjections.blendedReturn, equityAllocation, equityReturn, debtReturn);
+  const adjustedSipCorpusFV = calculateSipFVForGoal(adjustedMonthlySIP, baseProjections.category, baseProjections.months, investmentStepUp, baseProjections.blendedReturn, equityAllocation, equityReturn, debtReturn, taxProfile);
   const adjustedTotalCorpusFV = adjustedSipCorpusFV + baseProjections.linkedAssetsFV + totalEpfNpsFV;
 
   return {
@@ -604,3 +735,187 @@ export function calculateRetirementProjectionsWithEpfNps(goal, retirementContrib
     }
   };
 }
+
+/**
+ * Annualized return of irregular dated cash flows (XIRR)
+ * Money put in is negative and money taken out (or the current value) positive.
+ * Newton's method from the guess, falling back to bisection if it doesn't settle.
+ * @param {Array} flows - Array of { date, amount }; date is a Date or YYYY-MM-DD string
+ * @param {number} guess - Starting annual rate % for Newton's method
+ * @returns {number|null} Annual return %, or null without both an outflow and an inflow
+ */
+export function calculateXirr(flows, guess = 10) {
+  const dated = (flows || [])
+    .filter(f => f.amount)
+    .map(f => ({ time: new Date(f.date).getTime(), amount: f.amount }));
+  if (!dated.some(f => f.amount < 0) || !dated.some(f => f.amount > 0)) return null;
+
+  const start = Math.min(...dated.map(f => f.time));
+  const points = dated.map(f => ({ years: (f.time - start) / (1000 * 60 * 60 * 24 * 365), amount: f.amount }));
+  const npv = rate => points.reduce((sum, p) => sum + p.amount / Math.pow(1 + rate, p.years), 0);
+  const slope = rate => points.reduce((sum, p) => sum - p.years * p.amount / Math.pow(1 + rate, p.years + 1), 0);
+
+  let rate = guess / 100;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const derivative = slope(rate);
+    if (!isFinite(value) || !derivative) break;
+    const next = rate - value / derivative;
+    if (next <= -1 || !isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-9) return next * 100;
+    rate = next;
+  }
+
+  // NPV falls as the rate rises for invest-then-redeem flows; bisect for the sign change
+  let low = -0.9999;
+  let high = 10;
+  if (Math.sign(npv(low)) === Math.sign(npv(high))) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (Math.sign(npv(mid)) === Math.sign(npv(low))) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2 * 100;
+}
+
+// Retirement withdrawal phase
+export const LIFE_EXPECTANCY = 90;
+
+export const DECUMULATION_DEFAULTS = {
+  inflationRate: 6,      // Yearly increase in withdrawals
+  equityAllocation: 30,  // Post-retirement equity share of the growth bucket
+  cashYears: 2,          // Bucket 1: next years' spending in arbitrage/liquid funds
+  incomeYears: 5         // Bucket 2: the following years' spending in debt funds
+};
+
+/**
+ * Simulate drawing down a retirement corpus with a three-bucket strategy
+ * Withdrawals are taken monthly (start of month) from the cash bucket and rise
+ * with inflation once a year. At each year end the cash bucket is refilled from
+ * the income bucket, and the income bucket from the growth bucket.
+ * Cash earns the arbitrage return, income the debt return, and growth the
+ * post-retirement equity/debt blend. cashYears = incomeYears = 0 keeps the
+ * whole corpus in a single growth portfolio.
+ * @param {number} corpus - Corpus at the start of retirement
+ * @param {object} options - { monthlyWithdrawal, startAge, endAge, inflationRate, equityAllocation,
+ *   cashYears, incomeYears, equityReturn, debtReturn, arbitrageReturn }
+ * @returns {object} { years: [{ age, opening, withdrawal, returns, closing, buckets }],
+ *   depletionAge (null if the corpus lasts to endAge), finalCorpus, totalWithdrawn }
+ */
+export function simulateDecumulation(corpus, options = {}) {
+  const {
+    monthlyWithdrawal = 0,
+    startAge,
+    endAge = LIFE_EXPECTANCY,
+    inflationRate,
+    equityAllocation,
+    cashYears,
+    incomeYears,
+    equityReturn = 10,
+    debtReturn = 5,
+    arbitrageReturn = 6
+  } = { ...DECUMULATION_DEFAULTS, ...options };
+
+  const totalYears = Math.max(0, endAge - startAge);
+  const annualWithdrawal = (year) => monthlyWithdrawal * 12 * Math.pow(1 + inflationRate / 100, year);
+  // Spending for `count` years starting at `fromYear`, cut off at the end of the horizon
+  const spendingFor = (fromYear, count) => {
+    let total = 0;
+    for (let y = fromYear; y < Math.min(fromYear + count, totalYears); y++) total += annualWithdrawal(y);
+    return total;
+  };
+
+  const cashRate = arbitrageReturn / 100 / 12;
+  const incomeRate = debtReturn / 100 / 12;
+  const growthRate = ((equityAllocation / 100) * equityReturn + (1 - equityAllocation / 100) * debtReturn) / 100 / 12;
+
+  const buckets = { cash: 0, income: 0, growth: Math.max(0, corpus) };
+  const refill = (year) => {
+    const cashNeed = Math.max(0, spendingFor(year, cashYears) - buckets.cash);
+    const fromIncome = Math.min(cashNeed, buckets.income);
+    buckets.income -= fromIncome;
+    const fromGrowth = Math.min(cashNeed - fromIncome, buckets.growth);
+    buckets.growth -= fromGrowth;
+    buckets.cash += fromIncome + fromGrowth;
+
+    const incomeNeed = Math.max(0, spendingFor(year + cashYears, incomeYears) - buckets.income);
+    const toIncome = Math.min(incomeNeed, buckets.growth);
+    buckets.growth -= toIncome;
+    buckets.income += toIncome;
+  };
+  const total = () => buckets.cash + buckets.income + buckets.growth;
+
+  refill(0);
+
+  const years = [];
+  let depletionAge = null;
+  let totalWithdrawn = 0;
+
+  for (let year = 0; year < totalYears && depletionAge === null; year++) {
+    const opening = total();
+    const monthly = annualWithdrawal(year) / 12;
+    let withdrawn = 0;
+    let returns = 0;
+
+    for (let month = 0; month < 12; month++) {
+      // Draw from cash first, then income, then growth
+      let need = monthly;
+      for (const key of ['cash', 'income', 'growth']) {
+        const take = Math.min(need, buckets[key]);
+        buckets[key] -= take;
+        need -= take;
+      }
+      withdrawn += monthly - need;
+      if (need > 0.005) {
+        depletionAge = startAge + year;
+        break;
+      }
+
+      const earned = buckets.cash * cashRate + buckets.income * incomeRate + buckets.growth * growthRate;
+      buckets.cash *= 1 + cashRate;
+      buckets.income *= 1 + incomeRate;
+      buckets.growth *= 1 + growthRate;
+      returns += earned;
+    }
+
+    if (depletionAge === null) refill(year + 1);
+    totalWithdrawn += withdrawn;
+    years.push({
+      age: startAge + year,
+      opening,
+      withdrawal: withdrawn,
+      returns,
+      closing: total(),
+      buckets: { ...buckets }
+    });
+  }
+
+  return { years, depletionAge, finalCorpus: total(), totalWithdrawn };
+}
+
+/**
+ * Smallest corpus that funds inflation-rising withdrawals from startAge to endAge
+ * Withdrawal and corpus are in the same money (today's or retirement-day), since
+ * the drawdown scales linearly with the withdrawal.
+ * @param {number} monthlyWithdrawal - First-year monthly withdrawal
+ * @param {number} startAge - Age at retirement (FI)
+ * @param {object} options - Same as simulateDecumulation (endAge, allocation, buckets, returns)
+ * @returns {number} Required corpus at the start of retirement
+ */
+export function calculateRequiredRetirementCorpus(monthlyWithdrawal, startAge, options = {}) {
+  const endAge = options.endAge ?? LIFE_EXPECTANCY;
+  if (monthlyWithdrawal <= 0 || startAge >= endAge) return 0;
+
+  const lasts = (corpus) => simulateDecumulation(corpus, { ...options, monthlyWithdrawal, startAge, endAge }).depletionAge === null;
+
+  let low = 0;
+  let high = monthlyWithdrawal * 12 * (endAge - startAge);
+  while (!lasts(high)) high *= 2;
+
+  for (let i = 0; i < 60 && high - low > 1; i++) {
+    const mid = (low + high) / 2;
+    if (lasts(mid)) high = mid;
+    else low = mid;
+  }
+  return high;
+}
@@ -0,0 +1,352 @@
+// Mutual fund holdings import from a CAMS/KFintech consolidated account statement (CAS)
+import { addAsset, updateAsset, getCurrency } from './storage.js';
+import { formatCurrency } from './currency.js';
+import { assetCategoryGroups } from './assets.js';
+import { escapeHtml } from './html.js';
+
+// Fund names that mark a debt, liquid or arbitrage scheme; everything else is treated as equity
+const DEBT_SCHEME_PATTERN = /\b(arbitrage|liquid|overnight|money market|debt|bond|gilt|g-sec|sdl|duration|treasury|floater|floating rate|fixed maturity|target maturity|credit risk|banking (?:and|&) psu|conservative hybrid)\b/i;
+const GOLD_SCHEME_PATTERN = /\bgold\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+let getAppData = null;
+let onDataChange = null;
+
+function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// CAS dates come as 31-Mar-2026 (text) or 2026-03-31 (JSON)
+function parseCasDate(value) {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const match = text.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (!match) return null;
+  const month = MONTHS.indexOf(match[2].toLowerCase());
+  if (month === -1) return null;
+  return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * Folio numbers are written as "1234567 / 89" or "1234567/89"; compare them without spaces
+ */
+export function normalizeFolio(folio) {
+  return String(folio || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Pick the asset category for a mutual fund scheme
+ * @param {string} name - Scheme name
+ * @param {string} type - Scheme type from a JSON export (EQUITY, DEBT, ...), if any
+ * @returns {string} One of the categories in assetCategoryGroups
+ */
+export function classifyScheme(name, type = '') {
+  let category = 'Equity Mutual Funds';
+  if (GOLD_SCHEME_PATTERN.test(name)) {
+    category = 'Gold ETFs/SGBs';
+  } else if (DEBT_SCHEME_PATTERN.test(name) || String(type).toUpperCase() === 'DEBT') {
+    category = 'Debt/Arbitrage Mutual Funds';
+  }
+  const known = assetCategoryGroups.some(g => g.categories.includes(category));
+  return known ? category : 'Other';
+}
+
+function cleanSchemeName(line) {
+  return line
+    .replace(/^[A-Z0-9]{2,10}-(?=\S)/, '')
+    .replace(/\(Advisor.*$/i, '')
+    .replace(/Registrar\s*:.*$/i, '')
+    .replace(/\s*-?\s*ISIN\s*:.*$/i, '')
+    .replace(/\(Non-Demat\)/i, '')
+    .replace(/[\s-]+$/, '')
+    .trim();
+}
+
+function createHolding({ folio, scheme, isin, units, nav, value, date, type }) {
+  return {
+    folio: normalizeFolio(folio),
+    scheme,
+    isin: isin || null,
+    units,
+    nav,
+    value: value || units * nav,
+    date,
+    category: classifyScheme(scheme, type)
+  };
+}
+
+/**
+ * Read holdings from the text of a CAS PDF
+ * Each scheme block ends with a "Closing Unit Balance" line carrying units, NAV and market value
+ * @returns {Array} [{ folio, scheme, isin, units, nav, value, date, category }]
+ */
+export function parseCasText(text) {
+  const holdings = [];
+  let folio = null;
+  let scheme = null;
+  let isin = null;
+  let previousLine = '';
+
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    if (!line) return;
+
+    const folioMatch = line.match(/Folio No\s*:\s*([A-Z0-9]+(?:\s*\/\s*[A-Z0-9]+)?)/i);
+    if (folioMatch) {
+      folio = folioMatch[1];
+      previousLine = '';
+      return;
+    }
+
+    if (/ISIN\s*:|\(Advisor|Registrar\s*:/i.test(line)) {
+      scheme = cleanSchemeName(line);
+      isin = (line.match(/ISIN\s*:\s*([A-Z0-9]{12})/i) || [])[1] || null;
+    } else if (/^Opening Unit Balance/i.test(line) && !scheme && previousLine && !/^Nominee/i.test(previousLine)) {
+      scheme = cleanSchemeName(previousLine);
+    }
+
+    const closing = line.match(/Closing Unit Balance\s*:\s*([\d,]+(?:\.\d+)?)/i);
+    if (closing) {
+      const navMatch = line.match(/NAV on ([\w-]+)\s*:\s*(?:INR|Rs\.?|₹)?\s*([\d,]+(?:\.\d+)?)/i);
+      const valueMatch = line.match(/Market Value on ([\w-]+)\s*:\s*(?:INR|Rs\.?|₹)?\s*([\d,]+(?:\.\d+)?)/i);
+      if (folio && scheme && navMatch) {
+        holdings.push(createHolding({
+          folio,
+          scheme,
+          isin,
+          units: parseAmount(closing[1]),
+          nav: parseAmount(navMatch[2]),
+          value: valueMatch ? parseAmount(valueMatch[2]) : 0,
+          date: parseCasDate(navMatch[1])
+        }));
+      }
+      scheme = null;
+      isin = null;
+    }
+
+    previousLine = line;
+  });
+
+  return holdings;
+}
+
+/**
+ * Read holdings from a JSON export (casparser layout: folios[].schemes[] with a valuation)
+ * @returns {Array} [{ folio, scheme, isin, units, nav, value, date, category }]
+ */
+export function parseCasJson(json) {
+  const holdings = [];
+  (json.folios || []).forEach(folio => {
+    (folio.schemes || []).forEach(scheme => {
+      const valuation = scheme.valuation || {};
+      const units = parseAmount(scheme.close);
+      const nav = parseAmount(valuation.nav);
+      if (!scheme.scheme || !(nav > 0)) return;
+      holdings.push(createHolding({
+        folio: folio.folio,
+        scheme: cleanSchemeName(scheme.scheme),
+        isin: scheme.isin,
+        units,
+        nav,
+        value: parseAmount(valuation.value),
+        date: parseCasDate(valuation.date),
+        type: scheme.type
+      }));
+    });
+  });
+  return holdings;
+}
+
+/**
+ * Parse a CAS file in its text or JSON form
+ * @param {string} text - Raw file contents
+ * @returns {object} { success: true, holdings } or { success: false, error }
+ */
+export function parseCas(text) {
+  let holdings;
+  if (/^\s*[{[]/.test(text)) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      return { success: false, error: 'File is not valid JSON' };
+    }
+    if (!json || !Array.isArray(json.folios)) {
+      return { success: false, error: 'File is not a CAS statement' };
+    }
+    holdings = parseCasJson(json);
+  } else {
+    holdings = parseCasText(text);
+  }
+
+  if (holdings.length === 0) {
+    return { success: false, error: 'No mutual fund holdings found in the file' };
+  }
+  return { success: true, holdings };
+}
+
+/**
+ * Match holdings to existing assets by folio, and by ISIN or scheme name within the folio
+ * Redeemed schemes (zero units) only update an asset that already exists
+ * @returns {Array} [{ holding, asset, action: 'add' | 'update' }]
+ */
+export function planCasImport(assets, holdings) {
+  const plan = [];
+  holdings.forEach(holding => {
+    const asset = assets.find(a => {
+      if (!a.folio || normalizeFolio(a.folio) !== holding.folio) return false;
+      if (a.isin && holding.isin) return a.isin === holding.isin;
+      return a.name.toLowerCase() === holding.scheme.toLowerCase();
+    });
+    if (asset) {
+      plan.push({ holding, asset, action: 'update' });
+    } else if (holding.units > 0) {
+      plan.push({ holding, asset: null, action: 'add' });
+    }
+  });
+  return plan;
+}
+
+/**
+ * Create or update assets from an import plan
+ * Updates keep the asset's name, category and goal links
+ * @returns {object} { added, updated }
+ */
+export function applyCasImport(data, plan) {
+  let added = 0;
+  let updated = 0;
+  plan.forEach(({ holding, asset, action }) => {
+    const fields = {
+      value: Math.round(holding.value),
+      folio: holding.folio,
+      isin: holding.isin,
+      units: holding.units,
+      nav: holding.nav
+    };
+    if (action === 'update') {
+      updateAsset(data, asset.id, fields);
+      updated++;
+    } else {
+      addAsset(data, { name: holding.scheme, category: holding.category, ...fields });
+      added++;
+    }
+  });
+  return { added, updated };
+}
+
+/**
+ * Wire the Import CAS button on the Assets tab
+ * @param {function} getData - Returns the live app data
+ * @param {function} onChange - Called after assets are imported
+ */
+export function initCasImport(getData, onChange) {
+  getAppData = getData;
+  onDataChange = onChange;
+
+  const fileInput = document.getElementById('import-cas-input');
+  document.getElementById('import-cas-btn')?.addEventListener('click', () => fileInput?.click());
+
+  fileInput?.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parseCas(reader.result);
+      if (!result.success) {
+        alert(`Could not import statement: ${result.error}`);
+        return;
+      }
+      showImportModal(planCasImport(getAppData().assets.items, result.holdings));
+    };
+    reader.onerror = () => alert('Could not read the selected file');
+    reader.readAsText(file);
+  });
+}
+
+function showImportModal(plan) {
+  const currency = getCurrency(getAppData());
+  const dates = plan.map(p => p.holding.date).filter(Boolean).sort();
+  const statementDate = dates.length
+    ? new Date(`${dates[dates.length - 1]}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+    : 'Unknown date';
+
+  const formatAction = ({ asset, action }) => {
+    if (action === 'add') return '<span class="text-emerald-600">New</span>';
+    return `<span class="text-blue-600">Update</span> <span class="text-xs text-gray-400">from ${formatCurrency(asset.value, currency)}</span>`;
+  };
+
+  const overlay = document.createElement('div');
+  overlay.id = 'cas-modal-overlay';
+  overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4';
+  overlay.innerHTML = `
+    <div class="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[85vh] overflow-hidden flex flex-col">
+      <div class="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+        <h3 class="text-base font-semibold text-gray-900">Import Mutual Funds</h3>
+        <button id="close-cas-modal" class="text-gray-400 hover:text-gray-600 rounded-lg p-1 transition-colors">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <div class="px-5 py-4 overflow-y-auto">
+        ${plan.length === 0 ? `
+          <p class="text-sm text-gray-500">The statement only has redeemed schemes that are not in your assets. Nothing to import.</p>
+        ` : `
+          <p class="text-sm text-gray-500 mb-4">Values as of <span class="font-medium text-gray-700">${escapeHtml(statementDate)}</span>. Funds already imported from the same folio are updated in place.</p>
+
+          <div class="rounded-lg border border-gray-200 overflow-x-auto">
+            <table class="w-full text-sm">
+              <thead>
+                <tr class="bg-gray-50">
+                  <th class="text-left py-2 px-3 font-medium text-gray-600">Scheme</th>
+                  <th class="text-left py-2 px-3 font-medium text-gray-600">Category</th>
+                  <th class="text-right py-2 px-3 font-medium text-gray-600">Value</th>
+                  <th class="text-right py-2 px-3 font-medium text-gray-600"></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${plan.map((item, i) => `
+                  <tr class="${i < plan.length - 1 ? 'border-b border-gray-100' : ''}">
+                    <td class="py-2 px-3 text-gray-700">
+                      ${escapeHtml(item.asset ? item.asset.name : item.holding.scheme)}
+                      <div class="text-xs text-gray-400">Folio ${escapeHtml(item.holding.folio)} · ${escapeHtml(item.holding.units)} units @ ${escapeHtml(item.holding.nav)}</div>
+                    </td>
+                    <td class="py-2 px-3 text-gray-600">${escapeHtml(item.asset ? item.asset.category : item.holding.category)}</td>
+                    <td class="py-2 px-3 text-right font-medium text-gray-900">${formatCurrency(Math.round(item.holding.value), currency)}</td>
+                    <td class="py-2 px-3 text-right whitespace-nowrap">${formatAction(item)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `}
+      </div>
+
+      <div class="flex justify-end gap-3 px-5 py-4 border-t border-gray-100">
+        <button id="cancel-cas-btn" class="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm">Cancel</button>
+        ${plan.length > 0 ? `<button id="confirm-cas-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">Import ${plan.length} fund${plan.length === 1 ? '' : 's'}</button>` : ''}
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const closeModal = () => overlay.remove();
+  overlay.querySelector('#close-cas-modal').addEventListener('click', closeModal);
+  overlay.querySelector('#cancel-cas-btn').addEventListener('click', closeModal);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeModal();
+  });
+
+  overlay.querySelector('#confirm-cas-btn')?.addEventListener('click', () => {
+    applyCasImport(getAppData(), plan);
+    closeModal();
+    if (onDataChange) onDataChange();
+  });
+}
@@ -1,10 +1,10 @@
 // Cash flow management UI and logic
 import { addIncome, updateIncome, deleteIncome, addExpense, updateExpense, deleteExpense, generateId } from './storage.js';
-import { formatCurrency, formatNumber, getSymbol, parseCurrencyInput, setupCurrencyInput } from './currency.js';
+import { formatCurrency, formatNumber, formatMonth, getSymbol, parseCurrencyInput, setupCurrencyInput } from './currency.js';
 import { getRetirementAssets } from './assets.js';
 import { numberToWords } from './wizard.js';
 
-const expenseCategories = [
+export const expenseCategories = [
   // Essential
   { name: 'Housing', hint: 'Rent, Society Maintenance' },
   { name: 'Food', hint: 'Groceries, Vegetables, Dining Out' },
@@ -20,6 +20,18 @@ const expenseCategories = [
   { name: 'Other', hint: 'Miscellaneous' }
 ];
 
+// Annual raise assumed for income sources without their own growth rate
+export const DEFAULT_INCOME_GROWTH = 7;
+
+// How often an income or expense falls due; items without a frequency are monthly
+export const FREQUENCIES = {
+  monthly: { label: 'Monthly', perYear: 12, suffix: '' },
+  quarterly: { label: 'Quarterly', perYear: 4, suffix: '/qtr' },
+  halfYearly: { label: 'Half-yearly', perYear: 2, suffix: '/half-yr' },
+  yearly: { label: 'Yearly', perYear: 1, suffix: '/yr' },
+  oneOff: { label: 'One-off', perYear: 0, suffix: '' }
+};
+
 let appData = null;
 let currency = 'INR';
 let onDataChange = null;
@@ -56,6 +68,45 @@ function setupEventListeners() {
   document.getElementById('add-expense-btn')?.addEventListener('click', showAddExpenseForm);
 }
 
+// Frequency fields shared by the income and expense forms
+function renderFrequencyFields(item = {}) {
+  const frequency = getFrequency(item);
+  return `
+    <div class="flex items-center gap-2 mb-2">
+      <select class="frequency-select px-2 py-1 border rounded text-sm">
+        ${Object.entries(FREQUENCIES).map(([key, f]) => `<option value="${key}" ${key === frequency ? 'selected' : ''}>${f.label}</option>`).join('')}
+      </select>
+      <input type="month" class="frequency-date px-2 py-1 border rounded text-sm ${frequency === 'monthly' ? 'hidden' : ''}" value="${item.date || ''}" title="Month it is due">
+    </div>
+  `;
+}
+
+function setupFrequencyFields(root) {
+  const select = root.querySelector('.frequency-select');
+  const dateInput = root.querySelector('.frequency-date');
+  if (!select || !dateInput) return;
+  select.addEventListener('change', () => {
+    dateInput.classList.toggle('hidden', select.value === 'monthly');
+    if (select.value !== 'monthly' && !dateInput.value) {
+      const now = new Date();
+      dateInput.value = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    }
+  });
+}
+
+function readFrequencyFields(root) {
+  const frequency = root.querySelector('.frequency-select')?.value || 'monthly';
+  const date = frequency === 'monthly' ? null : root.querySelector('.frequency-date').value;
+  return { frequency, date };
+}
+
+function getFrequencyNote(item) {
+  const frequency = getFrequency(item);
+  if (frequency === 'monthly') return '';
+  if (frequency === 'oneOff') return `One-off in ${formatMonth(item.date)}`;
+  return `${FREQUENCIES[frequency].label} from ${formatMonth(item.date)} · ${formatCurrency(Math.round(getMonthlyAmount(item)), currency)}/mo`;
+}
+
 // Income functions
 function showAddIncomeForm() {
   const container = document.getElementById('income-form-container');
@@ -71,6 +122,13 @@ function showAddIncomeForm() {
         </div>
       </div>
       <p id="new-income-amount-words" class="text-xs text-gray-400 mt-0.5 mb-2 pl-8 h-4"></p>
+      ${renderFrequencyFields()}
+      <div class="flex items-center gap-2 mb-2">
+        <label for="new-income-growth" class="text-xs text-gray-500">Annual growth</label>
+        <input type="number" id="new-income-growth" value="${DEFAULT_INCOME_GROWTH}" min="0" max="30" step="0.5"
+          class="w-20 px-2 py-1 border rounded text-sm">
+        <span class="text-xs text-gray-500">% a year</span>
+      </div>
 
       <!-- EPF/NPS Section -->
       <details class="mb-2">
@@ -105,6 +163,7 @@ function showAddIncomeForm() {
   document.getElementById('cancel-income-btn').addEventListener('click', () => {
     container.innerHTML = '';
   });
+  setupFrequencyFields(container);
   setupCurrencyInput(
     document.getElementById('new-income-amount'),
     document.getElementById('new-income-amount-words'),
@@ -118,19 +177,32 @@ function saveNewIncome() {
   const amount = parseCurrencyInput(document.getElementById('new-income-amount').value);
   const epf = parseFloat(document.getElementById('new-income-epf').value) || 0;
   const nps = parseFloat(document.getElementById('new-income-nps').value) || 0;
+  const growthRate = parseGrowthRate(document.getElementById('new-income-growth').value);
+  const { frequency, date } = readFrequencyFields(document.getElementById('income-form-container'));
 
   if (isNaN(amount) || amount <= 0) {
     alert('Please enter a valid amount');
     return;
   }
 
+  const frequencyCheck = validateFrequency(frequency, date);
+  if (!frequencyCheck.valid) {
+    alert(frequencyCheck.error);
+    return;
+  }
+
+  if (growthRate === null) {
+    alert('Annual growth must be between 0% and 30%');
+    return;
+  }
+
   const maxEpfNps = amount * 0.3;
   if (epf + nps > maxEpfNps) {
     alert(`EPF + NPS contributions cannot exceed 30% of income (max ${formatCurrency(maxEpfNps, settings.currency)})`);
     return;
   }
 
-  addIncome(appData, { name, amount, epf, nps });
+  addIncome(appData, { name, amount, epf, nps, growthRate, frequency, date });
   document.getElementById('income-form-container').innerHTML = '';
   renderIncomeList();
   updateSummary();
@@ -160,10 +232,11 @@ function renderIncomeList() {
       <div class="flex items-center justify-between py-3 border-b border-gray-100 group" data-id="${income.id}">
         <div class="min-w-0">
           <span class="text-sm">${income.name}</span>
+          <div class="text-xs text-gray-400">${getFrequency(income) !== 'monthly' ? `${getFrequencyNote(income)} · ` : ''}Grows ${getIncomeGrowth(income)}% a year</div>
           ${epfNpsInfo}
         </div>
         <div class="flex items-center gap-2 shrink-0">
-          <span class="text-sm font-medium text-green-600">${formatCurrency(income.amount, currency)}</span>
+          <span class="text-sm font-medium text-green-600">${formatCurrency(income.amount, currency)}${FREQUENCIES[getFrequency(income)].suffix}</span>
           <button class="edit-income-btn text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded p-1 transition-colors" data-id="${income.id}">
             <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"/>
@@ -202,6 +275,12 @@ function editIncome(id) {
         <input type="text" value="${formatNumber(income.amount, currency)}" class="edit-income-amount w-full pl-7 pr-3 py-2 border rounded text-sm" placeholder="Amount" inputmode="numeric">
       </div>
       <p class="edit-income-amount-words text-xs text-gray-400 pl-7 h-4"></p>
+      ${renderFrequencyFields(income)}
+      <div class="flex items-center gap-2">
+        <label class="text-xs text-gray-500">Annual growth</label>
+        <input type="number" value="${getIncomeGrowth(income)}" min="0" max="30" step="0.5" class="edit-income-growth w-20 px-2 py-1 border rounded text-sm">
+        <span class="text-xs text-gray-500">% a year</span>
+      </div>
     </div>
 
     <!-- EPF/NPS Edit Section -->
@@ -232,17 +311,31 @@ function editIncome(id) {
     row.querySelector('.edit-income-amount-words'),
     numberToWords, currency
   );
+  setupFrequencyFields(row);
 
   row.querySelector('.save-edit-income').addEventListener('click', () => {
     const newName = row.querySelector('.edit-income-name').value.trim();
     const newAmount = parseCurrencyInput(row.querySelector('.edit-income-amount').value);
     const newEpf = parseFloat(row.querySelector('.edit-income-epf').value) || 0;
     const newNps = parseFloat(row.querySelector('.edit-income-nps').value) || 0;
+    const newGrowthRate = parseGrowthRate(row.querySelector('.edit-income-growth').value);
+    const { frequency, date } = readFrequencyFields(row);
 
     if (!newName || isNaN(newAmount) || newAmount <= 0) {
       return;
     }
 
+    const frequencyCheck = validateFrequency(frequency, date);
+    if (!frequencyCheck.valid) {
+      alert(frequencyCheck.error);
+      return;
+    }
+
+    if (newGrowthRate === null) {
+      alert('Annual growth must be between 0% and 30%');
+      return;
+    }
+
     const maxEpfNps = newAmount * 0.3;
     if (newEpf + newNps > maxEpfNps) {
       alert(`EPF + NPS contributions cannot exceed 30% of income (max ${formatCurrency(maxEpfNps, settings.currency)})`);
@@ -253,7 +346,10 @@ function editIncome(id) {
       name: newName,
       amount: newAmount,
       epf: newEpf,
-      nps: newNps
+      nps: newNps,
+      growthRate: newGrowthRate,
+      frequency,
+      date
     });
     renderIncomeList();
     updateSummary();
@@ -288,6 +384,7 @@ function showAddExpenseForm() {
           class="w-full pl-8 pr-3 py-2 border rounded text-sm" inputmode="numeric">
       </div>
       <p id="new-expense-amount-words" class="text-xs text-gray-400 mt-0.5 mb-2 pl-8 h-4"></p>
+      ${renderFrequencyFields()}
       <input type="text" id="new-expense-name" placeholder="Description - optional (e.g., Monthly Rent)"
         class="w-full px-3 py-2 border rounded mb-2 text-sm">
       <div class="flex gap-2 justify-end">
@@ -301,6 +398,7 @@ function showAddExpenseForm() {
   document.getElementById('cancel-expense-btn').addEventListener('click', () => {
     container.innerHTML = '';
   });
+  setupFrequencyFields(container);
   setupCurrencyInput(
     document.getElementById('new-expense-amount'),
     document.getElementById('new-expense-amount-words'),
@@ -315,13 +413,20 @@ function saveNewExpense() {
   const defaultName = categoryData ? categoryData.hint : category;
   const name = document.getElementById('new-expense-name').value.trim() || defaultName;
   const amount = parseCurrencyInput(document.getElementById('new-expense-amount').value);
+  const { frequency, date } = readFrequencyFields(document.getElementById('expense-form-container'));
 
   if (isNaN(amount) || amount <= 0) {
     alert('Please enter a valid amount');
     return;
   }
 
-  addExpense(appData, { category, name, amount });
+  const frequencyCheck = validateFrequency(frequency, date);
+  if (!frequencyCheck.valid) {
+    alert(frequencyCheck.error);
+    return;
+  }
+
+  addExpense(appData, { category, name, amount, frequency, date });
   document.getElementById('expense-form-container').innerHTML = '';
   renderExpenseList();
   updateSummary();
@@ -349,9 +454,13 @@ function renderExpenseList() {
       <div class="text-xs font-semibold text-gray-500 uppercase mb-1">${category}</div>
       ${expenses.map(exp => `
         <div class="flex items-center justify-between py-3 border-b border-gray-100 group" data-id="${exp.id}">
-          <span class="text-sm min-w-0">${exp.name}</span>
+          <div class="min-w-0">
+            <span class="text-sm ${isExpenseActive(exp) ? '' : 'text-gray-400 line-through'}">${exp.name}</span>
+            ${exp.endDate ? `<div class="text-xs text-gray-400">${isExpenseActive(exp) ? `Until ${formatMonth(exp.endDate)}` : 'Loan paid off'}</div>` : ''}
+            ${getFrequency(exp) !== 'monthly' ? `<div class="text-xs text-gray-400">${getFrequencyNote(exp)}</div>` : ''}
+          </div>
           <div class="flex items-center gap-2 shrink-0">
-            <span class="text-sm font-medium text-red-600">${formatCurrency(exp.amount, currency)}</span>
+            <span class="text-sm font-medium ${isExpenseActive(exp) ? 'text-red-600' : 'text-gray-400'}">${formatCurrency(exp.amount, currency)}${FREQUENCIES[getFrequency(exp)].suffix}</span>
             <button class="edit-expense-btn text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded p-1 transition-colors" data-id="${exp.id}">
               <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"/>
@@ -391,9 +500,11 @@ function editExpense(id) {
       <input type="text" value="${expense.name}" class="edit-expense-name w-full px-3 py-2 border rounded text-sm" placeholder="Description">
       <div class="relative">
         <span class="absolute left-3 top-2 text-gray-500 text-sm">${getSymbol(currency)}</span>
-        <input type="text" value="${formatNumber(expense.amount, currency)}" class="edit-expense-amount w-full pl-7 pr-3 py-2 border rounded text-sm" placeholder="Amount" inputmode="numeric">
+        <input type="text" value="${formatNumber(expense.amount, currency)}" class="edit-expense-amount w-full pl-7 pr-3 py-2 border rounded text-sm ${expense.liabilityId ? 'bg-gray-100 text-gray-500' : ''}" placeholder="Amount" inputmode="numeric" ${expense.liabilityId ? 'readonly' : ''}>
       </div>
       <p class="edit-expense-amount-words text-xs text-gray-400 pl-7 h-4"></p>
+      ${expense.liabilityId ? '' : renderFrequencyFields(expense)}
+      ${expense.liabilityId ? '<p class="text-xs text-gray-500">EMI is set by the linked loan. Edit the loan on the Assets tab.</p>' : ''}
     </div>
     <div class="flex gap-2 justify-end">
       <button class="cancel-edit-expense bg-gray-300 px-3 py-1.5 rounded text-sm hover:bg-gray-400">Cancel</button>
@@ -406,13 +517,20 @@ function editExpense(id) {
     row.querySelector('.edit-expense-amount-words'),
     numberToWords, currency
   );
+  setupFrequencyFields(row);
 
   row.querySelector('.save-edit-expense').addEventListener('click', () => {
     const newCategory = row.querySelector('.edit-expense-category').value;
     const newName = row.querySelector('.edit-expense-name').value.trim();
     const newAmount = parseCurrencyInput(row.querySelector('.edit-expense-amount').value);
+    const { frequency, date } = readFrequencyFields(row);
+    const frequencyCheck = validateFrequency(frequency, date);
+    if (!frequencyCheck.valid) {
+      alert(frequencyCheck.error);
+      return;
+    }
     if (newName && !isNaN(newAmount) && newAmount > 0) {
-      updateExpense(appData, id, { category: newCategory, name: newName, amount: newAmount });
+      updateExpense(appData, id, { category: newCategory, name: newName, amount: newAmount, frequency, date });
       renderExpenseList();
       updateSummary();
       if (onDataChange) onDataChange();
@@ -435,8 +553,8 @@ function removeExpense(id) {
 
 // Summary calculation
 function updateSummary() {
-  const totalIncome = appData.cashflow.income.reduce((sum, i) => sum + i.amount, 0);
-  const totalExpenses = appData.cashflow.expenses.reduce((sum, e) => sum + e.amount, 0);
+  const totalIncome = getTotalIncome();
+  const totalExpenses = getTotalExpenses();
   const netFlow = totalIncome - totalExpenses;
   const totalEpfNps = appData.cashflow.income.reduce((sum, i) => sum + (i.epf || 0) + (i.nps || 0), 0);
 
@@ -483,14 +601,186 @@ function updateSummary() {
       }
     }
   }
+
+  renderCalendar(netFlow);
+}
+
+// Month-by-month view of lumpy income and expenses
+function renderCalendar(monthlyNet) {
+  const container = document.getElementById('cashflow-calendar');
+  if (!container) return;
+
+  const hasLumpyItems = [...appData.cashflow.income, ...appData.cashflow.expenses].some(i => getFrequency(i) !== 'monthly');
+  if (!hasLumpyItems) {
+    container.innerHTML = '<p class="text-gray-500 text-sm italic">Set an income or expense to quarterly, yearly or one-off to see the months that need extra cash</p>';
+    return;
+  }
+
+  const calendar = getCashflowCalendar(appData.cashflow);
+  const buffer = getLiquidBuffer(calendar, monthlyNet);
+
+  container.innerHTML = `
+    <div class="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-2">
+      ${calendar.map(row => {
+        const gap = row.net - monthlyNet;
+        const tone = gap < -1 ? 'bg-red-50 border-red-200' : gap > 1 ? 'bg-emerald-50 border-emerald-200' : 'bg-gray-50 border-gray-200';
+        return `
+          <div class="rounded-lg border p-2 ${tone}">
+            <div class="text-xs text-gray-500">${formatMonth(row.month)}</div>
+            <div class="text-sm font-semibold ${row.net < 0 ? 'text-red-600' : 'text-gray-800'}">${formatCurrency(Math.round(row.net), currency)}</div>
+            ${row.items.map(item => `
+              <div class="text-xs ${item.type === 'income' ? 'text-emerald-700' : 'text-red-700'} truncate" title="${item.name}">
+                ${item.type === 'income' ? '+' : '−'}${formatCurrency(item.amount, currency)} ${item.name}
+              </div>
+            `).join('')}
+          </div>
+        `;
+      }).join('')}
+    </div>
+    <p class="text-sm text-gray-600 mt-3">
+      ${buffer > 0
+        ? `Keep <span class="font-semibold text-gray-900">${formatCurrency(Math.round(buffer), currency)}</span> liquid in the short-term bucket to cover these months while SIPs run on the ${formatCurrency(Math.round(monthlyNet), currency)} monthly surplus.`
+        : 'Lumpy months are covered by the monthly surplus before they fall due.'}
+    </p>
+  `;
 }
 
 export function getTotalIncome() {
-  return appData.cashflow.income.reduce((sum, i) => sum + i.amount, 0);
+  return appData.cashflow.income.reduce((sum, i) => sum + getMonthlyAmount(i), 0);
+}
+
+/**
+ * Annual growth rate (%) of an income source, falling back to the default raise
+ */
+export function getIncomeGrowth(income) {
+  return income.growthRate ?? DEFAULT_INCOME_GROWTH;
+}
+
+/**
+ * Parse an annual growth input. Blank means the default raise.
+ * @returns {number|null} Rate in %, or null when outside 0-30
+ */
+export function parseGrowthRate(value) {
+  if (String(value).trim() === '') return DEFAULT_INCOME_GROWTH;
+  const rate = parseFloat(value);
+  if (isNaN(rate) || rate < 0 || rate > 30) return null;
+  return rate;
 }
 
 export function getTotalExpenses() {
-  return appData.cashflow.expenses.reduce((sum, e) => sum + e.amount, 0);
+  return getActiveExpenses(appData.cashflow.expenses).reduce((sum, e) => sum + getMonthlyAmount(e), 0);
+}
+
+/**
+ * Frequency key of an income or expense ('monthly' when unset)
+ */
+export function getFrequency(item) {
+  return FREQUENCIES[item.frequency] ? item.frequency : 'monthly';
+}
+
+/**
+ * Monthly equivalent of an income or expense. One-off items have none;
+ * they only show up in the month they fall in.
+ */
+export function getMonthlyAmount(item) {
+  return item.amount * FREQUENCIES[getFrequency(item)].perYear / 12;
+}
+
+/**
+ * Amount of an income or expense that falls due in a given month.
+ * Periodic items repeat every 12 / perYear months from their date ('YYYY-MM').
+ */
+export function getAmountInMonth(item, asOf = new Date()) {
+  const frequency = getFrequency(item);
+  if (frequency === 'monthly') return item.amount;
+  if (!item.date) return 0;
+
+  const [year, month] = item.date.split('-').map(Number);
+  const offset = (asOf.getFullYear() - year) * 12 + asOf.getMonth() + 1 - month;
+  if (frequency === 'oneOff') return offset === 0 ? item.amount : 0;
+
+  const interval = 12 / FREQUENCIES[frequency].perYear;
+  return ((offset % interval) + interval) % interval === 0 ? item.amount : 0;
+}
+
+/**
+ * Validate an item's frequency and due month
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateFrequency(frequency, date) {
+  if (!FREQUENCIES[frequency]) {
+    return { valid: false, error: 'Choose how often it is due' };
+  }
+  if (frequency !== 'monthly' && !/^\d{4}-\d{2}$/.test(date || '')) {
+    return { valid: false, error: frequency === 'oneOff' ? 'Choose the month it falls in' : 'Choose a month it is due in' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Income and expenses that actually fall in each of the coming months
+ * @param {object} cashflow - { income, expenses }
+ * @returns {Array} [{ month: 'YYYY-MM', income, expenses, net, items: [{ name, amount, type }] }]
+ *   items lists the non-monthly entries due that month
+ */
+export function getCashflowCalendar(cashflow, startDate = new Date(), months = 12) {
+  const calendar = [];
+  for (let m = 0; m < months; m++) {
+    const asOf = new Date(startDate.getFullYear(), startDate.getMonth() + m, 1);
+    const row = {
+      month: `${asOf.getFullYear()}-${String(asOf.getMonth() + 1).padStart(2, '0')}`,
+      income: 0,
+      expenses: 0,
+      net: 0,
+      items: []
+    };
+
+    const add = (item, type) => {
+      const amount = getAmountInMonth(item, asOf);
+      if (amount === 0) return;
+      row[type === 'income' ? 'income' : 'expenses'] += amount;
+      if (getFrequency(item) !== 'monthly') row.items.push({ name: item.name, amount, type });
+    };
+    cashflow.income.forEach(i => add(i, 'income'));
+    getActiveExpenses(cashflow.expenses, asOf).forEach(e => add(e, 'expense'));
+
+    row.net = row.income - row.expenses;
+    calendar.push(row);
+  }
+  return calendar;
+}
+
+/**
+ * Cash to keep liquid so the lumpy months are covered while SIPs run on the
+ * monthly-equivalent surplus: the deepest running shortfall against it
+ * @param {Array} calendar - From getCashflowCalendar
+ * @param {number} monthlyNet - Monthly-equivalent income less expenses
+ */
+export function getLiquidBuffer(calendar, monthlyNet) {
+  let running = 0;
+  let deepest = 0;
+  calendar.forEach(row => {
+    running += row.net - monthlyNet;
+    deepest = Math.min(deepest, running);
+  });
+  return deepest < 0 ? -deepest : 0;
+}
+
+/**
+ * Check if an expense still applies in a given month.
+ * Loan EMI expenses carry an endDate ('YYYY-MM', the payoff month) and stop after it.
+ */
+export function isExpenseActive(expense, asOf = new Date()) {
+  if (!expense.endDate) return true;
+  const month = `${asOf.getFullYear()}-${String(asOf.getMonth() + 1).padStart(2, '0')}`;
+  return month <= expense.endDate;
+}
+
+/**
+ * Expenses that still apply in a given month
+ */
+export function getActiveExpenses(expenses, asOf = new Date()) {
+  return expenses.filter(e => isExpenseActive(e, asOf));
 }
 
 export function getNetCashflow() {
@@ -534,22 +824,26 @@ export function shouldShowSavingsSuggestion(totalIncome, savingsRate) {
 }
 
 // EPF/NPS helper functions for retirement goal calculations
-export function getTotalEpfMonthly() {
-  return appData.cashflow.income.reduce((sum, i) => sum + (i.epf || 0), 0);
+// Pass data to read a specific dataset instead of the module's own
+export function getTotalEpfMonthly(data = null) {
+  return (data || appData).cashflow.income.reduce((sum, i) => sum + (i.epf || 0), 0);
 }
 
-export function getTotalNpsMonthly() {
-  return appData.cashflow.income.reduce((sum, i) => sum + (i.nps || 0), 0);
+export function getTotalNpsMonthly(data = null) {
+  return (data || appData).cashflow.income.reduce((sum, i) => sum + (i.nps || 0), 0);
 }
 
-export function getRetirementContributions() {
-  const retirementAssets = getRetirementAssets(appData);
+export function getRetirementContributions(data = null) {
+  const sourceData = data || appData;
+  const retirementAssets = getRetirementAssets(sourceData);
+  const monthlyEpf = getTotalEpfMonthly(sourceData);
+  const monthlyNps = getTotalNpsMonthly(sourceData);
   return {
-    monthlyEpf: getTotalEpfMonthly(),
-    monthlyNps: getTotalNpsMonthly(),
+    monthlyEpf,
+    monthlyNps,
     epfCorpus: retirementAssets.epfCorpus,
     npsCorpus: retirementAssets.npsCorpus,
-    totalMonthly: getTotalEpfMonthly() + getTotalNpsMonthly(),
+    totalMonthly: monthlyEpf + monthlyNps,
     totalCorpus: retirementAssets.totalCorpus
   };
 }
@@ -0,0 +1,101 @@
+// Passphrase encryption for stored data and backups (Web Crypto: PBKDF2 + AES-GCM)
+
+export const ENCRYPTION_VERSION = 1;
+
+// OWASP's PBKDF2-HMAC-SHA256 recommendation
+export const KDF_ITERATIONS = 310000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Check a new passphrase and its confirmation
+ * @returns {object} { valid, error }
+ */
+export function validatePassphrase(passphrase, confirmation) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return { valid: false, error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` };
+  }
+  if (passphrase !== confirmation) {
+    return { valid: false, error: 'Passphrases do not match' };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * True if a parsed value is an encrypted payload from encryptText
+ */
+export function isEncryptedPayload(value) {
+  return !!value && typeof value === 'object' && value.encrypted === true &&
+    typeof value.iv === 'string' && typeof value.ciphertext === 'string' &&
+    typeof value.kdf?.salt === 'string' && Number.isInteger(value.kdf?.iterations);
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {string} salt - Base64 salt; a new random one if omitted
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<object>} { key, salt, iterations }
+ */
+export function deriveKey(passphrase, salt = null, iterations = KDF_ITERATIONS) {
+  const saltText = salt || toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+    .then(baseKey => crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(saltText), iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    ))
+    .then(key => ({ key, salt: saltText, iterations }));
+}
+
+/**
+ * Encrypt text with a derived key (fresh IV every call)
+ * @param {object} keyInfo - From deriveKey
+ * @param {string} text - Plain text
+ * @returns {Promise<object>} Payload with the KDF parameters needed to decrypt it again
+ */
+export function encryptText(keyInfo, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keyInfo.key, new TextEncoder().encode(text))
+    .then(ciphertext => ({
+      encrypted: true,
+      version: ENCRYPTION_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: keyInfo.iterations, salt: keyInfo.salt },
+      cipher: 'AES-GCM',
+      iv: toBase64(iv),
+      ciphertext: toBase64(new Uint8Array(ciphertext))
+    }));
+}
+
+/**
+ * Decrypt a payload with an already derived key
+ * @returns {Promise<string>} Plain text; rejects with 'Wrong passphrase' if the key doesn't fit
+ */
+export function decryptText(keyInfo, payload) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, keyInfo.key, fromBase64(payload.ciphertext))
+    .then(
+      plain => new TextDecoder().decode(plain),
+      () => { throw new Error('Wrong passphrase'); }
+    );
+}
+
+/**
+ * Derive the key for a payload from a passphrase and decrypt it
+ * @returns {Promise<object>} { text, keyInfo } - keyInfo can encrypt later saves
+ */
+export function decryptWithPassphrase(payload, passphrase) {
+  return deriveKey(passphrase, payload.kdf.salt, payload.kdf.iterations)
+    .then(keyInfo => decryptText(keyInfo, payload).then(text => ({ text, keyInfo })));
+}
@@ -70,6 +70,14 @@ export function getDebtLimits(currency) {
   return getCurrencyConfig(currency).debt;
 }
 
+/**
+ * Format a 'YYYY-MM' month key for display, e.g. 'Jan 2026'
+ */
+export function formatMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return new Date(year, m - 1, 1).toLocaleString('en-IN', { month: 'short', year: 'numeric' });
+}
+
 /**
  * Parse a currency input value (strips commas) and returns a number.
  * Returns NaN for empty/invalid input to preserve existing validation.
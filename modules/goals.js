@@ -1,14 +1,34 @@
 // Goals CRUD and UI - Simplified for Unified Portfolio
-import { addGoal, updateGoal, deleteGoal } from './storage.js';
+import { addGoal, updateGoal, deleteGoal, setLinkLocked, setGoalLinksLocked } from './storage.js';
 import { formatCurrency, formatCompact, formatNumber, getSymbol, parseCurrencyInput, setupCurrencyInput } from './currency.js';
 import { numberToWords } from './wizard.js';
 import {
   getYearsRemaining,
   getUnifiedCategory,
   getCategoryDisplay,
-  formatTimeline
+  formatTimeline,
+  GOAL_PRIORITIES,
+  getGoalPriority,
+  LIFE_EXPECTANCY,
+  DECUMULATION_DEFAULTS,
+  simulateDecumulation,
+  calculateRequiredRetirementCorpus
 } from './calculator.js';
 import { getAssetAllocations, getGoalLinkedTotal } from './assets.js';
+import { isLinkLocked } from './autoassign.js';
+import { getMonthlyAmount } from './cashflow.js';
+
+export const PRIORITY_LABELS = {
+  essential: 'Essential',
+  important: 'Important',
+  aspirational: 'Aspirational'
+};
+
+const PRIORITY_COLORS = {
+  essential: 'bg-red-100 text-red-800',
+  important: 'bg-blue-100 text-blue-800',
+  aspirational: 'bg-gray-100 text-gray-700'
+};
 
 let appData = null;
 let currency = 'INR';
@@ -114,6 +134,15 @@ export function showAddGoalModal(editGoal = null) {
           </select>
         </div>
 
+        <!-- Priority -->
+        <div>
+          <label class="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+          <select id="goal-priority" class="w-full px-3 py-2 border rounded-lg">
+            ${GOAL_PRIORITIES.map(p => `<option value="${p}" ${getGoalPriority(goal) === p ? 'selected' : ''}>${PRIORITY_LABELS[p]}</option>`).join('')}
+          </select>
+          <p class="text-xs text-gray-500 mt-1">Higher tiers get existing assets and cash flow first when money is tight</p>
+        </div>
+
         <!-- Target Amount -->
         <div>
           <label class="block text-sm font-medium text-gray-700 mb-1">Target Amount (today's value)</label>
@@ -207,6 +236,7 @@ export function showAddGoalModal(editGoal = null) {
   document.getElementById('save-goal-btn').addEventListener('click', () => {
     const name = document.getElementById('goal-name').value.trim();
     const goalType = document.getElementById('goal-type').value;
+    const priority = document.getElementById('goal-priority').value;
     const targetAmount = parseCurrencyInput(document.getElementById('goal-amount').value);
     const inflationRate = parseFloat(document.getElementById('goal-inflation').value);
     const targetMonth = parseInt(document.getElementById('goal-month').value);
@@ -241,6 +271,7 @@ export function showAddGoalModal(editGoal = null) {
     const goalData = {
       name,
       goalType,
+      priority,
       targetAmount,
       inflationRate,
       targetDate,
@@ -276,9 +307,22 @@ export function showAddGoalModal(editGoal = null) {
 const RETIREMENT_EXPENSE_RATIO = 0.70;
 const HEALTHCARE_PERCENT = 0.05;
 const HEALTHCARE_CAP = 25000;
-const LIFE_EXPECTANCY = 90;
 
-export function calculateRetirementEstimate() {
+// Post-retirement choices in the estimate modal (kept for the session)
+let decumulationChoices = { ...DECUMULATION_DEFAULTS };
+let selectedEstimateAge = 50;
+
+/**
+ * Withdrawal-phase assumptions: the chosen allocation/buckets plus current return settings
+ */
+function getDecumulationOptions(overrides = {}) {
+  return { ...decumulationChoices, equityReturn, debtReturn, arbitrageReturn, ...overrides };
+}
+
+/**
+ * @param {object} decumulation - Overrides for DECUMULATION_DEFAULTS (allocation, buckets, inflation)
+ */
+export function calculateRetirementEstimate(decumulation = {}) {
   const expenses = appData?.cashflow?.expenses || [];
   const incomes = appData?.cashflow?.income || [];
 
@@ -286,12 +330,12 @@ export function calculateRetirementEstimate() {
     return null;
   }
 
-  const totalExpenses = expenses.reduce((sum, e) => sum + e.amount, 0);
+  const totalExpenses = expenses.reduce((sum, e) => sum + getMonthlyAmount(e), 0);
   const emiExpenses = expenses
     .filter(e => e.category === 'EMIs/Loans')
-    .reduce((sum, e) => sum + e.amount, 0);
+    .reduce((sum, e) => sum + getMonthlyAmount(e), 0);
   const nonEmiExpenses = totalExpenses - emiExpenses;
-  const totalIncome = incomes.reduce((sum, i) => sum + i.amount, 0);
+  const totalIncome = incomes.reduce((sum, i) => sum + getMonthlyAmount(i), 0);
 
   const healthcare = Math.round(
     Math.min(totalIncome * HEALTHCARE_PERCENT, HEALTHCARE_CAP) / 1000
@@ -299,11 +343,12 @@ export function calculateRetirementEstimate() {
   const monthlyRetirement = Math.round(nonEmiExpenses * RETIREMENT_EXPENSE_RATIO + healthcare);
 
   const retirementAges = [45, 50, 55];
+  const options = getDecumulationOptions(decumulation);
   const estimates = retirementAges.map(age => {
     const yearsInRetirement = LIFE_EXPECTANCY - age;
-    const corpus = monthlyRetirement * 12 * yearsInRetirement;
-    // Round to nearest 10 Lakh (1,000,000)
-    const rounded = Math.round(corpus / 1000000) * 1000000;
+    const corpus = calculateRequiredRetirementCorpus(monthlyRetirement, age, options);
+    // Round up to the next 10 Lakh (1,000,000) so the corpus still lasts
+    const rounded = Math.ceil(corpus / 1000000) * 1000000;
     return { age, yearsInRetirement, corpus: rounded };
   });
 
@@ -316,6 +361,140 @@ export function calculateRetirementEstimate() {
   };
 }
 
+/**
+ * Your Estimate section: spend breakdown, withdrawal-phase choices, corpus per
+ * retirement age and the year-by-year drawdown for the selected age
+ */
+function renderEstimateDetails(estimate) {
+  const fmt = (v) => formatCurrency(v, currency);
+  const compact = (v) => formatCompact(v, currency);
+  const selected = estimate.estimates.find(e => e.age === selectedEstimateAge) || estimate.estimates[1];
+  const options = getDecumulationOptions();
+  const drawdown = simulateDecumulation(selected.corpus, {
+    ...options,
+    monthlyWithdrawal: estimate.monthlyRetirement,
+    startAge: selected.age
+  });
+
+  // What the old rule of thumb (spend × 12 × years) would have given
+  const flatCorpus = estimate.monthlyRetirement * 12 * selected.yearsInRetirement;
+  const flatDrawdown = simulateDecumulation(flatCorpus, {
+    ...options,
+    monthlyWithdrawal: estimate.monthlyRetirement,
+    startAge: selected.age
+  });
+  const usesBuckets = decumulationChoices.cashYears > 0 || decumulationChoices.incomeYears > 0;
+
+  return `
+    <div class="mt-5">
+      <div class="flex items-center gap-2 mb-3">
+        <div class="w-8 h-8 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
+          <svg class="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"/>
+          </svg>
+        </div>
+        <h4 class="font-semibold text-gray-900">Your Estimate</h4>
+      </div>
+
+      <!-- Calculation breakdown -->
+      <div class="bg-blue-50 rounded-lg p-4 space-y-2 text-sm">
+        <div class="flex justify-between items-center">
+          <span class="text-gray-600">Non-EMI monthly expenses</span>
+          <span class="font-medium text-gray-900">${fmt(estimate.nonEmiExpenses)}</span>
+        </div>
+        <div class="flex justify-between items-center">
+          <span class="text-gray-600">× 70% (retirement ratio)</span>
+          <span class="font-medium text-gray-900">${fmt(Math.round(estimate.nonEmiExpenses * RETIREMENT_EXPENSE_RATIO))}</span>
+        </div>
+        <div class="flex justify-between items-center">
+          <span class="text-gray-600">+ Healthcare budget</span>
+          <span class="font-medium text-gray-900">${fmt(estimate.healthcare)}</span>
+        </div>
+        <div class="flex justify-between items-center pt-2 border-t border-blue-200">
+          <span class="font-medium text-blue-800">Monthly retirement spend</span>
+          <span class="font-semibold text-blue-800">${fmt(estimate.monthlyRetirement)}</span>
+        </div>
+      </div>
+
+      <!-- Withdrawal-phase choices -->
+      <div class="grid grid-cols-2 gap-3 mt-4">
+        <div>
+          <label class="block text-xs text-gray-500 mb-1">Equity after retirement</label>
+          <select id="estimate-equity" class="w-full px-2 py-1.5 border rounded text-sm">
+            ${[0, 20, 30, 40, 50].map(v => `<option value="${v}" ${v === decumulationChoices.equityAllocation ? 'selected' : ''}>${v}% equity</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          <label class="block text-xs text-gray-500 mb-1">Withdrawal strategy</label>
+          <select id="estimate-buckets" class="w-full px-2 py-1.5 border rounded text-sm">
+            <option value="buckets" ${usesBuckets ? 'selected' : ''}>3 buckets (${DECUMULATION_DEFAULTS.cashYears}y cash, ${DECUMULATION_DEFAULTS.incomeYears}y debt)</option>
+            <option value="single" ${usesBuckets ? '' : 'selected'}>Single portfolio</option>
+          </select>
+        </div>
+      </div>
+
+      <!-- Corpus table -->
+      <div class="mt-4 rounded-lg border border-gray-200 overflow-hidden">
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="bg-gray-50">
+              <th class="text-left py-2.5 px-3 font-medium text-gray-600">Retire at</th>
+              <th class="text-center py-2.5 px-3 font-medium text-gray-600">Years in retirement</th>
+              <th class="text-right py-2.5 px-3 font-medium text-gray-600">Corpus needed</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${estimate.estimates.map((e, i) => `
+              <tr class="estimate-age-row cursor-pointer ${e.age === selected.age ? 'bg-emerald-50' : 'hover:bg-gray-50'} ${i < estimate.estimates.length - 1 ? 'border-b border-gray-100' : ''}" data-age="${e.age}">
+                <td class="py-2.5 px-3 text-gray-700">Age ${e.age}</td>
+                <td class="py-2.5 px-3 text-center text-gray-700">${e.yearsInRetirement} years</td>
+                <td class="py-2.5 px-3 text-right font-semibold text-gray-900">${fmt(e.corpus)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+
+      <!-- Drawdown for the selected age -->
+      <div class="mt-4">
+        <h5 class="text-sm font-medium text-gray-800">Drawdown if you retire at ${selected.age}</h5>
+        <p class="text-xs text-gray-500 mt-0.5">
+          ${drawdown.depletionAge === null
+            ? `Lasts to age ${LIFE_EXPECTANCY} with ${compact(Math.round(drawdown.finalCorpus))} left.`
+            : `Runs out at age ${drawdown.depletionAge}.`}
+          ${flatDrawdown.depletionAge !== null
+            ? `A flat spend × years corpus (${compact(flatCorpus)}) would run out at age ${flatDrawdown.depletionAge}.`
+            : ''}
+        </p>
+        <div class="mt-2 max-h-56 overflow-y-auto rounded-lg border border-gray-200">
+          <table class="w-full text-xs">
+            <thead class="sticky top-0 bg-gray-50">
+              <tr>
+                <th class="text-left py-2 px-3 font-medium text-gray-600">Age</th>
+                <th class="text-right py-2 px-3 font-medium text-gray-600">Withdrawn</th>
+                <th class="text-right py-2 px-3 font-medium text-gray-600">Returns</th>
+                <th class="text-right py-2 px-3 font-medium text-gray-600">Corpus left</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${drawdown.years.map(y => `
+                <tr class="border-t border-gray-100">
+                  <td class="py-1.5 px-3 text-gray-700">${y.age}</td>
+                  <td class="py-1.5 px-3 text-right text-gray-700">${compact(Math.round(y.withdrawal))}</td>
+                  <td class="py-1.5 px-3 text-right text-emerald-600">${compact(Math.round(y.returns))}</td>
+                  <td class="py-1.5 px-3 text-right font-medium text-gray-900">${compact(Math.round(y.closing))}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <p class="text-xs text-gray-400 mt-3 text-center">These are today's values — inflation until retirement is handled separately by the app.</p>
+    </div>
+  `;
+}
+
 export function showEstimateModal() {
   const estimate = calculateRetirementEstimate();
 
@@ -340,77 +519,19 @@ export function showEstimateModal() {
         </div>
         <div class="flex items-start gap-2">
           <span class="text-emerald-500 mt-0.5 flex-shrink-0">3.</span>
-          <p class="text-gray-700"><span class="font-medium text-gray-900">Years in retirement</span> = 90 − Retirement age</p>
+          <p class="text-gray-700"><span class="font-medium text-gray-900">Withdrawals</span> rise ${DECUMULATION_DEFAULTS.inflationRate}% a year with inflation until age ${LIFE_EXPECTANCY}</p>
         </div>
         <div class="flex items-start gap-2 pt-2 border-t border-gray-200">
           <span class="text-emerald-600 mt-0.5 flex-shrink-0">=</span>
-          <p class="text-gray-800 font-medium">Corpus = Monthly spend × 12 × Years in retirement</p>
+          <p class="text-gray-800 font-medium">Corpus = smallest amount that stays invested and still lasts to ${LIFE_EXPECTANCY}</p>
         </div>
       </div>
     </div>
   `;
 
-  let personalHtml = '';
-  if (estimate) {
-    const fmt = (v) => formatCurrency(v, currency);
-    personalHtml = `
-      <div class="mt-5">
-        <div class="flex items-center gap-2 mb-3">
-          <div class="w-8 h-8 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
-            <svg class="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"/>
-            </svg>
-          </div>
-          <h4 class="font-semibold text-gray-900">Your Estimate</h4>
-        </div>
-
-        <!-- Calculation breakdown -->
-        <div class="bg-blue-50 rounded-lg p-4 space-y-2 text-sm">
-          <div class="flex justify-between items-center">
-            <span class="text-gray-600">Non-EMI monthly expenses</span>
-            <span class="font-medium text-gray-900">${fmt(estimate.nonEmiExpenses)}</span>
-          </div>
-          <div class="flex justify-between items-center">
-            <span class="text-gray-600">× 70% (retirement ratio)</span>
-            <span class="font-medium text-gray-900">${fmt(Math.round(estimate.nonEmiExpenses * RETIREMENT_EXPENSE_RATIO))}</span>
-          </div>
-          <div class="flex justify-between items-center">
-            <span class="text-gray-600">+ Healthcare budget</span>
-            <span class="font-medium text-gray-900">${fmt(estimate.healthcare)}</span>
-          </div>
-          <div class="flex justify-between items-center pt-2 border-t border-blue-200">
-            <span class="font-medium text-blue-800">Monthly retirement spend</span>
-            <span class="font-semibold text-blue-800">${fmt(estimate.monthlyRetirement)}</span>
-          </div>
-        </div>
-
-        <!-- Corpus table -->
-        <div class="mt-4 rounded-lg border border-gray-200 overflow-hidden">
-          <table class="w-full text-sm">
-            <thead>
-              <tr class="bg-gray-50">
-                <th class="text-left py-2.5 px-3 font-medium text-gray-600">Retire at</th>
-                <th class="text-center py-2.5 px-3 font-medium text-gray-600">Years in retirement</th>
-                <th class="text-right py-2.5 px-3 font-medium text-gray-600">Corpus needed</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${estimate.estimates.map((e, i) => `
-                <tr class="${i < estimate.estimates.length - 1 ? 'border-b border-gray-100' : ''}">
-                  <td class="py-2.5 px-3 text-gray-700">Age ${e.age}</td>
-                  <td class="py-2.5 px-3 text-center text-gray-700">${e.yearsInRetirement} years</td>
-                  <td class="py-2.5 px-3 text-right font-semibold text-gray-900">${fmt(e.corpus)}</td>
-                </tr>
-              `).join('')}
-            </tbody>
-          </table>
-        </div>
-
-        <p class="text-xs text-gray-400 mt-3 text-center">These are today's values — inflation adjustment is handled separately by the app.</p>
-      </div>
-    `;
-  } else {
-    personalHtml = `
+  const personalHtml = estimate
+    ? `<div id="estimate-personal">${renderEstimateDetails(estimate)}</div>`
+    : `
       <div class="mt-5 bg-amber-50 border border-amber-200 rounded-lg p-4 flex items-start gap-3">
         <svg class="w-5 h-5 text-amber-500 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
@@ -418,7 +539,6 @@ export function showEstimateModal() {
         <p class="text-sm text-amber-800">Add your income and expenses in Cash Flow to see a personalized estimate.</p>
       </div>
     `;
-  }
 
   // Create modal overlay
   const overlay = document.createElement('div');
@@ -458,6 +578,29 @@ export function showEstimateModal() {
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) closeModal();
   });
+
+  // Re-render the estimate when withdrawal choices or the selected age change
+  const personal = overlay.querySelector('#estimate-personal');
+  if (!personal) return;
+  const rerender = () => {
+    personal.innerHTML = renderEstimateDetails(calculateRetirementEstimate());
+  };
+  personal.addEventListener('change', (e) => {
+    if (e.target.id === 'estimate-equity') {
+      decumulationChoices.equityAllocation = parseInt(e.target.value);
+    } else if (e.target.id === 'estimate-buckets') {
+      const useBuckets = e.target.value === 'buckets';
+      decumulationChoices.cashYears = useBuckets ? DECUMULATION_DEFAULTS.cashYears : 0;
+      decumulationChoices.incomeYears = useBuckets ? DECUMULATION_DEFAULTS.incomeYears : 0;
+    }
+    rerender();
+  });
+  personal.addEventListener('click', (e) => {
+    const row = e.target.closest('.estimate-age-row');
+    if (!row) return;
+    selectedEstimateAge = parseInt(row.dataset.age);
+    rerender();
+  });
 }
 
 export function showAllocationModal() {
@@ -485,7 +628,7 @@ export function showAllocationModal() {
     validLinks.forEach(la => {
       const asset = items.find(a => a.id === la.assetId);
       if (!asset) return;
-      assetLines.push({ name: asset.name, amount: la.amount });
+      assetLines.push({ name: asset.name, amount: la.amount, assetId: asset.id, locked: isLinkLocked(goal, la) });
     });
 
     // Add EPF/NPS corpus for retirement goals with includeEpfNps
@@ -500,26 +643,35 @@ export function showAllocationModal() {
       }
     }
 
+    const goalLock = renderLockButton('goal-lock-btn', goal.linksLocked, `data-goal-id="${goal.id}"`,
+      goal.linksLocked ? 'Unlock all links for this goal' : 'Lock all links for this goal');
+
     if (assetLines.length === 0) {
       return `
-        <div class="flex justify-between items-center py-2">
-          <span class="text-sm text-gray-700">${goal.name}</span>
-          <span class="text-xs text-gray-400 italic">No existing assets</span>
+        <div class="flex justify-between items-center gap-2 py-2">
+          <span class="text-sm text-gray-700 flex-1">${goal.name}</span>
+          <span class="text-xs text-gray-400 italic">${goal.linksLocked ? 'Kept free of assets' : 'No existing assets'}</span>
+          ${goalLock}
         </div>`;
     }
 
     const totalAmount = assetLines.reduce((s, a) => s + a.amount, 0);
     const detailLines = assetLines.map(a => `
-      <div class="flex justify-between text-xs text-gray-500">
-        <span>${a.name}</span>
+      <div class="flex justify-between items-center gap-2 text-xs text-gray-500">
+        <span class="flex-1">${a.name}</span>
         <span>${compact(a.amount)}</span>
+        ${a.assetId
+          ? renderLockButton('link-lock-btn', a.locked, `data-goal-id="${goal.id}" data-asset-id="${a.assetId}"`,
+            goal.linksLocked ? 'Unlock the goal to change this link' : (a.locked ? 'Unlock this link' : 'Lock this amount'), goal.linksLocked)
+          : '<span class="w-5 shrink-0"></span>'}
       </div>`).join('');
 
     return `
       <div class="py-2">
-        <div class="flex justify-between items-center">
-          <span class="text-sm text-gray-700">${goal.name}</span>
+        <div class="flex justify-between items-center gap-2">
+          <span class="text-sm text-gray-700 flex-1">${goal.name}</span>
           <span class="text-sm font-medium text-gray-800">${compact(totalAmount)}</span>
+          ${goalLock}
         </div>
         <div class="mt-1 space-y-0.5">${detailLines}</div>
       </div>`;
@@ -562,7 +714,7 @@ export function showAllocationModal() {
       </div>
 
       <div class="px-5 py-4 overflow-y-auto">
-        <p class="text-sm text-gray-500 mb-4">How your existing investments are being used towards your goals.</p>
+        <p class="text-sm text-gray-500 mb-4">How your existing investments are being used towards your goals. Locked links keep their amount when assets are auto-assigned; lock a goal to freeze all of its links.</p>
 
         <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">Assigned to goals</h4>
         <div class="divide-y divide-gray-100">
@@ -586,6 +738,39 @@ export function showAllocationModal() {
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) closeModal();
   });
+
+  // Lock toggles re-run auto-assign, then reopen the modal with the new links
+  const applyLockChange = (update) => {
+    update();
+    if (onDataChange) onDataChange();
+    closeModal();
+    showAllocationModal();
+  };
+  overlay.querySelectorAll('.goal-lock-btn').forEach(btn => {
+    btn.addEventListener('click', () => applyLockChange(() => {
+      const goal = appData.goals.find(g => g.id === btn.dataset.goalId);
+      setGoalLinksLocked(appData, btn.dataset.goalId, !goal?.linksLocked);
+    }));
+  });
+  overlay.querySelectorAll('.link-lock-btn').forEach(btn => {
+    btn.addEventListener('click', () => applyLockChange(() => {
+      setLinkLocked(appData, btn.dataset.goalId, btn.dataset.assetId, btn.dataset.locked !== 'true');
+    }));
+  });
+}
+
+/**
+ * Padlock toggle for the allocation modal
+ */
+function renderLockButton(className, locked, dataAttrs, title, disabled = false) {
+  const path = locked
+    ? 'M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z'
+    : 'M8 11V7a4 4 0 118 0m-4 8v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2z';
+  return `
+    <button type="button" class="${className} shrink-0 p-0.5 rounded ${locked ? 'text-amber-600' : 'text-gray-300 hover:text-gray-500'} ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}"
+      ${dataAttrs} data-locked="${Boolean(locked)}" title="${title}" ${disabled ? 'disabled' : ''}>
+      <svg class="w-4 h-4" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" d="${path}"/></svg>
+    </button>`;
 }
 
 function renderGoalsList() {
@@ -661,6 +846,7 @@ function renderGoalCard(goal) {
               ${getCategoryDisplay(category)}
             </span>
             ${isRetirement ? '<span class="inline-block px-2 py-0.5 text-xs font-medium rounded whitespace-nowrap bg-purple-100 text-purple-800">Retirement</span>' : ''}
+            <span class="inline-block px-2 py-0.5 text-xs font-medium rounded whitespace-nowrap ${PRIORITY_COLORS[getGoalPriority(goal)]}">${PRIORITY_LABELS[getGoalPriority(goal)]}</span>
           </div>
           <div class="text-sm text-gray-500 space-y-0.5">
             <div>Target: <span class="font-medium text-gray-700">${formatCompact(goal.targetAmount, currency)}</span> (today's value)</div>
@@ -0,0 +1,384 @@
+// Equity LTCG tax harvesting with lot-level holdings (Assets tab)
+import { updateAsset, generateId } from './storage.js';
+import { formatCurrency } from './currency.js';
+import { getTaxTreatment, withCess, EQUITY_LTCG_RATE, EQUITY_LTCG_EXEMPTION } from './tax.js';
+
+let appData = null;
+let currency = 'INR';
+
+export function initHarvest(data, curr) {
+  appData = data;
+  currency = curr;
+  renderHarvest();
+  setupEventListeners();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderHarvest();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderHarvest();
+}
+
+function parseDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Indian financial year (April-March) containing a date, e.g. '2025-26'
+ */
+export function getFinancialYear(date = new Date()) {
+  const d = parseDate(date);
+  const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Last day of the financial year containing a date (YYYY-MM-DD)
+ */
+export function getFinancialYearEnd(date = new Date()) {
+  return `${Number(getFinancialYear(date).slice(0, 4)) + 1}-03-31`;
+}
+
+/**
+ * Equity lots turn long-term once held for more than 12 months
+ */
+export function isLongTermLot(lot, asOf = new Date()) {
+  const bought = parseDate(lot.date);
+  const anniversary = new Date(bought.getFullYear() + 1, bought.getMonth(), bought.getDate());
+  return parseDate(asOf) > anniversary;
+}
+
+/**
+ * Assets whose gains are taxed as listed equity (STCG/LTCG)
+ */
+export function isHarvestable(asset) {
+  return getTaxTreatment(asset.category) === 'equity';
+}
+
+/**
+ * Lots oldest first, the order units are redeemed in (FIFO)
+ */
+export function sortLotsFifo(lots = []) {
+  return [...lots].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Unrealized gains of each lot at the current NAV, split short- and long-term
+ * @param {Array} lots - [{ id, date, units, price }] (price is cost per unit)
+ * @param {number} nav - Current price per unit
+ * @param {Date} asOf - Valuation date
+ * @returns {object} { shortTerm, longTerm, lots: [{ ...lot, value, gain, longTerm }] }
+ */
+export function getLotGains(lots, nav, asOf = new Date()) {
+  const rows = sortLotsFifo(lots).map(lot => {
+    const value = lot.units * nav;
+    return { ...lot, value, gain: value - lot.units * lot.price, longTerm: isLongTermLot(lot, asOf) };
+  });
+  return {
+    shortTerm: rows.filter(r => !r.longTerm).reduce((sum, r) => sum + r.gain, 0),
+    longTerm: rows.filter(r => r.longTerm).reduce((sum, r) => sum + r.gain, 0),
+    lots: rows
+  };
+}
+
+/**
+ * Long-term gains already booked through harvesting in a financial year
+ */
+export function getExemptionUsed(assets, financialYear) {
+  const booked = assets.reduce((sum, asset) =>
+    sum + (asset.harvests || []).filter(h => h.financialYear === financialYear).reduce((s, h) => s + h.gain, 0), 0);
+  return Math.max(0, booked);
+}
+
+/**
+ * Gain realised by redeeming `units` FIFO at `nav`
+ */
+export function getFifoGain(lots, units, nav) {
+  let left = units;
+  let gain = 0;
+  for (const lot of sortLotsFifo(lots)) {
+    if (left <= 0) break;
+    const sold = Math.min(lot.units, left);
+    gain += sold * (nav - lot.price);
+    left -= sold;
+  }
+  return gain;
+}
+
+// Stocks trade in whole shares; fund units go to three decimals
+function roundUnitsDown(units, category) {
+  const scale = category === 'Stocks' ? 1 : 1000;
+  return Math.floor(units * scale + 1e-9) / scale;
+}
+
+/**
+ * Units to sell and rebuy in each equity holding to book long-term gains up to the
+ * yearly exemption. Redemptions are FIFO, so selling stops before the first
+ * short-term lot to avoid STCG.
+ * @param {Array} assets - Asset items with lots and nav
+ * @param {Date} asOf - Sale date
+ * @param {number} exemption - Yearly LTCG exemption
+ * @returns {object} { financialYear, deadline, exemption, used, remaining, suggestions, totalGain, taxSaved }
+ */
+export function planHarvest(assets, asOf = new Date(), exemption = EQUITY_LTCG_EXEMPTION) {
+  const financialYear = getFinancialYear(asOf);
+  const used = getExemptionUsed(assets, financialYear);
+  let remaining = Math.max(0, exemption - used);
+  const suggestions = [];
+
+  assets.filter(a => isHarvestable(a) && a.nav > 0 && a.lots?.length).forEach(asset => {
+    if (remaining <= 0) return;
+
+    let units = 0;
+    let gain = 0;
+    for (const lot of sortLotsFifo(asset.lots)) {
+      if (!isLongTermLot(lot, asOf)) break;
+      const gainPerUnit = asset.nav - lot.price;
+      // Loss lots ahead in the queue have to go too; they free up more room
+      const take = gainPerUnit <= 0 ? lot.units : Math.min(lot.units, (remaining - gain) / gainPerUnit);
+      if (take <= 0) break;
+      units += take;
+      gain += take * gainPerUnit;
+      if (take < lot.units) break;
+    }
+
+    units = roundUnitsDown(units, asset.category);
+    gain = getFifoGain(asset.lots, units, asset.nav);
+    if (units <= 0 || gain <= 0) return;
+
+    suggestions.push({ assetId: asset.id, name: asset.name, units, value: units * asset.nav, gain });
+    remaining -= gain;
+  });
+
+  const totalGain = suggestions.reduce((sum, s) => sum + s.gain, 0);
+  return {
+    financialYear,
+    deadline: getFinancialYearEnd(asOf),
+    exemption,
+    used,
+    remaining: Math.max(0, remaining),
+    suggestions,
+    totalGain,
+    taxSaved: totalGain * withCess(EQUITY_LTCG_RATE) / 100
+  };
+}
+
+/**
+ * Sell `units` FIFO and buy them back the same day at `nav`, stepping up their cost
+ * @returns {object} { lots, gain } - New lots (sold units become one lot at nav) and the gain booked
+ */
+export function harvestLots(lots, units, nav, date = new Date()) {
+  let left = units;
+  let gain = 0;
+  const kept = [];
+
+  sortLotsFifo(lots).forEach(lot => {
+    const sold = Math.min(lot.units, Math.max(0, left));
+    left -= sold;
+    gain += sold * (nav - lot.price);
+    // Round away float noise from fractional fund units
+    const unitsLeft = Math.round((lot.units - sold) * 1e6) / 1e6;
+    if (unitsLeft > 0) kept.push({ ...lot, units: unitsLeft });
+  });
+
+  const rebought = units - Math.max(0, left);
+  if (rebought > 0) kept.push({ id: generateId(), date: toDateString(parseDate(date)), units: rebought, price: nav });
+  return { lots: kept, gain };
+}
+
+/**
+ * Validate a lot before adding it
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateLot(lot, today = new Date()) {
+  if (!lot.date || !/^\d{4}-\d{2}-\d{2}$/.test(lot.date)) {
+    return { valid: false, error: 'Enter the purchase date' };
+  }
+  if (parseDate(lot.date) > parseDate(today)) {
+    return { valid: false, error: 'Purchase date cannot be in the future' };
+  }
+  if (!(lot.units > 0)) {
+    return { valid: false, error: 'Units must be more than zero' };
+  }
+  if (!(lot.price > 0)) {
+    return { valid: false, error: 'Purchase price must be more than zero' };
+  }
+  return { valid: true };
+}
+
+function setupEventListeners() {
+  const container = document.getElementById('tax-harvest');
+  if (!container) return;
+
+  container.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('harvest-nav-input')) return;
+    const nav = parseFloat(e.target.value);
+    if (!(nav > 0)) {
+      renderHarvest();
+      return;
+    }
+    updateAsset(appData, e.target.dataset.assetId, { nav });
+    renderHarvest();
+  });
+
+  container.addEventListener('click', (e) => {
+    const addBtn = e.target.closest('.add-lot-btn');
+    if (addBtn) addLot(addBtn.dataset.assetId);
+
+    const deleteBtn = e.target.closest('.delete-lot-btn');
+    if (deleteBtn) {
+      const asset = findAsset(deleteBtn.dataset.assetId);
+      updateAsset(appData, asset.id, { lots: asset.lots.filter(l => l.id !== deleteBtn.dataset.lotId) });
+      renderHarvest();
+    }
+
+    const harvestBtn = e.target.closest('.apply-harvest-btn');
+    if (harvestBtn) applyHarvest(harvestBtn.dataset.assetId, parseFloat(harvestBtn.dataset.units));
+  });
+}
+
+function findAsset(id) {
+  return appData.assets.items.find(a => a.id === id);
+}
+
+function addLot(assetId) {
+  const form = document.querySelector(`.add-lot-form[data-asset-id="${assetId}"]`);
+  const lot = {
+    date: form.querySelector('.lot-date').value,
+    units: parseFloat(form.querySelector('.lot-units').value),
+    price: parseFloat(form.querySelector('.lot-price').value)
+  };
+  const validation = validateLot(lot);
+  if (!validation.valid) {
+    alert(validation.error);
+    return;
+  }
+  const asset = findAsset(assetId);
+  updateAsset(appData, assetId, { lots: [...(asset.lots || []), { id: generateId(), ...lot }] });
+  renderHarvest();
+}
+
+function applyHarvest(assetId, units) {
+  const asset = findAsset(assetId);
+  if (!confirm(`Mark ${units} units of ${asset.name} as sold and bought back today?`)) return;
+
+  const today = new Date();
+  const { lots, gain } = harvestLots(asset.lots, units, asset.nav, today);
+  const harvest = { date: toDateString(today), financialYear: getFinancialYear(today), units, gain };
+  updateAsset(appData, assetId, { lots, harvests: [...(asset.harvests || []), harvest] });
+  renderHarvest();
+}
+
+function renderHarvest() {
+  const container = document.getElementById('tax-harvest');
+  if (!container) return;
+
+  const assets = appData.assets.items.filter(isHarvestable);
+  if (assets.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 text-sm italic">Add equity mutual funds or stocks to plan LTCG harvesting</p>';
+    return;
+  }
+
+  const today = new Date();
+  const plan = planHarvest(assets, today);
+  const daysLeft = Math.round((parseDate(plan.deadline) - parseDate(today)) / 86400000);
+
+  const summary = `
+    <div class="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600 mb-3">
+      <span>FY ${plan.financialYear} exemption: <strong>${formatCurrency(plan.exemption, currency)}</strong></span>
+      <span>Booked: <strong>${formatCurrency(Math.round(plan.used), currency)}</strong></span>
+      <span>Left: <strong>${formatCurrency(Math.round(Math.max(0, plan.exemption - plan.used)), currency)}</strong></span>
+      <span>Deadline: <strong>31 Mar ${plan.deadline.slice(0, 4)}</strong> (${daysLeft} day${daysLeft !== 1 ? 's' : ''})</span>
+    </div>
+  `;
+
+  const suggestions = plan.suggestions.length === 0
+    ? '<p class="text-sm text-gray-500">Nothing to harvest right now. Add lots and current NAVs, or the exemption is already used.</p>'
+    : `
+      <p class="text-sm text-emerald-700 mb-2">Sell and buy back these units before 31 March to book ${formatCurrency(Math.round(plan.totalGain), currency)} of gains tax-free, saving about ${formatCurrency(Math.round(plan.taxSaved), currency)} of future tax.</p>
+      <div class="space-y-1">
+        ${plan.suggestions.map(s => `
+          <div class="flex flex-wrap items-center justify-between gap-2 py-2 border-b border-gray-100">
+            <div class="text-sm">
+              <span class="text-gray-800">${s.name}</span>
+              <span class="text-gray-500">· ${s.units} units (${formatCurrency(Math.round(s.value), currency)}) · gain ${formatCurrency(Math.round(s.gain), currency)}</span>
+            </div>
+            <button class="apply-harvest-btn text-xs px-2 py-1 bg-emerald-100 text-emerald-700 rounded hover:bg-emerald-200" data-asset-id="${s.assetId}" data-units="${s.units}">Done</button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+  container.innerHTML = `
+    ${summary}
+    ${suggestions}
+    <div class="mt-4 space-y-2">
+      ${assets.map(asset => renderHoldingLots(asset, today)).join('')}
+    </div>
+    <p class="text-xs text-gray-400 mt-3">Units are redeemed oldest first, so selling stops before lots held 12 months or less. Cost is what you paid per unit; harvested units restart at the day's NAV.</p>
+  `;
+}
+
+function renderHoldingLots(asset, today) {
+  const gains = asset.nav > 0 ? getLotGains(asset.lots || [], asset.nav, today) : null;
+  const lotRows = (gains?.lots || sortLotsFifo(asset.lots)).map(lot => `
+    <tr class="border-b border-gray-100">
+      <td class="py-1.5 pr-3 text-gray-700 whitespace-nowrap">${lot.date}</td>
+      <td class="py-1.5 px-3 text-right">${lot.units}</td>
+      <td class="py-1.5 px-3 text-right whitespace-nowrap">${formatCurrency(lot.price, currency)}</td>
+      <td class="py-1.5 px-3 text-right whitespace-nowrap ${lot.gain < 0 ? 'text-red-600' : 'text-emerald-600'}">${gains ? formatCurrency(Math.round(lot.gain), currency) : '-'}</td>
+      <td class="py-1.5 px-3 text-gray-500">${isLongTermLot(lot, today) ? 'Long' : 'Short'}</td>
+      <td class="py-1.5 pl-3 text-right">
+        <button class="delete-lot-btn text-xs text-gray-400 hover:text-red-600" data-asset-id="${asset.id}" data-lot-id="${lot.id}">Remove</button>
+      </td>
+    </tr>
+  `).join('');
+
+  return `
+    <details class="border rounded-lg p-3">
+      <summary class="cursor-pointer text-sm text-gray-800">
+        ${asset.name}
+        <span class="text-xs text-gray-500">${(asset.lots || []).length} lot${(asset.lots || []).length !== 1 ? 's' : ''}${gains ? ` · unrealized LTCG ${formatCurrency(Math.round(gains.longTerm), currency)} · STCG ${formatCurrency(Math.round(gains.shortTerm), currency)}` : ''}</span>
+      </summary>
+      <div class="mt-2">
+        <label class="flex items-center gap-2 text-sm text-gray-600 mb-2">
+          Current NAV / price
+          <input type="number" class="harvest-nav-input w-28 px-2 py-1 border rounded text-sm" data-asset-id="${asset.id}" value="${asset.nav || ''}" min="0" step="0.01">
+        </label>
+        ${lotRows ? `
+          <div class="overflow-x-auto">
+            <table class="w-full text-sm">
+              <thead>
+                <tr class="border-b border-gray-200 text-gray-500">
+                  <th class="text-left py-1.5 pr-3 font-medium">Bought</th>
+                  <th class="text-right py-1.5 px-3 font-medium">Units</th>
+                  <th class="text-right py-1.5 px-3 font-medium">Cost/unit</th>
+                  <th class="text-right py-1.5 px-3 font-medium">Gain</th>
+                  <th class="text-left py-1.5 px-3 font-medium">Term</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>${lotRows}</tbody>
+            </table>
+          </div>
+        ` : ''}
+        <div class="add-lot-form flex flex-wrap items-end gap-2 mt-2" data-asset-id="${asset.id}">
+          <input type="date" class="lot-date px-2 py-1 border rounded text-sm">
+          <input type="number" class="lot-units w-24 px-2 py-1 border rounded text-sm" placeholder="Units" min="0" step="0.001">
+          <input type="number" class="lot-price w-28 px-2 py-1 border rounded text-sm" placeholder="Cost/unit" min="0" step="0.01">
+          <button class="add-lot-btn text-sm px-3 py-1 bg-emerald-100 text-emerald-700 rounded hover:bg-emerald-200" data-asset-id="${asset.id}">+ Add lot</button>
+        </div>
+      </div>
+    </details>
+  `;
+}
@@ -0,0 +1,303 @@
+// Undo/redo history of saved changes, kept for the browser session
+import { saveData, setSaveListener, isEncryptionEnabled, getActiveProfile, DEFAULT_PROFILE_ID } from './storage.js';
+
+const HISTORY_KEY = 'financial-planner-history';
+
+// Each profile keeps its own history (the default profile uses the original key)
+function getHistoryKey() {
+  const { id } = getActiveProfile();
+  return id === DEFAULT_PROFILE_ID ? HISTORY_KEY : `${HISTORY_KEY}:${id}`;
+}
+
+export const HISTORY_LIMIT = 50;
+
+// Slider drags save on every step; settings changes this close together undo as one
+export const MERGE_WINDOW_MS = 1000;
+
+const SECTION_LABELS = {
+  settings: 'settings',
+  cashflow: 'cash flow',
+  assets: 'assets',
+  liabilities: 'liabilities',
+  goals: 'goals',
+  snapshots: 'net-worth history',
+  transactions: 'investment ledger',
+  scenarios: 'scenarios'
+};
+
+let getAppData = null;
+let onDataChange = null;
+let undoStack = [];
+let redoStack = [];
+let savedSections = {}; // JSON per section as of the last recorded save
+let openEntry = null; // Collects every save made by the current task
+let paused = false;
+
+/**
+ * Serialize each top-level section of the data
+ * @param {object} data - App data
+ * @returns {object} JSON string per section (schemaVersion left out)
+ */
+export function getSections(data) {
+  const sections = {};
+  Object.keys(data || {}).forEach(key => {
+    if (key !== 'schemaVersion' && data[key] !== undefined) sections[key] = JSON.stringify(data[key]);
+  });
+  return sections;
+}
+
+/**
+ * Sections that differ between two serialized states
+ * @returns {object} { [section]: { before, after } } - null where the section is missing
+ */
+export function diffSections(previous, next) {
+  const changes = {};
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(key => {
+    const before = previous[key] ?? null;
+    const after = next[key] ?? null;
+    if (before !== after) changes[key] = { before, after };
+  });
+  return changes;
+}
+
+/**
+ * Combine two consecutive changes into one (older first)
+ */
+export function mergeChanges(older, newer) {
+  const merged = { ...older };
+  Object.entries(newer).forEach(([key, change]) => {
+    merged[key] = { before: older[key] ? older[key].before : change.before, after: change.after };
+    if (merged[key].before === merged[key].after) delete merged[key];
+  });
+  return merged;
+}
+
+/**
+ * Put one side of a change back into the data (mutated in place)
+ * @param {object} data - App data
+ * @param {object} changes - From diffSections
+ * @param {string} side - 'before' to undo, 'after' to redo
+ */
+export function applyChanges(data, changes, side) {
+  Object.entries(changes).forEach(([key, change]) => {
+    if (change[side] === null) delete data[key];
+    else data[key] = JSON.parse(change[side]);
+  });
+  return data;
+}
+
+/**
+ * Readable list of the sections a change touches, e.g. 'goals and assets'
+ */
+export function describeChanges(changes) {
+  const labels = Object.keys(changes).map(key => SECTION_LABELS[key] || key);
+  if (labels.length <= 1) return labels.join('');
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Short hash of a serialized state, so saved history is only reused on the data it belongs to
+ */
+export function getFingerprint(sections) {
+  let hash = 2166136261; // FNV-1a
+  Object.keys(sections).sort().forEach(key => {
+    const text = `${key}:${sections[key]};`;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+  });
+  return (hash >>> 0).toString(16);
+}
+
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Start recording saves and wire the Undo/Redo buttons.
+ * History saved earlier in this browser session is picked up again if
+ * it ends at the data that was just loaded (not kept for encrypted data).
+ * @param {function} getData - Returns the live app data
+ * @param {function} onChange - Called after an undo or redo changes the data
+ */
+export function initHistory(getData, onChange) {
+  getAppData = getData;
+  onDataChange = onChange;
+  savedSections = getSections(getData());
+  undoStack = [];
+  redoStack = [];
+  openEntry = null;
+  restoreHistory();
+  setSaveListener(recordSave);
+
+  document.getElementById('undo-btn')?.addEventListener('click', undo);
+  document.getElementById('redo-btn')?.addEventListener('click', redo);
+  renderButtons();
+}
+
+/**
+ * Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), left to the browser while typing in a field
+ */
+export function handleHistoryKeydown(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+  if (isTextField(e.target)) return;
+  e.preventDefault();
+  if (e.shiftKey) redo();
+  else undo();
+}
+
+function isTextField(el) {
+  if (!el || !el.tagName) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'submit'].includes(el.type);
+}
+
+/**
+ * Record a change made in another tab (storage event) as its own step,
+ * so later undos start from the data as it is now
+ */
+export function recordExternalChange(data) {
+  openEntry = null;
+  recordSave(data, false);
+  openEntry = null;
+}
+
+function recordSave(data, canMerge = true) {
+  if (paused) return;
+  const next = getSections(data);
+  const changes = diffSections(savedSections, next);
+  savedSections = next;
+  if (Object.keys(changes).length === 0) return;
+
+  const now = Date.now();
+  const last = undoStack[undoStack.length - 1];
+  const settingsOnly = c => Object.keys(c).length === 1 && c.settings;
+  const startsTask = !openEntry;
+
+  if (openEntry) {
+    openEntry.changes = mergeChanges(openEntry.changes, changes);
+  } else if (canMerge && last && redoStack.length === 0 && settingsOnly(last.changes) && settingsOnly(changes) && now - last.time < MERGE_WINDOW_MS) {
+    last.changes = mergeChanges(last.changes, changes);
+    openEntry = last;
+  } else {
+    openEntry = { changes, time: now };
+    undoStack.push(openEntry);
+  }
+  openEntry.time = now;
+  if (startsTask) setTimeout(() => { openEntry = null; }, 0);
+
+  // A merge can cancel itself out (e.g. a slider dragged back to where it was)
+  if (Object.keys(openEntry.changes).length === 0) {
+    undoStack = undoStack.filter(entry => entry !== openEntry);
+    openEntry = null;
+  }
+  if (undoStack.length > HISTORY_LIMIT) undoStack = undoStack.slice(-HISTORY_LIMIT);
+  redoStack = [];
+  persistHistory();
+  renderButtons();
+}
+
+/**
+ * Revert the latest recorded change
+ * @returns {boolean} False if there was nothing to undo
+ */
+export function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return false;
+  openEntry = null;
+  applyEntry(entry, 'before');
+  redoStack.push(entry);
+  persistHistory();
+  renderButtons();
+  return true;
+}
+
+/**
+ * Re-apply the latest undone change
+ * @returns {boolean} False if there was nothing to redo
+ */
+export function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return false;
+  openEntry = null;
+  applyEntry(entry, 'after');
+  undoStack.push(entry);
+  persistHistory();
+  renderButtons();
+  return true;
+}
+
+// Saves made while applying an entry (and while the app re-renders) are not new history
+function applyEntry(entry, side) {
+  const data = getAppData();
+  paused = true;
+  try {
+    applyChanges(data, entry.changes, side);
+    saveData(data);
+    if (onDataChange) onDataChange();
+  } finally {
+    paused = false;
+  }
+  savedSections = getSections(getAppData());
+}
+
+/**
+ * Drop the copy of the history kept in session storage (steps in memory stay)
+ */
+export function clearSessionHistory() {
+  sessionStorage.removeItem(getHistoryKey());
+}
+
+function persistHistory() {
+  // Session storage is plain text; encrypted plans keep their history in memory only
+  if (isEncryptionEnabled()) {
+    clearSessionHistory();
+    return;
+  }
+  const state = JSON.stringify({ fingerprint: getFingerprint(savedSections), undo: undoStack, redo: redoStack });
+  try {
+    sessionStorage.setItem(getHistoryKey(), state);
+  } catch (e) {
+    // Over the session quota: keep the newest steps that fit
+    undoStack = undoStack.slice(-Math.floor(undoStack.length / 2));
+    redoStack = [];
+    try {
+      sessionStorage.setItem(getHistoryKey(), JSON.stringify({ fingerprint: getFingerprint(savedSections), undo: undoStack, redo: redoStack }));
+    } catch (err) {
+      sessionStorage.removeItem(getHistoryKey());
+    }
+  }
+}
+
+function restoreHistory() {
+  if (isEncryptionEnabled()) return;
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(getHistoryKey()));
+    if (stored && stored.fingerprint === getFingerprint(savedSections)) {
+      undoStack = Array.isArray(stored.undo) ? stored.undo : [];
+      redoStack = Array.isArray(stored.redo) ? stored.redo : [];
+    }
+  } catch (e) {
+    console.error('Error loading undo history:', e);
+  }
+}
+
+function renderButtons() {
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  if (undoBtn) {
+    const entry = undoStack[undoStack.length - 1];
+    undoBtn.disabled = !entry;
+    undoBtn.title = entry ? `Undo change to ${describeChanges(entry.changes)} (Ctrl+Z)` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    const entry = redoStack[redoStack.length - 1];
+    redoBtn.disabled = !entry;
+    redoBtn.title = entry ? `Redo change to ${describeChanges(entry.changes)} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+}
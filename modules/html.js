@@ -0,0 +1,10 @@
+// Helpers for putting user and imported-file text into innerHTML templates
+
+/**
+ * Escape text so it renders as text inside element content or a quoted attribute
+ * @param {*} text - Value to show; non-strings are converted with String()
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
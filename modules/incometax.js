@@ -0,0 +1,452 @@
+// Salary income tax under the old and new regimes (Cash Flow tab)
+import { addIncome, updateIncome } from './storage.js';
+import { formatCurrency, getSymbol } from './currency.js';
+import { CESS_RATE } from './tax.js';
+import { DEFAULT_INCOME_GROWTH } from './cashflow.js';
+
+// Slab rates by financial year; `upTo` is the top of each slab (taxable income)
+const OLD_REGIME = {
+  standardDeduction: 50000,
+  slabs: [
+    { upTo: 250000, rate: 0 },
+    { upTo: 500000, rate: 5 },
+    { upTo: 1000000, rate: 20 },
+    { upTo: Infinity, rate: 30 }
+  ],
+  rebateLimit: 500000,        // Section 87A
+  maxRebate: 12500,
+  rebateMarginalRelief: false,
+  maxSurcharge: 37
+};
+
+export const FINANCIAL_YEARS = {
+  '2025-26': {
+    old: OLD_REGIME,
+    new: {
+      standardDeduction: 75000,
+      slabs: [
+        { upTo: 400000, rate: 0 },
+        { upTo: 800000, rate: 5 },
+        { upTo: 1200000, rate: 10 },
+        { upTo: 1600000, rate: 15 },
+        { upTo: 2000000, rate: 20 },
+        { upTo: 2400000, rate: 25 },
+        { upTo: Infinity, rate: 30 }
+      ],
+      rebateLimit: 1200000,
+      maxRebate: 60000,
+      rebateMarginalRelief: true,
+      maxSurcharge: 25
+    }
+  },
+  '2024-25': {
+    old: OLD_REGIME,
+    new: {
+      standardDeduction: 75000,
+      slabs: [
+        { upTo: 300000, rate: 0 },
+        { upTo: 700000, rate: 5 },
+        { upTo: 1000000, rate: 10 },
+        { upTo: 1200000, rate: 15 },
+        { upTo: 1500000, rate: 20 },
+        { upTo: Infinity, rate: 30 }
+      ],
+      rebateLimit: 700000,
+      maxRebate: 25000,
+      rebateMarginalRelief: true,
+      maxSurcharge: 25
+    }
+  }
+};
+
+export const DEFAULT_FINANCIAL_YEAR = '2025-26';
+
+// Old regime deduction caps (taxpayer below 60)
+export const DEDUCTION_LIMITS = {
+  section80C: 150000,
+  section80D: 25000,
+  section80DSenior: 50000,    // Premiums for parents aged 60+
+  section80CCD1B: 50000,
+  section24b: 200000          // Self-occupied home loan interest
+};
+
+// Surcharge on tax for income above each threshold (capped per regime)
+const SURCHARGE_BANDS = [
+  { above: 5000000, rate: 10 },
+  { above: 10000000, rate: 15 },
+  { above: 20000000, rate: 25 },
+  { above: 50000000, rate: 37 }
+];
+
+// Annual amounts on income.salary
+const SALARY_FIELDS = ['basic', 'hra', 'otherAllowances', 'rentPaid', 'ppf', 'elss', 'healthPremiumSelf', 'healthPremiumParents', 'homeLoanInterest'];
+
+let appData = null;
+let currency = 'INR';
+let onDataChange = null;
+let selectedIncomeId = null;
+
+export function initIncomeTax(data, curr, onChange) {
+  appData = data;
+  currency = curr;
+  onDataChange = onChange;
+  renderIncomeTax();
+  setupEventListeners();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderIncomeTax();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderIncomeTax();
+}
+
+/**
+ * Tax on taxable income from slab rates, before rebate, surcharge and cess
+ */
+export function calculateSlabTax(taxableIncome, slabs) {
+  let tax = 0;
+  let lower = 0;
+  for (const { upTo, rate } of slabs) {
+    if (taxableIncome <= lower) break;
+    tax += (Math.min(taxableIncome, upTo) - lower) * rate / 100;
+    lower = upTo;
+  }
+  return tax;
+}
+
+/**
+ * Exempt part of HRA: the least of HRA received, rent over 10% of basic,
+ * and 50% of basic in a metro (40% elsewhere). All amounts annual.
+ */
+export function calculateHraExemption({ basic = 0, hra = 0, rentPaid = 0, metroCity = false }) {
+  return Math.max(0, Math.min(hra, rentPaid - basic * 0.1, basic * (metroCity ? 0.5 : 0.4)));
+}
+
+/**
+ * Gross annual salary from its components
+ */
+export function getGrossSalary(salary) {
+  return (salary.basic || 0) + (salary.hra || 0) + (salary.otherAllowances || 0);
+}
+
+/**
+ * Deductions allowed under a regime. The new regime only allows the standard deduction.
+ * @param {object} salary - Annual salary components and investments (income.salary)
+ * @param {number} epfAnnual - Employee EPF contribution for the year (counts toward 80C)
+ * @param {number} npsAnnual - Own NPS contribution for the year (80CCD(1B))
+ * @param {object} rules - Regime rules from FINANCIAL_YEARS
+ * @param {string} regime - 'old' or 'new'
+ * @returns {object} Each deduction and their total
+ */
+export function getRegimeDeductions(salary, epfAnnual, npsAnnual, rules, regime) {
+  const standardDeduction = Math.min(rules.standardDeduction, getGrossSalary(salary));
+  if (regime === 'new') {
+    return { standardDeduction, total: standardDeduction };
+  }
+
+  const deductions = {
+    standardDeduction,
+    hra: calculateHraExemption(salary),
+    section80C: Math.min(DEDUCTION_LIMITS.section80C, epfAnnual + (salary.ppf || 0) + (salary.elss || 0)),
+    section80D: Math.min(DEDUCTION_LIMITS.section80D, salary.healthPremiumSelf || 0) +
+      Math.min(salary.parentsSenior ? DEDUCTION_LIMITS.section80DSenior : DEDUCTION_LIMITS.section80D, salary.healthPremiumParents || 0),
+    section80CCD1B: Math.min(DEDUCTION_LIMITS.section80CCD1B, npsAnnual),
+    section24b: Math.min(DEDUCTION_LIMITS.section24b, salary.homeLoanInterest || 0)
+  };
+  deductions.total = Object.values(deductions).reduce((sum, amount) => sum + amount, 0);
+  return deductions;
+}
+
+/**
+ * Tax payable on taxable income under one regime.
+ * Applies the 87A rebate (with marginal relief where the regime allows it),
+ * surcharge with marginal relief, then cess.
+ * @returns {object} { slabTax, rebate, surcharge, cess, total }
+ */
+export function calculateRegimeTax(taxableIncome, rules) {
+  const slabTax = calculateSlabTax(taxableIncome, rules.slabs);
+
+  let rebate = 0;
+  if (taxableIncome <= rules.rebateLimit) {
+    rebate = Math.min(slabTax, rules.maxRebate);
+  } else if (rules.rebateMarginalRelief) {
+    // Tax can't exceed the income earned above the rebate limit
+    rebate = Math.max(0, slabTax - (taxableIncome - rules.rebateLimit));
+  }
+  const tax = slabTax - rebate;
+
+  let surcharge = 0;
+  const bandIndex = SURCHARGE_BANDS.findLastIndex(band => taxableIncome > band.above);
+  if (bandIndex >= 0) {
+    const band = SURCHARGE_BANDS[bandIndex];
+    const rate = Math.min(band.rate, rules.maxSurcharge);
+    const previousRate = bandIndex > 0 ? Math.min(SURCHARGE_BANDS[bandIndex - 1].rate, rules.maxSurcharge) : 0;
+    // Marginal relief: tax plus surcharge can't grow faster than income past the threshold
+    const taxAtThreshold = calculateSlabTax(band.above, rules.slabs) * (1 + previousRate / 100);
+    surcharge = Math.max(0, Math.min(tax * rate / 100, taxAtThreshold + (taxableIncome - band.above) - tax));
+  }
+
+  const cess = (tax + surcharge) * CESS_RATE / 100;
+  return { slabTax, rebate, surcharge, cess, total: tax + surcharge + cess };
+}
+
+/**
+ * Monthly take-home pay after income tax and the EPF/NPS deducted from salary
+ */
+export function getMonthlyInHand(grossAnnual, taxAnnual, epfMonthly = 0, npsMonthly = 0) {
+  return Math.max(0, (grossAnnual - taxAnnual) / 12 - epfMonthly - npsMonthly);
+}
+
+/**
+ * Income tax under both regimes for a salary, with the cheaper one recommended
+ * (the new regime wins ties, being the default).
+ * @param {object} salary - Annual components and investments (income.salary)
+ * @param {number} epfMonthly - Employee EPF contribution per month
+ * @param {number} npsMonthly - Own NPS contribution per month
+ * @returns {object} { financialYear, gross, old, new, recommended, savings } where each
+ *   regime has { deductions, taxableIncome, tax, monthlyInHand }
+ */
+export function estimateIncomeTax(salary, epfMonthly = 0, npsMonthly = 0) {
+  const financialYear = FINANCIAL_YEARS[salary.financialYear] ? salary.financialYear : DEFAULT_FINANCIAL_YEAR;
+  const gross = getGrossSalary(salary);
+
+  const [oldRegime, newRegime] = ['old', 'new'].map(regime => {
+    const rules = FINANCIAL_YEARS[financialYear][regime];
+    const deductions = getRegimeDeductions(salary, epfMonthly * 12, npsMonthly * 12, rules, regime);
+    const taxableIncome = Math.max(0, gross - deductions.total);
+    const tax = calculateRegimeTax(taxableIncome, rules);
+    return { deductions, taxableIncome, tax, monthlyInHand: getMonthlyInHand(gross, tax.total, epfMonthly, npsMonthly) };
+  });
+
+  const recommended = oldRegime.tax.total < newRegime.tax.total ? 'old' : 'new';
+  return {
+    financialYear,
+    gross,
+    old: oldRegime,
+    new: newRegime,
+    recommended,
+    savings: Math.abs(oldRegime.tax.total - newRegime.tax.total)
+  };
+}
+
+/**
+ * Validate salary inputs for the estimator
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateSalary(salary) {
+  if (!salary || !FINANCIAL_YEARS[salary.financialYear]) {
+    return { valid: false, error: 'Choose a financial year' };
+  }
+  if (SALARY_FIELDS.some(field => (salary[field] || 0) < 0)) {
+    return { valid: false, error: 'Amounts cannot be negative' };
+  }
+  if (!(salary.basic > 0)) {
+    return { valid: false, error: 'Enter your annual basic salary' };
+  }
+  return { valid: true };
+}
+
+function setupEventListeners() {
+  const container = document.getElementById('income-tax-estimator');
+  if (!container) return;
+
+  container.addEventListener('change', (e) => {
+    if (e.target.id === 'tax-income-source') {
+      selectedIncomeId = e.target.value || null;
+      renderIncomeTax();
+    } else {
+      renderResults();
+    }
+  });
+  container.addEventListener('input', (e) => {
+    if (e.target.type === 'number') renderResults();
+  });
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('.apply-regime-btn');
+    if (btn) applyInHand(btn.dataset.regime);
+  });
+}
+
+function getSelectedIncome() {
+  return appData.cashflow.income.find(i => i.id === selectedIncomeId) || null;
+}
+
+function readInputs() {
+  const container = document.getElementById('income-tax-estimator');
+  const value = (field) => parseFloat(container.querySelector(`[data-field="${field}"]`)?.value) || 0;
+  const salary = { financialYear: container.querySelector('#tax-financial-year').value };
+  SALARY_FIELDS.forEach(field => { salary[field] = value(field); });
+  salary.metroCity = container.querySelector('[data-field="metroCity"]').checked;
+  salary.parentsSenior = container.querySelector('[data-field="parentsSenior"]').checked;
+  return { salary, epf: value('epf'), nps: value('nps') };
+}
+
+function applyInHand(regime) {
+  const { salary, epf, nps } = readInputs();
+  const validation = validateSalary(salary);
+  if (!validation.valid) {
+    alert(validation.error);
+    return;
+  }
+
+  const amount = Math.round(estimateIncomeTax(salary, epf, nps)[regime].monthlyInHand);
+  const income = getSelectedIncome();
+  if (income) {
+    updateIncome(appData, income.id, { amount, epf, nps, salary });
+  } else {
+    const added = { name: 'Salary', amount, epf, nps, growthRate: DEFAULT_INCOME_GROWTH, salary };
+    addIncome(appData, added);
+    selectedIncomeId = added.id;
+  }
+  if (onDataChange) onDataChange();
+}
+
+function renderIncomeTax() {
+  const container = document.getElementById('income-tax-estimator');
+  if (!container) return;
+
+  if (selectedIncomeId && !getSelectedIncome()) selectedIncomeId = null;
+  if (!selectedIncomeId) {
+    // Start from the income that already has a salary breakdown, else the first one
+    const incomes = appData.cashflow.income;
+    selectedIncomeId = (incomes.find(i => i.salary) || incomes[0])?.id ?? null;
+  }
+
+  const income = getSelectedIncome();
+  const salary = income?.salary || {};
+  const financialYear = salary.financialYear || DEFAULT_FINANCIAL_YEAR;
+  const symbol = getSymbol(currency);
+
+  const amountInput = (field, label) => `
+    <label class="block">
+      <span class="text-xs text-gray-500">${label}</span>
+      <div class="relative">
+        <span class="absolute left-2 top-1.5 text-gray-500 text-sm">${symbol}</span>
+        <input type="number" data-field="${field}" value="${salary[field] || 0}" min="0" step="1000"
+          class="w-full pl-6 pr-2 py-1 border rounded text-sm">
+      </div>
+    </label>
+  `;
+  const monthlyInput = (field, label) => `
+    <label class="block">
+      <span class="text-xs text-gray-500">${label}</span>
+      <div class="relative">
+        <span class="absolute left-2 top-1.5 text-gray-500 text-sm">${symbol}</span>
+        <input type="number" data-field="${field}" value="${income?.[field] || 0}" min="0" step="100"
+          class="w-full pl-6 pr-2 py-1 border rounded text-sm">
+      </div>
+    </label>
+  `;
+
+  container.innerHTML = `
+    <div class="flex flex-wrap items-center gap-3 mb-3">
+      <label class="flex items-center gap-2 text-sm text-gray-600">
+        Income
+        <select id="tax-income-source" class="px-2 py-1 border rounded text-sm">
+          ${appData.cashflow.income.map(i => `<option value="${i.id}" ${i.id === selectedIncomeId ? 'selected' : ''}>${i.name}</option>`).join('')}
+          <option value="" ${!income ? 'selected' : ''}>New salary</option>
+        </select>
+      </label>
+      <label class="flex items-center gap-2 text-sm text-gray-600">
+        Financial year
+        <select id="tax-financial-year" class="px-2 py-1 border rounded text-sm">
+          ${Object.keys(FINANCIAL_YEARS).map(fy => `<option value="${fy}" ${fy === financialYear ? 'selected' : ''}>FY ${fy}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+
+    <p class="text-xs font-semibold text-gray-700 mb-1">Annual salary</p>
+    <div class="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-3">
+      ${amountInput('basic', 'Basic + DA')}
+      ${amountInput('hra', 'HRA received')}
+      ${amountInput('otherAllowances', 'Other allowances & bonus')}
+      ${monthlyInput('epf', 'EPF (monthly)')}
+      ${monthlyInput('nps', 'NPS (monthly)')}
+    </div>
+
+    <details class="mb-3">
+      <summary class="cursor-pointer text-xs text-blue-600 hover:text-blue-800">Deductions (old regime)</summary>
+      <div class="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-2">
+        ${amountInput('rentPaid', 'Rent paid (yearly)')}
+        ${amountInput('ppf', 'PPF (80C)')}
+        ${amountInput('elss', 'ELSS (80C)')}
+        ${amountInput('healthPremiumSelf', 'Health premium, family (80D)')}
+        ${amountInput('healthPremiumParents', 'Health premium, parents (80D)')}
+        ${amountInput('homeLoanInterest', 'Home loan interest (24b)')}
+      </div>
+      <div class="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+        <label class="flex items-center gap-1.5 text-sm text-gray-600">
+          <input type="checkbox" data-field="metroCity" ${salary.metroCity ? 'checked' : ''}> Rent in a metro city
+        </label>
+        <label class="flex items-center gap-1.5 text-sm text-gray-600">
+          <input type="checkbox" data-field="parentsSenior" ${salary.parentsSenior ? 'checked' : ''}> Parents are 60+
+        </label>
+      </div>
+      <p class="text-xs text-gray-400 mt-2">EPF counts toward 80C with PPF and ELSS (capped at ${formatCurrency(DEDUCTION_LIMITS.section80C, currency)}). NPS counts toward 80CCD(1B) up to ${formatCurrency(DEDUCTION_LIMITS.section80CCD1B, currency)}.</p>
+    </details>
+
+    <div id="income-tax-results"></div>
+  `;
+
+  renderResults();
+}
+
+function renderResults() {
+  const results = document.getElementById('income-tax-results');
+  if (!results) return;
+
+  const { salary, epf, nps } = readInputs();
+  if (!validateSalary(salary).valid) {
+    results.innerHTML = '<p class="text-sm text-gray-500 italic">Enter your annual basic salary to compare regimes</p>';
+    return;
+  }
+
+  const estimate = estimateIncomeTax(salary, epf, nps);
+  const income = getSelectedIncome();
+  const other = estimate.recommended === 'old' ? 'new' : 'old';
+  const label = { old: 'Old regime', new: 'New regime' };
+
+  const verdict = estimate.savings < 1
+    ? `<p class="text-sm text-gray-700">Both regimes cost the same for FY ${estimate.financialYear}.</p>`
+    : `<p class="text-sm text-emerald-700">The <strong>${label[estimate.recommended].toLowerCase()}</strong> saves you ${formatCurrency(Math.round(estimate.savings), currency)} a year over the ${label[other].toLowerCase()}.</p>`;
+
+  const row = (title, getValue, className = 'text-gray-900') => `
+    <tr class="border-b border-gray-100">
+      <td class="py-2 pr-3 text-gray-600">${title}</td>
+      ${['old', 'new'].map(regime => `<td class="py-2 px-3 text-right whitespace-nowrap ${className}">${formatCurrency(Math.round(getValue(estimate[regime])), currency)}</td>`).join('')}
+    </tr>
+  `;
+
+  results.innerHTML = `
+    ${verdict}
+    <div class="overflow-x-auto mt-2">
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="border-b border-gray-200 text-gray-500">
+            <th class="text-left py-2 pr-3 font-medium">Per year</th>
+            ${['old', 'new'].map(regime => `<th class="text-right py-2 px-3 font-medium">${label[regime]}${regime === estimate.recommended ? ' ✓' : ''}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${row('Gross salary', () => estimate.gross)}
+          ${row('Deductions', r => r.deductions.total)}
+          ${row('Taxable income', r => r.taxableIncome)}
+          ${row('Income tax', r => r.tax.total, 'text-red-600')}
+          ${row('In-hand per month', r => r.monthlyInHand, 'font-medium text-emerald-600')}
+        </tbody>
+      </table>
+    </div>
+    <div class="flex flex-wrap gap-2 justify-end mt-3">
+      ${['old', 'new'].map(regime => `
+        <button class="apply-regime-btn text-sm px-3 py-1.5 rounded transition-colors ${regime === estimate.recommended ? 'bg-green-600 text-white hover:bg-green-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}" data-regime="${regime}">
+          ${income ? `Set ${income.name}` : 'Add salary'} to ${formatCurrency(Math.round(estimate[regime].monthlyInHand), currency)}/mo (${label[regime].toLowerCase()})
+        </button>
+      `).join('')}
+    </div>
+    <p class="text-xs text-gray-400 mt-2">Includes 4% cess, surcharge and the 87A rebate. Assumes you are below 60 and salary is your only income.</p>
+  `;
+}
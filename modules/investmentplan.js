@@ -5,13 +5,21 @@ import {
   getUnifiedCategory,
   getUnifiedBlendedReturn,
   getTaperedEquityAllocation,
+  getGoalPriority,
+  getPriorityRank,
   calculateUnifiedGoalProjections,
   calculateRetirementProjectionsWithEpfNps,
+  calculateSipPerRupeeOfGap,
+  calculateContributionsValue,
+  applyContributions,
   formatTimeline
 } from './calculator.js';
-import { getRetirementContributions } from './cashflow.js';
-import { showEstimateModal, showAddGoalModal } from './goals.js';
+import { getRetirementContributions, getActiveExpenses, getMonthlyAmount } from './cashflow.js';
+import { showEstimateModal, showAddGoalModal, showAllocationModal, PRIORITY_LABELS } from './goals.js';
 import { getAssetAllocations } from './assets.js';
+import { compareAssignStrategies, isLinkLocked } from './autoassign.js';
+import { getAssignStrategy, setAssignStrategy, getTaxProfile } from './storage.js';
+import { getGoalSimulationInput, runMonteCarloInBackground, MONTE_CARLO_DEFAULTS } from './montecarlo.js';
 
 let appData = null;
 let currency = 'INR';
@@ -24,9 +32,27 @@ let npsReturn = 9;
 let epfStepUp = 5;
 let npsStepUp = 0;
 let investmentStepUp = 5;
+let equityVolatility = MONTE_CARLO_DEFAULTS.equityVolatility;
+let debtVolatility = MONTE_CARLO_DEFAULTS.debtVolatility;
+let returnCorrelation = MONTE_CARLO_DEFAULTS.correlation;
 let onDataChange = null;
 
-export function initInvestmentPlan(data, curr, eqAlloc, eqReturn, debtRet, arbReturn, epfRet, npsRet, epfStep, npsStep, invStep, onChange) {
+// Fit-to-budget view (kept for the session, not saved)
+let fitToBudget = false;
+
+// Greedy vs optimal totals, reused until the inputs they are computed from change
+let strategyTotals = null;
+let strategyTotalsKey = null;
+
+// Recommended funds, keyed like the calculateCategorySummary allocations
+export const PLAN_FUNDS = [
+  { key: 'arbitrage', name: 'Equity Arbitrage Fund Direct Plan', term: 'short' },
+  { key: 'nifty50', name: 'Nifty 50 Index Fund Direct Plan', term: 'long' },
+  { key: 'niftyNext50', name: 'Nifty Next 50 Index Fund Direct Plan', term: 'long' },
+  { key: 'moneyMarket', name: 'Money Market Fund Direct Plan', term: 'long' }
+];
+
+export function initInvestmentPlan(data, curr, eqAlloc, eqReturn, debtRet, arbReturn, epfRet, npsRet, epfStep, npsStep, invStep, eqVol, debtVol, corr, onChange) {
   appData = data;
   currency = curr;
   equityAllocation = eqAlloc ?? 60;
@@ -38,6 +64,9 @@ export function initInvestmentPlan(data, curr, eqAlloc, eqReturn, debtRet, arbRe
   epfStepUp = epfStep ?? 5;
   npsStepUp = npsStep ?? 0;
   investmentStepUp = invStep ?? 5;
+  equityVolatility = eqVol ?? MONTE_CARLO_DEFAULTS.equityVolatility;
+  debtVolatility = debtVol ?? MONTE_CARLO_DEFAULTS.debtVolatility;
+  returnCorrelation = corr ?? MONTE_CARLO_DEFAULTS.correlation;
   onDataChange = onChange;
   renderInvestmentPlan();
 }
@@ -68,38 +97,85 @@ export function updateStepUp(epfStep, npsStep, invStep) {
   renderInvestmentPlan();
 }
 
+export function updateVolatility(eqVol, debtVol, corr) {
+  equityVolatility = eqVol ?? equityVolatility;
+  debtVolatility = debtVol ?? debtVolatility;
+  returnCorrelation = corr ?? returnCorrelation;
+  renderInvestmentPlan();
+}
+
 export function refreshData(data) {
   appData = data;
   renderInvestmentPlan();
 }
 
 /**
- * Categorize goals into short-term and long-term buckets
+ * Current plan settings from the sliders
  */
-function categorizeGoals() {
-  const shortTerm = [];
-  const longTerm = [];
+function getPlanSettings() {
+  return { equityAllocation, equityReturn, debtReturn, arbitrageReturn, epfReturn, npsReturn, epfStepUp, npsStepUp, investmentStepUp };
+}
+
+/**
+ * Project every goal's SIP under a set of plan settings
+ * @param {object} data - App data (goals, assets, cashflow, transactions, settings)
+ * @param {object} settings - { equityAllocation, equityReturn, debtReturn, arbitrageReturn,
+ *   epfReturn, npsReturn, epfStepUp, npsStepUp, investmentStepUp }
+ * @returns {Array} Goals with projections and category ('short' or 'long')
+ */
+export function projectGoals(data, settings) {
+  const s = settings;
+  const taxProfile = getTaxProfile(data);
 
-  appData.goals.forEach(goal => {
+  return data.goals.map(goal => {
     const category = getUnifiedCategory(goal.targetDate);
-    const projections = goal.goalType === 'retirement'
-      ? calculateRetirementProjectionsWithEpfNps(goal, getRetirementContributions(), equityReturn, debtReturn, arbitrageReturn, equityAllocation, epfReturn, npsReturn, epfStepUp, npsStepUp, investmentStepUp, appData.assets)
-      : calculateUnifiedGoalProjections(goal, equityReturn, debtReturn, arbitrageReturn, equityAllocation, investmentStepUp, appData.assets);
+    const planned = goal.goalType === 'retirement'
+      ? calculateRetirementProjectionsWithEpfNps(goal, getRetirementContributions(data), s.equityReturn, s.debtReturn, s.arbitrageReturn, s.equityAllocation, s.epfReturn, s.npsReturn, s.epfStepUp, s.npsStepUp, s.investmentStepUp, data.assets, taxProfile)
+      : calculateUnifiedGoalProjections(goal, s.equityReturn, s.debtReturn, s.arbitrageReturn, s.equityAllocation, s.investmentStepUp, data.assets, taxProfile);
+    const projections = withLedgerContributions(goal, planned, data, settings, taxProfile);
 
-    const goalData = {
+    return {
       ...goal,
       projections,
       category
     };
-
-    if (category === 'short') {
-      shortTerm.push(goalData);
-    } else {
-      longTerm.push(goalData);
-    }
   });
+}
+
+/**
+ * Categorize goals into short-term and long-term buckets
+ */
+function categorizeGoals() {
+  const goals = projectGoals(appData, getPlanSettings());
+  return {
+    shortTerm: goals.filter(g => g.category === 'short'),
+    longTerm: goals.filter(g => g.category !== 'short')
+  };
+}
+
+/**
+ * Expected return and tax category of a recommended fund
+ * (arbitrage funds are taxed as equity)
+ */
+function getFundHolding(fundKey, settings) {
+  if (fundKey === 'arbitrage') return { annualRate: settings.arbitrageReturn, category: 'Equity Mutual Funds' };
+  if (fundKey === 'moneyMarket') return { annualRate: settings.debtReturn, category: 'Debt/Arbitrage Mutual Funds' };
+  return { annualRate: settings.equityReturn, category: 'Equity Mutual Funds' };
+}
 
-  return { shortTerm, longTerm };
+/**
+ * Count the SIPs recorded in the ledger for a goal instead of assuming
+ * the plan was followed
+ */
+function withLedgerContributions(goal, projections, data, settings, taxProfile) {
+  const contributions = (data.transactions || [])
+    .filter(t => t.goalId === goal.id)
+    .map(t => ({ date: t.date, amount: t.amount, ...getFundHolding(t.fund, settings) }));
+  if (contributions.length === 0) return projections;
+
+  const contributed = calculateContributionsValue(contributions, goal.targetDate, taxProfile);
+  const sipPerRupee = calculateSipPerRupeeOfGap(projections.category, projections.months, settings.investmentStepUp, projections.blendedReturn, settings.equityAllocation, settings.equityReturn, settings.debtReturn, taxProfile);
+  return applyContributions(projections, contributed, sipPerRupee);
 }
 
 /**
@@ -149,10 +225,167 @@ export function calculateCategorySummary(goals, category) {
   }
 }
 
+/**
+ * Fund goal SIPs in priority order (essential, important, aspirational;
+ * nearest first within a tier) until the budget runs out. The goal at the
+ * boundary is reduced to what's left; goals after it are deferred.
+ * @param {Array} goals - Goals with projections.monthlySIP and projections.years
+ * @param {number} budget - Monthly cash available for SIPs
+ * @returns {object} { allocations: { [goalId]: { required, funded, status } }, totalRequired, totalFunded }
+ *   status is 'funded', 'reduced' or 'deferred'
+ */
+export function fitGoalsToBudget(goals, budget) {
+  const ordered = [...goals].sort((a, b) =>
+    getPriorityRank(a) - getPriorityRank(b) || a.projections.years - b.projections.years
+  );
+
+  let remaining = Math.max(0, budget);
+  let totalRequired = 0;
+  let totalFunded = 0;
+  const allocations = {};
+
+  ordered.forEach(goal => {
+    const required = Math.max(0, goal.projections.monthlySIP);
+    const funded = Math.min(required, remaining);
+    remaining -= funded;
+    totalRequired += required;
+    totalFunded += funded;
+
+    let status = 'funded';
+    if (required - funded > 0.5) status = funded > 0.5 ? 'reduced' : 'deferred';
+    allocations[goal.id] = { required, funded, status };
+  });
+
+  return { allocations, totalRequired, totalFunded };
+}
+
+/**
+ * Monthly income left after active expenses (floored at zero)
+ * @param {object} data - App data (defaults to the plan's data)
+ */
+export function getAvailableCashflow(data = appData) {
+  const totalIncome = data.cashflow.income.reduce((sum, i) => sum + getMonthlyAmount(i), 0);
+  const totalExpenses = getActiveExpenses(data.cashflow.expenses).reduce((sum, e) => sum + getMonthlyAmount(e), 0);
+  return Math.max(0, totalIncome - totalExpenses);
+}
+
+/**
+ * Goals with time left and something to aim for get a Monte Carlo estimate
+ */
+function isSimulated(goal) {
+  return goal.projections.months > 0 && goal.projections.inflationAdjustedTarget > 0;
+}
+
+/**
+ * Success probability badge colours: green when likely, amber when a coin flip, red when unlikely
+ */
+function getProbabilityClass(probability) {
+  if (probability >= 0.75) return 'bg-green-100 text-green-700';
+  if (probability >= 0.4) return 'bg-amber-100 text-amber-700';
+  return 'bg-red-100 text-red-700';
+}
+
+/**
+ * Kick off Monte Carlo runs for the rendered goals and fill in results when ready
+ */
+function scheduleSimulations(goals) {
+  const settings = { equityAllocation, equityReturn, debtReturn, arbitrageReturn };
+  const inputs = goals
+    .filter(isSimulated)
+    .map(g => getGoalSimulationInput(g, g.projections, appData.assets, settings));
+  if (inputs.length === 0) return;
+
+  const options = {
+    ...MONTE_CARLO_DEFAULTS,
+    equityVolatility,
+    debtVolatility,
+    correlation: returnCorrelation
+  };
+  runMonteCarloInBackground(inputs, options, renderSimulationResults);
+}
+
+function renderSimulationResults(results) {
+  Object.entries(results).forEach(([goalId, result]) => {
+    const summary = document.querySelector(`#investment-plan-content .goal-simulation[data-goal-id="${goalId}"]`);
+    const range = document.querySelector(`#investment-plan-content .goal-simulation-range[data-goal-id="${goalId}"]`);
+    const pct = Math.round(result.probability * 100);
+
+    if (summary) {
+      summary.innerHTML = `
+        <span class="inline-block px-2 py-0.5 rounded-full font-medium ${getProbabilityClass(result.probability)}">${pct}% chance</span>
+        <span class="text-gray-500">of reaching the target across ${result.simulations.toLocaleString('en-IN')} market scenarios</span>
+      `;
+    }
+    if (range) {
+      range.innerHTML = `
+        <div class="text-xs text-gray-500">Corpus at goal date (simulated)</div>
+        <div class="flex justify-between gap-4">
+          <span>Bad markets (P10)</span>
+          <span class="text-right ${result.p10 >= result.target ? 'text-green-600' : 'text-red-600'}">${formatCurrency(Math.round(result.p10), currency)}</span>
+        </div>
+        <div class="flex justify-between gap-4">
+          <span>Typical (P50)</span>
+          <span class="text-right ${result.p50 >= result.target ? 'text-green-600' : 'text-red-600'}">${formatCurrency(Math.round(result.p50), currency)}</span>
+        </div>
+        <div class="flex justify-between gap-4">
+          <span>Good markets (P90)</span>
+          <span class="text-right ${result.p90 >= result.target ? 'text-green-600' : 'text-red-600'}">${formatCurrency(Math.round(result.p90), currency)}</span>
+        </div>
+      `;
+      range.classList.remove('hidden');
+    }
+  });
+}
+
+/**
+ * Fit-to-budget toggle and, when on, the goals that get less than they need
+ */
+function renderFitToBudget(fit, budget) {
+  const shortfalls = fit
+    ? Object.entries(fit.allocations)
+      .filter(([, a]) => a.status !== 'funded')
+      .map(([id, a]) => ({ goal: appData.goals.find(g => g.id === id), ...a }))
+    : [];
+
+  return `
+    <div class="bg-white rounded-lg shadow-sm p-4 sm:p-5 mb-6">
+      <label class="flex items-start gap-3 cursor-pointer">
+        <input type="checkbox" id="fit-to-budget-toggle" ${fitToBudget ? 'checked' : ''}
+          class="mt-1 w-4 h-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500">
+        <div>
+          <span class="font-medium text-gray-800">Fit to budget</span>
+          <p class="text-sm text-gray-500">Fund goals in priority order (Essential, Important, then Aspirational) up to your ${formatCurrency(Math.round(budget), currency)} monthly cash flow.</p>
+        </div>
+      </label>
+      ${fit ? `
+        <div class="mt-3 pt-3 border-t text-sm">
+          <p class="text-gray-700">Funding <span class="font-semibold">${formatCurrency(Math.round(fit.totalFunded), currency)}</span> of the ${formatCurrency(Math.round(fit.totalRequired), currency)} monthly SIP needed.</p>
+          ${shortfalls.length === 0 ? `
+            <p class="text-green-600 mt-1">Every goal is fully funded.</p>
+          ` : `
+            <div class="mt-2 space-y-1">
+              ${shortfalls.map(s => `
+                <div class="flex justify-between gap-4">
+                  <span class="text-gray-700">${s.goal.name} <span class="text-xs text-gray-400">${PRIORITY_LABELS[getGoalPriority(s.goal)]}</span></span>
+                  <span class="text-right ${s.status === 'deferred' ? 'text-red-600' : 'text-amber-600'}">${s.status === 'deferred'
+                    ? 'Deferred'
+                    : `Reduced to ${formatCurrency(Math.round(s.funded), currency)}`}</span>
+                </div>
+              `).join('')}
+            </div>
+          `}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
 /**
  * Render goal row in the investment plan
+ * @param {object} goal - Goal with projections
+ * @param {object|null} allocation - Fit-to-budget allocation for this goal, if that view is on
  */
-function renderGoalRow(goal) {
+function renderGoalRow(goal, allocation = null) {
   const isRetirement = goal.goalType === 'retirement';
   const hasEpfNps = isRetirement && goal.projections.epfNps;
   const hasLinkedAssets = goal.projections.linkedAssetsFV > 0;
@@ -160,7 +393,8 @@ function renderGoalRow(goal) {
   // Calculate various deduction amounts
   const epfNpsFV = hasEpfNps ? goal.projections.epfNps.totalEpfNpsFV : 0;
   const linkedFV = goal.projections.linkedAssetsFV || 0;
-  const totalDeductions = epfNpsFV + linkedFV;
+  const contributedFV = goal.projections.contributions ? goal.projections.contributions.futureValue : 0;
+  const totalDeductions = epfNpsFV + linkedFV + contributedFV;
 
   // Unique ID for toggle functionality
   const detailsId = `goal-details-${goal.id}`;
@@ -185,6 +419,8 @@ function renderGoalRow(goal) {
         <span>${formatCompact(goal.targetAmount, currency)}</span>
         <span class="mx-1">·</span>
         <span>${formatTimeline(goal.projections.years)}</span>
+        <span class="mx-1">·</span>
+        <span>${PRIORITY_LABELS[getGoalPriority(goal)]}</span>
         ${isRetirement ? '<span class="mx-1">·</span><button type="button" class="estimate-retirement-link text-sm text-emerald-600 hover:text-emerald-800 underline underline-offset-2 transition-colors">Estimate Corpus</button>' : ''}
       </div>
       <!-- SIP amount + View Details -->
@@ -205,6 +441,16 @@ function renderGoalRow(goal) {
           </button>
         </div>
       </div>
+      ${allocation && allocation.status !== 'funded' ? `
+        <div class="goal-budget-status text-xs mt-1 ${allocation.status === 'deferred' ? 'text-red-600' : 'text-amber-600'}">
+          ${allocation.status === 'deferred'
+            ? 'Deferred: no cash flow left after higher-priority goals'
+            : `Reduced to ${formatCurrency(Math.round(allocation.funded), currency)}/month (${Math.round(allocation.funded / allocation.required * 100)}% of the SIP)`}
+        </div>
+      ` : ''}
+      ${isSimulated(goal) ? `
+        <div class="goal-simulation text-xs text-gray-400 mt-1" data-goal-id="${goal.id}">Simulating market scenarios…</div>
+      ` : ''}
 
       <!-- Expandable Details — Money Waterfall -->
       <div id="${detailsId}" class="goal-details-expanded hidden mt-3 bg-blue-100/50 rounded-lg p-4">
@@ -228,6 +474,12 @@ function renderGoalRow(goal) {
               <span class="font-medium text-blue-600 text-right">-${formatCurrency(Math.round(linkedFV), currency)}</span>
             </div>
           ` : ''}
+          ${contributedFV > 0 ? `
+            <div class="flex justify-between gap-4">
+              <span>SIPs invested so far FV <span class="text-xs text-gray-400">(${formatCurrency(Math.round(goal.projections.contributions.invested), currency)} in)</span></span>
+              <span class="font-medium text-emerald-600 text-right">-${formatCurrency(Math.round(contributedFV), currency)}</span>
+            </div>
+          ` : ''}
           ${hasEpfNps ? `
             <div class="flex justify-between gap-4">
               <span>EPF/NPS FV</span>
@@ -248,6 +500,7 @@ function renderGoalRow(goal) {
                 : formatCurrency(Math.round(goal.projections.monthlySIP), currency)
             }</span>
           </div>
+          ${isSimulated(goal) ? `<div class="goal-simulation-range hidden border-t border-gray-300 pt-2 mt-1 space-y-2" data-goal-id="${goal.id}"></div>` : ''}
         </div>
       </div>
     </div>
@@ -278,7 +531,7 @@ function renderExistingInvestments() {
     validLinks.forEach(la => {
       const asset = items.find(a => a.id === la.assetId);
       if (!asset) return;
-      assetLines.push({ name: asset.name, amount: la.amount });
+      assetLines.push({ name: asset.name, amount: la.amount, locked: isLinkLocked(goal, la) });
     });
 
     if (goal.goalType === 'retirement' && goal.includeEpfNps) {
@@ -299,7 +552,7 @@ function renderExistingInvestments() {
     const totalAmount = assetLines.reduce((s, a) => s + a.amount, 0);
     const detailLines = assetLines.map(a => `
       <div class="flex justify-between text-xs text-gray-500">
-        <span>${a.name}</span>
+        <span>${a.name}${a.locked ? ' <span class="text-amber-600">(locked)</span>' : ''}</span>
         <span>${compact(a.amount)}</span>
       </div>`).join('');
 
@@ -334,7 +587,11 @@ function renderExistingInvestments() {
   }
 
   return `
-    <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">Existing Assets used for goals</h4>
+    ${renderAssignStrategy()}
+    <div class="flex justify-between items-center mb-1">
+      <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wide">Existing Assets used for goals</h4>
+      <button type="button" class="manage-links-btn text-xs text-blue-600 hover:text-blue-800 hover:underline cursor-pointer">Lock links</button>
+    </div>
     <div class="divide-y divide-gray-100">${goalRowsHtml}</div>
     <div class="mt-4 pt-3 border-t border-gray-100">
       <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">Not assigned</h4>
@@ -343,6 +600,49 @@ function renderExistingInvestments() {
   `;
 }
 
+/**
+ * Greedy vs optimal asset linking, with the total SIP each one leaves
+ */
+function renderAssignStrategy() {
+  const totals = getStrategyTotals();
+  const current = getAssignStrategy(appData);
+  const savings = totals.greedy - totals.optimal;
+  const options = [
+    { value: 'greedy', label: 'Nearest goals first' },
+    { value: 'optimal', label: 'Lowest total SIP' }
+  ];
+
+  return `
+    <div class="mb-4 pb-3 border-b border-gray-100">
+      <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">Linking strategy</h4>
+      ${options.map(o => `
+        <label class="flex justify-between items-center gap-3 py-1.5 cursor-pointer">
+          <span class="flex items-center gap-2">
+            <input type="radio" name="assign-strategy" value="${o.value}" ${current === o.value ? 'checked' : ''}
+              class="assign-strategy-option w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500">
+            <span class="text-sm text-gray-700">${o.label}</span>
+          </span>
+          <span class="text-sm text-gray-500">${formatCurrency(Math.round(totals[o.value]), currency)}<span class="text-xs text-gray-400">/month SIP</span></span>
+        </label>
+      `).join('')}
+      <p class="text-xs text-gray-400 mt-1">${savings >= 1
+        ? `Lowest total SIP saves ${formatCurrency(Math.round(savings), currency)}/month. It uses priority tiers only to break ties.`
+        : 'Both strategies need the same total SIP.'}</p>
+    </div>
+  `;
+}
+
+// Both strategies run the full assignment (the optimal one an LP), so they
+// are only re-run when assets, goals and their links, income or settings change
+function getStrategyTotals() {
+  const key = JSON.stringify([appData.assets.items, appData.goals, appData.cashflow.income, appData.settings]);
+  if (key !== strategyTotalsKey) {
+    strategyTotals = compareAssignStrategies(appData);
+    strategyTotalsKey = key;
+  }
+  return strategyTotals;
+}
+
 /**
  * Read a DOM element's text, returning '–' if missing
  */
@@ -462,7 +762,16 @@ function renderInvestmentPlan() {
       });
       const pct = totalValue > 0 ? Math.round((totalAllocated / totalValue) * 100) : 0;
       if (planAllocLabel) planAllocLabel.textContent = `${pct}% of assets used for goals`;
-      if (existingBody) existingBody.innerHTML = renderExistingInvestments();
+      if (existingBody) {
+        existingBody.innerHTML = renderExistingInvestments();
+        existingBody.querySelector('.manage-links-btn')?.addEventListener('click', () => showAllocationModal());
+        existingBody.querySelectorAll('.assign-strategy-option').forEach(input => {
+          input.addEventListener('change', () => {
+            setAssignStrategy(appData, input.value);
+            if (onDataChange) onDataChange();
+          });
+        });
+      }
     }
   }
 
@@ -489,7 +798,14 @@ function renderInvestmentPlan() {
   const longTermSummary = calculateCategorySummary(longTerm, 'long');
   const totalSIP = shortTermSummary.totalSIP + longTermSummary.totalSIP;
 
+  const budget = getAvailableCashflow();
+  const fit = fitToBudget ? fitGoalsToBudget([...shortTerm, ...longTerm], budget) : null;
+  const showFitToBudget = fitToBudget || totalSIP > budget;
+  const allocationFor = (g) => fit ? fit.allocations[g.id] : null;
+
   container.innerHTML = `
+    ${showFitToBudget ? renderFitToBudget(fit, budget) : ''}
+
     <!-- Short Term Goals -->
     <div class="bg-white rounded-lg shadow-sm p-5 mb-6">
       <div class="mb-3">
@@ -505,7 +821,7 @@ function renderInvestmentPlan() {
         <p class="text-gray-500 text-sm italic py-4">No short-term goals</p>
       ` : `
         <div class="grid grid-cols-1 lg:grid-cols-2 gap-3">
-          ${shortTerm.map(g => renderGoalRow(g)).join('')}
+          ${shortTerm.map(g => renderGoalRow(g, allocationFor(g))).join('')}
         </div>
 
         <div class="flex flex-wrap items-center gap-x-4 gap-y-1 mt-4 pt-4 border-t">
@@ -530,7 +846,7 @@ function renderInvestmentPlan() {
         <p class="text-gray-500 text-sm italic py-4">No long-term goals</p>
       ` : `
         <div class="grid grid-cols-1 lg:grid-cols-2 gap-3">
-          ${longTerm.map(g => renderGoalRow(g)).join('')}
+          ${longTerm.map(g => renderGoalRow(g, allocationFor(g))).join('')}
         </div>
 
         <div class="flex flex-wrap items-center gap-x-4 gap-y-1 mt-4 pt-4 border-t">
@@ -600,6 +916,12 @@ function renderInvestmentPlan() {
   `;
 
   updateSummary(totalSIP);
+  scheduleSimulations([...shortTerm, ...longTerm]);
+
+  document.getElementById('fit-to-budget-toggle')?.addEventListener('change', (e) => {
+    fitToBudget = e.target.checked;
+    renderInvestmentPlan();
+  });
 
   // Add event listeners for toggle details buttons
   const toggleBtns = document.querySelectorAll('.toggle-details-btn');
@@ -681,9 +1003,7 @@ function updateSummary(totalSIP, hasGoals = true) {
   }
 
   // Normal summary with 3 boxes
-  const totalIncome = appData.cashflow.income.reduce((sum, i) => sum + i.amount, 0);
-  const totalExpenses = appData.cashflow.expenses.reduce((sum, e) => sum + e.amount, 0);
-  const netCashflow = Math.max(0, totalIncome - totalExpenses);
+  const netCashflow = getAvailableCashflow();
   const gap = totalSIP - netCashflow;
 
   summaryGrid.innerHTML = `
@@ -712,3 +1032,33 @@ export function getTotalMonthlySIP() {
   return shortTermSummary.totalSIP + longTermSummary.totalSIP;
 }
 
+/**
+ * Recommended monthly SIP per fund across all goals
+ * @returns {object} Amount per PLAN_FUNDS key
+ */
+export function getPlannedFundSplit() {
+  const split = Object.fromEntries(PLAN_FUNDS.map(f => [f.key, 0]));
+  if (!appData) return split;
+  const { shortTerm, longTerm } = categorizeGoals();
+  return {
+    ...split,
+    ...calculateCategorySummary(shortTerm, 'short').allocation,
+    ...calculateCategorySummary(longTerm, 'long').allocation
+  };
+}
+
+/**
+ * Per-goal SIP schedule for the cash flow projection
+ * @returns {Array} [{ id, name, monthlySIP, months, annualStepUp }] - SIP stops after `months`
+ */
+export function getGoalSipSchedule() {
+  if (!appData) return [];
+  const { shortTerm, longTerm } = categorizeGoals();
+  return [...shortTerm, ...longTerm].map(g => ({
+    id: g.id,
+    name: g.name,
+    monthlySIP: g.projections.monthlySIP,
+    months: g.projections.months,
+    annualStepUp: g.projections.annualStepUp || 0
+  }));
+}
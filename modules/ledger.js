@@ -0,0 +1,320 @@
+// SIP transaction ledger and plan adherence (Plan tab)
+import { addTransaction, deleteTransaction } from './storage.js';
+import { formatCurrency, formatMonth } from './currency.js';
+import { getSnapshotMonth } from './networth.js';
+import { PLAN_FUNDS, getTotalMonthlySIP, getPlannedFundSplit } from './investmentplan.js';
+
+// A month counts as on plan once this share of the planned SIP is invested
+export const ADHERENCE_THRESHOLD = 0.95;
+
+// Months shown in the adherence calendar
+const CALENDAR_MONTHS = 12;
+
+// Latest entries listed under the calendar
+const RECENT_ENTRIES = 10;
+
+const STATUS_STYLES = {
+  met: { cell: 'bg-emerald-500', label: 'On plan' },
+  partial: { cell: 'bg-amber-400', label: 'Partly invested' },
+  missed: { cell: 'bg-red-400', label: 'Missed' },
+  pending: { cell: 'bg-gray-200', label: 'This month, so far' }
+};
+
+let appData = null;
+let currency = 'INR';
+let onDataChange = null;
+
+export function initLedger(data, curr, onChange) {
+  appData = data;
+  currency = curr;
+  onDataChange = onChange;
+  renderLedger();
+  setupEventListeners();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderLedger();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderLedger();
+}
+
+function toDateString(date) {
+  return `${getSnapshotMonth(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function nextMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return getSnapshotMonth(new Date(year, m, 1));
+}
+
+/**
+ * Validate a ledger entry before adding it
+ * @param {object} transaction - { date, fund, amount, goalId }
+ * @param {Date} today - Latest allowed date (injectable for tests)
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateTransaction(transaction, today = new Date()) {
+  if (!transaction.date || !/^\d{4}-\d{2}-\d{2}$/.test(transaction.date)) {
+    return { valid: false, error: 'Enter the investment date' };
+  }
+  if (transaction.date > toDateString(today)) {
+    return { valid: false, error: 'Investment date cannot be in the future' };
+  }
+  if (!PLAN_FUNDS.some(f => f.key === transaction.fund)) {
+    return { valid: false, error: 'Choose a fund' };
+  }
+  if (!(transaction.amount > 0)) {
+    return { valid: false, error: 'Amount must be more than zero' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Amount invested per calendar month, in total and per fund
+ * @param {Array} transactions - [{ date, fund, amount }]
+ * @returns {object} { 'YYYY-MM': { total, funds: { [fundKey]: amount } } }
+ */
+export function getMonthlyInvestments(transactions) {
+  const months = {};
+  (transactions || []).forEach(({ date, fund, amount }) => {
+    const month = date.slice(0, 7);
+    months[month] = months[month] || { total: 0, funds: {} };
+    months[month].total += amount;
+    months[month].funds[fund] = (months[month].funds[fund] || 0) + amount;
+  });
+  return months;
+}
+
+/**
+ * Invested vs planned for every month from the first entry to this month.
+ * Every month is measured against the current plan.
+ * @param {Array} transactions - Ledger entries
+ * @param {number} plannedSIP - Monthly SIP the plan asks for (getTotalMonthlySIP)
+ * @param {Date} today - Current date (injectable for tests)
+ * @returns {Array} [{ month, invested, planned, ratio, status }] oldest first;
+ *   status is 'met', 'partial', 'missed' or, for an unfinished current month, 'pending'
+ */
+export function getAdherenceCalendar(transactions, plannedSIP, today = new Date()) {
+  const invested = getMonthlyInvestments(transactions);
+  const months = Object.keys(invested).sort();
+  const current = getSnapshotMonth(today);
+  if (months.length === 0 || months[0] > current) return [];
+
+  const calendar = [];
+  for (let month = months[0]; month <= current; month = nextMonth(month)) {
+    const amount = invested[month]?.total || 0;
+    const ratio = plannedSIP > 0 ? amount / plannedSIP : 1;
+
+    let status = 'met';
+    if (ratio < ADHERENCE_THRESHOLD) {
+      if (month === current) status = 'pending';
+      else status = amount > 0 ? 'partial' : 'missed';
+    }
+    calendar.push({ month, invested: amount, planned: plannedSIP, ratio, status });
+  }
+  return calendar;
+}
+
+/**
+ * Consecutive on-plan months up to now. An unfinished current month
+ * doesn't break the streak.
+ * @param {Array} calendar - From getAdherenceCalendar
+ * @returns {number} Months in the streak
+ */
+export function getAdherenceStreak(calendar) {
+  let streak = 0;
+  for (let i = calendar.length - 1; i >= 0; i--) {
+    const { status } = calendar[i];
+    if (status === 'pending' && i === calendar.length - 1) continue;
+    if (status !== 'met') break;
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * A month's investments per fund against the plan's fund split
+ * @param {Array} transactions - Ledger entries
+ * @param {object} plannedSplit - Planned SIP per fund (getPlannedFundSplit)
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Array} [{ key, name, planned, invested, difference }] for funds planned or invested in
+ */
+export function getFundAdherence(transactions, plannedSplit, month) {
+  const invested = getMonthlyInvestments(transactions)[month]?.funds || {};
+  return PLAN_FUNDS
+    .map(({ key, name }) => {
+      const planned = plannedSplit[key] || 0;
+      const amount = invested[key] || 0;
+      return { key, name, planned, invested: amount, difference: amount - planned };
+    })
+    .filter(row => row.planned >= 0.5 || row.invested > 0);
+}
+
+function setupEventListeners() {
+  const container = document.getElementById('sip-ledger');
+  if (!container) return;
+
+  container.addEventListener('click', (e) => {
+    if (e.target.closest('#add-transaction-btn')) addEntry();
+
+    const deleteBtn = e.target.closest('.delete-transaction-btn');
+    if (deleteBtn) {
+      deleteTransaction(appData, deleteBtn.dataset.id);
+      if (onDataChange) onDataChange();
+    }
+  });
+}
+
+function addEntry() {
+  const transaction = {
+    date: document.getElementById('transaction-date').value,
+    fund: document.getElementById('transaction-fund').value,
+    amount: parseFloat(document.getElementById('transaction-amount').value),
+    goalId: document.getElementById('transaction-goal').value || null
+  };
+  const validation = validateTransaction(transaction);
+  if (!validation.valid) {
+    alert(validation.error);
+    return;
+  }
+  addTransaction(appData, transaction);
+  if (onDataChange) onDataChange();
+}
+
+function renderLedger() {
+  const container = document.getElementById('sip-ledger');
+  if (!container) return;
+
+  if (appData.goals.length === 0) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+
+  const today = new Date();
+  const transactions = appData.transactions || [];
+  const plannedSIP = getTotalMonthlySIP();
+  const calendar = getAdherenceCalendar(transactions, plannedSIP, today);
+  const streak = getAdherenceStreak(calendar);
+  const month = getSnapshotMonth(today);
+  const thisMonth = calendar[calendar.length - 1];
+
+  container.innerHTML = `
+    <div class="bg-white rounded-lg shadow-sm p-4 sm:p-5">
+      <h3 class="text-lg font-semibold text-gray-800">Investment Ledger</h3>
+      <p class="text-sm text-gray-500 mb-3">Record the SIPs you actually invest. Each goal's SIP is worked out from what you've invested so far, and every month is checked against the current plan.</p>
+      <div class="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600 mb-3">
+        <span>This month: <strong>${formatCurrency(Math.round(thisMonth?.invested || 0), currency)}</strong> of ${formatCurrency(Math.round(plannedSIP), currency)}</span>
+        <span>Streak: <strong>${streak} month${streak !== 1 ? 's' : ''}</strong> on plan</span>
+      </div>
+      ${renderEntryForm(today)}
+      ${calendar.length > 0 ? `
+        ${renderCalendar(calendar.slice(-CALENDAR_MONTHS))}
+        ${renderFundAdherence(getFundAdherence(transactions, getPlannedFundSplit(), month), month)}
+        ${renderRecentEntries(transactions)}
+      ` : '<p class="text-gray-500 text-sm italic mt-3">No investments recorded yet</p>'}
+      <p class="text-xs text-gray-400 mt-3">Invested amounts count toward their goal at the fund's expected return. Don't also link a holding that already includes them, or they'll be counted twice.</p>
+    </div>
+  `;
+}
+
+function renderEntryForm(today) {
+  return `
+    <div class="flex flex-wrap items-end gap-2">
+      <input type="date" id="transaction-date" class="px-2 py-1 border rounded text-sm" value="${toDateString(today)}">
+      <select id="transaction-fund" class="px-2 py-1 border rounded text-sm">
+        ${PLAN_FUNDS.map(f => `<option value="${f.key}">${f.name}</option>`).join('')}
+      </select>
+      <input type="number" id="transaction-amount" class="w-28 px-2 py-1 border rounded text-sm" placeholder="Amount" min="0" step="1">
+      <select id="transaction-goal" class="px-2 py-1 border rounded text-sm">
+        <option value="">No specific goal</option>
+        ${appData.goals.map(g => `<option value="${g.id}">${g.name}</option>`).join('')}
+      </select>
+      <button id="add-transaction-btn" class="text-sm px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200">+ Add</button>
+    </div>
+  `;
+}
+
+function renderCalendar(calendar) {
+  return `
+    <div class="mt-4">
+      <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">Monthly adherence</h4>
+      <div class="grid grid-cols-6 sm:grid-cols-12 gap-1.5">
+        ${calendar.map(m => `
+          <div class="text-center" title="${formatMonth(m.month)}: ${formatCurrency(Math.round(m.invested), currency)} of ${formatCurrency(Math.round(m.planned), currency)} (${STATUS_STYLES[m.status].label})">
+            <div class="h-6 rounded ${STATUS_STYLES[m.status].cell}"></div>
+            <div class="text-[10px] text-gray-500 mt-0.5">${formatMonth(m.month)}</div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+        ${Object.values(STATUS_STYLES).map(s => `
+          <div class="flex items-center gap-1.5">
+            <span class="w-2.5 h-2.5 rounded-sm shrink-0 ${s.cell}"></span>
+            <span class="text-xs text-gray-600">${s.label}</span>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function renderFundAdherence(rows, month) {
+  if (rows.length === 0) return '';
+  return `
+    <div class="mt-4 overflow-x-auto">
+      <h4 class="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">${formatMonth(month)} by fund</h4>
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="border-b border-gray-200 text-gray-500">
+            <th class="text-left py-1.5 pr-3 font-medium">Fund</th>
+            <th class="text-right py-1.5 px-3 font-medium">Planned</th>
+            <th class="text-right py-1.5 px-3 font-medium">Invested</th>
+            <th class="text-right py-1.5 pl-3 font-medium">Difference</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr class="border-b border-gray-100">
+              <td class="py-1.5 pr-3 text-gray-700">${row.name}</td>
+              <td class="py-1.5 px-3 text-right whitespace-nowrap">${formatCurrency(Math.round(row.planned), currency)}</td>
+              <td class="py-1.5 px-3 text-right whitespace-nowrap">${formatCurrency(Math.round(row.invested), currency)}</td>
+              <td class="py-1.5 pl-3 text-right whitespace-nowrap ${row.difference < -0.5 ? 'text-red-600' : 'text-emerald-600'}">${row.difference > 0.5 ? '+' : ''}${formatCurrency(Math.round(row.difference), currency)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderRecentEntries(transactions) {
+  const fundName = key => PLAN_FUNDS.find(f => f.key === key)?.name || key;
+  const goalName = id => appData.goals.find(g => g.id === id)?.name;
+  const recent = [...transactions].reverse().slice(0, RECENT_ENTRIES);
+
+  return `
+    <details class="mt-4">
+      <summary class="cursor-pointer text-sm text-gray-700">Recent entries <span class="text-xs text-gray-500">(${transactions.length} total)</span></summary>
+      <div class="mt-2 divide-y divide-gray-100">
+        ${recent.map(t => `
+          <div class="flex items-center justify-between gap-3 py-1.5 text-sm">
+            <div>
+              <span class="text-gray-700">${t.date}</span>
+              <span class="text-gray-500">· ${fundName(t.fund)}${goalName(t.goalId) ? ` · ${goalName(t.goalId)}` : ''}</span>
+            </div>
+            <div class="flex items-center gap-3">
+              <span class="font-medium text-gray-800 whitespace-nowrap">${formatCurrency(t.amount, currency)}</span>
+              <button class="delete-transaction-btn text-xs text-gray-400 hover:text-red-600" data-id="${t.id}">Remove</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    </details>
+  `;
+}
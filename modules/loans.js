@@ -0,0 +1,383 @@
+// Loan amortization for liabilities and sync with their EMI expenses
+import { saveData, generateId } from './storage.js';
+
+// Safety cap on schedule length (100 years of monthly payments)
+const MAX_SCHEDULE_MONTHS = 1200;
+
+/**
+ * Calculate the monthly EMI for a loan
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate (percentage)
+ * @param {number} tenureMonths - Loan tenure in months
+ * @returns {number} Monthly EMI
+ */
+export function calculateEmi(principal, annualRate, tenureMonths) {
+  if (principal <= 0 || tenureMonths <= 0) return 0;
+  const r = annualRate / 100 / 12;
+  if (r === 0) return principal / tenureMonths;
+  const factor = Math.pow(1 + r, tenureMonths);
+  return principal * r * factor / (factor - 1);
+}
+
+/**
+ * Calculate how many monthly payments an EMI takes to repay a loan
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate (percentage)
+ * @param {number} emi - Monthly payment
+ * @returns {number|null} Tenure in months, or null if the EMI never repays the loan
+ */
+export function calculateTenure(principal, annualRate, emi) {
+  if (principal <= 0) return 0;
+  if (emi <= 0) return null;
+  const r = annualRate / 100 / 12;
+  if (r === 0) return Math.ceil(principal / emi);
+  if (emi <= principal * r) return null;
+  // Small epsilon so an EMI computed from an exact tenure doesn't round up a month
+  return Math.ceil(-Math.log(1 - (principal * r) / emi) / Math.log(1 + r) - 1e-9);
+}
+
+/**
+ * True if a liability has enough detail to build an amortization schedule
+ */
+export function hasLoanDetails(liability) {
+  return !!liability &&
+    liability.principal > 0 &&
+    typeof liability.interestRate === 'number' && liability.interestRate >= 0 &&
+    !!liability.startDate &&
+    (liability.tenureMonths > 0 || liability.emi > 0);
+}
+
+/**
+ * Validate loan terms entered on a liability
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateLoanTerms(loan) {
+  if (!(loan.principal > 0)) {
+    return { valid: false, error: 'Enter the original loan amount' };
+  }
+  if (typeof loan.interestRate !== 'number' || isNaN(loan.interestRate) || loan.interestRate < 0 || loan.interestRate > 50) {
+    return { valid: false, error: 'Interest rate must be between 0% and 50%' };
+  }
+  if (!loan.startDate || isNaN(new Date(loan.startDate).getTime())) {
+    return { valid: false, error: 'Enter the loan start date' };
+  }
+  if (!(loan.tenureMonths > 0) && !(loan.emi > 0)) {
+    return { valid: false, error: 'Enter either the tenure or the EMI' };
+  }
+  if (!(loan.tenureMonths > 0) && calculateTenure(loan.principal, loan.interestRate, loan.emi) === null) {
+    return { valid: false, error: 'EMI is too low to cover the monthly interest' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Resolve the EMI and tenure of a loan. Tenure takes precedence when both
+ * are present; otherwise the missing one is derived.
+ * @returns {object} { emi, tenureMonths } - tenureMonths is null if the EMI never repays the loan
+ */
+export function resolveLoanTerms(loan) {
+  if (loan.tenureMonths > 0) {
+    return {
+      emi: calculateEmi(loan.principal, loan.interestRate, loan.tenureMonths),
+      tenureMonths: loan.tenureMonths
+    };
+  }
+  return {
+    emi: loan.emi,
+    tenureMonths: calculateTenure(loan.principal, loan.interestRate, loan.emi)
+  };
+}
+
+// 'YYYY-MM' for the month `offset` months after a date string
+function addMonths(dateStr, offset) {
+  const [year, month] = dateStr.split('-').map(Number);
+  const d = new Date(year, month - 1 + offset, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Build the month-by-month amortization schedule.
+ * The first EMI falls one month after the start date; the last payment
+ * clears whatever balance remains.
+ * @param {object} loan - { principal, interestRate, startDate, tenureMonths?, emi? }
+ * @returns {Array} [{ month, date, opening, emi, interest, principal, closing }]
+ */
+export function buildAmortizationSchedule(loan) {
+  const { emi, tenureMonths } = resolveLoanTerms(loan);
+  if (!tenureMonths) return [];
+
+  const r = loan.interestRate / 100 / 12;
+  const schedule = [];
+  let balance = loan.principal;
+
+  for (let month = 1; month <= Math.min(tenureMonths, MAX_SCHEDULE_MONTHS) && balance > 0.005; month++) {
+    const interest = balance * r;
+    const isLast = month === tenureMonths || balance + interest <= emi;
+    const payment = isLast ? balance + interest : emi;
+    const principalPaid = payment - interest;
+    schedule.push({
+      month,
+      date: addMonths(loan.startDate, month),
+      opening: balance,
+      emi: payment,
+      interest,
+      principal: principalPaid,
+      closing: Math.max(0, balance - principalPaid)
+    });
+    balance -= principalPaid;
+  }
+
+  return schedule;
+}
+
+/**
+ * Roll a monthly schedule up into calendar years
+ * @returns {Array} [{ year, emi, interest, principal, closing }]
+ */
+export function summarizeScheduleByYear(schedule) {
+  const years = [];
+  schedule.forEach(row => {
+    const year = Number(row.date.slice(0, 4));
+    let entry = years[years.length - 1];
+    if (!entry || entry.year !== year) {
+      entry = { year, emi: 0, interest: 0, principal: 0, closing: 0 };
+      years.push(entry);
+    }
+    entry.emi += row.emi;
+    entry.interest += row.interest;
+    entry.principal += row.principal;
+    entry.closing = row.closing;
+  });
+  return years;
+}
+
+/**
+ * Number of EMIs paid by a given date (payments fall on the start date's day of month)
+ */
+export function getPaymentsMade(startDate, asOf = new Date()) {
+  const [year, month, day] = startDate.split('-').map(Number);
+  let elapsed = (asOf.getFullYear() - year) * 12 + (asOf.getMonth() + 1 - month);
+  if (asOf.getDate() < (day || 1)) elapsed -= 1;
+  return Math.max(0, elapsed);
+}
+
+/**
+ * Current state of a loan
+ * @param {object} loan - Liability with loan details
+ * @param {Date} asOf - Valuation date (defaults to today)
+ * @returns {object|null} { emi, tenureMonths, paymentsMade, remainingMonths, outstanding,
+ *   interestPaid, interestRemaining, totalInterest, payoffDate, isPaidOff, schedule } or null
+ */
+export function getLoanStatus(loan, asOf = new Date()) {
+  if (!hasLoanDetails(loan)) return null;
+
+  const schedule = buildAmortizationSchedule(loan);
+  if (schedule.length === 0) return null;
+
+  const paymentsMade = Math.min(getPaymentsMade(loan.startDate, asOf), schedule.length);
+  const paid = schedule.slice(0, paymentsMade);
+  const remaining = schedule.slice(paymentsMade);
+
+  const interestPaid = paid.reduce((sum, row) => sum + row.interest, 0);
+  const interestRemaining = remaining.reduce((sum, row) => sum + row.interest, 0);
+
+  return {
+    emi: schedule[0].emi,
+    tenureMonths: schedule.length,
+    paymentsMade,
+    remainingMonths: remaining.length,
+    outstanding: paymentsMade > 0 ? schedule[paymentsMade - 1].closing : loan.principal,
+    interestPaid,
+    interestRemaining,
+    totalInterest: interestPaid + interestRemaining,
+    payoffDate: schedule[schedule.length - 1].date,
+    isPaidOff: remaining.length === 0,
+    schedule
+  };
+}
+
+/**
+ * Fields for the 'EMIs/Loans' expense linked to a loan liability
+ * @returns {object} { category, name, amount, liabilityId, endDate }
+ */
+export function getLoanExpenseFields(liability, status) {
+  return {
+    category: 'EMIs/Loans',
+    name: `${liability.name} EMI`,
+    amount: Math.round(status.emi),
+    liabilityId: liability.id,
+    endDate: status.payoffDate
+  };
+}
+
+/**
+ * Bring loan liabilities and their linked EMI expenses up to date:
+ * outstanding amount as of today, EMI amount and payoff month.
+ * Links are stored on the expense as `liabilityId`; links to liabilities
+ * that no longer carry loan details are dropped.
+ * Saves only if something changed.
+ * @param {object} data - App data (mutated)
+ * @param {Date} asOf - Valuation date
+ * @returns {boolean} true if data changed
+ */
+export function syncLoans(data, asOf = new Date()) {
+  let changed = false;
+
+  data.liabilities.items.forEach(liability => {
+    const status = getLoanStatus(liability, asOf);
+    const linked = data.cashflow.expenses.find(e => e.liabilityId === liability.id);
+
+    if (!status) {
+      if (linked) {
+        delete linked.liabilityId;
+        delete linked.endDate;
+        changed = true;
+      }
+      return;
+    }
+
+    const outstanding = Math.round(status.outstanding);
+    if (liability.amount !== outstanding) {
+      liability.amount = outstanding;
+      changed = true;
+    }
+
+    const fields = getLoanExpenseFields(liability, status);
+    if (!linked) {
+      data.cashflow.expenses.push({ id: generateId(), ...fields });
+      changed = true;
+    } else if (linked.amount !== fields.amount || linked.endDate !== fields.endDate) {
+      // Keep the user's own expense name and category
+      linked.amount = fields.amount;
+      linked.endDate = fields.endDate;
+      changed = true;
+    }
+  });
+
+  // Drop links to liabilities that were deleted
+  const liabilityIds = new Set(data.liabilities.items.map(l => l.id));
+  data.cashflow.expenses.forEach(expense => {
+    if (expense.liabilityId && !liabilityIds.has(expense.liabilityId)) {
+      delete expense.liabilityId;
+      delete expense.endDate;
+      changed = true;
+    }
+  });
+
+  if (changed) saveData(data);
+  return changed;
+}
+
+// Section 24(b): yearly deduction cap on home-loan interest (self-occupied property)
+export const HOME_LOAN_INTEREST_DEDUCTION_CAP = 200000;
+
+/**
+ * Compare prepaying a loan with investing the same surplus.
+ * Both paths spend the same cash every month (EMI + surplus), so the
+ * comparison is net worth: invested corpus minus loan balance.
+ * - Prepay: lump sum and monthly surplus go to principal at the same EMI, so
+ *   tenure shortens; once the loan closes, EMI + surplus are invested instead.
+ * - Invest: lump sum and surplus are invested; the loan runs its schedule.
+ * For home loans, interest up to the 24(b) cap earns a tax saving each year,
+ * which is invested on both paths - prepaying gives part of it up.
+ * @param {object} loan - Liability with loan details
+ * @param {object} options - { monthlySurplus, lumpSum, investReturn (annual %), taxRate (%), asOf }
+ * @returns {object|null} { years, breakEvenYear, interestSaved, monthsSaved, taxBenefitLost,
+ *   originalPayoffDate, prepayPayoffDate, finalAdvantage } or null if the loan has no active schedule.
+ *   advantage = invest net worth - prepay net worth; breakEvenYear is the year from which
+ *   investing stays ahead (null if prepaying ends ahead)
+ */
+export function comparePrepayVsInvest(loan, options = {}) {
+  const { monthlySurplus = 0, lumpSum = 0, investReturn = 0, taxRate = 0, asOf = new Date() } = options;
+  const status = getLoanStatus(loan, asOf);
+  if (!status || status.isPaidOff) return null;
+
+  const r = loan.interestRate / 100 / 12;
+  const ir = investReturn / 100 / 12;
+  const emi = status.emi;
+  const totalMonths = status.remainingMonths;
+  const taxDeductible = loan.category === 'Home Loan' && taxRate > 0;
+  const taxSaving = (interest) => taxDeductible
+    ? Math.min(interest, HOME_LOAN_INTEREST_DEDUCTION_CAP) * taxRate / 100
+    : 0;
+
+  const invest = { balance: status.outstanding, corpus: lumpSum, interest: 0, yearInterest: 0, taxSaved: 0 };
+  const prepay = { balance: status.outstanding, corpus: 0, interest: 0, yearInterest: 0, taxSaved: 0, payoffMonth: null };
+
+  // Lump sum goes to principal straight away; any excess is invested
+  if (lumpSum >= prepay.balance) {
+    prepay.corpus = lumpSum - prepay.balance;
+    prepay.balance = 0;
+    prepay.payoffMonth = 0;
+  } else {
+    prepay.balance -= lumpSum;
+  }
+
+  // One month of loan + investment for a path; `extra` is paid towards principal
+  const step = (path, extra) => {
+    const cash = emi + monthlySurplus;
+    let toInvest = cash;
+    if (path.balance > 0) {
+      const interest = path.balance * r;
+      const payment = Math.min(emi + extra, path.balance + interest);
+      path.balance = path.balance + interest - payment;
+      if (path.balance <= 0.005) path.balance = 0;
+      path.interest += interest;
+      path.yearInterest += interest;
+      toInvest = cash - payment;
+    }
+    // Contributions go in at the start of the month (same as SIP FV)
+    path.corpus = (path.corpus + toInvest) * (1 + ir);
+  };
+
+  const closeYear = (path) => {
+    const saving = taxSaving(path.yearInterest);
+    path.corpus += saving;
+    path.taxSaved += saving;
+    path.yearInterest = 0;
+  };
+
+  const years = [];
+  for (let month = 1; month <= totalMonths; month++) {
+    step(invest, 0);
+    step(prepay, monthlySurplus);
+    if (prepay.balance === 0 && prepay.payoffMonth === null) {
+      prepay.payoffMonth = month;
+    }
+
+    if (month % 12 === 0 || month === totalMonths) {
+      closeYear(invest);
+      closeYear(prepay);
+      const investNetWorth = invest.corpus - invest.balance;
+      const prepayNetWorth = prepay.corpus - prepay.balance;
+      years.push({
+        year: Math.ceil(month / 12),
+        invest: { balance: invest.balance, corpus: invest.corpus, netWorth: investNetWorth },
+        prepay: { balance: prepay.balance, corpus: prepay.corpus, netWorth: prepayNetWorth },
+        advantage: investNetWorth - prepayNetWorth
+      });
+    }
+  }
+
+  // First year from which investing stays ahead for the rest of the loan
+  let breakEvenYear = null;
+  for (let i = years.length - 1; i >= 0 && years[i].advantage >= 0; i--) {
+    breakEvenYear = years[i].year;
+  }
+  const prepayMonths = prepay.payoffMonth ?? totalMonths;
+  const monthsFromToday = (n) => {
+    const d = new Date(asOf.getFullYear(), asOf.getMonth() + n, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  };
+
+  return {
+    years,
+    breakEvenYear,
+    interestSaved: invest.interest - prepay.interest,
+    monthsSaved: totalMonths - prepayMonths,
+    taxBenefitLost: invest.taxSaved - prepay.taxSaved,
+    originalPayoffDate: status.payoffDate,
+    prepayPayoffDate: monthsFromToday(prepayMonths),
+    finalAdvantage: years.length > 0 ? years[years.length - 1].advantage : 0
+  };
+}
@@ -0,0 +1,294 @@
+// Passphrase lock: unlock screen, auto-lock when idle and passphrase management
+import { unlockData, lockData, clearData, flushSaves, getProfiles, getActiveProfile, switchProfile, isEncryptionEnabled, enableEncryption, changePassphrase, disableEncryption, getAutoLockMinutes, setAutoLockMinutes } from './storage.js';
+import { validatePassphrase } from './crypto.js';
+import { clearSessionHistory } from './history.js';
+
+// Auto-lock choices in minutes; 0 never locks
+export const AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 0];
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+const IDLE_CHECK_MS = 30000;
+
+let getAppData = null;
+let lastActivity = Date.now();
+let idleTimer = null;
+
+/**
+ * True once the page has been idle for the auto-lock time
+ * @param {number} idleMs - Time since the last activity
+ * @param {number} minutes - Auto-lock setting (0 never locks)
+ */
+export function shouldAutoLock(idleMs, minutes) {
+  return minutes > 0 && idleMs >= minutes * 60000;
+}
+
+/**
+ * Label for an auto-lock option, e.g. '15 minutes' or 'Never'
+ */
+export function formatAutoLock(minutes) {
+  if (!minutes) return 'Never';
+  return minutes === 60 ? '1 hour' : `${minutes} minutes`;
+}
+
+/**
+ * Cover the page until the stored data is unlocked. With several profiles,
+ * another one can be opened instead.
+ * @param {function} onUnlock - Receives the decrypted data
+ */
+export function showUnlockScreen(onUnlock) {
+  const profiles = getProfiles();
+  const active = getActiveProfile();
+  const screen = document.createElement('div');
+  screen.id = 'unlock-screen';
+  screen.className = 'fixed inset-0 bg-gray-100 flex items-center justify-center z-[70] p-4';
+  screen.innerHTML = `
+    <form class="bg-white rounded-2xl shadow-xl w-full max-w-sm p-6 space-y-4">
+      <div class="text-center">
+        <h2 class="text-lg font-semibold text-gray-900">RupeeFolio is locked</h2>
+        <p class="text-sm text-gray-500 mt-1">Enter your passphrase to decrypt your plan.</p>
+      </div>
+      ${profiles.length > 1 ? `
+        <label class="flex items-center gap-2 text-sm text-gray-600">
+          Profile
+          <select id="unlock-profile-select" class="flex-1 px-2 py-1 border rounded-lg text-sm"></select>
+        </label>
+      ` : ''}
+      <input type="password" id="unlock-passphrase" autocomplete="current-password" placeholder="Passphrase"
+        class="w-full px-3 py-2 border rounded-lg">
+      <p id="unlock-error" class="hidden text-sm text-red-600"></p>
+      <button type="submit" id="unlock-btn" class="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-60">Unlock</button>
+      <p class="text-center">
+        <button type="button" id="unlock-clear-btn" class="text-xs text-gray-500 hover:text-red-600 underline underline-offset-2">Forgot your passphrase? Clear data and start over</button>
+      </p>
+    </form>
+  `;
+  document.body.appendChild(screen);
+
+  const profileSelect = screen.querySelector('#unlock-profile-select');
+  if (profileSelect) {
+    profiles.forEach(profile => profileSelect.add(new Option(profile.name, profile.id, false, profile.id === active.id)));
+    profileSelect.addEventListener('change', () => {
+      switchProfile(profileSelect.value).then(() => window.location.reload());
+    });
+  }
+
+  const input = screen.querySelector('#unlock-passphrase');
+  const button = screen.querySelector('#unlock-btn');
+  const errorEl = screen.querySelector('#unlock-error');
+  input.focus();
+
+  screen.querySelector('form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    button.disabled = true;
+    button.textContent = 'Unlocking…';
+    errorEl.classList.add('hidden');
+    unlockData(input.value).then(data => {
+      screen.remove();
+      onUnlock(data);
+    }, (err) => {
+      errorEl.textContent = err.message;
+      errorEl.classList.remove('hidden');
+      button.disabled = false;
+      button.textContent = 'Unlock';
+      input.select();
+    });
+  });
+
+  screen.querySelector('#unlock-clear-btn').addEventListener('click', () => {
+    if (confirm('Your encrypted data can\'t be recovered without the passphrase. Delete it and start over?')) {
+      clearData();
+      const reload = () => window.location.reload();
+      flushSaves().then(reload, reload);
+    }
+  });
+}
+
+/**
+ * Wire the Passphrase Lock card, the header lock button and the idle timer
+ * @param {function} getData - Returns the live app data
+ */
+export function initLock(getData) {
+  getAppData = getData;
+  document.getElementById('lock-now-btn')?.addEventListener('click', lockNow);
+
+  ACTIVITY_EVENTS.forEach(type => {
+    document.addEventListener(type, () => { lastActivity = Date.now(); }, { passive: true });
+  });
+  lastActivity = Date.now();
+  if (idleTimer) clearInterval(idleTimer);
+  idleTimer = setInterval(checkIdle, IDLE_CHECK_MS);
+
+  renderLock();
+}
+
+/**
+ * Re-render after the data or encryption state changed elsewhere
+ */
+export function refreshLock() {
+  renderLock();
+}
+
+/**
+ * Lock now: pending saves are written, then the page reloads to the unlock screen
+ */
+export function lockNow() {
+  if (!isEncryptionEnabled()) return;
+  lockData().then(() => window.location.reload());
+}
+
+function checkIdle() {
+  if (isEncryptionEnabled() && shouldAutoLock(Date.now() - lastActivity, getAutoLockMinutes(getAppData()))) {
+    lockNow();
+  }
+}
+
+function renderLock() {
+  const enabled = isEncryptionEnabled();
+  document.getElementById('lock-now-btn')?.classList.toggle('hidden', !enabled);
+
+  const container = document.getElementById('passphrase-lock');
+  if (!container) return;
+
+  if (!enabled) {
+    container.innerHTML = `
+      <p class="text-gray-500">Your plan is stored unencrypted in this browser.
+        <button id="set-passphrase-btn" class="text-gray-600 hover:text-blue-600 underline underline-offset-2">Protect it with a passphrase</button>
+      </p>
+    `;
+    container.querySelector('#set-passphrase-btn').addEventListener('click', () => {
+      showPassphraseModal({
+        title: 'Set Passphrase',
+        description: 'Your plan will be encrypted with this passphrase and you\'ll need it every time you open RupeeFolio. It can\'t be recovered if you forget it.',
+        confirm: true,
+        submitLabel: 'Encrypt my data',
+        onSubmit: ({ passphrase }) => enableEncryption(getAppData(), passphrase).then(() => {
+          clearSessionHistory();
+          renderLock();
+        })
+      });
+    });
+    return;
+  }
+
+  const minutes = getAutoLockMinutes(getAppData());
+  container.innerHTML = `
+    <p class="text-gray-600 mb-2">🔒 Your plan is encrypted with a passphrase.</p>
+    <div class="flex flex-wrap items-center justify-center gap-4">
+      <label class="flex items-center gap-2 text-gray-600">
+        Auto-lock after
+        <select id="auto-lock-setting" class="px-2 py-1 border rounded-lg text-sm">
+          ${AUTO_LOCK_OPTIONS.map(option => `<option value="${option}" ${option === minutes ? 'selected' : ''}>${formatAutoLock(option)}</option>`).join('')}
+        </select>
+      </label>
+      <button id="change-passphrase-btn" class="text-gray-600 hover:text-blue-600 underline underline-offset-2">Change passphrase</button>
+      <button id="remove-passphrase-btn" class="text-gray-600 hover:text-red-600 underline underline-offset-2">Remove passphrase</button>
+    </div>
+  `;
+
+  container.querySelector('#auto-lock-setting').addEventListener('change', (e) => {
+    setAutoLockMinutes(getAppData(), parseInt(e.target.value, 10));
+  });
+  container.querySelector('#change-passphrase-btn').addEventListener('click', () => {
+    showPassphraseModal({
+      title: 'Change Passphrase',
+      current: true,
+      confirm: true,
+      submitLabel: 'Change passphrase',
+      onSubmit: ({ current, passphrase }) => changePassphrase(getAppData(), current, passphrase)
+    });
+  });
+  container.querySelector('#remove-passphrase-btn').addEventListener('click', () => {
+    showPassphraseModal({
+      title: 'Remove Passphrase',
+      description: 'Your plan will be stored unencrypted in this browser again.',
+      submitLabel: 'Remove passphrase',
+      onSubmit: ({ passphrase }) => disableEncryption(getAppData(), passphrase).then(renderLock)
+    });
+  });
+}
+
+/**
+ * Ask for a passphrase in a modal. The modal stays open with the error
+ * shown if onSubmit rejects.
+ * @param {object} options - { title, description, current, confirm, submitLabel, onSubmit }
+ *   current asks for the current passphrase too; confirm asks for the new one twice
+ *   and checks it with validatePassphrase. onSubmit receives { current, passphrase }
+ *   and returns a Promise.
+ */
+export function showPassphraseModal({ title, description = '', current = false, confirm = false, submitLabel = 'OK', onSubmit }) {
+  const field = (id, label, autocomplete) => `
+    <label class="block">
+      <span class="block text-sm font-medium text-gray-700 mb-1">${label}</span>
+      <input type="password" id="${id}" autocomplete="${autocomplete}" class="w-full px-3 py-2 border rounded-lg">
+    </label>
+  `;
+
+  const overlay = document.createElement('div');
+  overlay.id = 'passphrase-modal-overlay';
+  overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4';
+  overlay.innerHTML = `
+    <form class="bg-white rounded-2xl shadow-xl w-full max-w-sm overflow-hidden flex flex-col">
+      <div class="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+        <h3 class="text-base font-semibold text-gray-900">${title}</h3>
+        <button type="button" id="close-passphrase-modal" class="text-gray-400 hover:text-gray-600 rounded-lg p-1 transition-colors">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <div class="px-5 py-4 space-y-3">
+        ${description ? `<p class="text-sm text-gray-500">${description}</p>` : ''}
+        ${current ? field('current-passphrase', 'Current passphrase', 'current-password') : ''}
+        ${field('passphrase-input', current ? 'New passphrase' : 'Passphrase', confirm ? 'new-password' : 'current-password')}
+        ${confirm ? field('confirm-passphrase', 'Confirm passphrase', 'new-password') : ''}
+        <p id="passphrase-error" class="hidden text-sm text-red-600"></p>
+      </div>
+
+      <div class="flex justify-end gap-3 px-5 py-4 border-t border-gray-100">
+        <button type="button" id="cancel-passphrase-btn" class="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm">Cancel</button>
+        <button type="submit" id="submit-passphrase-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-60">${submitLabel}</button>
+      </div>
+    </form>
+  `;
+
+  document.body.appendChild(overlay);
+  overlay.querySelector('input').focus();
+
+  const closeModal = () => overlay.remove();
+  overlay.querySelector('#close-passphrase-modal').addEventListener('click', closeModal);
+  overlay.querySelector('#cancel-passphrase-btn').addEventListener('click', closeModal);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeModal();
+  });
+
+  const errorEl = overlay.querySelector('#passphrase-error');
+  const submitBtn = overlay.querySelector('#submit-passphrase-btn');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  };
+
+  overlay.querySelector('form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const values = {
+      current: current ? overlay.querySelector('#current-passphrase').value : null,
+      passphrase: overlay.querySelector('#passphrase-input').value
+    };
+    if (confirm) {
+      const validation = validatePassphrase(values.passphrase, overlay.querySelector('#confirm-passphrase').value);
+      if (!validation.valid) {
+        showError(validation.error);
+        return;
+      }
+    }
+
+    // Key derivation takes a moment; keep the button from being pressed twice
+    submitBtn.disabled = true;
+    errorEl.classList.add('hidden');
+    onSubmit(values).then(closeModal, (err) => {
+      showError(err.message);
+      submitBtn.disabled = false;
+    });
+  });
+}
@@ -0,0 +1,271 @@
+// Monte Carlo simulation of goal outcomes under random market returns
+import { getTaperedEquityAllocation, getReturnForCategory, getUnifiedCategory } from './calculator.js';
+
+export const MONTE_CARLO_DEFAULTS = {
+  simulations: 2000,
+  seed: 42,
+  equityVolatility: 16, // annual std dev %, roughly Nifty 50's long-run figure
+  debtVolatility: 2,
+  correlation: 0
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} Returns a float in [0, 1) on each call
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sampler (Box-Muller) driven by a uniform RNG
+ * @param {function} rng - Uniform [0, 1) generator
+ * @returns {function} Returns a N(0, 1) draw on each call
+ */
+export function createNormalSampler(rng) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    const u = 1 - rng(); // (0, 1] so log() stays finite
+    const v = rng();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/**
+ * Derive a per-goal seed so each goal's paths don't depend on goal order
+ * @param {number} seed - Base seed
+ * @param {string} key - Goal id
+ * @returns {number} 32-bit seed
+ */
+export function deriveSeed(seed, key = '') {
+  let hash = 2166136261 ^ seed; // FNV-1a
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Value at a percentile of a sorted array (linear interpolation)
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile, 0-100
+ */
+export function getPercentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Build the simulation input for one goal from its deterministic projections.
+ * Linked assets follow the equity or debt path of their category (same mapping
+ * as calculateLinkedAssetsFV); EPF/NPS and zero-growth holdings stay fixed.
+ * @param {object} goal - Goal with id, targetDate, linkedAssets
+ * @param {object} projections - From calculateUnifiedGoalProjections / calculateRetirementProjectionsWithEpfNps
+ * @param {object} assetsData - Assets data containing items array
+ * @param {object} settings - { equityAllocation, equityReturn, debtReturn, arbitrageReturn }
+ * @returns {object} Plain, worker-safe input for simulateGoal
+ */
+export function getGoalSimulationInput(goal, projections, assetsData, settings) {
+  let equityHoldings = 0;
+  let debtHoldings = 0;
+  let fixedValue = projections.epfNps ? projections.epfNps.totalEpfNpsFV : 0;
+  // SIPs already invested (from the ledger) are counted at their expected goal-date value
+  if (projections.contributions) fixedValue += projections.contributions.futureValue;
+
+  (goal.linkedAssets || []).forEach(({ assetId, amount }) => {
+    const asset = assetsData?.items?.find(a => a.id === assetId);
+    if (!asset || !amount) return;
+    // Reuse the deterministic category mapping with path names in place of rates
+    const path = getReturnForCategory(asset.category, 'equity', 'debt');
+    if (path === 'equity') equityHoldings += amount;
+    else if (path === 'debt') debtHoldings += amount;
+    else fixedValue += amount;
+  });
+
+  return {
+    id: goal.id,
+    months: projections.months,
+    category: getUnifiedCategory(goal.targetDate),
+    target: projections.inflationAdjustedTarget,
+    monthlySIP: projections.monthlySIP,
+    annualStepUp: projections.annualStepUp || 0,
+    equityHoldings,
+    debtHoldings,
+    fixedValue,
+    equityAllocation: settings.equityAllocation,
+    equityReturn: settings.equityReturn,
+    debtReturn: settings.debtReturn,
+    arbitrageReturn: settings.arbitrageReturn ?? settings.debtReturn
+  };
+}
+
+/**
+ * Simulate one goal across many random return paths.
+ * Monthly equity and debt returns are correlated normal draws whose means
+ * match the deterministic monthly rates. The SIP follows the same glide path
+ * as calculateTaperedSipFV (short-term goals sit in arbitrage, which shares
+ * the debt draw), is invested at the start of each month and steps up yearly.
+ * @param {object} input - From getGoalSimulationInput
+ * @param {object} options - { simulations, seed, equityVolatility, debtVolatility, correlation }
+ * @returns {object} { probability (0-1), p10, p50, p90, target, simulations }
+ */
+export function simulateGoal(input, options = {}) {
+  const { simulations, seed, equityVolatility, debtVolatility, correlation } = { ...MONTE_CARLO_DEFAULTS, ...options };
+  const { months, category, target, monthlySIP, annualStepUp, equityAllocation } = input;
+
+  const equityMean = input.equityReturn / 100 / 12;
+  const debtMean = input.debtReturn / 100 / 12;
+  const arbitrageMean = input.arbitrageReturn / 100 / 12;
+  const equitySd = equityVolatility / 100 / Math.sqrt(12);
+  const debtSd = debtVolatility / 100 / Math.sqrt(12);
+  const rho = Math.max(-1, Math.min(1, correlation));
+  const rhoComplement = Math.sqrt(1 - rho * rho);
+  const stepUpRate = annualStepUp / 100;
+
+  // Glide path depends only on months left, so compute it once
+  const equityShare = [];
+  for (let m = 0; m < months; m++) {
+    equityShare.push(category === 'short' ? 0 : getTaperedEquityAllocation((months - m) / 12, equityAllocation) / 100);
+  }
+
+  const normal = createNormalSampler(createRng(deriveSeed(seed, input.id)));
+  const outcomes = new Array(simulations);
+  let successes = 0;
+
+  for (let s = 0; s < simulations; s++) {
+    let sipCorpus = 0;
+    let equityHoldings = input.equityHoldings;
+    let debtHoldings = input.debtHoldings;
+    let sip = monthlySIP;
+
+    for (let m = 0; m < months; m++) {
+      const z1 = normal();
+      const z2 = rho * z1 + rhoComplement * normal();
+      const equityRate = equityMean + equitySd * z1;
+      const debtShock = debtSd * z2;
+      const portfolioDebtRate = (category === 'short' ? arbitrageMean : debtMean) + debtShock;
+      const share = equityShare[m];
+
+      sipCorpus = (sipCorpus + sip) * (1 + share * equityRate + (1 - share) * portfolioDebtRate);
+      equityHoldings *= 1 + equityRate;
+      debtHoldings *= 1 + debtMean + debtShock;
+
+      if ((m + 1) % 12 === 0) sip *= 1 + stepUpRate;
+    }
+
+    const total = sipCorpus + equityHoldings + debtHoldings + input.fixedValue;
+    outcomes[s] = total;
+    if (total >= target) successes++;
+  }
+
+  outcomes.sort((a, b) => a - b);
+  return {
+    probability: simulations > 0 ? successes / simulations : 0,
+    p10: getPercentile(outcomes, 10),
+    p50: getPercentile(outcomes, 50),
+    p90: getPercentile(outcomes, 90),
+    target,
+    simulations
+  };
+}
+
+/**
+ * Simulate several goals with shared options
+ * @param {Array} inputs - From getGoalSimulationInput
+ * @returns {object} Results keyed by goal id
+ */
+export function runMonteCarlo(inputs, options = {}) {
+  const results = {};
+  inputs.forEach(input => {
+    results[input.id] = simulateGoal(input, options);
+  });
+  return results;
+}
+
+// Background runner: a module worker when available, otherwise a deferred
+// main-thread run (older browsers, tests). Each caller has its own stream of
+// requests, and only the latest request of a stream reports back.
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const latestRequests = new Map(); // stream -> latest request
+let workerRequests = []; // Sent to the worker and not answered yet
+
+function isLatest(request) {
+  return latestRequests.get(request.stream) === request;
+}
+
+function runOnMainThread(request) {
+  setTimeout(() => {
+    if (!isLatest(request)) return;
+    request.onResults(runMonteCarlo(request.inputs, request.options));
+  }, 0);
+}
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === 'undefined') {
+    workerFailed = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL('./montecarlo.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const { requestId, results } = e.data;
+      const request = workerRequests.find(r => r.requestId === requestId);
+      workerRequests = workerRequests.filter(r => r !== request);
+      if (request && isLatest(request)) request.onResults(results);
+    };
+    worker.onerror = () => {
+      // Worker couldn't load: finish the waiting requests and later ones on the main thread
+      workerFailed = true;
+      worker = null;
+      workerRequests.filter(isLatest).forEach(runOnMainThread);
+      workerRequests = [];
+    };
+  } catch {
+    workerFailed = true;
+    worker = null;
+  }
+  return worker;
+}
+
+/**
+ * Run simulations off the main thread; superseded requests are dropped
+ * @param {Array} inputs - From getGoalSimulationInput
+ * @param {object} options - Simulation options
+ * @param {function} onResults - Called with results keyed by goal id
+ * @param {string} stream - Caller's request stream; a request only supersedes
+ *   earlier ones from the same stream
+ */
+export function runMonteCarloInBackground(inputs, options, onResults, stream = 'plan') {
+  const request = { requestId: ++nextRequestId, stream, inputs, options, onResults };
+  latestRequests.set(stream, request);
+  const activeWorker = getWorker();
+
+  if (activeWorker) {
+    workerRequests.push(request);
+    activeWorker.postMessage({ requestId: request.requestId, inputs, options });
+    return;
+  }
+  runOnMainThread(request);
+}
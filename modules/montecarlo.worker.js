@@ -0,0 +1,7 @@
+// Web Worker: runs Monte Carlo goal simulations off the main thread
+import { runMonteCarlo } from './montecarlo.js';
+
+self.onmessage = (e) => {
+  const { requestId, inputs, options } = e.data;
+  self.postMessage({ requestId, results: runMonteCarlo(inputs, options) });
+};
@@ -0,0 +1,288 @@
+// Net-worth snapshots and history timeline (Assets tab)
+import { saveSnapshot, deleteSnapshot, generateId } from './storage.js';
+import { formatCurrency, formatCompact, formatMonth } from './currency.js';
+import { ASSET_CLASS_MAP, ASSET_CLASS_COLORS } from './assets.js';
+
+// Stacking order for the history chart (matches the assets list grouping)
+const CLASS_ORDER = ['Retirement', 'Equity', 'Debt', 'Gold', 'Real Estate', 'Other'];
+
+const NET_WORTH_COLOR = '#111827'; // gray-900
+
+let appData = null;
+let currency = 'INR';
+let onDataChange = null;
+
+export function initNetWorthHistory(data, curr, onChange) {
+  appData = data;
+  currency = curr;
+  onDataChange = onChange;
+  renderHistory();
+  setupEventListeners();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderHistory();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderHistory();
+}
+
+function setupEventListeners() {
+  document.getElementById('record-snapshot-btn')?.addEventListener('click', () => {
+    saveSnapshot(appData, createSnapshot(appData));
+    renderHistory();
+    if (onDataChange) onDataChange();
+  });
+}
+
+/**
+ * Calendar month key for a date, e.g. '2026-01'
+ * @param {Date} date
+ * @returns {string} YYYY-MM in local time
+ */
+export function getSnapshotMonth(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Capture current asset values, liability amounts and net worth
+ * @param {object} data - App data
+ * @param {Date} now - Snapshot date (injectable for tests)
+ * @returns {object} Snapshot { id, date, month, assets, liabilities, totalAssets, totalLiabilities, netWorth }
+ */
+export function createSnapshot(data, now = new Date()) {
+  const assets = (data.assets?.items || []).map(a => ({
+    id: a.id,
+    name: a.name,
+    category: a.category,
+    value: a.value || 0
+  }));
+  const liabilities = (data.liabilities?.items || []).map(l => ({
+    id: l.id,
+    name: l.name,
+    category: l.category,
+    amount: l.amount || 0
+  }));
+  const totalAssets = assets.reduce((sum, a) => sum + a.value, 0);
+  const totalLiabilities = liabilities.reduce((sum, l) => sum + l.amount, 0);
+
+  return {
+    id: generateId(),
+    date: `${getSnapshotMonth(now)}-${String(now.getDate()).padStart(2, '0')}`,
+    month: getSnapshotMonth(now),
+    assets,
+    liabilities,
+    totalAssets,
+    totalLiabilities,
+    netWorth: totalAssets - totalLiabilities
+  };
+}
+
+/**
+ * Record this month's snapshot if there isn't one yet.
+ * Skipped while the plan has no assets or liabilities.
+ * @returns {boolean} true if a snapshot was recorded
+ */
+export function recordMonthlySnapshot(data, now = new Date()) {
+  const hasItems = data.assets.items.length > 0 || data.liabilities.items.length > 0;
+  const month = getSnapshotMonth(now);
+  if (!hasItems || (data.snapshots || []).some(s => s.month === month)) {
+    return false;
+  }
+  saveSnapshot(data, createSnapshot(data, now));
+  return true;
+}
+
+/**
+ * Sum snapshot asset values by asset class (same buckets as the pie chart)
+ * @returns {object} { Equity: 0, Debt: 0, ... }
+ */
+export function getSnapshotClassTotals(snapshot) {
+  const totals = Object.fromEntries(CLASS_ORDER.map(cls => [cls, 0]));
+  snapshot.assets.forEach(asset => {
+    const assetClass = ASSET_CLASS_MAP[asset.category] || 'Other';
+    totals[assetClass] += asset.value;
+  });
+  return totals;
+}
+
+/**
+ * Snapshots in date order with class totals and month-over-month change
+ * @param {Array} snapshots
+ * @returns {Array} [{ ...snapshot, classTotals, change, changePercent }] - change is null for the first
+ */
+export function getSnapshotHistory(snapshots) {
+  const sorted = [...(snapshots || [])].sort((a, b) => a.month.localeCompare(b.month));
+  return sorted.map((snapshot, i) => {
+    const previous = sorted[i - 1];
+    const change = previous ? snapshot.netWorth - previous.netWorth : null;
+    const changePercent = previous && previous.netWorth !== 0
+      ? (change / Math.abs(previous.netWorth)) * 100
+      : null;
+    return { ...snapshot, classTotals: getSnapshotClassTotals(snapshot), change, changePercent };
+  });
+}
+
+function renderHistory() {
+  const history = getSnapshotHistory(appData.snapshots);
+  renderHistoryChart(history);
+  renderHistoryTable(history);
+}
+
+/**
+ * Stacked asset-class areas with the net-worth line drawn on top
+ */
+function renderHistoryChart(history) {
+  const container = document.getElementById('networth-history-chart');
+  if (!container) return;
+
+  if (history.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 text-sm italic">No snapshots yet. A snapshot is recorded automatically each month, or record one now.</p>';
+    return;
+  }
+
+  const width = 600;
+  const height = 220;
+  const padLeft = 8;
+  const padRight = 8;
+  const padTop = 12;
+  const padBottom = 24;
+  const plotWidth = width - padLeft - padRight;
+  const plotHeight = height - padTop - padBottom;
+
+  const maxValue = Math.max(...history.map(h => Math.max(h.totalAssets, h.netWorth)), 1);
+  const minValue = Math.min(0, ...history.map(h => h.netWorth));
+  const range = maxValue - minValue;
+
+  const x = (i) => padLeft + (history.length === 1 ? plotWidth / 2 : (i / (history.length - 1)) * plotWidth);
+  const y = (value) => padTop + ((maxValue - value) / range) * plotHeight;
+
+  const activeClasses = CLASS_ORDER.filter(cls => history.some(h => h.classTotals[cls] > 0));
+
+  // Build stacked bands bottom-up
+  const baseline = history.map(() => 0);
+  const areas = activeClasses.map(cls => {
+    const lower = [...baseline];
+    history.forEach((h, i) => { baseline[i] += h.classTotals[cls]; });
+    const upper = [...baseline];
+
+    if (history.length === 1) {
+      return `<rect x="${x(0) - 12}" y="${y(upper[0])}" width="24" height="${Math.max(y(lower[0]) - y(upper[0]), 0)}" fill="${ASSET_CLASS_COLORS[cls]}" fill-opacity="0.7" />`;
+    }
+    const top = upper.map((v, i) => `${x(i)},${y(v)}`);
+    const bottom = lower.map((v, i) => `${x(i)},${y(v)}`).reverse();
+    return `<polygon points="${[...top, ...bottom].join(' ')}" fill="${ASSET_CLASS_COLORS[cls]}" fill-opacity="0.7" />`;
+  }).join('');
+
+  const netWorthPoints = history.map((h, i) => `${x(i)},${y(h.netWorth)}`).join(' ');
+  const netWorthDots = history.map((h, i) =>
+    `<circle cx="${x(i)}" cy="${y(h.netWorth)}" r="3" fill="${NET_WORTH_COLOR}"><title>${formatMonth(h.month)}: ${formatCurrency(h.netWorth, currency)}</title></circle>`
+  ).join('');
+
+  // Label first and last months only to avoid crowding
+  const labelIndexes = history.length === 1 ? [0] : [0, history.length - 1];
+  const labels = labelIndexes.map(i => {
+    const anchor = history.length === 1 ? 'middle' : (i === 0 ? 'start' : 'end');
+    return `<text x="${x(i)}" y="${height - 6}" text-anchor="${anchor}" font-size="11" fill="#6b7280">${formatMonth(history[i].month)}</text>`;
+  }).join('');
+
+  const zeroLine = minValue < 0
+    ? `<line x1="${padLeft}" x2="${width - padRight}" y1="${y(0)}" y2="${y(0)}" stroke="#d1d5db" stroke-dasharray="4 4" />`
+    : '';
+
+  const legendItems = [
+    ...activeClasses.map(cls => `
+      <div class="flex items-center gap-1.5">
+        <span class="w-2.5 h-2.5 rounded-full shrink-0" style="background-color: ${ASSET_CLASS_COLORS[cls]}"></span>
+        <span class="text-xs text-gray-600">${cls}</span>
+      </div>
+    `),
+    `<div class="flex items-center gap-1.5">
+      <span class="w-4 h-0.5 shrink-0" style="background-color: ${NET_WORTH_COLOR}"></span>
+      <span class="text-xs text-gray-600">Net Worth</span>
+    </div>`
+  ].join('');
+
+  container.innerHTML = `
+    <div class="flex items-baseline justify-between mb-2">
+      <span class="text-xs text-gray-500">Peak assets ${formatCompact(maxValue, currency)}</span>
+    </div>
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" preserveAspectRatio="none">
+      ${areas}
+      ${zeroLine}
+      ${history.length > 1 ? `<polyline points="${netWorthPoints}" fill="none" stroke="${NET_WORTH_COLOR}" stroke-width="2" />` : ''}
+      ${netWorthDots}
+      ${labels}
+    </svg>
+    <div class="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+      ${legendItems}
+    </div>
+  `;
+}
+
+function renderHistoryTable(history) {
+  const container = document.getElementById('networth-history-table');
+  if (!container) return;
+
+  if (history.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const formatChange = (row) => {
+    if (row.change === null) return '<span class="text-gray-400">—</span>';
+    const cls = row.change >= 0 ? 'text-emerald-600' : 'text-red-600';
+    const sign = row.change > 0 ? '+' : '';
+    const pct = row.changePercent !== null ? ` (${sign}${row.changePercent.toFixed(1)}%)` : '';
+    return `<span class="${cls}">${sign}${formatCurrency(row.change, currency)}${pct}</span>`;
+  };
+
+  // Newest first
+  const rows = [...history].reverse();
+
+  container.innerHTML = `
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="border-b border-gray-200 text-gray-500">
+            <th class="text-left py-2 pr-3 font-medium">Month</th>
+            <th class="text-right py-2 px-3 font-medium">Assets</th>
+            <th class="text-right py-2 px-3 font-medium">Liabilities</th>
+            <th class="text-right py-2 px-3 font-medium">Net Worth</th>
+            <th class="text-right py-2 px-3 font-medium">Change</th>
+            <th class="py-2 pl-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr class="border-b border-gray-100">
+              <td class="py-2 pr-3 text-gray-700 whitespace-nowrap">${formatMonth(row.month)}</td>
+              <td class="py-2 px-3 text-right text-emerald-600 whitespace-nowrap">${formatCurrency(row.totalAssets, currency)}</td>
+              <td class="py-2 px-3 text-right text-orange-600 whitespace-nowrap">${formatCurrency(row.totalLiabilities, currency)}</td>
+              <td class="py-2 px-3 text-right font-medium text-gray-900 whitespace-nowrap">${formatCurrency(row.netWorth, currency)}</td>
+              <td class="py-2 px-3 text-right whitespace-nowrap">${formatChange(row)}</td>
+              <td class="py-2 pl-2 text-right">
+                <button class="delete-snapshot-btn text-gray-400 hover:text-red-600 hover:bg-red-50 rounded p-1 transition-colors" data-id="${row.id}" title="Delete snapshot">
+                  <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+                  </svg>
+                </button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  container.querySelectorAll('.delete-snapshot-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      deleteSnapshot(appData, btn.dataset.id);
+      renderHistory();
+      if (onDataChange) onDataChange();
+    });
+  });
+}
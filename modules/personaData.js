@@ -2,6 +2,7 @@
 // Generates realistic financial data based on wizard answers
 
 import { generateId } from './storage.js';
+import { calculateRequiredRetirementCorpus } from './calculator.js';
 
 // Expense percentages based on income (as % of in-hand income)
 // With caps to prevent unrealistic amounts at higher incomes
@@ -43,7 +44,6 @@ const NPS_PERCENTAGE = 0.05; // ~5% of in-hand if opted
 const RETIREMENT_EXPENSE_RATIO = 0.70;   // 70% of current non-EMI expenses
 const HEALTHCARE_PERCENT = 0.05;          // 5% of income
 const HEALTHCARE_CAP = 25000;             // Capped at ₹25K/month
-const LIFE_EXPECTANCY = 90;
 
 // Home value multipliers based on income (annual in-hand * multiplier)
 const HOME_VALUE_MULTIPLIER = 8; // 8x annual in-hand income
@@ -352,6 +352,7 @@ function calculateGoals(answers, expenses) {
     id: generateId(),
     name: 'Emergency Fund',
     goalType: 'one-time',
+    priority: 'essential',
     targetAmount: Math.round(emergencyAmount / 100000) * 100000, // Round to nearest lakh
     inflationRate: 0,
     targetDate: emergencyTarget.toISOString().split('T')[0],
@@ -370,9 +371,9 @@ function calculateGoals(answers, expenses) {
     const retirementMonthlyExpenses = Math.round(
       nonEmiExpenses * RETIREMENT_EXPENSE_RATIO + healthcareBudget
     );
-    const yearsInRetirement = LIFE_EXPECTANCY - retirementAge;
-    const retirementCorpus = retirementMonthlyExpenses * 12 * yearsInRetirement;
-    const roundedCorpus = Math.floor(retirementCorpus / 1000000) * 1000000;
+    // Corpus (today's value) that funds inflation-rising withdrawals to life expectancy (90)
+    const retirementCorpus = calculateRequiredRetirementCorpus(retirementMonthlyExpenses, retirementAge);
+    const roundedCorpus = Math.ceil(retirementCorpus / 1000000) * 1000000;
 
     const retirementTarget = new Date(today);
     retirementTarget.setFullYear(retirementTarget.getFullYear() + yearsToRetirement);
@@ -381,6 +382,7 @@ function calculateGoals(answers, expenses) {
       id: generateId(),
       name: 'Financial Independence',
       goalType: 'retirement',
+      priority: 'essential',
       targetAmount: Math.max(roundedCorpus, 10000000),
       inflationRate: 6,
       targetDate: retirementTarget.toISOString().split('T')[0],
@@ -406,6 +408,7 @@ function calculateGoals(answers, expenses) {
         id: generateId(),
         name: `Child Education${numKids > 1 ? ' (2 kids)' : ''}`,
         goalType: 'one-time',
+        priority: 'important',
         targetAmount: educationAmount,
         inflationRate: 8, // Education inflation
         targetDate: educationTarget.toISOString().split('T')[0],
@@ -430,6 +433,7 @@ function calculateGoals(answers, expenses) {
       id: generateId(),
       name: 'Home Down Payment',
       goalType: 'one-time',
+      priority: 'aspirational',
       targetAmount: Math.round(cappedDownPayment / 100000) * 100000, // Round to nearest lakh
       inflationRate: 6,
       targetDate: homeTarget.toISOString().split('T')[0],
@@ -0,0 +1,259 @@
+// Prepay-the-loan vs invest-the-surplus analysis (Plan tab)
+import { formatCurrency, formatCompact, formatMonth, getSymbol, parseCurrencyInput, setupCurrencyInput } from './currency.js';
+import { calculateEffectiveTaperedReturn, formatTimeline } from './calculator.js';
+import { getLoanStatus, comparePrepayVsInvest } from './loans.js';
+import { numberToWords } from './wizard.js';
+
+// Marginal slab rates including 4% cess; 0 when the 24(b) deduction isn't claimed
+const TAX_SLAB_OPTIONS = [
+  { value: 0, label: 'Not claiming 24(b) / new regime' },
+  { value: 5.2, label: '5% slab' },
+  { value: 20.8, label: '20% slab' },
+  { value: 31.2, label: '30% slab' }
+];
+
+let appData = null;
+let currency = 'INR';
+let equityAllocation = 60;
+let equityReturn = 10;
+let debtReturn = 5;
+
+// Analysis inputs (kept for the session, not saved)
+let selectedLoanId = null;
+let monthlySurplus = 10000;
+let lumpSum = 0;
+let taxRate = 31.2;
+
+export function initPrepayment(data, curr, eqAlloc, eqReturn, debtRet) {
+  appData = data;
+  currency = curr;
+  equityAllocation = eqAlloc ?? 60;
+  equityReturn = eqReturn ?? 10;
+  debtReturn = debtRet ?? 5;
+  renderPrepayment();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderPrepayment();
+}
+
+export function updateAllocation(eqAlloc) {
+  equityAllocation = eqAlloc;
+  renderResults();
+}
+
+export function updateReturns(eqReturn, debtRet) {
+  equityReturn = eqReturn;
+  debtReturn = debtRet;
+  renderResults();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderPrepayment();
+}
+
+// Loans with an active amortization schedule
+function getEligibleLoans() {
+  return appData.liabilities.items.filter(l => {
+    const status = getLoanStatus(l);
+    return status && !status.isPaidOff;
+  });
+}
+
+function getSelectedLoan() {
+  const loans = getEligibleLoans();
+  return loans.find(l => l.id === selectedLoanId) || loans[0] || null;
+}
+
+function renderPrepayment() {
+  const container = document.getElementById('prepayment-analysis');
+  if (!container) return;
+
+  const loans = getEligibleLoans();
+  if (loans.length === 0) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+
+  const selected = getSelectedLoan();
+  selectedLoanId = selected.id;
+
+  container.innerHTML = `
+    <div class="bg-white rounded-lg shadow-sm p-4 sm:p-5">
+      <h3 class="text-lg font-semibold text-gray-800">Prepay Loan or Invest?</h3>
+      <p class="text-sm text-gray-500 mb-4">Compare putting spare cash into your loan with investing it in the long-term portfolio.</p>
+
+      <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 mb-4">
+        <div>
+          <label class="text-xs text-gray-500">Loan</label>
+          <select id="prepay-loan" class="w-full px-3 py-2 border rounded text-sm">
+            ${loans.map(l => `<option value="${l.id}" ${l.id === selected.id ? 'selected' : ''}>${l.name} (${l.interestRate}%)</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          <label class="text-xs text-gray-500">Monthly surplus</label>
+          <div class="relative">
+            <span class="absolute left-3 top-2 text-gray-500 text-sm">${getSymbol(currency)}</span>
+            <input type="text" id="prepay-monthly" class="w-full pl-7 pr-3 py-2 border rounded text-sm" inputmode="numeric"
+              value="${monthlySurplus > 0 ? monthlySurplus.toLocaleString('en-IN') : ''}" placeholder="0">
+          </div>
+          <p id="prepay-monthly-words" class="text-xs text-gray-400 h-4"></p>
+        </div>
+        <div>
+          <label class="text-xs text-gray-500">One-time lump sum</label>
+          <div class="relative">
+            <span class="absolute left-3 top-2 text-gray-500 text-sm">${getSymbol(currency)}</span>
+            <input type="text" id="prepay-lumpsum" class="w-full pl-7 pr-3 py-2 border rounded text-sm" inputmode="numeric"
+              value="${lumpSum > 0 ? lumpSum.toLocaleString('en-IN') : ''}" placeholder="0">
+          </div>
+          <p id="prepay-lumpsum-words" class="text-xs text-gray-400 h-4"></p>
+        </div>
+        <div>
+          <label class="text-xs text-gray-500">Home-loan interest deduction</label>
+          <select id="prepay-tax" class="w-full px-3 py-2 border rounded text-sm">
+            ${TAX_SLAB_OPTIONS.map(o => `<option value="${o.value}" ${o.value === taxRate ? 'selected' : ''}>${o.label}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+
+      <div id="prepay-results"></div>
+    </div>
+  `;
+
+  const monthlyInput = document.getElementById('prepay-monthly');
+  const lumpSumInput = document.getElementById('prepay-lumpsum');
+  setupCurrencyInput(monthlyInput, document.getElementById('prepay-monthly-words'), numberToWords, currency);
+  setupCurrencyInput(lumpSumInput, document.getElementById('prepay-lumpsum-words'), numberToWords, currency);
+
+  document.getElementById('prepay-loan').addEventListener('change', (e) => {
+    selectedLoanId = e.target.value;
+    renderResults();
+  });
+  monthlyInput.addEventListener('input', () => {
+    monthlySurplus = parseCurrencyInput(monthlyInput.value) || 0;
+    renderResults();
+  });
+  lumpSumInput.addEventListener('input', () => {
+    lumpSum = parseCurrencyInput(lumpSumInput.value) || 0;
+    renderResults();
+  });
+  document.getElementById('prepay-tax').addEventListener('change', (e) => {
+    taxRate = parseFloat(e.target.value);
+    renderResults();
+  });
+
+  renderResults();
+}
+
+function renderResults() {
+  const container = document.getElementById('prepay-results');
+  if (!container) return;
+
+  const loan = getSelectedLoan();
+  if (!loan) return;
+
+  if (monthlySurplus <= 0 && lumpSum <= 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 italic">Enter a monthly surplus or lump sum to compare.</p>';
+    return;
+  }
+
+  const status = getLoanStatus(loan);
+  const remainingYears = status.remainingMonths / 12;
+  const investReturn = calculateEffectiveTaperedReturn(remainingYears, equityAllocation, equityReturn, debtReturn);
+  const result = comparePrepayVsInvest(loan, {
+    monthlySurplus,
+    lumpSum,
+    investReturn,
+    taxRate: loan.category === 'Home Loan' ? taxRate : 0
+  });
+  if (!result) return;
+
+  const investWins = result.finalAdvantage >= 0;
+  const last = result.years[result.years.length - 1];
+
+  let verdict;
+  if (result.breakEvenYear === 1) {
+    verdict = 'Investing stays ahead from the first year.';
+  } else if (result.breakEvenYear) {
+    verdict = `Prepaying is ahead at first; investing pulls ahead from year ${result.breakEvenYear} and stays ahead.`;
+  } else {
+    verdict = 'Prepaying the loan comes out ahead by the original payoff date.';
+  }
+
+  container.innerHTML = `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+      <div class="bg-orange-50 rounded-lg p-3">
+        <div class="text-xs text-orange-700">Interest saved by prepaying</div>
+        <div class="text-lg font-semibold text-orange-800">${formatCurrency(Math.round(result.interestSaved), currency)}</div>
+      </div>
+      <div class="bg-orange-50 rounded-lg p-3">
+        <div class="text-xs text-orange-700">Loan closes earlier by</div>
+        <div class="text-lg font-semibold text-orange-800">${result.monthsSaved > 0 ? formatTimeline(result.monthsSaved / 12) : '—'}</div>
+        <div class="text-xs text-orange-600">${formatMonth(result.prepayPayoffDate)} instead of ${formatMonth(result.originalPayoffDate)}</div>
+      </div>
+      <div class="bg-blue-50 rounded-lg p-3">
+        <div class="text-xs text-blue-700">Investing builds by ${formatMonth(result.originalPayoffDate)}</div>
+        <div class="text-lg font-semibold text-blue-800">${formatCompact(Math.round(last.invest.corpus), currency)}</div>
+        <div class="text-xs text-blue-600">at ${investReturn.toFixed(1)}% tapered return</div>
+      </div>
+      <div class="${investWins ? 'bg-emerald-50' : 'bg-amber-50'} rounded-lg p-3">
+        <div class="text-xs ${investWins ? 'text-emerald-700' : 'text-amber-700'}">${investWins ? 'Investing' : 'Prepaying'} ahead by</div>
+        <div class="text-lg font-semibold ${investWins ? 'text-emerald-800' : 'text-amber-800'}">${formatCompact(Math.round(Math.abs(result.finalAdvantage)), currency)}</div>
+        <div class="text-xs ${investWins ? 'text-emerald-600' : 'text-amber-600'}">net worth at original payoff</div>
+      </div>
+    </div>
+
+    <p class="text-sm text-gray-700 mb-2">${verdict}</p>
+    ${renderAdvantageChart(result.years)}
+    <p class="text-xs text-gray-400 mt-2">
+      Both paths spend the same EMI + surplus each month. Once the loan is closed early, the freed-up EMI is invested.
+      ${result.taxBenefitLost > 0 ? `Prepaying gives up ${formatCurrency(Math.round(result.taxBenefitLost), currency)} of 24(b) tax savings.` : ''}
+      Investment returns are before capital gains tax.
+    </p>
+  `;
+}
+
+/**
+ * Bar per year: investing's net-worth lead (up) or prepaying's lead (down)
+ */
+function renderAdvantageChart(years) {
+  const width = 600;
+  const height = 160;
+  const padTop = 8;
+  const padBottom = 20;
+  const plotHeight = height - padTop - padBottom;
+  const maxAbs = Math.max(...years.map(y => Math.abs(y.advantage)), 1);
+  const hasNegative = years.some(y => y.advantage < 0);
+  const hasPositive = years.some(y => y.advantage > 0);
+
+  // Zero line sits in the middle only when both signs occur
+  const zeroY = padTop + (hasNegative && hasPositive ? plotHeight / 2 : (hasNegative ? 0 : plotHeight));
+  const scale = (hasNegative && hasPositive ? plotHeight / 2 : plotHeight) / maxAbs;
+  const barWidth = width / years.length;
+
+  const bars = years.map((y, i) => {
+    const h = Math.abs(y.advantage) * scale;
+    const top = y.advantage >= 0 ? zeroY - h : zeroY;
+    const color = y.advantage >= 0 ? '#10b981' : '#f59e0b'; // emerald-500 / amber-500
+    return `<rect x="${i * barWidth + barWidth * 0.15}" y="${top}" width="${barWidth * 0.7}" height="${Math.max(h, 0.5)}" fill="${color}">
+      <title>Year ${y.year}: ${y.advantage >= 0 ? 'investing' : 'prepaying'} ahead by ${formatCurrency(Math.round(Math.abs(y.advantage)), currency)}</title>
+    </rect>`;
+  }).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" preserveAspectRatio="none">
+      ${bars}
+      <line x1="0" x2="${width}" y1="${zeroY}" y2="${zeroY}" stroke="#9ca3af" />
+      <text x="2" y="${height - 4}" font-size="11" fill="#6b7280">Year 1</text>
+      <text x="${width - 2}" y="${height - 4}" font-size="11" fill="#6b7280" text-anchor="end">Year ${years[years.length - 1].year}</text>
+    </svg>
+    <div class="flex gap-4 mt-1">
+      <div class="flex items-center gap-1.5"><span class="w-2.5 h-2.5 rounded-sm" style="background-color: #10b981"></span><span class="text-xs text-gray-600">Investing ahead</span></div>
+      <div class="flex items-center gap-1.5"><span class="w-2.5 h-2.5 rounded-sm" style="background-color: #f59e0b"></span><span class="text-xs text-gray-600">Prepaying ahead</span></div>
+    </div>
+  `;
+}
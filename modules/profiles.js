@@ -0,0 +1,242 @@
+// Household profiles: header switcher and the Manage Profiles modal
+import { getProfiles, getActiveProfile, createProfile, duplicateProfile, renameProfile, deleteProfile, switchProfile } from './storage.js';
+
+export const MAX_PROFILE_NAME_LENGTH = 40;
+
+let modal = null; // Open Manage Profiles overlay, re-rendered when profiles change
+let editingId = null; // Profile being renamed in the modal
+
+/**
+ * Validate a profile name
+ * @param {string} name
+ * @param {Array} profiles - Existing profiles (names must be unique)
+ * @param {string|null} id - Profile being renamed, so it doesn't clash with itself
+ * @returns {object} { valid, error }
+ */
+export function validateProfileName(name, profiles = [], id = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return { valid: false, error: 'Enter a profile name' };
+  if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    return { valid: false, error: `Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters` };
+  }
+  if (profiles.some(p => p.id !== id && p.name.trim().toLowerCase() === trimmed.toLowerCase())) {
+    return { valid: false, error: 'A profile with this name already exists' };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * A name not used by any profile yet, e.g. 'Sample Plan 2' if 'Sample Plan' is taken
+ * @param {string} base - Preferred name
+ * @param {Array} profiles - Existing profiles
+ */
+export function getUniqueProfileName(base, profiles = []) {
+  const taken = new Set(profiles.map(p => p.name.trim().toLowerCase()));
+  if (!taken.has(base.toLowerCase())) return base;
+  let n = 2;
+  while (taken.has(`${base} ${n}`.toLowerCase())) n++;
+  return `${base} ${n}`;
+}
+
+/**
+ * Wire the header profile switcher and the Manage Profiles button
+ */
+export function initProfiles() {
+  document.getElementById('profile-select')?.addEventListener('change', (e) => openProfile(e.target.value));
+  document.getElementById('manage-profiles-btn')?.addEventListener('click', showProfilesModal);
+  renderSwitcher();
+}
+
+/**
+ * Re-render after the profile list changed in another tab
+ */
+export function refreshProfiles() {
+  renderSwitcher();
+  if (modal) renderProfileRows();
+}
+
+function renderSwitcher() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  const active = getActiveProfile();
+  select.innerHTML = '';
+  getProfiles().forEach(profile => select.add(new Option(profile.name, profile.id, false, profile.id === active.id)));
+}
+
+// Writes pending saves, then reloads into the chosen profile
+function openProfile(id) {
+  switchProfile(id).then(() => window.location.reload(), (err) => {
+    alert(`Could not switch profile: ${err.message}`);
+    renderSwitcher();
+  });
+}
+
+function showProfilesModal() {
+  editingId = null;
+  modal = document.createElement('div');
+  modal.id = 'profiles-modal-overlay';
+  modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4';
+  modal.innerHTML = `
+    <div class="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[85vh] overflow-hidden flex flex-col">
+      <div class="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+        <h3 class="text-base font-semibold text-gray-900">Profiles</h3>
+        <button id="close-profiles-modal" class="text-gray-400 hover:text-gray-600 rounded-lg p-1 transition-colors">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <div class="px-5 py-4 overflow-y-auto space-y-4">
+        <p class="text-sm text-gray-500">Each profile is a separate plan with its own data, passphrase and backups.</p>
+        <ul id="profiles-list" class="divide-y divide-gray-100"></ul>
+
+        <form id="new-profile-form" class="flex gap-2">
+          <input type="text" id="new-profile-name" maxlength="${MAX_PROFILE_NAME_LENGTH}" placeholder="e.g., Parents"
+            class="flex-1 px-3 py-2 border rounded-lg text-sm">
+          <button type="submit" id="create-profile-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">New profile</button>
+        </form>
+        <p id="profiles-error" class="hidden text-sm text-red-600"></p>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    modal.remove();
+    modal = null;
+  };
+  modal.querySelector('#close-profiles-modal').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  modal.querySelector('#new-profile-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = modal.querySelector('#new-profile-name').value.trim();
+    const validation = validateProfileName(name, getProfiles());
+    if (!validation.valid) {
+      showError(validation.error);
+      return;
+    }
+    // A new profile is opened straight away
+    run(createProfile(name).then(profile => switchProfile(profile.id)).then(() => window.location.reload()));
+  });
+
+  modal.querySelector('#profiles-list').addEventListener('click', handleRowClick);
+  renderProfileRows();
+}
+
+function renderProfileRows() {
+  const list = modal.querySelector('#profiles-list');
+  const profiles = getProfiles();
+  const active = getActiveProfile();
+  const buttonClass = 'text-xs text-gray-600 hover:text-blue-600 underline underline-offset-2 disabled:opacity-40 disabled:no-underline';
+
+  list.innerHTML = profiles.map(profile => {
+    if (profile.id === editingId) {
+      return `
+        <li class="flex items-center gap-2 py-2" data-id="${profile.id}">
+          <input type="text" class="profile-name-input flex-1 px-2 py-1 border rounded-lg text-sm" maxlength="${MAX_PROFILE_NAME_LENGTH}">
+          <button class="save-profile-name-btn px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-xs">Save</button>
+          <button class="cancel-profile-name-btn px-3 py-1 border rounded-lg hover:bg-gray-50 text-xs">Cancel</button>
+        </li>
+      `;
+    }
+    const isActive = profile.id === active.id;
+    return `
+      <li class="flex items-center gap-3 py-2" data-id="${profile.id}">
+        <span class="profile-name flex-1 text-sm ${isActive ? 'font-medium text-gray-900' : 'text-gray-700'}"></span>
+        ${isActive
+          ? '<span class="text-xs text-emerald-600">Open</span>'
+          : `<button class="open-profile-btn ${buttonClass}">Open</button>`}
+        <button class="rename-profile-btn ${buttonClass}">Rename</button>
+        <button class="duplicate-profile-btn ${buttonClass}">Duplicate</button>
+        <button class="delete-profile-btn ${buttonClass.replace('hover:text-blue-600', 'hover:text-red-600')}" ${profiles.length === 1 ? 'disabled' : ''}>Delete</button>
+      </li>
+    `;
+  }).join('');
+
+  // Names are user text: set them as text, not markup
+  profiles.forEach(profile => {
+    const row = list.querySelector(`[data-id="${profile.id}"]`);
+    const name = row.querySelector('.profile-name');
+    if (name) name.textContent = profile.name;
+    const input = row.querySelector('.profile-name-input');
+    if (input) {
+      input.value = profile.name;
+      input.focus();
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveRename(profile.id, input.value);
+        if (e.key === 'Escape') cancelRename();
+      });
+    }
+  });
+}
+
+function handleRowClick(e) {
+  const button = e.target.closest('button');
+  const row = e.target.closest('[data-id]');
+  if (!button || !row) return;
+  const id = row.dataset.id;
+  const profile = getProfiles().find(p => p.id === id);
+  if (!profile) return;
+
+  if (button.classList.contains('open-profile-btn')) {
+    openProfile(id);
+  } else if (button.classList.contains('rename-profile-btn')) {
+    editingId = id;
+    hideError();
+    renderProfileRows();
+  } else if (button.classList.contains('save-profile-name-btn')) {
+    saveRename(id, row.querySelector('.profile-name-input').value);
+  } else if (button.classList.contains('cancel-profile-name-btn')) {
+    cancelRename();
+  } else if (button.classList.contains('duplicate-profile-btn')) {
+    run(duplicateProfile(id, getUniqueProfileName(`${profile.name} (copy)`, getProfiles())));
+  } else if (button.classList.contains('delete-profile-btn')) {
+    if (!confirm(`Delete the profile "${profile.name}" and all of its data? This cannot be undone.`)) return;
+    const wasActive = id === getActiveProfile().id;
+    run(deleteProfile(id).then(() => {
+      if (wasActive) window.location.reload();
+    }));
+  }
+}
+
+function saveRename(id, value) {
+  const name = value.trim();
+  const validation = validateProfileName(name, getProfiles(), id);
+  if (!validation.valid) {
+    showError(validation.error);
+    return;
+  }
+  editingId = null;
+  run(renameProfile(id, name));
+}
+
+function cancelRename() {
+  editingId = null;
+  hideError();
+  renderProfileRows();
+}
+
+// Re-render once a profile change is stored, or show why it failed
+function run(promise) {
+  hideError();
+  promise.then(() => {
+    renderSwitcher();
+    if (modal) renderProfileRows();
+  }, (err) => showError(err.message));
+}
+
+function showError(message) {
+  const error = modal?.querySelector('#profiles-error');
+  if (!error) return;
+  error.textContent = message;
+  error.classList.remove('hidden');
+}
+
+function hideError() {
+  modal?.querySelector('#profiles-error')?.classList.add('hidden');
+}
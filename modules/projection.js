@@ -0,0 +1,296 @@
+// Year-by-year cash flow projection (Cash Flow tab)
+import { setCategoryInflation, getCategoryInflation } from './storage.js';
+import { formatCurrency, formatCompact } from './currency.js';
+import { getMonthsRemaining } from './calculator.js';
+import { isExpenseActive, getIncomeGrowth, getAmountInMonth } from './cashflow.js';
+import { getGoalSipSchedule } from './investmentplan.js';
+
+export const PROJECTION_YEARS = 30;
+
+export const DEFAULT_EXPENSE_INFLATION = 6;
+
+// Education and healthcare costs have run well ahead of CPI; EMIs are fixed
+export const CATEGORY_INFLATION_DEFAULTS = {
+  'Education': 10,
+  'Health & Insurance': 10,
+  'EMIs/Loans': 0
+};
+
+const INCOME_COLOR = '#059669'; // emerald-600
+const EXPENSE_COLOR = '#dc2626'; // red-600
+const SIP_COLOR = '#2563eb'; // blue-600
+
+let appData = null;
+let currency = 'INR';
+let onDataChange = null;
+
+export function initProjection(data, curr, onChange) {
+  appData = data;
+  currency = curr;
+  onDataChange = onChange;
+  renderProjection();
+  setupEventListeners();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderProjection();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderProjection();
+}
+
+function setupEventListeners() {
+  document.getElementById('cashflow-projection')?.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('category-inflation-input')) return;
+    const rate = parseFloat(e.target.value);
+    if (isNaN(rate) || rate < 0 || rate > 30) {
+      renderProjection();
+      return;
+    }
+    setCategoryInflation(appData, e.target.dataset.category, rate);
+    renderProjection();
+    if (onDataChange) onDataChange();
+  });
+}
+
+/**
+ * Inflation rate (%) for an expense category: user override, then category default
+ * @param {string} category - Expense category
+ * @param {object} overrides - From settings.categoryInflation
+ */
+export function getCategoryInflationRate(category, overrides = {}) {
+  return overrides[category] ?? CATEGORY_INFLATION_DEFAULTS[category] ?? DEFAULT_EXPENSE_INFLATION;
+}
+
+/**
+ * Project cash flow year by year. Income grows by each source's growth rate,
+ * expenses by their category's inflation (stopping after a loan's endDate).
+ * Quarterly, yearly and one-off items count in the months they fall due,
+ * and each goal's SIP steps up yearly until its target date.
+ * Amounts are monthly averages for each projection year.
+ * @param {object} cashflow - { income, expenses }
+ * @param {Array} goalSips - [{ monthlySIP, months, annualStepUp }]
+ * @param {object} options - { years, categoryInflation, startDate }
+ * @returns {Array} [{ year, calendarYear, income, expenses, surplus, sip, goalSips, balance }]
+ *   goalSips holds each goal's SIP in the same order as the input
+ */
+export function projectCashflow(cashflow, goalSips = [], options = {}) {
+  const { years = PROJECTION_YEARS, categoryInflation = {}, startDate = new Date() } = options;
+  const rows = [];
+
+  for (let y = 0; y < years; y++) {
+    let income = 0;
+    let expenses = 0;
+    const sipByGoal = goalSips.map(() => 0);
+
+    for (let m = 0; m < 12; m++) {
+      const monthIndex = y * 12 + m;
+      const asOf = new Date(startDate.getFullYear(), startDate.getMonth() + monthIndex, 1);
+
+      cashflow.income.forEach(i => {
+        income += getAmountInMonth(i, asOf) * Math.pow(1 + getIncomeGrowth(i) / 100, y);
+      });
+
+      cashflow.expenses.forEach(e => {
+        if (!isExpenseActive(e, asOf)) return;
+        expenses += getAmountInMonth(e, asOf) * Math.pow(1 + getCategoryInflationRate(e.category, categoryInflation) / 100, y);
+      });
+
+      goalSips.forEach((g, i) => {
+        if (monthIndex >= g.months) return;
+        sipByGoal[i] += g.monthlySIP * Math.pow(1 + g.annualStepUp / 100, y);
+      });
+    }
+
+    const surplus = (income - expenses) / 12;
+    const sip = sipByGoal.reduce((sum, v) => sum + v, 0);
+    rows.push({
+      year: y + 1,
+      calendarYear: startDate.getFullYear() + y,
+      income: income / 12,
+      expenses: expenses / 12,
+      surplus,
+      sip: sip / 12,
+      goalSips: sipByGoal.map(v => v / 12),
+      balance: surplus - sip / 12
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * First projection year where SIPs exceed the surplus
+ * @returns {object|null} Row, or null if SIPs stay affordable throughout
+ */
+export function getFirstShortfallYear(rows) {
+  return getShortfallYears(rows)[0] || null;
+}
+
+/**
+ * Years to project: 30, or fewer when a retirement goal ends salary income sooner
+ */
+export function getProjectionYears(goals, maxYears = PROJECTION_YEARS) {
+  const retirement = goals.find(g => g.goalType === 'retirement');
+  if (!retirement) return maxYears;
+  const years = Math.ceil(getMonthsRemaining(retirement.targetDate) / 12);
+  return Math.max(1, Math.min(maxYears, years));
+}
+
+/**
+ * Years in which SIPs exceed the surplus
+ * @returns {Array} Shortfall rows
+ */
+export function getShortfallYears(rows) {
+  return rows.filter(r => r.sip > 0 && r.balance < 0);
+}
+
+function renderProjection() {
+  const container = document.getElementById('cashflow-projection');
+  if (!container) return;
+
+  if (appData.cashflow.income.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 text-sm italic">Add your income to see how your cash flow grows over the years</p>';
+    return;
+  }
+
+  const overrides = getCategoryInflation(appData);
+  const years = getProjectionYears(appData.goals);
+  const rows = projectCashflow(appData.cashflow, getGoalSipSchedule(), { years, categoryInflation: overrides });
+  const shortfall = getFirstShortfallYear(rows);
+  const hasSips = rows.some(r => r.sip > 0);
+
+  const verdict = !hasSips
+    ? '<p class="text-sm text-gray-600">No goal SIPs yet. Add goals to check whether your SIPs stay affordable.</p>'
+    : shortfall
+      ? `<p class="text-sm text-red-700">SIPs exceed your surplus from <strong>${shortfall.calendarYear}</strong> (year ${shortfall.year}), short by ${formatCurrency(Math.round(-shortfall.balance), currency)}/month.</p>`
+      : `<p class="text-sm text-emerald-700">Your stepped-up SIPs stay within your surplus every year for the next ${rows.length} year${rows.length !== 1 ? 's' : ''}.</p>`;
+
+  container.innerHTML = `
+    ${verdict}
+    ${renderChart(rows)}
+    ${renderInflationInputs(overrides)}
+    ${renderTable(rows)}
+  `;
+}
+
+function renderChart(rows) {
+  const width = 600;
+  const height = 220;
+  const padLeft = 8;
+  const padRight = 8;
+  const padTop = 12;
+  const padBottom = 24;
+  const plotWidth = width - padLeft - padRight;
+  const plotHeight = height - padTop - padBottom;
+
+  const maxValue = Math.max(...rows.map(r => Math.max(r.income, r.expenses + r.sip)), 1);
+  const x = (i) => padLeft + (rows.length === 1 ? plotWidth / 2 : (i / (rows.length - 1)) * plotWidth);
+  const y = (value) => padTop + ((maxValue - value) / maxValue) * plotHeight;
+  const line = (getValue, color, dashed = false) =>
+    `<polyline points="${rows.map((r, i) => `${x(i)},${y(getValue(r))}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2" ${dashed ? 'stroke-dasharray="6 4"' : ''} />`;
+
+  // Shade years where SIPs don't fit
+  const barWidth = rows.length === 1 ? 24 : plotWidth / (rows.length - 1);
+  const shortfallBands = getShortfallYears(rows).map(r => {
+    const i = rows.indexOf(r);
+    return `<rect x="${x(i) - barWidth / 2}" y="${padTop}" width="${barWidth}" height="${plotHeight}" fill="${EXPENSE_COLOR}" fill-opacity="0.08"><title>${r.calendarYear}: short by ${formatCurrency(Math.round(-r.balance), currency)}/month</title></rect>`;
+  }).join('');
+
+  const labelIndexes = rows.length === 1 ? [0] : [0, rows.length - 1];
+  const labels = labelIndexes.map(i => {
+    const anchor = rows.length === 1 ? 'middle' : (i === 0 ? 'start' : 'end');
+    return `<text x="${x(i)}" y="${height - 6}" text-anchor="${anchor}" font-size="11" fill="#6b7280">${rows[i].calendarYear}</text>`;
+  }).join('');
+
+  const legend = [
+    [INCOME_COLOR, 'Income'],
+    [EXPENSE_COLOR, 'Expenses'],
+    [SIP_COLOR, 'Expenses + SIPs']
+  ].map(([color, label]) => `
+    <div class="flex items-center gap-1.5">
+      <span class="w-4 h-0.5 shrink-0" style="background-color: ${color}"></span>
+      <span class="text-xs text-gray-600">${label}</span>
+    </div>
+  `).join('');
+
+  return `
+    <div class="mt-3">
+      <div class="flex items-baseline justify-between mb-2">
+        <span class="text-xs text-gray-500">Monthly amounts, peak ${formatCompact(Math.round(maxValue), currency)}</span>
+      </div>
+      <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" preserveAspectRatio="none">
+        ${shortfallBands}
+        ${line(r => r.income, INCOME_COLOR)}
+        ${line(r => r.expenses, EXPENSE_COLOR)}
+        ${line(r => r.expenses + r.sip, SIP_COLOR, true)}
+        ${labels}
+      </svg>
+      <div class="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+        ${legend}
+      </div>
+    </div>
+  `;
+}
+
+function renderInflationInputs(overrides) {
+  const categories = [...new Set(appData.cashflow.expenses.map(e => e.category))];
+  if (categories.length === 0) return '';
+
+  return `
+    <details class="mt-4">
+      <summary class="cursor-pointer text-xs text-blue-600 hover:text-blue-800">Expense inflation by category</summary>
+      <div class="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+        ${categories.map(category => `
+          <label class="flex items-center justify-between gap-2 text-sm text-gray-700">
+            <span>${category}</span>
+            <span class="flex items-center gap-1">
+              <input type="number" class="category-inflation-input w-20 px-2 py-1 border rounded text-sm" data-category="${category}"
+                value="${getCategoryInflationRate(category, overrides)}" min="0" max="30" step="0.5">
+              <span class="text-xs text-gray-500">%</span>
+            </span>
+          </label>
+        `).join('')}
+      </div>
+      <p class="text-xs text-gray-400 mt-2">Income growth is set per income source. Loan EMIs stop after the loan is paid off.</p>
+    </details>
+  `;
+}
+
+function renderTable(rows) {
+  return `
+    <details class="mt-4">
+      <summary class="cursor-pointer text-xs text-blue-600 hover:text-blue-800">Year-by-year table</summary>
+      <div class="overflow-x-auto mt-2">
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="border-b border-gray-200 text-gray-500">
+              <th class="text-left py-2 pr-3 font-medium">Year</th>
+              <th class="text-right py-2 px-3 font-medium">Income</th>
+              <th class="text-right py-2 px-3 font-medium">Expenses</th>
+              <th class="text-right py-2 px-3 font-medium">Surplus</th>
+              <th class="text-right py-2 px-3 font-medium">SIPs</th>
+              <th class="text-right py-2 pl-3 font-medium">Left Over</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(r => `
+              <tr class="border-b border-gray-100">
+                <td class="py-2 pr-3 text-gray-700 whitespace-nowrap">${r.calendarYear}</td>
+                <td class="py-2 px-3 text-right text-emerald-600 whitespace-nowrap">${formatCurrency(Math.round(r.income), currency)}</td>
+                <td class="py-2 px-3 text-right text-red-600 whitespace-nowrap">${formatCurrency(Math.round(r.expenses), currency)}</td>
+                <td class="py-2 px-3 text-right text-gray-900 whitespace-nowrap">${formatCurrency(Math.round(r.surplus), currency)}</td>
+                <td class="py-2 px-3 text-right text-blue-600 whitespace-nowrap">${formatCurrency(Math.round(r.sip), currency)}</td>
+                <td class="py-2 pl-3 text-right font-medium whitespace-nowrap ${r.balance < 0 ? 'text-red-600' : 'text-gray-900'}">${formatCurrency(Math.round(r.balance), currency)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <p class="text-xs text-gray-400 mt-2">Monthly averages for each year, in future (nominal) money.</p>
+    </details>
+  `;
+}
@@ -0,0 +1,297 @@
+// Realized returns (XIRR) from dated asset cash flows (Assets tab)
+import { updateAsset, generateId, getEquityReturn, getDebtReturn } from './storage.js';
+import { formatCurrency } from './currency.js';
+import { calculateXirr } from './calculator.js';
+import { ASSET_CLASS_MAP } from './assets.js';
+
+// Money into an asset is an investment; payouts and redemptions are withdrawals
+export const CASHFLOW_TYPES = {
+  invest: 'Invested',
+  withdraw: 'Withdrawn'
+};
+
+// Row order for the per-class table (matches the assets list grouping)
+const CLASS_ORDER = ['Retirement', 'Equity', 'Debt', 'Gold', 'Real Estate', 'Other'];
+
+let appData = null;
+let currency = 'INR';
+
+export function initReturns(data, curr) {
+  appData = data;
+  currency = curr;
+  renderReturns();
+  setupEventListeners();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderReturns();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderReturns();
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Signed cash flows of an asset for XIRR, ending with its current value today
+ * @param {object} asset - Asset with cashflows [{ date, type, amount }] and value
+ * @param {Date} asOf - Valuation date
+ * @param {number} share - Fraction of the asset to count (for goal links)
+ * @returns {Array} [{ date, amount }] - empty if the asset has no recorded cash flows
+ */
+export function getAssetFlows(asset, asOf = new Date(), share = 1) {
+  const cashflows = asset.cashflows || [];
+  if (cashflows.length === 0) return [];
+  return [
+    ...cashflows.map(cf => ({ date: cf.date, amount: (cf.type === 'withdraw' ? cf.amount : -cf.amount) * share })),
+    { date: toDateString(asOf), amount: (asset.value || 0) * share }
+  ];
+}
+
+/**
+ * Money in, money out, current value and XIRR across assets
+ * @param {Array} assets - Assets (those without cash flows are skipped)
+ * @param {Date} asOf - Valuation date
+ * @param {object} shares - Fraction of each asset to count, by asset id (default: all of it)
+ * @returns {object|null} { invested, withdrawn, value, gain, years, xirr, assetCount }, or null if nothing is tracked
+ */
+export function getReturnSummary(assets, asOf = new Date(), shares = {}) {
+  const tracked = assets.filter(a => (a.cashflows || []).length > 0 && (shares[a.id] ?? 1) > 0);
+  if (tracked.length === 0) return null;
+
+  const share = a => shares[a.id] ?? 1;
+  const total = type => tracked.reduce((sum, a) =>
+    sum + a.cashflows.filter(cf => cf.type === type).reduce((s, cf) => s + cf.amount, 0) * share(a), 0);
+  const flows = tracked.flatMap(a => getAssetFlows(a, asOf, share(a)));
+  const invested = total('invest');
+  const withdrawn = total('withdraw');
+  const value = tracked.reduce((sum, a) => sum + (a.value || 0) * share(a), 0);
+  const firstDate = flows.reduce((first, f) => f.date < first ? f.date : first, toDateString(asOf));
+  const years = Math.max(0, (asOf - new Date(firstDate)) / (1000 * 60 * 60 * 24 * 365));
+
+  return {
+    invested,
+    withdrawn,
+    value,
+    gain: value + withdrawn - invested,
+    years,
+    xirr: calculateXirr(flows),
+    assetCount: tracked.length
+  };
+}
+
+/**
+ * Return summary per asset class, for classes with tracked assets
+ * @returns {Array} [{ assetClass, ...summary }] in assets list order
+ */
+export function getClassReturns(assets, asOf = new Date()) {
+  return CLASS_ORDER
+    .map(assetClass => {
+      const summary = getReturnSummary(assets.filter(a => (ASSET_CLASS_MAP[a.category] || 'Other') === assetClass), asOf);
+      return summary ? { assetClass, ...summary } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Return summary per goal, counting the linked share of each tracked asset
+ * @returns {Array} [{ goalId, name, ...summary }] for goals linked to tracked assets
+ */
+export function getGoalReturns(goals, assets, asOf = new Date()) {
+  return goals
+    .map(goal => {
+      const shares = {};
+      (goal.linkedAssets || []).forEach(({ assetId, amount }) => {
+        const asset = assets.find(a => a.id === assetId);
+        if (asset && asset.value > 0) shares[assetId] = Math.min(1, amount / asset.value);
+      });
+      const linked = assets.filter(a => shares[a.id] > 0);
+      const summary = getReturnSummary(linked, asOf, shares);
+      return summary ? { goalId: goal.id, name: goal.name, ...summary } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Return the plan assumes for an asset class, if it has a slider
+ * @returns {number|null} Annual %
+ */
+export function getAssumedReturn(assetClass, equityReturn, debtReturn) {
+  if (assetClass === 'Equity') return equityReturn;
+  if (assetClass === 'Debt') return debtReturn;
+  return null;
+}
+
+/**
+ * Validate a cash flow before adding it
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateCashflow(cashflow, today = new Date()) {
+  if (!cashflow.date || !/^\d{4}-\d{2}-\d{2}$/.test(cashflow.date)) {
+    return { valid: false, error: 'Enter the date' };
+  }
+  if (cashflow.date > toDateString(today)) {
+    return { valid: false, error: 'Date cannot be in the future' };
+  }
+  if (!CASHFLOW_TYPES[cashflow.type]) {
+    return { valid: false, error: 'Choose invested or withdrawn' };
+  }
+  if (!(cashflow.amount > 0)) {
+    return { valid: false, error: 'Amount must be more than zero' };
+  }
+  return { valid: true };
+}
+
+function setupEventListeners() {
+  const container = document.getElementById('realized-returns');
+  if (!container) return;
+
+  container.addEventListener('click', (e) => {
+    const addBtn = e.target.closest('.add-cashflow-btn');
+    if (addBtn) addCashflow(addBtn.dataset.assetId);
+
+    const deleteBtn = e.target.closest('.delete-cashflow-btn');
+    if (deleteBtn) {
+      const asset = findAsset(deleteBtn.dataset.assetId);
+      updateAsset(appData, asset.id, { cashflows: asset.cashflows.filter(cf => cf.id !== deleteBtn.dataset.cashflowId) });
+      renderReturns();
+    }
+  });
+}
+
+function findAsset(id) {
+  return appData.assets.items.find(a => a.id === id);
+}
+
+function addCashflow(assetId) {
+  const form = document.querySelector(`.add-cashflow-form[data-asset-id="${assetId}"]`);
+  const cashflow = {
+    date: form.querySelector('.cashflow-date').value,
+    type: form.querySelector('.cashflow-type').value,
+    amount: parseFloat(form.querySelector('.cashflow-amount').value)
+  };
+  const validation = validateCashflow(cashflow);
+  if (!validation.valid) {
+    alert(validation.error);
+    return;
+  }
+  const asset = findAsset(assetId);
+  const cashflows = [...(asset.cashflows || []), { id: generateId(), ...cashflow }]
+    .sort((a, b) => a.date.localeCompare(b.date));
+  updateAsset(appData, assetId, { cashflows });
+  renderReturns();
+}
+
+function formatXirr(summary) {
+  if (summary.xirr === null) return '<span class="text-gray-400">—</span>';
+  const cls = summary.xirr < 0 ? 'text-red-600' : 'text-gray-900';
+  const shortSpan = summary.years < 1 ? ' <span class="text-xs text-gray-400" title="Annualized from less than a year of data">*</span>' : '';
+  return `<span class="${cls}">${summary.xirr.toFixed(1)}%</span>${shortSpan}`;
+}
+
+function renderReturns() {
+  const container = document.getElementById('realized-returns');
+  if (!container) return;
+
+  const assets = appData.assets.items;
+  if (assets.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 text-sm italic">Add assets to track the returns they actually earn</p>';
+    return;
+  }
+
+  const today = new Date();
+  const portfolio = getReturnSummary(assets, today);
+  const equityReturn = getEquityReturn(appData);
+  const debtReturn = getDebtReturn(appData);
+
+  container.innerHTML = `
+    ${portfolio ? renderSummaryTable(portfolio, getClassReturns(assets, today), getGoalReturns(appData.goals, assets, today), equityReturn, debtReturn) : `
+      <p class="text-sm text-gray-500 mb-2">Record what you invested in and took out of an asset, with dates, to see its XIRR next to the ${equityReturn}% equity and ${debtReturn}% debt returns the plan assumes.</p>
+    `}
+    <div class="mt-4 space-y-2">
+      ${assets.map(asset => renderAssetCashflows(asset, today)).join('')}
+    </div>
+    <p class="text-xs text-gray-400 mt-3">XIRR treats each asset's current value as redeemed today. Goals count the linked share of each asset. * Annualized from less than a year, so expect it to swing.</p>
+  `;
+}
+
+function renderSummaryTable(portfolio, classes, goals, equityReturn, debtReturn) {
+  const row = (label, summary, assumed = null, extraClass = '') => {
+    const behind = assumed !== null && summary.xirr !== null && summary.xirr < assumed;
+    return `
+      <tr class="border-b border-gray-100 ${extraClass}">
+        <td class="py-1.5 pr-3 text-gray-700">${label}</td>
+        <td class="py-1.5 px-3 text-right whitespace-nowrap">${formatCurrency(Math.round(summary.invested - summary.withdrawn), currency)}</td>
+        <td class="py-1.5 px-3 text-right whitespace-nowrap">${formatCurrency(Math.round(summary.value), currency)}</td>
+        <td class="py-1.5 px-3 text-right whitespace-nowrap">${formatXirr(summary)}</td>
+        <td class="py-1.5 pl-3 text-right whitespace-nowrap ${behind ? 'text-amber-600' : 'text-gray-500'}">${assumed !== null ? `${assumed}%` : '—'}</td>
+      </tr>
+    `;
+  };
+
+  return `
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="border-b border-gray-200 text-gray-500">
+            <th class="text-left py-1.5 pr-3 font-medium"></th>
+            <th class="text-right py-1.5 px-3 font-medium">Net invested</th>
+            <th class="text-right py-1.5 px-3 font-medium">Value</th>
+            <th class="text-right py-1.5 px-3 font-medium">XIRR</th>
+            <th class="text-right py-1.5 pl-3 font-medium">Assumed</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${row('Portfolio', portfolio, null, 'font-medium')}
+          ${classes.map(c => row(c.assetClass, c, getAssumedReturn(c.assetClass, equityReturn, debtReturn))).join('')}
+          ${goals.length > 0 ? `
+            <tr><td colspan="5" class="pt-3 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wide">Goals</td></tr>
+            ${goals.map(g => row(g.name, g)).join('')}
+          ` : ''}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderAssetCashflows(asset, today) {
+  const cashflows = asset.cashflows || [];
+  const summary = getReturnSummary([asset], today);
+
+  return `
+    <details class="border rounded-lg p-3">
+      <summary class="cursor-pointer text-sm text-gray-800">
+        ${asset.name}
+        <span class="text-xs text-gray-500">${cashflows.length} entr${cashflows.length !== 1 ? 'ies' : 'y'}${summary && summary.xirr !== null ? ` · XIRR ${summary.xirr.toFixed(1)}%` : ''}</span>
+      </summary>
+      <div class="mt-2">
+        ${cashflows.length > 0 ? `
+          <div class="divide-y divide-gray-100">
+            ${cashflows.map(cf => `
+              <div class="flex items-center justify-between gap-3 py-1.5 text-sm">
+                <span class="text-gray-700">${cf.date} <span class="text-gray-500">· ${CASHFLOW_TYPES[cf.type]}</span></span>
+                <span class="flex items-center gap-3">
+                  <span class="whitespace-nowrap ${cf.type === 'withdraw' ? 'text-emerald-600' : 'text-gray-800'}">${formatCurrency(cf.amount, currency)}</span>
+                  <button class="delete-cashflow-btn text-xs text-gray-400 hover:text-red-600" data-asset-id="${asset.id}" data-cashflow-id="${cf.id}">Remove</button>
+                </span>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="add-cashflow-form flex flex-wrap items-end gap-2 mt-2" data-asset-id="${asset.id}">
+          <input type="date" class="cashflow-date px-2 py-1 border rounded text-sm">
+          <select class="cashflow-type px-2 py-1 border rounded text-sm">
+            ${Object.entries(CASHFLOW_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+          </select>
+          <input type="number" class="cashflow-amount w-28 px-2 py-1 border rounded text-sm" placeholder="Amount" min="0" step="1">
+          <button class="add-cashflow-btn text-sm px-3 py-1 bg-emerald-100 text-emerald-700 rounded hover:bg-emerald-200" data-asset-id="${asset.id}">+ Add</button>
+        </div>
+      </div>
+    </details>
+  `;
+}
@@ -0,0 +1,540 @@
+// What-if scenarios: named overlays of plan settings and goal edits, compared side by side (Plan tab)
+import {
+  getEquityAllocation,
+  getEquityReturn,
+  getDebtReturn,
+  getArbitrageReturn,
+  getEpfReturn,
+  getNpsReturn,
+  getEpfStepUp,
+  getNpsStepUp,
+  getInvestmentStepUp,
+  getEquityVolatility,
+  getDebtVolatility,
+  getReturnCorrelation,
+  addScenario,
+  updateScenario,
+  deleteScenario
+} from './storage.js';
+import { formatCurrency, formatNumber, formatMonth, parseCurrencyInput } from './currency.js';
+import { projectGoals, getAvailableCashflow } from './investmentplan.js';
+import { getGoalSimulationInput, runMonteCarlo, runMonteCarloInBackground, MONTE_CARLO_DEFAULTS } from './montecarlo.js';
+
+// Plan settings a scenario can override, with the same ranges as the Plan tab sliders
+export const SCENARIO_SETTINGS = [
+  { key: 'equityAllocation', label: 'Equity allocation', min: 20, max: 80, step: 5, get: getEquityAllocation },
+  { key: 'equityReturn', label: 'Equity return', min: 8, max: 13, step: 1, get: getEquityReturn },
+  { key: 'debtReturn', label: 'Debt return', min: 4, max: 7, step: 1, get: getDebtReturn },
+  { key: 'arbitrageReturn', label: 'Arbitrage return', min: 5, max: 8, step: 1, get: getArbitrageReturn },
+  { key: 'epfReturn', label: 'EPF return', min: 5, max: 8, step: 1, get: getEpfReturn, retirementOnly: true },
+  { key: 'npsReturn', label: 'NPS return', min: 7, max: 10, step: 1, get: getNpsReturn, retirementOnly: true },
+  { key: 'epfStepUp', label: 'EPF step-up', min: 0, max: 10, step: 1, get: getEpfStepUp, retirementOnly: true },
+  { key: 'npsStepUp', label: 'NPS step-up', min: 0, max: 10, step: 1, get: getNpsStepUp, retirementOnly: true },
+  { key: 'investmentStepUp', label: 'Investment step-up', min: 0, max: 10, step: 1, get: getInvestmentStepUp }
+];
+
+// Goal fields a scenario can change
+export const SCENARIO_GOAL_FIELDS = ['targetAmount', 'targetDate'];
+
+// Fewer market paths than the plan's own estimate so every column stays quick to redraw
+export const SCENARIO_SIMULATIONS = 500;
+
+let appData = null;
+let currency = 'INR';
+let onPromote = null;
+
+export function initScenarios(data, curr, onPromoteScenario) {
+  appData = data;
+  currency = curr;
+  onPromote = onPromoteScenario;
+  renderScenarios();
+}
+
+export function updateCurrency(curr) {
+  currency = curr;
+  renderScenarios();
+}
+
+export function refreshData(data) {
+  appData = data;
+  renderScenarios();
+}
+
+/**
+ * Base plan settings as stored
+ * @param {object} data - App data
+ * @returns {object} Value per SCENARIO_SETTINGS key
+ */
+export function getBaseSettings(data) {
+  return Object.fromEntries(SCENARIO_SETTINGS.map(s => [s.key, s.get(data)]));
+}
+
+/**
+ * Plan settings with a scenario's overrides on top (null scenario = base plan)
+ */
+export function getScenarioSettings(data, scenario) {
+  const settings = getBaseSettings(data);
+  Object.entries(scenario?.settings || {}).forEach(([key, value]) => {
+    if (key in settings && Number.isFinite(value)) settings[key] = value;
+  });
+  return settings;
+}
+
+/**
+ * Copy of the app data as the scenario sees it. Edits for goals that no
+ * longer exist are ignored; the stored data is not touched.
+ * @param {object} data - App data
+ * @param {object|null} scenario - { settings, goals: { [goalId]: { targetAmount?, targetDate? } } }
+ * @returns {object} App data with scenario settings and goal edits applied
+ */
+export function applyScenario(data, scenario) {
+  const goalEdits = scenario?.goals || {};
+  return {
+    ...data,
+    settings: { ...data.settings, ...getScenarioSettings(data, scenario) },
+    goals: data.goals.map(goal => ({ ...goal, ...pickGoalEdits(goalEdits[goal.id]) }))
+  };
+}
+
+function pickGoalEdits(edits) {
+  if (!edits) return {};
+  return Object.fromEntries(SCENARIO_GOAL_FIELDS.filter(f => edits[f] !== undefined).map(f => [f, edits[f]]));
+}
+
+/**
+ * Validate a scenario before saving
+ * @param {object} scenario - { id?, name, settings, goals }
+ * @param {Array} scenarios - Existing scenarios (names must be unique)
+ * @param {Date} now - Reference date for target dates (injectable for tests)
+ * @returns {object} { valid, error }
+ */
+export function validateScenario(scenario, scenarios = [], now = new Date()) {
+  const name = (scenario.name || '').trim();
+  if (!name) return { valid: false, error: 'Enter a scenario name' };
+  if (scenarios.some(s => s.id !== scenario.id && s.name.trim().toLowerCase() === name.toLowerCase())) {
+    return { valid: false, error: 'A scenario with this name already exists' };
+  }
+
+  for (const setting of SCENARIO_SETTINGS) {
+    const value = scenario.settings?.[setting.key];
+    if (value === undefined) continue;
+    if (!Number.isFinite(value) || value < setting.min || value > setting.max) {
+      return { valid: false, error: `${setting.label} must be between ${setting.min}% and ${setting.max}%` };
+    }
+  }
+
+  for (const edits of Object.values(scenario.goals || {})) {
+    if (edits.targetAmount !== undefined && !(edits.targetAmount > 0)) {
+      return { valid: false, error: 'Target amounts must be more than zero' };
+    }
+    if (edits.targetDate !== undefined && !(new Date(edits.targetDate) > now)) {
+      return { valid: false, error: 'Target dates must be in the future' };
+    }
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Project the plan under a scenario
+ * @param {object} data - App data
+ * @param {object|null} scenario - Scenario to overlay, or null for the base plan
+ * @param {object} options - { simulations } - 0 skips the Monte Carlo run
+ * @returns {object} { totalSIP, surplus, margin, goals: [{ id, name, monthlySIP, probability }] }
+ *   margin is the monthly surplus left after all SIPs; probability is null when not simulated
+ */
+export function evaluateScenario(data, scenario, options = {}) {
+  const simulations = options.simulations ?? SCENARIO_SIMULATIONS;
+  const scenarioData = applyScenario(data, scenario);
+  const settings = getScenarioSettings(data, scenario);
+  const goals = projectGoals(scenarioData, settings);
+
+  const results = simulations > 0
+    ? runMonteCarlo(getSimulationInputs(scenarioData, settings, goals), getSimulationOptions(data, simulations))
+    : {};
+  return withProbabilities(summarizeScenario(scenarioData, goals), results);
+}
+
+/**
+ * Monte Carlo inputs and options for a scenario's goals, for running the
+ * simulation elsewhere (see runMonteCarloInBackground)
+ * @returns {object} { inputs, options }
+ */
+export function getScenarioSimulation(data, scenario, simulations = SCENARIO_SIMULATIONS) {
+  const scenarioData = applyScenario(data, scenario);
+  const settings = getScenarioSettings(data, scenario);
+  return {
+    inputs: getSimulationInputs(scenarioData, settings, projectGoals(scenarioData, settings)),
+    options: getSimulationOptions(data, simulations)
+  };
+}
+
+function getSimulationInputs(scenarioData, settings, goals) {
+  return goals
+    .filter(g => g.projections.months > 0 && g.projections.inflationAdjustedTarget > 0)
+    .map(g => getGoalSimulationInput(g, g.projections, scenarioData.assets, settings));
+}
+
+function getSimulationOptions(data, simulations) {
+  return {
+    ...MONTE_CARLO_DEFAULTS,
+    simulations,
+    equityVolatility: getEquityVolatility(data),
+    debtVolatility: getDebtVolatility(data),
+    correlation: getReturnCorrelation(data)
+  };
+}
+
+/**
+ * Fill in each goal's chance from simulation results keyed by goal id
+ * @param {object} evaluation - From evaluateScenario
+ * @returns {object} A copy with probability set (null for goals not simulated)
+ */
+export function withProbabilities(evaluation, results) {
+  return {
+    ...evaluation,
+    goals: evaluation.goals.map(g => ({ ...g, probability: results[g.id] ? results[g.id].probability : null }))
+  };
+}
+
+function summarizeScenario(scenarioData, goals) {
+  const totalSIP = goals.reduce((sum, g) => sum + g.projections.monthlySIP, 0);
+  const surplus = getAvailableCashflow(scenarioData);
+  return {
+    totalSIP,
+    surplus,
+    margin: surplus - totalSIP,
+    goals: goals.map(g => ({
+      id: g.id,
+      name: g.name,
+      monthlySIP: g.projections.monthlySIP,
+      probability: null
+    }))
+  };
+}
+
+/**
+ * Short descriptions of what a scenario changes from the base plan
+ * @returns {Array<string>} e.g. ['Equity return 12%', 'Retirement by Jan 2041']
+ */
+export function describeScenario(data, scenario) {
+  const base = getBaseSettings(data);
+  const changes = SCENARIO_SETTINGS
+    .filter(s => scenario.settings?.[s.key] !== undefined && scenario.settings[s.key] !== base[s.key])
+    .map(s => `${s.label} ${scenario.settings[s.key]}%`);
+
+  data.goals.forEach(goal => {
+    const edits = pickGoalEdits(scenario.goals?.[goal.id]);
+    if (edits.targetAmount !== undefined && edits.targetAmount !== goal.targetAmount) {
+      changes.push(`${goal.name} ${formatCurrency(edits.targetAmount, currency)}`);
+    }
+    if (edits.targetDate !== undefined && edits.targetDate !== goal.targetDate) {
+      changes.push(`${goal.name} by ${formatMonth(edits.targetDate.slice(0, 7))}`);
+    }
+  });
+  return changes;
+}
+
+/**
+ * Make a scenario the base plan: its settings and goal edits are written to
+ * the stored plan and the scenario itself is removed
+ * @returns {boolean} True if the scenario was found
+ */
+export function promoteScenario(data, id) {
+  const scenario = data.scenarios.find(s => s.id === id);
+  if (!scenario) return false;
+
+  const promoted = applyScenario(data, scenario);
+  data.settings = promoted.settings;
+  data.goals = promoted.goals;
+  deleteScenario(data, id);
+  return true;
+}
+
+/**
+ * Keep only the values that differ from the base plan, so untouched
+ * settings and goals keep following the base
+ * @returns {object} { settings, goals } as stored on a scenario
+ */
+export function getOverrides(data, settings, goalEdits) {
+  const base = getBaseSettings(data);
+  const overrides = { settings: {}, goals: {} };
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value !== base[key]) overrides.settings[key] = value;
+  });
+  data.goals.forEach(goal => {
+    const changed = pickGoalEdits(goalEdits[goal.id]);
+    if (changed.targetAmount === goal.targetAmount) delete changed.targetAmount;
+    // Goal dates are picked by month
+    if (changed.targetDate?.slice(0, 7) === goal.targetDate?.slice(0, 7)) delete changed.targetDate;
+    if (Object.keys(changed).length > 0) overrides.goals[goal.id] = changed;
+  });
+  return overrides;
+}
+
+function getProbabilityClass(probability) {
+  if (probability >= 0.75) return 'bg-green-100 text-green-700';
+  if (probability >= 0.4) return 'bg-amber-100 text-amber-700';
+  return 'bg-red-100 text-red-700';
+}
+
+function renderScenarios() {
+  const container = document.getElementById('plan-scenarios');
+  if (!container) return;
+
+  if (appData.goals.length === 0) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+
+  const scenarios = appData.scenarios || [];
+  const columns = [null, ...scenarios];
+  const results = columns.map(s => evaluateScenario(appData, s, { simulations: 0 }));
+  renderComparison(container, columns, results);
+
+  // Fill in success chances once the table is on screen, one column at a time
+  // in the background; a newer render (slider drag) supersedes the rest
+  if (scenarios.length > 0) simulateColumn(container, columns, results, 0);
+}
+
+function simulateColumn(container, columns, results, index) {
+  const { inputs, options } = getScenarioSimulation(appData, columns[index]);
+  runMonteCarloInBackground(inputs, options, (simulated) => {
+    results[index] = withProbabilities(results[index], simulated);
+    renderComparison(container, columns, results);
+    if (index + 1 < columns.length) simulateColumn(container, columns, results, index + 1);
+  }, 'scenarios');
+}
+
+function renderComparison(container, columns, results) {
+  const base = results[0];
+  const scenarios = columns.slice(1);
+
+  const formatDelta = (value, baseValue) => {
+    const delta = Math.round(value - baseValue);
+    if (delta === 0) return '';
+    return `<div class="text-xs ${delta > 0 ? 'text-red-600' : 'text-emerald-600'}">${delta > 0 ? '+' : '−'}${formatCurrency(Math.abs(delta), currency)}</div>`;
+  };
+
+  const formatChance = (probability) => {
+    if (probability === null) return scenarios.length > 0 ? '<div class="text-xs text-gray-400">…</div>' : '';
+    return `<span class="inline-block mt-0.5 px-2 py-0.5 rounded-full text-xs font-medium ${getProbabilityClass(probability)}">${Math.round(probability * 100)}% chance</span>`;
+  };
+
+  const headerCell = (scenario) => {
+    if (!scenario) {
+      return '<th class="text-right py-2 px-3 font-medium text-gray-600 align-bottom">Base plan</th>';
+    }
+    const changes = describeScenario(appData, scenario);
+    return `
+      <th class="text-right py-2 px-3 font-medium text-gray-800 align-bottom min-w-[9rem]">
+        ${scenario.name}
+        <div class="text-xs font-normal text-gray-400">${changes.length ? changes.join(' · ') : 'Same as base plan'}</div>
+      </th>
+    `;
+  };
+
+  const goalRows = base.goals.map(goal => `
+    <tr class="border-b border-gray-100">
+      <td class="py-2 px-3 text-gray-700">${goal.name}</td>
+      ${results.map(result => {
+        const g = result.goals.find(r => r.id === goal.id);
+        return `
+          <td class="py-2 px-3 text-right">
+            <div class="font-medium text-gray-900">${formatCurrency(Math.round(g.monthlySIP), currency)}</div>
+            ${result === base ? '' : formatDelta(g.monthlySIP, goal.monthlySIP)}
+            ${formatChance(g.probability)}
+          </td>
+        `;
+      }).join('')}
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="bg-white rounded-lg shadow-sm p-4 sm:p-5">
+      <div class="flex items-start justify-between gap-3 mb-3">
+        <div>
+          <h3 class="text-lg font-semibold text-gray-800">What-If Scenarios</h3>
+          <p class="text-sm text-gray-500">Try other returns, step-ups or goal dates without changing your plan.</p>
+        </div>
+        <button id="add-scenario-btn" class="shrink-0 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">New Scenario</button>
+      </div>
+      ${scenarios.length === 0 ? '' : `
+        <div class="rounded-lg border border-gray-200 overflow-x-auto">
+          <table class="w-full text-sm">
+            <thead>
+              <tr class="bg-gray-50 border-b border-gray-200">
+                <th class="text-left py-2 px-3 font-medium text-gray-600 align-bottom">Monthly SIP</th>
+                ${columns.map(headerCell).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${goalRows}
+              <tr class="border-b border-gray-100 bg-gray-50">
+                <td class="py-2 px-3 font-medium text-gray-800">Total SIP</td>
+                ${results.map(result => `
+                  <td class="py-2 px-3 text-right">
+                    <div class="font-semibold text-gray-900">${formatCurrency(Math.round(result.totalSIP), currency)}</div>
+                    ${result === base ? '' : formatDelta(result.totalSIP, base.totalSIP)}
+                  </td>
+                `).join('')}
+              </tr>
+              <tr class="border-b border-gray-100">
+                <td class="py-2 px-3 text-gray-700">Left over each month</td>
+                ${results.map(result => `
+                  <td class="py-2 px-3 text-right font-medium ${result.margin >= 0 ? 'text-emerald-600' : 'text-red-600'}">
+                    ${result.margin < 0 ? '−' : ''}${formatCurrency(Math.abs(Math.round(result.margin)), currency)}
+                  </td>
+                `).join('')}
+              </tr>
+              <tr>
+                <td class="py-2 px-3"></td>
+                <td class="py-2 px-3"></td>
+                ${scenarios.map(s => `
+                  <td class="py-2 px-3 text-right whitespace-nowrap">
+                    <button class="edit-scenario-btn text-xs text-blue-600 hover:text-blue-800" data-id="${s.id}">Edit</button>
+                    <button class="delete-scenario-btn text-xs text-red-500 hover:text-red-700 ml-2" data-id="${s.id}">Delete</button>
+                    <div><button class="promote-scenario-btn text-xs text-emerald-600 hover:text-emerald-800 underline underline-offset-2 mt-1" data-id="${s.id}">Make base plan</button></div>
+                  </td>
+                `).join('')}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <p class="text-xs text-gray-400 mt-2">Left over is your monthly surplus from the Cash Flow tab after all SIPs. Chances use ${SCENARIO_SIMULATIONS.toLocaleString('en-IN')} simulated markets per goal with your volatility settings.</p>
+      `}
+    </div>
+  `;
+
+  container.querySelector('#add-scenario-btn').addEventListener('click', () => showScenarioModal());
+  container.querySelectorAll('.edit-scenario-btn').forEach(btn => {
+    btn.addEventListener('click', () => showScenarioModal(appData.scenarios.find(s => s.id === btn.dataset.id)));
+  });
+  container.querySelectorAll('.delete-scenario-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const scenario = appData.scenarios.find(s => s.id === btn.dataset.id);
+      if (!confirm(`Delete the scenario "${scenario.name}"?`)) return;
+      deleteScenario(appData, scenario.id);
+      renderScenarios();
+    });
+  });
+  container.querySelectorAll('.promote-scenario-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const scenario = appData.scenarios.find(s => s.id === btn.dataset.id);
+      if (!confirm(`Make "${scenario.name}" your base plan? Its settings and goal changes replace the current ones.`)) return;
+      promoteScenario(appData, scenario.id);
+      if (onPromote) onPromote();
+    });
+  });
+}
+
+function showScenarioModal(editScenario = null) {
+  const isEdit = editScenario !== null;
+  const settings = getScenarioSettings(appData, editScenario);
+  const hasRetirementGoal = appData.goals.some(g => g.goalType === 'retirement');
+  const goals = applyScenario(appData, editScenario).goals;
+
+  const overlay = document.createElement('div');
+  overlay.id = 'scenario-modal-overlay';
+  overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4';
+  overlay.innerHTML = `
+    <div class="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[85vh] overflow-hidden flex flex-col">
+      <div class="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+        <h3 class="text-base font-semibold text-gray-900">${isEdit ? 'Edit Scenario' : 'New Scenario'}</h3>
+        <button id="close-scenario-modal" class="text-gray-400 hover:text-gray-600 rounded-lg p-1 transition-colors">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <div class="px-5 py-4 overflow-y-auto space-y-4">
+        <div>
+          <label class="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input type="text" id="scenario-name" value="${isEdit ? editScenario.name : ''}" placeholder="e.g., Retire at 50"
+            class="w-full px-3 py-2 border rounded-lg">
+        </div>
+
+        <div>
+          <h4 class="text-sm font-medium text-gray-700 mb-2">Plan settings (%)</h4>
+          <div class="grid grid-cols-2 sm:grid-cols-3 gap-3">
+            ${SCENARIO_SETTINGS.filter(s => hasRetirementGoal || !s.retirementOnly).map(s => `
+              <label class="block">
+                <span class="text-xs text-gray-500">${s.label}</span>
+                <input type="number" class="scenario-setting w-full px-3 py-1.5 border rounded-lg text-sm" data-key="${s.key}"
+                  value="${settings[s.key]}" min="${s.min}" max="${s.max}" step="${s.step}">
+              </label>
+            `).join('')}
+          </div>
+        </div>
+
+        <div>
+          <h4 class="text-sm font-medium text-gray-700 mb-2">Goals</h4>
+          <div class="space-y-2">
+            ${goals.map(goal => `
+              <div class="grid grid-cols-1 sm:grid-cols-3 gap-2 items-center">
+                <span class="text-sm text-gray-700">${goal.name}</span>
+                <input type="text" class="scenario-goal-amount px-3 py-1.5 border rounded-lg text-sm" data-goal-id="${goal.id}"
+                  value="${formatNumber(goal.targetAmount, currency)}" inputmode="numeric" aria-label="Target amount">
+                <input type="month" class="scenario-goal-date px-3 py-1.5 border rounded-lg text-sm" data-goal-id="${goal.id}"
+                  value="${(goal.targetDate || '').slice(0, 7)}" aria-label="Target month">
+              </div>
+            `).join('')}
+          </div>
+        </div>
+
+        <p id="scenario-error" class="hidden text-sm text-red-600"></p>
+      </div>
+
+      <div class="flex justify-end gap-3 px-5 py-4 border-t border-gray-100">
+        <button id="cancel-scenario-btn" class="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm">Cancel</button>
+        <button id="save-scenario-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">${isEdit ? 'Update Scenario' : 'Save Scenario'}</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const closeModal = () => overlay.remove();
+  overlay.querySelector('#close-scenario-modal').addEventListener('click', closeModal);
+  overlay.querySelector('#cancel-scenario-btn').addEventListener('click', closeModal);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeModal();
+  });
+
+  overlay.querySelector('#save-scenario-btn').addEventListener('click', () => {
+    const values = {};
+    overlay.querySelectorAll('.scenario-setting').forEach(input => {
+      values[input.dataset.key] = parseFloat(input.value);
+    });
+    const goalEdits = {};
+    overlay.querySelectorAll('.scenario-goal-amount').forEach(input => {
+      goalEdits[input.dataset.goalId] = { targetAmount: parseCurrencyInput(input.value) };
+    });
+    overlay.querySelectorAll('.scenario-goal-date').forEach(input => {
+      if (input.value) goalEdits[input.dataset.goalId].targetDate = `${input.value}-01`;
+    });
+
+    const scenario = {
+      ...(isEdit ? { id: editScenario.id } : {}),
+      name: overlay.querySelector('#scenario-name').value.trim(),
+      ...getOverrides(appData, values, goalEdits)
+    };
+    const validation = validateScenario(scenario, appData.scenarios);
+    if (!validation.valid) {
+      const error = overlay.querySelector('#scenario-error');
+      error.textContent = validation.error;
+      error.classList.remove('hidden');
+      return;
+    }
+
+    if (isEdit) {
+      updateScenario(appData, editScenario.id, scenario);
+    } else {
+      addScenario(appData, scenario);
+    }
+    closeModal();
+    renderScenarios();
+  });
+}
@@ -0,0 +1,523 @@
+// Bank and credit-card statement CSV import to bootstrap monthly expenses (Cash Flow tab)
+import { addExpense, getExpenseRules, setExpenseRules, getCurrency } from './storage.js';
+import { formatCurrency } from './currency.js';
+import { expenseCategories } from './cashflow.js';
+import { escapeHtml } from './html.js';
+
+// Pseudo-category for transactions that are not spending: card bill payments, investments, own transfers
+export const SKIP_CATEGORY = 'Skip';
+
+// Keywords are matched at the start of a word in the transaction description, first rule wins
+export const DEFAULT_EXPENSE_RULES = [
+  { category: SKIP_CATEGORY, keywords: ['credit card', 'card payment', 'cc payment', 'mutual fund', 'sip', 'zerodha', 'groww', 'kuvera', 'ppf', 'nps', 'self transfer', 'own account'] },
+  { category: 'Housing', keywords: ['rent', 'maintenance', 'society', 'nobroker', 'mygate'] },
+  { category: 'Food', keywords: ['swiggy', 'zomato', 'bigbasket', 'blinkit', 'zepto', 'instamart', 'dmart', 'licious', 'grocery', 'supermarket', 'restaurant', 'cafe', 'dominos', 'mcdonald', 'starbucks'] },
+  { category: 'Utilities', keywords: ['electricity', 'bescom', 'msedcl', 'tata power', 'adani electricity', 'airtel', 'jio', 'vodafone', 'bsnl', 'act fibernet', 'broadband', 'tata play', 'dth', 'piped gas', 'mahanagar gas', 'water bill'] },
+  { category: 'Health & Insurance', keywords: ['pharmacy', 'apollo', 'medplus', '1mg', 'pharmeasy', 'hospital', 'clinic', 'diagnostic', 'insurance', 'lic', 'star health'] },
+  { category: 'EMIs/Loans', keywords: ['emi', 'loan', 'bajaj finance'] },
+  { category: 'Transport', keywords: ['uber', 'ola', 'rapido', 'fuel', 'petrol', 'hpcl', 'bpcl', 'iocl', 'indian oil', 'fastag', 'parking', 'irctc', 'metro'] },
+  { category: 'Household Help', keywords: ['maid', 'cook', 'driver', 'urban company'] },
+  { category: 'Lifestyle', keywords: ['amazon', 'flipkart', 'myntra', 'ajio', 'nykaa', 'netflix', 'spotify', 'hotstar', 'prime video', 'bookmyshow', 'pvr', 'inox', 'makemytrip', 'goibibo'] },
+  { category: 'Education', keywords: ['school', 'college', 'tuition', 'university', 'coursera', 'udemy'] },
+  { category: 'Children', keywords: ['firstcry', 'hamleys', 'toys', 'daycare', 'creche'] },
+  { category: 'Other', keywords: [] }
+];
+
+const AMOUNT_TYPES = {
+  withdrawal: 'Withdrawals only (separate debit column)',
+  signed: 'Signed amount (negative or Dr is spending)'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS_PER_MONTH = 365.25 / 12;
+
+let getAppData = null;
+let onDataChange = null;
+let session = null;
+
+/**
+ * Split CSV text into rows of cells, honouring quoted fields with commas, quotes and newlines
+ * @returns {Array} [[cell, ...], ...] without blank rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Read a statement date: 31/01/2026, 31-01-26, 31-Jan-2026, 31 Jan 2026 or 2026-01-31
+ * Day comes before month, as on Indian bank statements
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  let year, month, day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/-](\d{2,4})\b/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Spending in an amount cell, or 0 for deposits, refunds and blanks
+ * @param {string} value - Cell text, e.g. "1,250.00", "-450", "(450.00)", "2,000.00 Dr"
+ * @param {string} amountType - 'withdrawal' (the column only holds debits) or 'signed'
+ */
+export function getSpend(value, amountType) {
+  const text = String(value || '').trim();
+  const credit = /(^|[^a-z])cr\.?$/i.test(text);
+  const debit = /(^|[^a-z])dr\.?$/i.test(text);
+  const negative = /^-|^\(.*\)/.test(text);
+  const amount = parseFloat(text.replace(/(cr|dr)\.?$/i, '').replace(/[^\d.]/g, ''));
+  if (!(amount > 0) || credit) return 0;
+
+  if (amountType === 'signed') return debit || negative ? amount : 0;
+  return amount;
+}
+
+/**
+ * Guess the date, description and amount columns from a header row
+ * @returns {object} { date, description, amount, amountType } with -1 for columns not found
+ */
+export function guessColumnMapping(headers) {
+  const find = pattern => headers.findIndex(h => pattern.test(h));
+  const withdrawal = find(/withdrawal|debit|\bdr\b/i);
+  const date = find(/^(txn |transaction |tran )?date/i);
+  return {
+    date: date !== -1 ? date : find(/date/i),
+    description: find(/narration|description|particulars|details|remarks/i),
+    amount: withdrawal !== -1 ? withdrawal : find(/amount/i),
+    amountType: withdrawal !== -1 ? 'withdrawal' : 'signed'
+  };
+}
+
+/**
+ * Index of the header row; banks put account details above the transaction table
+ */
+export function findHeaderRow(rows) {
+  const index = rows.findIndex(row => {
+    const mapping = guessColumnMapping(row);
+    return mapping.date !== -1 && mapping.description !== -1;
+  });
+  return Math.max(0, index);
+}
+
+/**
+ * Validate a column mapping before reading transactions
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateColumnMapping(mapping) {
+  if (!(mapping.date >= 0)) {
+    return { valid: false, error: 'Choose the date column' };
+  }
+  if (!(mapping.description >= 0)) {
+    return { valid: false, error: 'Choose the description column' };
+  }
+  if (!(mapping.amount >= 0)) {
+    return { valid: false, error: 'Choose the amount column' };
+  }
+  if (!AMOUNT_TYPES[mapping.amountType]) {
+    return { valid: false, error: 'Choose how amounts are written' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Read spending transactions from the rows below the header
+ * Rows without a date or without spending (deposits, balances, footers) are left out
+ * @returns {Array} [{ date, description, amount }]
+ */
+export function readTransactions(rows, mapping) {
+  const transactions = [];
+  rows.forEach(row => {
+    const date = parseStatementDate(row[mapping.date]);
+    const amount = getSpend(row[mapping.amount], mapping.amountType);
+    if (!date || !(amount > 0)) return;
+    transactions.push({ date, description: row[mapping.description] || '', amount });
+  });
+  return transactions;
+}
+
+/**
+ * Combine transactions from several statements, dropping overlap between them
+ * A transaction repeated within one statement is kept as often as it appears there
+ */
+export function mergeStatements(statements) {
+  const counts = new Map();
+  statements.forEach(transactions => {
+    const seen = new Map();
+    transactions.forEach(t => {
+      const key = `${t.date}|${t.description}|${t.amount}`;
+      seen.set(key, (seen.get(key) || 0) + 1);
+      if (seen.get(key) > (counts.get(key)?.length || 0)) {
+        counts.set(key, [...(counts.get(key) || []), t]);
+      }
+    });
+  });
+  return [...counts.values()].flat().sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// True if keyword appears at the start of a word anywhere in text (every
+// occurrence is checked: 'ola' is found in 'bholanath/ola cabs')
+function startsWord(text, keyword) {
+  if (!keyword) return false;
+  for (let index = text.indexOf(keyword); index !== -1; index = text.indexOf(keyword, index + 1)) {
+    if (index === 0 || !/[a-z0-9]/.test(text[index - 1])) return true;
+  }
+  return false;
+}
+
+/**
+ * Category for a transaction description from keyword rules
+ * @param {Array} rules - [{ category, keywords }]
+ * @returns {string} Matching category, or 'Other'
+ */
+export function categorizeTransaction(description, rules) {
+  const text = String(description || '').toLowerCase();
+  const rule = rules.find(r => r.keywords.some(keyword => startsWord(text, keyword)));
+  return rule ? rule.category : 'Other';
+}
+
+/**
+ * Months covered by the transactions, counted from the first to the last date
+ */
+export function getStatementMonths(transactions) {
+  if (transactions.length === 0) return 1;
+  const dates = transactions.map(t => new Date(`${t.date}T00:00:00`).getTime());
+  const days = (Math.max(...dates) - Math.min(...dates)) / (1000 * 60 * 60 * 24) + 1;
+  return Math.max(1, Math.round(days / DAYS_PER_MONTH));
+}
+
+/**
+ * Average categorized spending into monthly expense entries
+ * @param {Array} transactions - [{ amount, category }]
+ * @param {number} months - Months the statements cover
+ * @returns {Array} [{ category, name, amount, total, count }] in expense category order
+ */
+export function buildMonthlyExpenses(transactions, months) {
+  return expenseCategories
+    .map(({ name: category }) => {
+      const matching = transactions.filter(t => t.category === category);
+      const total = matching.reduce((sum, t) => sum + t.amount, 0);
+      return {
+        category,
+        name: `From statement (${months}-month average)`,
+        amount: Math.round(total / months),
+        total,
+        count: matching.length
+      };
+    })
+    .filter(e => e.amount > 0);
+}
+
+function getRules() {
+  return getExpenseRules(getAppData()) || DEFAULT_EXPENSE_RULES;
+}
+
+/**
+ * Wire the Import statement button on the Cash Flow tab
+ * @param {function} getData - Returns the live app data
+ * @param {function} onChange - Called after expenses are added
+ */
+export function initStatementImport(getData, onChange) {
+  getAppData = getData;
+  onDataChange = onChange;
+
+  const fileInput = document.getElementById('import-statement-input');
+  document.getElementById('import-statement-btn')?.addEventListener('click', () => fileInput?.click());
+
+  fileInput?.addEventListener('change', () => {
+    const files = [...(fileInput.files || [])];
+    fileInput.value = '';
+    if (files.length === 0) return;
+
+    const texts = [];
+    let failed = false;
+    files.forEach((file, i) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        texts[i] = reader.result;
+        if (texts.filter(t => t !== undefined).length === files.length) startImport(files, texts);
+      };
+      reader.onerror = () => {
+        if (!failed) alert('Could not read the selected file');
+        failed = true;
+      };
+      reader.readAsText(file);
+    });
+  });
+}
+
+function startImport(files, texts) {
+  const statements = texts.map(text => {
+    const rows = parseCsv(text);
+    const headerRow = findHeaderRow(rows);
+    return { headers: rows[headerRow] || [], rows: rows.slice(headerRow + 1) };
+  });
+
+  if (statements.every(s => s.rows.length === 0)) {
+    alert('Could not import statement: No transactions found in the file');
+    return;
+  }
+
+  session = {
+    fileNames: files.map(f => f.name),
+    statements,
+    mapping: guessColumnMapping(statements[0].headers),
+    transactions: [],
+    months: 1
+  };
+  openModal();
+  renderMappingStep();
+}
+
+function openModal() {
+  const overlay = document.createElement('div');
+  overlay.id = 'statement-modal-overlay';
+  overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4';
+  overlay.innerHTML = `
+    <div class="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[85vh] overflow-hidden flex flex-col">
+      <div class="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+        <h3 class="text-base font-semibold text-gray-900">Import Bank Statement</h3>
+        <button id="close-statement-modal" class="text-gray-400 hover:text-gray-600 rounded-lg p-1 transition-colors">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+      <div id="statement-modal-body" class="px-5 py-4 overflow-y-auto"></div>
+      <div id="statement-modal-footer" class="flex justify-end gap-3 px-5 py-4 border-t border-gray-100"></div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  overlay.querySelector('#close-statement-modal').addEventListener('click', closeModal);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeModal();
+  });
+}
+
+function closeModal() {
+  document.getElementById('statement-modal-overlay')?.remove();
+  session = null;
+}
+
+function renderMappingStep() {
+  const { headers } = session.statements[0];
+  const columnSelect = (field, label) => `
+    <label class="block">
+      <span class="text-xs text-gray-500">${label}</span>
+      <select class="statement-mapping w-full px-3 py-2 border rounded text-sm" data-field="${field}">
+        <option value="-1">Choose a column</option>
+        ${headers.map((h, i) => `<option value="${i}" ${session.mapping[field] === i ? 'selected' : ''}>${h ? escapeHtml(h) : `Column ${i + 1}`}</option>`).join('')}
+      </select>
+    </label>
+  `;
+
+  document.getElementById('statement-modal-body').innerHTML = `
+    <p class="text-sm text-gray-500 mb-4">${escapeHtml(session.fileNames.join(', '))}. Pick the columns to read; all files should come from the same bank or card.</p>
+    <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      ${columnSelect('date', 'Date')}
+      ${columnSelect('description', 'Description')}
+      ${columnSelect('amount', 'Amount')}
+      <label class="block">
+        <span class="text-xs text-gray-500">Amounts are</span>
+        <select class="statement-mapping w-full px-3 py-2 border rounded text-sm" data-field="amountType">
+          ${Object.entries(AMOUNT_TYPES).map(([key, label]) => `<option value="${key}" ${session.mapping.amountType === key ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+    <p id="statement-mapping-error" class="text-xs text-red-600 mt-3 h-4"></p>
+  `;
+
+  document.getElementById('statement-modal-footer').innerHTML = `
+    <button id="cancel-statement-btn" class="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm">Cancel</button>
+    <button id="read-statement-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">Continue</button>
+  `;
+
+  document.getElementById('cancel-statement-btn').addEventListener('click', closeModal);
+  document.getElementById('read-statement-btn').addEventListener('click', () => {
+    document.querySelectorAll('.statement-mapping').forEach(select => {
+      const field = select.dataset.field;
+      session.mapping[field] = field === 'amountType' ? select.value : parseInt(select.value, 10);
+    });
+
+    const validation = validateColumnMapping(session.mapping);
+    if (!validation.valid) {
+      document.getElementById('statement-mapping-error').textContent = validation.error;
+      return;
+    }
+
+    const rules = getRules();
+    session.transactions = mergeStatements(session.statements.map(s => readTransactions(s.rows, session.mapping)))
+      .map(t => ({ ...t, category: categorizeTransaction(t.description, rules) }));
+    if (session.transactions.length === 0) {
+      document.getElementById('statement-mapping-error').textContent = 'No spending found with these columns';
+      return;
+    }
+    session.months = getStatementMonths(session.transactions);
+    renderReviewStep();
+  });
+}
+
+function renderReviewStep() {
+  const currency = getCurrency(getAppData());
+  const expenses = buildMonthlyExpenses(session.transactions, session.months);
+  const rules = getRules();
+  const categoryOptions = selected => [...expenseCategories.map(c => c.name), SKIP_CATEGORY]
+    .map(name => `<option value="${name}" ${name === selected ? 'selected' : ''}>${name}</option>`).join('');
+
+  document.getElementById('statement-modal-body').innerHTML = `
+    <div class="flex items-center justify-between gap-3 mb-3">
+      <p class="text-sm text-gray-500">${session.transactions.length} transactions. Fix any category below, then add the monthly averages to your expenses.</p>
+      <label class="text-xs text-gray-500 whitespace-nowrap">
+        Months
+        <input type="number" id="statement-months" class="w-14 px-2 py-1 border rounded text-sm" min="1" max="12" value="${session.months}">
+      </label>
+    </div>
+
+    <div class="rounded-lg border border-gray-200 overflow-hidden mb-4">
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="bg-gray-50">
+            <th class="text-left py-2 px-3 font-medium text-gray-600">Category</th>
+            <th class="text-right py-2 px-3 font-medium text-gray-600">Entries</th>
+            <th class="text-right py-2 px-3 font-medium text-gray-600">Monthly</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${expenses.map((e, i) => `
+            <tr class="${i < expenses.length - 1 ? 'border-b border-gray-100' : ''}">
+              <td class="py-2 px-3 text-gray-700">${escapeHtml(e.category)}</td>
+              <td class="py-2 px-3 text-right text-gray-500">${e.count}</td>
+              <td class="py-2 px-3 text-right font-medium text-gray-900">${formatCurrency(e.amount, currency)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="space-y-1 mb-4">
+      ${session.transactions.map((t, i) => `
+        <div class="flex items-center gap-2 py-1 border-b border-gray-100 text-sm ${t.category === SKIP_CATEGORY ? 'text-gray-400' : ''}">
+          <span class="text-xs text-gray-400 w-20 shrink-0">${t.date}</span>
+          <span class="flex-1 min-w-0 truncate" title="${escapeHtml(t.description)}">${escapeHtml(t.description)}</span>
+          <span class="shrink-0">${formatCurrency(t.amount, currency)}</span>
+          <select class="statement-category px-2 py-1 border rounded text-xs shrink-0" data-index="${i}">${categoryOptions(t.category)}</select>
+        </div>
+      `).join('')}
+    </div>
+
+    <details class="text-sm">
+      <summary class="cursor-pointer text-gray-600">Keyword rules</summary>
+      <p class="text-xs text-gray-400 mt-2 mb-2">Comma-separated words matched in the description; the first matching category wins. Skip leaves a transaction out.</p>
+      <div class="space-y-2">
+        ${rules.map(r => `
+          <label class="block">
+            <span class="text-xs text-gray-500">${escapeHtml(r.category)}</span>
+            <input type="text" class="statement-rule w-full px-2 py-1 border rounded text-xs" data-category="${escapeHtml(r.category)}" value="${escapeHtml(r.keywords.join(', '))}">
+          </label>
+        `).join('')}
+      </div>
+      <div class="flex justify-end gap-2 mt-2">
+        <button id="reset-statement-rules-btn" class="px-3 py-1 border rounded text-xs hover:bg-gray-50">Reset to defaults</button>
+        <button id="apply-statement-rules-btn" class="px-3 py-1 bg-gray-700 text-white rounded text-xs hover:bg-gray-800">Save and re-apply</button>
+      </div>
+    </details>
+  `;
+
+  document.getElementById('statement-modal-footer').innerHTML = `
+    <button id="back-statement-btn" class="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm mr-auto">Back</button>
+    <button id="cancel-statement-btn" class="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm">Cancel</button>
+    <button id="confirm-statement-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm" ${expenses.length === 0 ? 'disabled' : ''}>Add ${expenses.length} expense${expenses.length === 1 ? '' : 's'}</button>
+  `;
+
+  document.querySelectorAll('.statement-category').forEach(select => {
+    select.addEventListener('change', () => {
+      session.transactions[parseInt(select.dataset.index, 10)].category = select.value;
+      renderReviewStep();
+    });
+  });
+
+  document.getElementById('statement-months').addEventListener('change', (e) => {
+    const months = parseInt(e.target.value, 10);
+    if (months >= 1 && months <= 12) session.months = months;
+    renderReviewStep();
+  });
+
+  document.getElementById('apply-statement-rules-btn').addEventListener('click', () => {
+    const edited = [...document.querySelectorAll('.statement-rule')].map(input => ({
+      category: input.dataset.category,
+      keywords: [...new Set(input.value.split(',').map(k => k.trim().toLowerCase()).filter(Boolean))]
+    }));
+    setExpenseRules(getAppData(), edited);
+    recategorize(edited);
+  });
+
+  document.getElementById('reset-statement-rules-btn').addEventListener('click', () => {
+    setExpenseRules(getAppData(), null);
+    recategorize(DEFAULT_EXPENSE_RULES);
+  });
+
+  document.getElementById('back-statement-btn').addEventListener('click', renderMappingStep);
+  document.getElementById('cancel-statement-btn').addEventListener('click', closeModal);
+  document.getElementById('confirm-statement-btn').addEventListener('click', () => {
+    const data = getAppData();
+    expenses.forEach(({ category, name, amount }) => addExpense(data, { category, name, amount }));
+    closeModal();
+    if (onDataChange) onDataChange();
+  });
+}
+
+function recategorize(rules) {
+  session.transactions.forEach(t => {
+    t.category = categorizeTransaction(t.description, rules);
+  });
+  renderReviewStep();
+}
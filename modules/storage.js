@@ -1,6 +1,19 @@
-// LocalStorage wrapper for Financial Planner
+// Persistence for Financial Planner, through a storage adapter (IndexedDB,
+// localStorage or memory)
+import { isEncryptedPayload, deriveKey, encryptText, decryptText, decryptWithPassphrase } from './crypto.js';
+import { createMemoryAdapter, createLocalStorageAdapter, createIndexedDBAdapter, moveStoredValue } from './adapters.js';
+
 const STORAGE_KEY = 'financial-planner-data';
 
+// Profile list: { active, profiles: [{ id, name }] }. The default profile keeps
+// the original data key, so data saved before profiles existed is its data.
+const PROFILES_KEY = 'rupeefolio-profiles';
+export const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'My Plan';
+
+// Profile this tab has open, kept across reloads of the tab
+const SESSION_PROFILE_KEY = 'rupeefolio-profile';
+
 const defaultData = {
   settings: {
     currency: 'INR',
@@ -12,7 +25,15 @@ const defaultData = {
     npsReturn: 9,
     epfStepUp: 5,
     npsStepUp: 0,
-    investmentStepUp: 5
+    investmentStepUp: 5,
+    equityVolatility: 16,
+    debtVolatility: 2,
+    returnCorrelation: 0,
+    categoryInflation: {},
+    assignStrategy: 'greedy',
+    taxProfile: null,
+    expenseRules: null,
+    autoLockMinutes: 15
   },
   cashflow: {
     income: [],
@@ -24,105 +45,372 @@ const defaultData = {
   liabilities: {
     items: []
   },
-  goals: []
+  goals: [],
+  snapshots: [],
+  transactions: [],
+  scenarios: []
 };
 
 export function generateId() {
   return crypto.randomUUID();
 }
 
-export function loadData() {
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      const data = JSON.parse(stored);
-      // Merge with defaults to handle schema updates
-      const result = {
-        settings: { ...defaultData.settings, ...data.settings },
-        cashflow: {
-          income: data.cashflow?.income || [],
-          expenses: data.cashflow?.expenses || []
-        },
-        assets: {
-          items: data.assets?.items || []
-        },
-        liabilities: {
-          items: data.liabilities?.items || []
-        },
-        goals: data.goals || []
-      };
-
-      // Migration: Move EPF/NPS corpus from income entries to assets
-      let migrated = false;
-      result.cashflow.income.forEach(income => {
+const DEPRECATED_GOAL_FIELDS = ['investments', 'initialLumpsum', 'equityPercent', 'debtPercent', 'annualStepUp'];
+
+/**
+ * Ordered schema migrations. Each step runs once, on data stored at an older
+ * schemaVersion, and mutates the normalized data in place.
+ * Append new steps at the end - never reorder or remove existing ones.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move EPF/NPS corpus from income entries to assets',
+    migrate(data) {
+      data.cashflow.income.forEach(income => {
         if (income.epfCorpus && income.epfCorpus > 0) {
           // Check if EPF asset already exists for this source
-          const existingEpf = result.assets.items.find(a =>
+          const existingEpf = data.assets.items.find(a =>
             a.category === 'EPF' && a.name === `EPF - ${income.name}`
           );
           if (!existingEpf) {
-            result.assets.items.push({
+            data.assets.items.push({
               id: generateId(),
               name: `EPF - ${income.name}`,
               category: 'EPF',
               value: income.epfCorpus
             });
-            migrated = true;
           }
-          delete income.epfCorpus;
         }
         if (income.npsCorpus && income.npsCorpus > 0) {
           // Check if NPS asset already exists for this source
-          const existingNps = result.assets.items.find(a =>
+          const existingNps = data.assets.items.find(a =>
             a.category === 'NPS' && a.name === `NPS - ${income.name}`
           );
           if (!existingNps) {
-            result.assets.items.push({
+            data.assets.items.push({
               id: generateId(),
               name: `NPS - ${income.name}`,
               category: 'NPS',
               value: income.npsCorpus
             });
-            migrated = true;
           }
-          delete income.npsCorpus;
         }
+        delete income.epfCorpus;
+        delete income.npsCorpus;
       });
-
-      // Migration: Strip deprecated fields from goals (unified portfolio)
-      result.goals.forEach(goal => {
-        const deprecatedFields = ['investments', 'initialLumpsum', 'equityPercent', 'debtPercent', 'annualStepUp'];
-        deprecatedFields.forEach(field => {
-          if (goal.hasOwnProperty(field)) {
-            delete goal[field];
-            migrated = true;
-          }
-        });
+    }
+  },
+  {
+    version: 2,
+    description: 'Strip deprecated per-goal investment fields (unified portfolio)',
+    migrate(data) {
+      data.goals.forEach(goal => {
+        DEPRECATED_GOAL_FIELDS.forEach(field => delete goal[field]);
       });
-
-      // Migration: Add linkedAssets array to goals that don't have it
-      result.goals.forEach(goal => {
-        if (!goal.linkedAssets) {
+    }
+  },
+  {
+    version: 3,
+    description: 'Add linkedAssets array to goals',
+    migrate(data) {
+      data.goals.forEach(goal => {
+        if (!Array.isArray(goal.linkedAssets)) {
           goal.linkedAssets = [];
-          migrated = true;
         }
       });
-
-      // Migration: Clean up orphaned linkedAssets references (assets that no longer exist)
-      const assetIds = new Set(result.assets.items.map(a => a.id));
-      result.goals.forEach(goal => {
-        if (goal.linkedAssets && goal.linkedAssets.length > 0) {
-          const originalLength = goal.linkedAssets.length;
-          goal.linkedAssets = goal.linkedAssets.filter(la => assetIds.has(la.assetId));
-          if (goal.linkedAssets.length !== originalLength) {
-            migrated = true;
-          }
-        }
+    }
+  },
+  {
+    version: 4,
+    description: 'Remove linkedAssets references to assets that no longer exist',
+    migrate(data) {
+      const assetIds = new Set(data.assets.items.map(a => a.id));
+      data.goals.forEach(goal => {
+        goal.linkedAssets = (goal.linkedAssets || []).filter(la => assetIds.has(la.assetId));
       });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add net-worth snapshots list',
+    // Normalization already defaults the list; the version bump keeps older
+    // app versions (which drop unknown sections) from saving over snapshots
+    migrate(data) {
+      if (!Array.isArray(data.snapshots)) {
+        data.snapshots = [];
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Add SIP transaction ledger',
+    migrate(data) {
+      if (!Array.isArray(data.transactions)) {
+        data.transactions = [];
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Add what-if scenarios list',
+    migrate(data) {
+      if (!Array.isArray(data.scenarios)) {
+        data.scenarios = [];
+      }
+    }
+  }
+];
+
+// Current schema version written with every save and backup
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Set when stored data was written by a newer app version; saves are refused
+// so an older tab can't silently drop fields it doesn't understand
+let storedByNewerVersion = false;
+
+// Called with the data after every successful save (undo history)
+let saveListener = null;
 
-      // Save if migration occurred
+// Key for encrypted saves ({ key, salt, iterations } from deriveKey); null when
+// data is stored as plain JSON
+let encryptionKey = null;
+
+// Set while stored data is encrypted and hasn't been unlocked; saves are
+// refused so the encrypted data can't be overwritten
+let locked = false;
+
+// Where data is persisted; initStorage() picks the real one
+let adapter = createMemoryAdapter();
+
+// Stored text as last read or written. loadData() and saveData() work on this
+// copy synchronously; the adapter is written in the background.
+let storedText = null;
+
+// Background writes run one at a time in save order
+let pendingWrite = Promise.resolve();
+let writeCount = 0;
+
+// Error from the latest write if it failed, and who to tell about it
+let lastSaveError = null;
+let saveErrorListener = null;
+
+// Tells other tabs about writes (see watchExternalChanges)
+let channel = null;
+const CHANNEL_NAME = 'rupeefolio-storage';
+
+// Profile list as last read or written, the profile open in this tab and the
+// key its data is stored under
+let profileList = getDefaultProfiles();
+let activeProfileId = DEFAULT_PROFILE_ID;
+let dataKey = STORAGE_KEY;
+
+function getDefaultData() {
+  return { ...JSON.parse(JSON.stringify(defaultData)), schemaVersion: SCHEMA_VERSION };
+}
+
+/**
+ * Schema version of raw stored data. Data saved before versioning was
+ * introduced has no field and counts as version 0.
+ */
+export function getDataSchemaVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Normalize raw stored data against the defaults and apply pending migrations.
+ * Shared by loadData() and backup restore so both see the same shape.
+ * @param {object} data - Parsed data (not mutated)
+ * @returns {object} { data, migrated, newer } - migrated is true if any step ran,
+ *   newer is true if the data comes from a later schema (no steps are run)
+ */
+export function migrateData(data) {
+  const source = JSON.parse(JSON.stringify(data || {}));
+  const fromVersion = getDataSchemaVersion(source);
+
+  // Merge with defaults to handle missing sections (other top-level sections pass through)
+  const result = {
+    ...source,
+    schemaVersion: fromVersion,
+    settings: { ...defaultData.settings, ...source.settings },
+    cashflow: {
+      income: source.cashflow?.income || [],
+      expenses: source.cashflow?.expenses || []
+    },
+    assets: {
+      items: source.assets?.items || []
+    },
+    liabilities: {
+      items: source.liabilities?.items || []
+    },
+    goals: source.goals || [],
+    snapshots: source.snapshots || [],
+    transactions: source.transactions || [],
+    scenarios: source.scenarios || []
+  };
+
+  if (fromVersion > SCHEMA_VERSION) {
+    return { data: result, migrated: false, newer: true };
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+  pending.forEach(m => m.migrate(result));
+  result.schemaVersion = SCHEMA_VERSION;
+
+  return { data: result, migrated: pending.length > 0, newer: false };
+}
+
+/**
+ * True if the stored data was written by a newer version of the app.
+ * In that case saveData() refuses to write until the data is cleared.
+ */
+export function isStoredByNewerVersion() {
+  return storedByNewerVersion;
+}
+
+/**
+ * Pick the storage adapter and read the open profile's data; call once before
+ * loadData(). By default IndexedDB is used, and data saved to localStorage by
+ * earlier versions is moved there once. Falls back to localStorage where
+ * IndexedDB can't be opened.
+ * @param {object} preferred - Adapter to use instead (tests pass a memory adapter)
+ * @returns {Promise<string>} Name of the adapter in use
+ */
+export function initStorage(preferred = null) {
+  writeCount++; // Writes still queued for the previous adapter are dropped
+  pendingWrite = Promise.resolve();
+  lastSaveError = null;
+  storedByNewerVersion = false;
+  encryptionKey = null;
+  locked = false;
+
+  return (preferred ? Promise.resolve(preferred) : chooseAdapter())
+    .then(chosen => {
+      adapter = chosen;
+      return chosen.read(PROFILES_KEY);
+    })
+    .then(text => {
+      profileList = parseProfiles(text);
+      // This tab's profile if it still exists, else the one last switched to
+      const pinned = readSessionProfile();
+      activeProfileId = profileList.profiles.some(p => p.id === pinned) ? pinned : profileList.active;
+      dataKey = getProfileKey(activeProfileId);
+      return adapter.read(dataKey);
+    })
+    .then(text => {
+      storedText = text;
+      return adapter.name;
+    });
+}
+
+function chooseAdapter() {
+  const local = createLocalStorageAdapter();
+  if (!globalThis.indexedDB) return Promise.resolve(local);
+  const idb = createIndexedDBAdapter();
+  return moveStoredValue(local, idb, PROFILES_KEY)
+    .then(() => idb.read(PROFILES_KEY))
+    .then(text => Promise.all(parseProfiles(text).profiles.map(p => moveStoredValue(local, idb, getProfileKey(p.id)))))
+    .then(() => idb)
+    .catch(e => {
+      console.warn('IndexedDB is not available, using localStorage:', e);
+      return local;
+    });
+}
+
+function getDefaultProfiles() {
+  return { active: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }] };
+}
+
+function getProfileKey(id) {
+  return id === DEFAULT_PROFILE_ID ? STORAGE_KEY : `${STORAGE_KEY}:${id}`;
+}
+
+// Stored profile list, or just the default profile if missing or malformed
+function parseProfiles(text) {
+  try {
+    const parsed = JSON.parse(text);
+    const profiles = (Array.isArray(parsed?.profiles) ? parsed.profiles : [])
+      .filter(p => p && typeof p.id === 'string' && typeof p.name === 'string')
+      .map(p => ({ id: p.id, name: p.name }));
+    if (profiles.length > 0) {
+      return { active: profiles.some(p => p.id === parsed.active) ? parsed.active : profiles[0].id, profiles };
+    }
+  } catch (e) {
+    // Fall through to the default
+  }
+  return getDefaultProfiles();
+}
+
+function readSessionProfile() {
+  try {
+    return globalThis.sessionStorage?.getItem(SESSION_PROFILE_KEY) ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Call listener whenever another tab writes this tab's profile data ('data')
+ * or the profile list ('profiles'). Writes to other profiles are ignored. The
+ * stored copy is re-read first, so loadData()/readStoredData()/getProfiles()
+ * return the new values.
+ * @param {function} listener - Receives 'data' or 'profiles'
+ */
+export function watchExternalChanges(listener) {
+  if (typeof BroadcastChannel === 'undefined') return;
+  if (channel) channel.close();
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (e) => {
+    const key = e.data?.key;
+    if (key === PROFILES_KEY) {
+      adapter.read(PROFILES_KEY).then(text => {
+        profileList = parseProfiles(text);
+        listener('profiles');
+      }, err => console.error('Error loading profiles:', err));
+    } else if (key === dataKey) {
+      adapter.read(dataKey).then(text => {
+        storedText = text;
+        listener('data');
+      }, err => console.error('Error loading data:', err));
+    }
+  };
+}
+
+function announceWrite(key) {
+  if (channel) channel.postMessage({ key });
+}
+
+/**
+ * Register a function to be told when a background write fails (with the
+ * error) and when writes succeed again (with null)
+ * @param {function|null} listener
+ */
+export function setSaveErrorListener(listener) {
+  saveErrorListener = listener;
+}
+
+export function loadData() {
+  encryptionKey = null;
+  locked = false;
+  try {
+    if (storedText) {
+      const parsed = JSON.parse(storedText);
+
+      // Encrypted data needs the passphrase: see unlockData()
+      if (isEncryptedPayload(parsed)) {
+        locked = true;
+        storedByNewerVersion = false;
+        return getDefaultData();
+      }
+
+      const { data: result, migrated, newer } = migrateData(parsed);
+      storedByNewerVersion = newer;
+
+      // Save once after pending migrations so they don't run again
       if (migrated) {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(result));
+        const text = JSON.stringify(result);
+        storedText = text;
+        queueWrite(() => text).catch(() => {}); // Reported by queueWrite
       }
 
       return result;
@@ -130,12 +418,33 @@ export function loadData() {
   } catch (e) {
     console.error('Error loading data:', e);
   }
-  return JSON.parse(JSON.stringify(defaultData));
+  storedByNewerVersion = false;
+  return getDefaultData();
 }
 
+/**
+ * Save the data. The write finishes in the background; failures (such as a
+ * full quota) go to the save error listener and flushSaves().
+ * @returns {boolean} False if the save was refused (newer or locked data)
+ */
 export function saveData(data) {
+  if (storedByNewerVersion) {
+    console.warn('Not saving: stored data was written by a newer version of RupeeFolio');
+    return false;
+  }
+  if (locked) {
+    console.warn('Not saving: stored data is locked');
+    return false;
+  }
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    if (encryptionKey) {
+      writeEncrypted(encryptionKey, data).catch(() => {}); // Reported by queueWrite
+    } else {
+      const text = JSON.stringify({ ...data, schemaVersion: SCHEMA_VERSION });
+      storedText = text;
+      queueWrite(() => text).catch(() => {});
+    }
+    if (saveListener) saveListener(data);
     return true;
   } catch (e) {
     console.error('Error saving data:', e);
@@ -143,9 +452,285 @@ export function saveData(data) {
   }
 }
 
+/**
+ * Queue a write to the adapter. A write overtaken by a newer one before it
+ * starts is skipped, so a burst of saves (a slider drag) writes once or twice.
+ * @param {function} produce - Returns the text to store (or a Promise of it); null removes it
+ * @returns {Promise} Rejects if the write fails (also reported to the listener)
+ */
+function queueWrite(produce) {
+  const id = ++writeCount;
+  const target = adapter;
+  const key = dataKey;
+  const write = pendingWrite.then(() => {
+    if (id !== writeCount) return;
+    return Promise.resolve(produce())
+      .then(text => {
+        storedText = text;
+        return text === null ? target.remove(key) : target.write(key, text);
+      })
+      .then(() => {
+        announceWrite(key);
+        reportSaveError(null);
+      });
+  });
+  pendingWrite = write.catch(e => {
+    console.error('Error saving data:', e);
+    reportSaveError(e);
+  });
+  return write;
+}
+
+function reportSaveError(error) {
+  if (!error && !lastSaveError) return;
+  lastSaveError = error;
+  if (saveErrorListener) saveErrorListener(error);
+}
+
+function getStoredPayload() {
+  try {
+    return JSON.parse(storedText);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Decrypted JSON goes through the same migration path as plain stored data
+function readDecrypted(text) {
+  const { data: result, migrated, newer } = migrateData(JSON.parse(text));
+  storedByNewerVersion = newer;
+  return { result, migrated };
+}
+
+/**
+ * True if the stored data is encrypted with a passphrase
+ */
+export function isStoredEncrypted() {
+  return isEncryptedPayload(getStoredPayload());
+}
+
+/**
+ * True once encrypted data has been unlocked (or encryption turned on);
+ * saves are then encrypted with the same key
+ */
+export function isEncryptionEnabled() {
+  return !!encryptionKey;
+}
+
+/**
+ * Wait for saves that are still being written
+ * @returns {Promise} Rejects with the error if the latest write failed
+ */
+export function flushSaves() {
+  return pendingWrite.then(() => {
+    if (lastSaveError) throw lastSaveError;
+  });
+}
+
+/**
+ * Decrypt the stored data with a passphrase and keep the key for later saves
+ * @param {string} passphrase
+ * @returns {Promise<object>} Migrated data; rejects with 'Wrong passphrase'
+ */
+export function unlockData(passphrase) {
+  const payload = getStoredPayload();
+  if (!isEncryptedPayload(payload)) return Promise.resolve(loadData());
+  return decryptWithPassphrase(payload, passphrase).then(({ text, keyInfo }) => {
+    const { result, migrated } = readDecrypted(text);
+    encryptionKey = keyInfo;
+    locked = false;
+    if (migrated) writeEncrypted(keyInfo, result).catch(() => {});
+    return result;
+  });
+}
+
+/**
+ * Re-read the stored data after another tab changed it
+ * @returns {Promise<object>} Migrated data; rejects if it can't be decrypted with
+ *   the current key (locked, or the passphrase was changed elsewhere)
+ */
+export function readStoredData() {
+  const payload = getStoredPayload();
+  if (!isEncryptedPayload(payload)) return Promise.resolve(loadData());
+  if (!encryptionKey) return Promise.reject(new Error('Data is locked'));
+  return decryptText(encryptionKey, payload).then(text => readDecrypted(text).result);
+}
+
+/**
+ * Start encrypting stored data with a key derived from a new passphrase
+ * @returns {Promise} Resolves once the encrypted data is written
+ */
+export function enableEncryption(data, passphrase) {
+  if (storedByNewerVersion || locked) return Promise.reject(new Error('Data can\'t be saved right now'));
+  return deriveKey(passphrase).then(keyInfo => {
+    encryptionKey = keyInfo;
+    return writeEncrypted(keyInfo, data);
+  });
+}
+
+function writeEncrypted(keyInfo, data) {
+  const text = JSON.stringify({ ...data, schemaVersion: SCHEMA_VERSION });
+  return queueWrite(() => encryptText(keyInfo, text).then(payload => JSON.stringify(payload)));
+}
+
+// Rejects with 'Wrong passphrase' unless it decrypts what is stored now
+function verifyPassphrase(passphrase) {
+  return pendingWrite.then(() => {
+    const payload = getStoredPayload();
+    if (!isEncryptedPayload(payload)) throw new Error('Data is not encrypted');
+    return decryptWithPassphrase(payload, passphrase);
+  });
+}
+
+/**
+ * Re-encrypt stored data under a new passphrase
+ * @returns {Promise} Rejects with 'Wrong passphrase' if current is wrong
+ */
+export function changePassphrase(data, current, next) {
+  return verifyPassphrase(current)
+    .then(() => deriveKey(next))
+    .then(keyInfo => {
+      encryptionKey = keyInfo;
+      return writeEncrypted(keyInfo, data);
+    });
+}
+
+/**
+ * Turn encryption off and store the data as plain JSON again
+ * @returns {Promise} Rejects with 'Wrong passphrase' if the passphrase is wrong
+ */
+export function disableEncryption(data, passphrase) {
+  return verifyPassphrase(passphrase).then(() => {
+    encryptionKey = null;
+    const text = JSON.stringify({ ...data, schemaVersion: SCHEMA_VERSION });
+    storedText = text;
+    return queueWrite(() => text);
+  });
+}
+
+/**
+ * Forget the key once pending saves are written; saves are refused until unlocked
+ * @returns {Promise}
+ */
+export function lockData() {
+  return pendingWrite.then(() => {
+    if (!encryptionKey) return;
+    encryptionKey = null;
+    locked = true;
+  });
+}
+
+/**
+ * Register a function to be called after every successful save
+ * @param {function|null} listener - Receives the saved data
+ */
+export function setSaveListener(listener) {
+  saveListener = listener;
+}
+
+/**
+ * Remove the open profile's data (other profiles are kept)
+ * @returns {object} Default data
+ */
 export function clearData() {
-  localStorage.removeItem(STORAGE_KEY);
-  return JSON.parse(JSON.stringify(defaultData));
+  storedText = null;
+  queueWrite(() => null).catch(() => {});
+  storedByNewerVersion = false;
+  encryptionKey = null;
+  locked = false;
+  return getDefaultData();
+}
+
+// Profile helpers
+export function getProfiles() {
+  return profileList.profiles.map(p => ({ ...p }));
+}
+
+/**
+ * The profile open in this tab
+ * @returns {object} { id, name }
+ */
+export function getActiveProfile() {
+  const profile = profileList.profiles.find(p => p.id === activeProfileId);
+  return profile ? { ...profile } : { id: activeProfileId, name: '' };
+}
+
+function writeProfiles(next) {
+  return adapter.write(PROFILES_KEY, JSON.stringify(next)).then(() => {
+    profileList = next;
+    announceWrite(PROFILES_KEY);
+  });
+}
+
+function addProfile(name, text) {
+  const profile = { id: generateId(), name };
+  return (text === null ? Promise.resolve() : adapter.write(getProfileKey(profile.id), text))
+    .then(() => writeProfiles({ ...profileList, profiles: [...profileList.profiles, profile] }))
+    .then(() => ({ ...profile }));
+}
+
+/**
+ * Add a profile with its own data
+ * @param {string} name - Display name (check it with validateProfileName first)
+ * @param {object|null} data - Initial data; null starts empty
+ * @returns {Promise<object>} The new { id, name }
+ */
+export function createProfile(name, data = null) {
+  return addProfile(name, data ? JSON.stringify({ ...data, schemaVersion: SCHEMA_VERSION }) : null);
+}
+
+/**
+ * Add a profile holding a copy of another profile's stored data (encrypted
+ * data stays encrypted with the same passphrase)
+ * @returns {Promise<object>} The new { id, name }
+ */
+export function duplicateProfile(id, name) {
+  return pendingWrite
+    .then(() => adapter.read(getProfileKey(id)))
+    .then(text => addProfile(name, text));
+}
+
+export function renameProfile(id, name) {
+  const profiles = profileList.profiles.map(p => (p.id === id ? { ...p, name } : p));
+  return writeProfiles({ ...profileList, profiles });
+}
+
+/**
+ * Delete a profile and its data. After deleting the open profile, reload to
+ * open another one.
+ * @returns {Promise} Rejects for the last remaining profile
+ */
+export function deleteProfile(id) {
+  const profiles = profileList.profiles.filter(p => p.id !== id);
+  if (profiles.length === 0) return Promise.reject(new Error('The only profile can\'t be deleted'));
+  if (id === activeProfileId) writeCount++; // Queued saves must not bring its data back
+  const active = profileList.active === id ? profiles[0].id : profileList.active;
+  return pendingWrite
+    .then(() => writeProfiles({ active, profiles }))
+    .then(() => adapter.remove(getProfileKey(id)))
+    .then(() => {
+      if (id === activeProfileId) pinSessionProfile(active);
+    });
+}
+
+/**
+ * Make a profile the one this tab (and newly opened tabs) open; pending saves
+ * are written first. Reload afterwards to show it.
+ * @returns {Promise}
+ */
+export function switchProfile(id) {
+  if (!profileList.profiles.some(p => p.id === id)) return Promise.reject(new Error('Profile not found'));
+  return pendingWrite
+    .then(() => writeProfiles({ ...profileList, active: id }))
+    .then(() => pinSessionProfile(id));
+}
+
+function pinSessionProfile(id) {
+  try {
+    globalThis.sessionStorage?.setItem(SESSION_PROFILE_KEY, id);
+  } catch (e) {
+    // Without session storage a reload opens the last switched-to profile
+  }
 }
 
 // Settings helpers
@@ -252,6 +837,92 @@ export function setInvestmentStepUp(data, value) {
   return data;
 }
 
+export function getEquityVolatility(data) {
+  return data.settings?.equityVolatility ?? 16;
+}
+
+export function setEquityVolatility(data, value) {
+  data.settings.equityVolatility = value;
+  saveData(data);
+  return data;
+}
+
+export function getDebtVolatility(data) {
+  return data.settings?.debtVolatility ?? 2;
+}
+
+export function setDebtVolatility(data, value) {
+  data.settings.debtVolatility = value;
+  saveData(data);
+  return data;
+}
+
+export function getReturnCorrelation(data) {
+  return data.settings?.returnCorrelation ?? 0;
+}
+
+export function setReturnCorrelation(data, value) {
+  data.settings.returnCorrelation = value;
+  saveData(data);
+  return data;
+}
+
+// Per-category expense inflation overrides, e.g. { Education: 10 }
+export function getCategoryInflation(data) {
+  return data.settings?.categoryInflation ?? {};
+}
+
+export function setCategoryInflation(data, category, value) {
+  // Replace rather than mutate so the shared default object is never touched
+  data.settings.categoryInflation = { ...getCategoryInflation(data), [category]: value };
+  saveData(data);
+  return data;
+}
+
+// How auto-assign links assets to goals: 'greedy' or 'optimal'
+export function getAssignStrategy(data) {
+  return data.settings?.assignStrategy ?? 'greedy';
+}
+
+export function setAssignStrategy(data, value) {
+  data.settings.assignStrategy = value;
+  saveData(data);
+  return data;
+}
+
+// { regime, slab } once set; null keeps the return settings as post-tax
+export function getTaxProfile(data) {
+  return data.settings?.taxProfile ?? null;
+}
+
+export function setTaxProfile(data, profile) {
+  data.settings.taxProfile = profile;
+  saveData(data);
+  return data;
+}
+
+// [{ category, keywords }] for statement import; null uses the built-in rules
+export function getExpenseRules(data) {
+  return data.settings?.expenseRules ?? null;
+}
+
+export function setExpenseRules(data, rules) {
+  data.settings.expenseRules = rules;
+  saveData(data);
+  return data;
+}
+
+// Minutes of inactivity before encrypted data locks itself; 0 never locks
+export function getAutoLockMinutes(data) {
+  return data.settings?.autoLockMinutes ?? 15;
+}
+
+export function setAutoLockMinutes(data, value) {
+  data.settings.autoLockMinutes = value;
+  saveData(data);
+  return data;
+}
+
 // Cashflow helpers
 export function addIncome(data, income) {
   income.id = income.id || generateId();
@@ -318,6 +989,14 @@ export function updateGoal(data, id, updates) {
 
 export function deleteGoal(data, id) {
   data.goals = data.goals.filter(g => g.id !== id);
+  // Keep the investments in the ledger, just no longer tied to a goal
+  (data.transactions || []).forEach(t => {
+    if (t.goalId === id) t.goalId = null;
+  });
+  // Scenario edits for the goal have nothing left to overlay
+  (data.scenarios || []).forEach(s => {
+    if (s.goals) delete s.goals[id];
+  });
   saveData(data);
   return data;
 }
@@ -374,11 +1053,14 @@ export function updateLiability(data, id, updates) {
 
 export function deleteLiability(data, id) {
   data.liabilities.items = data.liabilities.items.filter(l => l.id !== id);
+  // Remove the EMI expense that tracks this loan
+  data.cashflow.expenses = data.cashflow.expenses.filter(e => e.liabilityId !== id);
   saveData(data);
   return data;
 }
 
 // Linked Assets helpers
+// Links set by hand are locked so auto-assign keeps them
 export function linkAssetToGoal(data, goalId, assetId, amount) {
   const goal = data.goals.find(g => g.id === goalId);
   if (!goal) return data;
@@ -392,8 +1074,9 @@ export function linkAssetToGoal(data, goalId, assetId, amount) {
   const existing = goal.linkedAssets.find(la => la.assetId === assetId);
   if (existing) {
     existing.amount = amount;
+    existing.locked = true;
   } else {
-    goal.linkedAssets.push({ assetId, amount });
+    goal.linkedAssets.push({ assetId, amount, locked: true });
   }
 
   saveData(data);
@@ -416,10 +1099,87 @@ export function updateLinkedAssetAmount(data, goalId, assetId, newAmount) {
   const linked = goal.linkedAssets.find(la => la.assetId === assetId);
   if (linked) {
     linked.amount = newAmount;
+    linked.locked = true;
     saveData(data);
   }
   return data;
 }
 
+export function setLinkLocked(data, goalId, assetId, locked) {
+  const goal = data.goals.find(g => g.id === goalId);
+  const linked = goal?.linkedAssets?.find(la => la.assetId === assetId);
+  if (linked) {
+    linked.locked = locked;
+    saveData(data);
+  }
+  return data;
+}
 
+// Locks every current link of a goal and stops auto-assign adding new ones
+export function setGoalLinksLocked(data, goalId, locked) {
+  const goal = data.goals.find(g => g.id === goalId);
+  if (goal) {
+    goal.linksLocked = locked;
+    saveData(data);
+  }
+  return data;
+}
 
+// Net-worth snapshot helpers (one snapshot per calendar month)
+export function saveSnapshot(data, snapshot) {
+  snapshot.id = snapshot.id || generateId();
+  const index = data.snapshots.findIndex(s => s.month === snapshot.month);
+  if (index !== -1) {
+    snapshot.id = data.snapshots[index].id;
+    data.snapshots[index] = snapshot;
+  } else {
+    data.snapshots.push(snapshot);
+    data.snapshots.sort((a, b) => a.month.localeCompare(b.month));
+  }
+  saveData(data);
+  return data;
+}
+
+export function deleteSnapshot(data, id) {
+  data.snapshots = data.snapshots.filter(s => s.id !== id);
+  saveData(data);
+  return data;
+}
+
+// SIP transaction ledger helpers (kept in date order)
+export function addTransaction(data, transaction) {
+  transaction.id = generateId();
+  data.transactions.push(transaction);
+  data.transactions.sort((a, b) => a.date.localeCompare(b.date));
+  saveData(data);
+  return data;
+}
+
+export function deleteTransaction(data, id) {
+  data.transactions = data.transactions.filter(t => t.id !== id);
+  saveData(data);
+  return data;
+}
+
+// What-if scenario helpers (overlays on the base plan)
+export function addScenario(data, scenario) {
+  scenario.id = scenario.id || generateId();
+  data.scenarios.push(scenario);
+  saveData(data);
+  return data;
+}
+
+export function updateScenario(data, id, updates) {
+  const index = data.scenarios.findIndex(s => s.id === id);
+  if (index !== -1) {
+    data.scenarios[index] = { ...data.scenarios[index], ...updates };
+    saveData(data);
+  }
+  return data;
+}
+
+export function deleteScenario(data, id) {
+  data.scenarios = data.scenarios.filter(s => s.id !== id);
+  saveData(data);
+  return data;
+}
@@ -0,0 +1,184 @@
+// Indian income tax on investment returns (rules as of FY 2025-26)
+// Without a tax profile the return settings are taken as post-tax and nothing here applies.
+
+export const TAX_REGIMES = {
+  new: { label: 'New regime', slabs: [0, 5, 10, 15, 20, 25, 30] },
+  old: { label: 'Old regime', slabs: [0, 5, 20, 30] }
+};
+
+export const DEFAULT_TAX_PROFILE = { regime: 'new', slab: 30 };
+
+export const CESS_RATE = 4;                   // Health & education cess on all income tax
+export const EQUITY_STCG_RATE = 20;           // Listed equity held 12 months or less
+export const EQUITY_LTCG_RATE = 12.5;         // Listed equity (and gold ETFs) held longer
+export const EQUITY_LTCG_EXEMPTION = 125000;  // Yearly tax-free equity LTCG
+export const LONG_TERM_MONTHS = 12;           // Listed securities turn long-term after this
+
+// How each category's returns are taxed:
+// equity  - STCG/LTCG with the yearly LTCG exemption
+// listed  - LTCG after 12 months, slab rate before (gold ETFs)
+// slab    - gains taxed at the slab rate on redemption (debt funds bought after April 2023)
+// accrual - interest taxed at the slab rate every year (FDs, savings)
+// exempt  - tax-free (EPF, PPF, NPS lump sum)
+const TAX_TREATMENT = {
+  'Equity Mutual Funds': 'equity',
+  'Stocks': 'equity',
+  'Gold ETFs/SGBs': 'listed',
+  'Debt/Arbitrage Mutual Funds': 'slab',
+  'FDs & RDs': 'accrual',
+  'Savings Bank': 'accrual',
+  'EPF Corpus': 'exempt',
+  'PPF Corpus': 'exempt',
+  'NPS Corpus': 'exempt'
+};
+
+/**
+ * Tax treatment for an asset category (unknown categories are taxed at slab, like debt)
+ */
+export function getTaxTreatment(category) {
+  return TAX_TREATMENT[category] || 'slab';
+}
+
+/**
+ * Validate a tax profile
+ * @param {object} profile - { regime: 'new' | 'old', slab: marginal rate % }
+ * @returns {object} { valid: boolean, error?: string }
+ */
+export function validateTaxProfile(profile) {
+  if (!profile || !TAX_REGIMES[profile.regime]) {
+    return { valid: false, error: 'Choose the new or old tax regime' };
+  }
+  if (!TAX_REGIMES[profile.regime].slabs.includes(profile.slab)) {
+    return { valid: false, error: `${TAX_REGIMES[profile.regime].label} has no ${profile.slab}% slab` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Add cess to a headline tax rate (both in %)
+ */
+export function withCess(rate) {
+  return rate * (1 + CESS_RATE / 100);
+}
+
+/**
+ * Tax rate (%, including cess) on gains realised after holding for `months`
+ * @param {string} treatment - From getTaxTreatment
+ * @param {number} months - Holding period
+ * @param {object} profile - Tax profile
+ */
+export function getGainsTaxRate(treatment, months, profile) {
+  const longTerm = months > LONG_TERM_MONTHS;
+  switch (treatment) {
+    case 'equity':
+      return withCess(longTerm ? EQUITY_LTCG_RATE : EQUITY_STCG_RATE);
+    case 'listed':
+      return withCess(longTerm ? EQUITY_LTCG_RATE : profile.slab);
+    case 'slab':
+      return withCess(profile.slab);
+    default:
+      // accrual is taxed along the way; exempt never is
+      return 0;
+  }
+}
+
+/**
+ * Annual return after yearly tax on interest; other treatments are only taxed on redemption
+ */
+export function getAccrualRate(annualRate, treatment, profile) {
+  return treatment === 'accrual' ? annualRate * (1 - withCess(profile.slab) / 100) : annualRate;
+}
+
+/**
+ * Post-tax value of lump sums redeemed together after `years`.
+ * Current value is the cost basis: only growth from today is taxed.
+ * Long-term equity gains share one yearly exemption.
+ * @param {Array} holdings - [{ principal, annualRate, category }]
+ * @param {number} years - Holding period
+ * @param {object} profile - Tax profile
+ * @param {number} exemption - LTCG exemption still available (defaults to the full yearly amount)
+ * @returns {number} Value after tax
+ */
+export function calculatePostTaxValue(holdings, years, profile, exemption = EQUITY_LTCG_EXEMPTION) {
+  const months = Math.max(0, Math.round(years * 12));
+  let value = 0;
+  let equityLtcgGains = 0;
+
+  holdings.forEach(({ principal, annualRate, category }) => {
+    if (!principal || principal <= 0) return;
+    const treatment = getTaxTreatment(category);
+    const rate = getAccrualRate(annualRate, treatment, profile);
+    const fv = principal * Math.pow(1 + rate / 100 / 12, months);
+    const gain = fv - principal;
+
+    if (treatment === 'equity' && months > LONG_TERM_MONTHS) {
+      // Taxed below, once the exemption is shared out
+      equityLtcgGains += gain;
+      value += fv;
+    } else {
+      value += fv - Math.max(0, gain) * getGainsTaxRate(treatment, months, profile) / 100;
+    }
+  });
+
+  return value - Math.max(0, equityLtcgGains - exemption) * withCess(EQUITY_LTCG_RATE) / 100;
+}
+
+/**
+ * Post-tax value of ₹1 held for `years`, without the LTCG exemption.
+ * Linear in the amount invested, so it can price any holding size.
+ */
+export function getPostTaxGrowthFactor(annualRate, years, category, profile) {
+  return calculatePostTaxValue([{ principal: 1, annualRate, category }], years, profile, 0);
+}
+
+/**
+ * Post-tax value of a SIP redeemed at the end, each instalment taxed on its own holding period.
+ * Uses the same annuity-due timing and yearly step-up as the pre-tax SIP maths.
+ * @param {number} startingSIP - First monthly instalment
+ * @param {number} annualRate - Pre-tax annual return %
+ * @param {number} totalMonths - Months of SIP until the goal
+ * @param {number} annualStepUp - Yearly SIP increase %
+ * @param {string} treatment - From getTaxTreatment
+ * @param {object} profile - Tax profile
+ */
+export function calculatePostTaxSipValue(startingSIP, annualRate, totalMonths, annualStepUp, treatment, profile) {
+  if (startingSIP <= 0 || totalMonths <= 0) return 0;
+
+  const monthlyRate = getAccrualRate(annualRate, treatment, profile) / 100 / 12;
+  let value = 0;
+  let currentSIP = startingSIP;
+
+  for (let month = 0; month < totalMonths; month++) {
+    const held = totalMonths - month;
+    const fv = currentSIP * Math.pow(1 + monthlyRate, held);
+    value += fv - (fv - currentSIP) * getGainsTaxRate(treatment, held, profile) / 100;
+
+    if ((month + 1) % 12 === 0) currentSIP *= (1 + annualStepUp / 100);
+  }
+
+  return value;
+}
+
+/**
+ * Total paid into a SIP with yearly step-up
+ */
+export function calculateSipInvested(startingSIP, totalMonths, annualStepUp = 0) {
+  let invested = 0;
+  let currentSIP = startingSIP;
+  for (let month = 0; month < totalMonths; month++) {
+    invested += currentSIP;
+    if ((month + 1) % 12 === 0) currentSIP *= (1 + annualStepUp / 100);
+  }
+  return invested;
+}
+
+/**
+ * Blended tax rate (%) on the gains of an equity/debt mix, held long-term.
+ * Equity gains pay LTCG, debt gains pay slab.
+ * @param {number} equityShareOfGains - Fraction (0-1) of gains that came from equity
+ * @param {object} profile - Tax profile
+ */
+export function getBlendedGainsTaxRate(equityShareOfGains, profile) {
+  const share = Math.min(1, Math.max(0, equityShareOfGains));
+  return share * withCess(EQUITY_LTCG_RATE) + (1 - share) * withCess(profile.slab);
+}
@@ -0,0 +1,117 @@
+// Unit tests for adapters.js (Vitest)
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createMemoryAdapter,
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  moveStoredValue,
+  isQuotaError,
+  describeStorageError
+} from '../modules/adapters.js';
+import { createFakeIndexedDB } from './helpers.js';
+
+const quotaError = () => new DOMException('Storage quota exceeded', 'QuotaExceededError');
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+// Same round trip for every adapter
+function checkRoundTrip(adapter) {
+  return adapter.read('k')
+    .then(value => {
+      expect(value).toBeNull();
+      return adapter.write('k', '{"a":1}');
+    })
+    .then(() => adapter.read('k'))
+    .then(value => {
+      expect(value).toBe('{"a":1}');
+      return adapter.remove('k');
+    })
+    .then(() => adapter.read('k'))
+    .then(value => expect(value).toBeNull());
+}
+
+describe('Adapters', () => {
+  it('Memory adapter reads back what it wrote', () => checkRoundTrip(createMemoryAdapter()));
+
+  it('localStorage adapter reads back what it wrote', () => checkRoundTrip(createLocalStorageAdapter()));
+
+  it('IndexedDB adapter reads back what it wrote', () => checkRoundTrip(createIndexedDBAdapter(createFakeIndexedDB())));
+
+  it('Memory adapter enforces its quota', () => {
+    const adapter = createMemoryAdapter({ other: '12345' }, { quota: 10 });
+    return adapter.write('k', '123456')
+      .then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(isQuotaError(err)).toBe(true);
+        expect(adapter.store.k).toBeUndefined();
+        return adapter.write('k', '12345');
+      })
+      .then(() => expect(adapter.store.k).toBe('12345'));
+  });
+
+  it('localStorage adapter turns thrown errors into rejections', () => {
+    const storage = { setItem: () => { throw quotaError(); } };
+    return createLocalStorageAdapter(storage).write('k', 'v')
+      .then(() => { throw new Error('Expected rejection'); }, err => expect(isQuotaError(err)).toBe(true));
+  });
+
+  it('IndexedDB adapter rejects when the transaction aborts', () => {
+    const factory = createFakeIndexedDB();
+    factory.failWith = quotaError();
+    return createIndexedDBAdapter(factory).write('k', 'v')
+      .then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(isQuotaError(err)).toBe(true);
+        expect(factory.stores.keyval.size).toBe(0);
+      });
+  });
+});
+
+describe('moveStoredValue', () => {
+  it('Moves a value once and removes it from the source', () => {
+    const from = createMemoryAdapter({ k: 'old' });
+    const to = createMemoryAdapter();
+    return moveStoredValue(from, to, 'k')
+      .then(moved => {
+        expect(moved).toBe(true);
+        expect(to.store).toEqual({ k: 'old' });
+        expect(from.store).toEqual({});
+        return moveStoredValue(from, to, 'k');
+      })
+      .then(moved => expect(moved).toBe(false));
+  });
+
+  it('Keeps the target value if both have one', () => {
+    const from = createMemoryAdapter({ k: 'old' });
+    const to = createMemoryAdapter({ k: 'new' });
+    return moveStoredValue(from, to, 'k').then(moved => {
+      expect(moved).toBe(false);
+      expect(to.store.k).toBe('new');
+      expect(from.store.k).toBe('old');
+    });
+  });
+
+  it('Leaves the source alone if the copy fails', () => {
+    const from = createMemoryAdapter({ k: 'old' });
+    const to = createMemoryAdapter({}, { quota: 1 });
+    return moveStoredValue(from, to, 'k')
+      .then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(isQuotaError(err)).toBe(true);
+        expect(from.store.k).toBe('old');
+      });
+  });
+});
+
+describe('Storage errors', () => {
+  it('Recognises quota errors across browsers', () => {
+    expect(isQuotaError(quotaError())).toBe(true);
+    expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+    expect(isQuotaError(new Error('Disk on fire'))).toBe(false);
+    expect(isQuotaError(null)).toBe(false);
+  });
+
+  it('Describes the error for the user', () => {
+    expect(describeStorageError(quotaError())).toMatch(/^Browser storage is full/);
+    expect(describeStorageError(new Error('Disk on fire'))).toContain('(Disk on fire)');
+  });
+});
@@ -0,0 +1,64 @@
+// Unit tests for affordability.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import { getTimelineYears, getShortfallRanges } from '../modules/affordability.js';
+import { PROJECTION_YEARS } from '../modules/projection.js';
+import { createGoal } from './helpers.js';
+
+function row(calendarYear, balance, sip = 10000) {
+  return { calendarYear, balance, sip };
+}
+
+describe('getTimelineYears', () => {
+  it('Runs until the last SIP ends', () => {
+    const schedule = [
+      { monthlySIP: 10000, months: 30 },
+      { monthlySIP: 5000, months: 100 }
+    ];
+    expect(getTimelineYears(schedule, [])).toBe(9);
+  });
+
+  it('Ignores goals that need no SIP', () => {
+    const schedule = [
+      { monthlySIP: 10000, months: 24 },
+      { monthlySIP: 0, months: 300 }
+    ];
+    expect(getTimelineYears(schedule, [])).toBe(2);
+  });
+
+  it('Caps at the projection horizon and at retirement', () => {
+    const schedule = [{ monthlySIP: 10000, months: 480 }];
+    expect(getTimelineYears(schedule, [])).toBe(PROJECTION_YEARS);
+
+    const now = new Date();
+    const targetDate = `${now.getFullYear() + 12}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+    expect(getTimelineYears(schedule, [createGoal({ goalType: 'retirement', targetDate })])).toBe(12);
+  });
+
+  it('Shows at least one year', () => {
+    expect(getTimelineYears([], [])).toBe(1);
+  });
+});
+
+describe('getShortfallRanges', () => {
+  it('Groups consecutive shortfall years and tracks the worst one', () => {
+    const rows = [
+      row(2026, -5000),
+      row(2027, -8000),
+      row(2028, 2000),
+      row(2029, -1000),
+      row(2030, 4000)
+    ];
+    expect(getShortfallRanges(rows)).toEqual([
+      { from: 2026, to: 2027, worst: 8000 },
+      { from: 2029, to: 2029, worst: 1000 }
+    ]);
+  });
+
+  it('Skips deficit years with no SIP running', () => {
+    expect(getShortfallRanges([row(2026, -5000, 0)])).toEqual([]);
+  });
+
+  it('Returns nothing when every year is affordable', () => {
+    expect(getShortfallRanges([row(2026, 0), row(2027, 100)])).toEqual([]);
+  });
+});
@@ -1,8 +1,9 @@
 // Unit tests for autoassign.js (Vitest)
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { autoAssignAssets } from '../modules/autoassign.js';
+import { describe, it, expect } from 'vitest';
+import { autoAssignAssets, compareAssignStrategies, maximizeLinearProgram } from '../modules/autoassign.js';
 import { calculateLumpsumFV, getReturnForCategory, getYearsRemaining } from '../modules/calculator.js';
-import { createGoal, createTestData } from './helpers.js';
+import { flushSaves } from '../modules/storage.js';
+import { createGoal, createTestData, useMemoryStorage } from './helpers.js';
 
 // Helper: compute total FV of a goal's linked assets using the same years the algorithm sees
 function linkedFV(goal, assets, equityReturn = 10, debtReturn = 5) {
@@ -15,15 +16,6 @@ function linkedFV(goal, assets, equityReturn = 10, debtReturn = 5) {
   }, 0);
 }
 
-// Clear localStorage before each test (saveData writes to it)
-beforeEach(() => {
-  localStorage.clear();
-});
-
-afterEach(() => {
-  localStorage.clear();
-});
-
 describe('autoAssignAssets - Basic', () => {
   it('Returns data unchanged when no assets', () => {
     const data = createTestData([], [
@@ -251,6 +243,48 @@ describe('autoAssignAssets - Greedy: Closest Goal First', () => {
   });
 });
 
+describe('autoAssignAssets - Priority Tiers', () => {
+  it('Higher-priority goal is served before a closer lower-priority goal', () => {
+    const data = createTestData([
+      { id: 'a1', name: 'FD', category: 'FDs & RDs', value: 300000 }
+    ], [
+      createGoal({ id: 'g-2yr', yearsFromNow: 2, targetAmount: 10000000, inflationRate: 0, priority: 'aspirational' }),
+      createGoal({ id: 'g-4yr', yearsFromNow: 4, targetAmount: 10000000, inflationRate: 0, priority: 'essential' })
+    ]);
+
+    autoAssignAssets(data);
+
+    expect(data.goals.find(g => g.id === 'g-4yr').linkedAssets[0].amount).toBe(300000);
+    expect(data.goals.find(g => g.id === 'g-2yr').linkedAssets).toEqual([]);
+  });
+
+  it('Goals without a priority rank as important', () => {
+    const assets = [{ id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 600000 }];
+    const data = createTestData(assets, [
+      createGoal({ id: 'g-aspire', yearsFromNow: 6, targetAmount: 10000000, inflationRate: 0, priority: 'aspirational' }),
+      createGoal({ id: 'g-default', yearsFromNow: 15, targetAmount: 10000000, inflationRate: 0 })
+    ]);
+
+    autoAssignAssets(data);
+
+    expect(data.goals.find(g => g.id === 'g-default').linkedAssets[0].amount).toBe(600000);
+    expect(data.goals.find(g => g.id === 'g-aspire').linkedAssets).toEqual([]);
+  });
+
+  it('Same tier still goes closest first', () => {
+    const data = createTestData([
+      { id: 'a1', name: 'FD', category: 'FDs & RDs', value: 300000 }
+    ], [
+      createGoal({ id: 'g-4yr', yearsFromNow: 4, targetAmount: 10000000, inflationRate: 0, priority: 'essential' }),
+      createGoal({ id: 'g-2yr', yearsFromNow: 2, targetAmount: 10000000, inflationRate: 0, priority: 'essential' })
+    ]);
+
+    autoAssignAssets(data);
+
+    expect(data.goals.find(g => g.id === 'g-2yr').linkedAssets[0].amount).toBe(300000);
+  });
+});
+
 describe('autoAssignAssets - Greedy: Fewest Assets Per Goal', () => {
   it('Uses single large asset to cover a goal instead of spreading many', () => {
     // Goal needs 200k. Available: FD 300k, Savings 100k
@@ -783,3 +817,264 @@ describe('autoAssignAssets - Edge Cases', () => {
     });
   });
 });
+
+describe('maximizeLinearProgram', () => {
+  it('Solves a small textbook problem', () => {
+    // max 3x + 5y  s.t.  x <= 4, 2y <= 12, 3x + 2y <= 18  →  x = 2, y = 6
+    const x = maximizeLinearProgram([3, 5], [[1, 0], [0, 2], [3, 2]], [4, 12, 18]);
+    expect(x[0]).toBeCloseTo(2, 9);
+    expect(x[1]).toBeCloseTo(6, 9);
+  });
+
+  it('Returns zero when nothing improves the objective', () => {
+    expect(maximizeLinearProgram([0, -1], [[1, 1]], [10])).toEqual([0, 0]);
+  });
+
+  it('Handles degenerate (zero) bounds', () => {
+    const x = maximizeLinearProgram([1, 1], [[1, 0], [0, 1], [1, 1]], [0, 5, 5]);
+    expect(x).toEqual([0, 5]);
+  });
+});
+
+describe('autoAssignAssets - Optimal strategy', () => {
+  function optimal(data) {
+    data.settings.assignStrategy = 'optimal';
+    return data;
+  }
+
+  function totalLinked(data, assetId) {
+    return data.goals.reduce((sum, g) =>
+      sum + g.linkedAssets.filter(la => la.assetId === assetId).reduce((s, la) => s + la.amount, 0), 0);
+  }
+
+  it('Is used when selected in settings', () => {
+    const data = optimal(createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 100000 }
+    ], [
+      createGoal({ id: 'g1', yearsFromNow: 10, targetAmount: 1000000, inflationRate: 0 })
+    ]));
+
+    autoAssignAssets(data);
+
+    expect(data.goals[0].linkedAssets).toHaveLength(1);
+    expect(data.goals[0].linkedAssets[0].amount).toBeCloseTo(100000, 2);
+  });
+
+  it('Never links more than an asset is worth or more than a goal needs', () => {
+    const assets = [
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 3000000 },
+      { id: 'a2', name: 'Debt MF', category: 'Debt/Arbitrage Mutual Funds', value: 400000 },
+      { id: 'a3', name: 'FD', category: 'FDs & RDs', value: 200000 }
+    ];
+    const data = optimal(createTestData(assets, [
+      createGoal({ id: 'g1', yearsFromNow: 2, targetAmount: 500000, inflationRate: 0 }),
+      createGoal({ id: 'g2', yearsFromNow: 8, targetAmount: 2000000, inflationRate: 0 }),
+      createGoal({ id: 'g3', yearsFromNow: 15, targetAmount: 3000000, inflationRate: 0 })
+    ]));
+
+    autoAssignAssets(data);
+
+    assets.forEach(asset => {
+      expect(totalLinked(data, asset.id)).toBeLessThanOrEqual(asset.value + 0.01);
+    });
+    data.goals.forEach(goal => {
+      expect(linkedFV(goal, assets)).toBeLessThanOrEqual(goal.targetAmount + 1);
+    });
+  });
+
+  it('Keeps assets within their timeline when eligible goals can use them', () => {
+    const data = optimal(createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 200000 },
+      { id: 'a2', name: 'FD', category: 'FDs & RDs', value: 200000 }
+    ], [
+      createGoal({ id: 'short', yearsFromNow: 2, targetAmount: 1000000, inflationRate: 0 }),
+      createGoal({ id: 'long', yearsFromNow: 10, targetAmount: 1000000, inflationRate: 0 })
+    ]));
+
+    autoAssignAssets(data);
+
+    expect(data.goals[0].linkedAssets.map(la => la.assetId)).toEqual(['a2']);
+    expect(data.goals[1].linkedAssets.map(la => la.assetId)).toEqual(['a1']);
+  });
+
+  it('Still spills leftovers across timelines', () => {
+    const data = optimal(createTestData([
+      { id: 'a1', name: 'FD', category: 'FDs & RDs', value: 500000 }
+    ], [
+      createGoal({ id: 'g1', yearsFromNow: 10, targetAmount: 1000000, inflationRate: 0 })
+    ]));
+
+    autoAssignAssets(data);
+
+    expect(data.goals[0].linkedAssets[0].amount).toBeCloseTo(500000, 2);
+  });
+
+  it('Stops linking to a retirement goal once EPF covers the rest', () => {
+    const assets = [
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 5000000 },
+      { id: 'epf', name: 'EPF', category: 'EPF Corpus', value: 1000000 }
+    ];
+    const data = optimal(createTestData(assets, [
+      createGoal({ id: 'ret', goalType: 'retirement', includeEpfNps: true, yearsFromNow: 10, targetAmount: 10000000, inflationRate: 0 }),
+      createGoal({ id: 'g2', yearsFromNow: 12, targetAmount: 10000000, inflationRate: 0 })
+    ]));
+
+    autoAssignAssets(data);
+
+    // EPF 10L at 8% for 10 years ≈ 22L, so the SIP only has to cover ~78L
+    const epfFV = calculateLumpsumFV(1000000, 8, getYearsRemaining(data.goals[0].targetDate));
+    expect(linkedFV(data.goals[0], assets)).toBeCloseTo(10000000 - epfFV, -3);
+    expect(totalLinked(data, 'a1')).toBeCloseTo(5000000, 0);
+  });
+});
+
+describe('compareAssignStrategies', () => {
+  it('Optimal total SIP is lower where greedy wastes assets', () => {
+    const data = createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 5000000 },
+      { id: 'epf', name: 'EPF', category: 'EPF Corpus', value: 1000000 }
+    ], [
+      createGoal({ id: 'ret', goalType: 'retirement', includeEpfNps: true, yearsFromNow: 10, targetAmount: 10000000, inflationRate: 0 }),
+      createGoal({ id: 'g2', yearsFromNow: 12, targetAmount: 10000000, inflationRate: 0 })
+    ]);
+
+    const totals = compareAssignStrategies(data);
+
+    expect(totals.optimal).toBeLessThan(totals.greedy);
+  });
+
+  it('Beats greedy when a distant essential goal would soak up the assets', () => {
+    const data = createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 1500000 },
+      { id: 'a2', name: 'Debt MF', category: 'Debt/Arbitrage Mutual Funds', value: 600000 },
+      { id: 'a3', name: 'FD', category: 'FDs & RDs', value: 300000 }
+    ], [
+      createGoal({ id: 'g1', yearsFromNow: 20, targetAmount: 5000000, priority: 'essential' }),
+      createGoal({ id: 'g2', yearsFromNow: 6, targetAmount: 2000000, priority: 'aspirational' }),
+      createGoal({ id: 'g3', yearsFromNow: 3, targetAmount: 800000 }),
+      createGoal({ id: 'g4', yearsFromNow: 1, targetAmount: 200000 })
+    ]);
+
+    const totals = compareAssignStrategies(data);
+
+    expect(totals.optimal).toBeLessThan(totals.greedy);
+  });
+
+  it('Does not change or save the current links', () => {
+    const data = createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 100000 }
+    ], [
+      createGoal({ id: 'g1', yearsFromNow: 10, targetAmount: 1000000, linkedAssets: [{ assetId: 'a1', amount: 5 }] })
+    ]);
+
+    return useMemoryStorage().then(store => {
+      compareAssignStrategies(data);
+
+      expect(data.goals[0].linkedAssets).toEqual([{ assetId: 'a1', amount: 5 }]);
+      return flushSaves().then(() => expect(store).toEqual({}));
+    });
+  });
+});
+
+describe('autoAssignAssets - Locked links', () => {
+  function lockedScenario(strategy) {
+    const data = createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 1000000 }
+    ], [
+      createGoal({ id: 'g1', yearsFromNow: 10, targetAmount: 5000000, inflationRate: 0,
+        linkedAssets: [{ assetId: 'a1', amount: 300000, locked: true }] }),
+      createGoal({ id: 'g2', yearsFromNow: 8, targetAmount: 5000000, inflationRate: 0 })
+    ]);
+    data.settings.assignStrategy = strategy;
+    return data;
+  }
+
+  ['greedy', 'optimal'].forEach(strategy => {
+    it(`Keeps locked amounts and assigns only the rest (${strategy})`, () => {
+      const data = lockedScenario(strategy);
+
+      autoAssignAssets(data);
+
+      expect(data.goals[0].linkedAssets).toEqual([{ assetId: 'a1', amount: 300000, locked: true }]);
+      expect(data.goals[1].linkedAssets).toHaveLength(1);
+      expect(data.goals[1].linkedAssets[0].amount).toBeCloseTo(700000, 2);
+    });
+
+    it(`Adds nothing to a goal locked as a whole (${strategy})`, () => {
+      const data = lockedScenario(strategy);
+      data.goals[0].linkedAssets = [];
+      data.goals[0].linksLocked = true;
+      data.goals[1].targetAmount = 100000;
+
+      autoAssignAssets(data);
+
+      expect(data.goals[0].linkedAssets).toEqual([]);
+      expect(data.goals[1].linkedAssets).toHaveLength(1);
+    });
+  });
+
+  it('Keeps every link of a locked goal, even unflagged ones', () => {
+    const data = lockedScenario('greedy');
+    data.goals[0].linkedAssets = [{ assetId: 'a1', amount: 250000 }];
+    data.goals[0].linksLocked = true;
+
+    autoAssignAssets(data);
+
+    expect(data.goals[0].linkedAssets).toEqual([{ assetId: 'a1', amount: 250000 }]);
+    expect(data.goals[1].linkedAssets[0].amount).toBeCloseTo(750000, 2);
+  });
+
+  it('Counts locked links toward the goal target', () => {
+    const data = createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 1000000 },
+      { id: 'a2', name: 'Stocks', category: 'Stocks', value: 1000000 }
+    ], [
+      createGoal({ id: 'g1', yearsFromNow: 10, targetAmount: 2000000, inflationRate: 0,
+        linkedAssets: [{ assetId: 'a1', amount: 500000, locked: true }] })
+    ]);
+
+    autoAssignAssets(data);
+
+    expect(linkedFV(data.goals[0], data.assets.items)).toBeCloseTo(2000000, -2);
+    expect(data.goals[0].linkedAssets.filter(la => la.assetId === 'a1')).toHaveLength(1);
+  });
+
+  it('Unlocked links are reassigned from scratch', () => {
+    const data = lockedScenario('greedy');
+    data.goals[0].linkedAssets[0].locked = false;
+
+    autoAssignAssets(data);
+
+    // g2 is nearer, so greedy gives it the whole fund
+    expect(data.goals[0].linkedAssets).toEqual([]);
+    expect(data.goals[1].linkedAssets[0].amount).toBeCloseTo(1000000, 2);
+  });
+});
+
+describe('autoAssignAssets - Tax profile', () => {
+  function scenario(strategy, taxProfile) {
+    const data = createTestData([
+      { id: 'a1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 5000000 }
+    ], [
+      createGoal({ id: 'g1', yearsFromNow: 10, targetAmount: 3000000, inflationRate: 0 })
+    ]);
+    data.settings.assignStrategy = strategy;
+    data.settings.taxProfile = taxProfile;
+    return data;
+  }
+
+  ['greedy', 'optimal'].forEach(strategy => {
+    it(`${strategy} links more to cover a goal after tax`, () => {
+      const pre = scenario(strategy, null);
+      const post = scenario(strategy, { regime: 'new', slab: 30 });
+
+      autoAssignAssets(pre);
+      autoAssignAssets(post);
+
+      const preAmount = pre.goals[0].linkedAssets[0].amount;
+      const postAmount = post.goals[0].linkedAssets[0].amount;
+      expect(postAmount).toBeGreaterThan(preAmount);
+      expect(postAmount).toBeLessThan(5000000);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+// Unit tests for backup.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import { createBackup, createEncryptedBackup, decryptBackup, getBackupFilename, parseBackup, getBackupDiff } from '../modules/backup.js';
+import { SCHEMA_VERSION, flushSaves } from '../modules/storage.js';
+import { createTestData, createGoal, useMemoryStorage } from './helpers.js';
+
+function createPlan() {
+  const data = createTestData(
+    [{ id: 'a1', name: 'Nifty 50', category: 'Equity Mutual Funds', value: 500000 }],
+    [createGoal({ id: 'g1', linkedAssets: [{ assetId: 'a1', amount: 200000 }] })]
+  );
+  data.cashflow.income.push({ id: 'i1', name: 'Salary', amount: 150000 });
+  data.cashflow.expenses.push({ id: 'e1', category: 'Housing', name: 'Rent', amount: 30000 });
+  return data;
+}
+
+describe('createBackup', () => {
+  it('Wraps data with app id, schema version and timestamp', () => {
+    const now = new Date('2026-01-29T10:00:00Z');
+    const backup = createBackup(createPlan(), now);
+    expect(backup.app).toBe('rupeefolio');
+    expect(backup.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(backup.exportedAt).toBe('2026-01-29T10:00:00.000Z');
+    expect(backup.data.goals).toHaveLength(1);
+  });
+
+  it('Copies data so later edits do not leak into the backup', () => {
+    const data = createPlan();
+    const backup = createBackup(data);
+    data.goals.push(createGoal({ id: 'g2' }));
+    expect(backup.data.goals).toHaveLength(1);
+  });
+
+  it('Filename includes the export date', () => {
+    expect(getBackupFilename(new Date('2026-01-29T10:00:00Z'))).toBe('rupeefolio-backup-2026-01-29.json');
+  });
+});
+
+describe('parseBackup', () => {
+  it('Round-trips an exported backup', () => {
+    const data = createPlan();
+    const result = parseBackup(JSON.stringify(createBackup(data)));
+    expect(result.success).toBe(true);
+    expect(result.data.cashflow.income[0].name).toBe('Salary');
+    expect(result.data.goals[0].linkedAssets).toEqual([{ assetId: 'a1', amount: 200000 }]);
+    expect(result.data.assets.items[0].value).toBe(500000);
+  });
+
+  it('Rejects invalid JSON', () => {
+    const result = parseBackup('{not json');
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/not valid JSON/);
+  });
+
+  it('Rejects JSON from another app', () => {
+    const result = parseBackup(JSON.stringify({ app: 'other', schemaVersion: 1, data: {} }));
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/not a RupeeFolio backup/);
+  });
+
+  it('Rejects a backup from a newer schema version', () => {
+    const backup = createBackup(createPlan());
+    backup.schemaVersion = SCHEMA_VERSION + 1;
+    const result = parseBackup(JSON.stringify(backup));
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/newer version/);
+  });
+
+  it('Rejects a backup without a schema version', () => {
+    const backup = createBackup(createPlan());
+    delete backup.schemaVersion;
+    expect(parseBackup(JSON.stringify(backup)).success).toBe(false);
+  });
+
+  it('Rejects a backup with no data', () => {
+    const backup = createBackup(createPlan());
+    backup.data = null;
+    expect(parseBackup(JSON.stringify(backup)).success).toBe(false);
+  });
+
+  it('Rejects malformed sections', () => {
+    const backup = createBackup(createPlan());
+    backup.data.goals = { g1: {} };
+    const result = parseBackup(JSON.stringify(backup));
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/goals must be a list/);
+  });
+
+  it('Fills missing sections with defaults', () => {
+    const backup = createBackup(createPlan());
+    delete backup.data.liabilities;
+    const result = parseBackup(JSON.stringify(backup));
+    expect(result.success).toBe(true);
+    expect(result.data.liabilities.items).toEqual([]);
+  });
+
+  it('Runs migrations on older data (removes orphaned links)', () => {
+    const backup = createBackup(createPlan());
+    backup.data.goals[0].linkedAssets.push({ assetId: 'missing', amount: 1000 });
+    const result = parseBackup(JSON.stringify(backup));
+    expect(result.success).toBe(true);
+    expect(result.data.goals[0].linkedAssets).toHaveLength(1);
+  });
+
+  it('Does not touch stored data', () => {
+    return useMemoryStorage().then(store => {
+      parseBackup(JSON.stringify(createBackup(createPlan())));
+      return flushSaves().then(() => expect(store).toEqual({}));
+    });
+  });
+});
+
+describe('getBackupDiff', () => {
+  it('Reports counts and change per section', () => {
+    const current = createTestData();
+    const diff = getBackupDiff(current, createPlan());
+    const byKey = Object.fromEntries(diff.map(row => [row.key, row]));
+    expect(byKey.income).toMatchObject({ current: 0, incoming: 1, change: 1 });
+    expect(byKey.goals).toMatchObject({ current: 0, incoming: 1, change: 1 });
+    expect(byKey.liabilities).toMatchObject({ current: 0, incoming: 0, change: 0 });
+  });
+
+  it('Shows removals as negative change', () => {
+    const diff = getBackupDiff(createPlan(), createTestData());
+    expect(diff.find(row => row.key === 'assets').change).toBe(-1);
+  });
+});
+
+describe('Encrypted backups', () => {
+  const now = new Date('2026-01-29T10:00:00Z');
+
+  it('Restores only with the export passphrase', () => {
+    return createEncryptedBackup(createPlan(), 'correct horse', now).then(backup => {
+      expect(backup).toMatchObject({ app: 'rupeefolio', schemaVersion: SCHEMA_VERSION, exportedAt: '2026-01-29T10:00:00.000Z', encrypted: true });
+      expect(backup.data).toBeUndefined();
+      const text = JSON.stringify(backup);
+      expect(text).not.toContain('Salary');
+      expect(parseBackup(text)).toEqual({ success: false, encrypted: true, error: 'Backup is encrypted' });
+
+      return decryptBackup(text, 'wrong horse').catch(err => err.message).then(result => {
+        expect(result).toBe('Wrong passphrase');
+        return decryptBackup(text, 'correct horse');
+      });
+    }).then(result => {
+      expect(result.success).toBe(true);
+      expect(result.exportedAt).toBe('2026-01-29T10:00:00.000Z');
+      expect(result.data.cashflow.income[0].name).toBe('Salary');
+      expect(result.data.goals).toHaveLength(1);
+    });
+  });
+
+  it('Rejects a malformed encrypted backup', () => {
+    const text = JSON.stringify({ app: 'rupeefolio', schemaVersion: SCHEMA_VERSION, encrypted: true, ciphertext: 'x' });
+    expect(parseBackup(text)).toEqual({ success: false, error: 'Encrypted backup is malformed' });
+  });
+});
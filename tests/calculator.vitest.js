@@ -20,7 +20,18 @@ import {
   calculateTaperedSipFV,
   calculateTaperedSIP,
   getReturnForCategory,
-  calculateLinkedAssetsFV
+  calculateLinkedAssetsFV,
+  LIFE_EXPECTANCY,
+  DECUMULATION_DEFAULTS,
+  simulateDecumulation,
+  calculateRequiredRetirementCorpus,
+  GOAL_PRIORITIES,
+  getGoalPriority,
+  getPriorityRank,
+  calculateSipPerRupeeOfGap,
+  calculateContributionsValue,
+  applyContributions,
+  calculateXirr
 } from '../modules/calculator.js';
 import { createGoal } from './helpers.js';
 
@@ -65,6 +76,21 @@ describe('Unified Portfolio Categories', () => {
   });
 });
 
+describe('Goal Priority', () => {
+  it('Tiers are ordered essential, important, aspirational', () => {
+    expect(GOAL_PRIORITIES).toEqual(['essential', 'important', 'aspirational']);
+    expect(getPriorityRank({ priority: 'essential' })).toBe(0);
+    expect(getPriorityRank({ priority: 'aspirational' })).toBe(2);
+  });
+
+  it('Goals without a valid priority count as important', () => {
+    expect(getGoalPriority({})).toBe('important');
+    expect(getGoalPriority({ priority: 'urgent' })).toBe('important');
+    expect(getGoalPriority(null)).toBe('important');
+    expect(getGoalPriority({ priority: 'aspirational' })).toBe('aspirational');
+  });
+});
+
 describe('Unified Blended Returns', () => {
   it('Short term uses arbitrage return', () => {
     const result = getUnifiedBlendedReturn('short', 10, 5, 6);
@@ -1703,6 +1729,157 @@ describe('Linked Assets', () => {
   });
 });
 
+describe('Tax-aware projections', () => {
+  const slab30 = { regime: 'new', slab: 30 };
+  const assetsData = {
+    items: [
+      { id: 'eq', category: 'Equity Mutual Funds', value: 1000000 },
+      { id: 'ppf', category: 'PPF Corpus', value: 500000 }
+    ]
+  };
+
+  it('Without a profile results are unchanged', () => {
+    const goal = createGoal({ yearsFromNow: 12, targetAmount: 5000000, linkedAssets: [{ assetId: 'eq', amount: 300000 }] });
+    const withNull = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5, assetsData, null);
+    const without = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5, assetsData);
+    expect(withNull.linkedAssetsFV).toBeCloseTo(without.linkedAssetsFV, 2);
+    expect(withNull.monthlySIP).toBeCloseTo(without.monthlySIP, 2);
+  });
+
+  it('Tax lowers linked asset FV, except for tax-free assets', () => {
+    const goal = createGoal({ yearsFromNow: 10 });
+    const equity = [{ assetId: 'eq', amount: 1000000 }];
+    const ppf = [{ assetId: 'ppf', amount: 500000 }];
+    expect(calculateLinkedAssetsFV(equity, assetsData, goal.targetDate, 10, 5, slab30))
+      .toBeLessThan(calculateLinkedAssetsFV(equity, assetsData, goal.targetDate, 10, 5));
+    expect(calculateLinkedAssetsFV(ppf, assetsData, goal.targetDate, 10, 5, slab30))
+      .toBeCloseTo(calculateLinkedAssetsFV(ppf, assetsData, goal.targetDate, 10, 5), 4);
+  });
+
+  it('Small equity gains fall within the LTCG exemption', () => {
+    const goal = createGoal({ yearsFromNow: 3 });
+    const linked = [{ assetId: 'eq', amount: 100000 }];
+    expect(calculateLinkedAssetsFV(linked, assetsData, goal.targetDate, 10, 5, slab30))
+      .toBeCloseTo(calculateLinkedAssetsFV(linked, assetsData, goal.targetDate, 10, 5), 4);
+  });
+
+  it('Needs a larger SIP after tax', () => {
+    [2, 12].forEach(yearsFromNow => {
+      const goal = createGoal({ yearsFromNow, targetAmount: 2000000 });
+      const pre = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5);
+      const post = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5, null, slab30);
+      expect(post.monthlySIP).toBeGreaterThan(pre.monthlySIP);
+    });
+  });
+
+  it('Slab only matters for long-term goals (short-term arbitrage is taxed as equity)', () => {
+    const short = createGoal({ yearsFromNow: 2, targetAmount: 2000000 });
+    const long = createGoal({ yearsFromNow: 12, targetAmount: 2000000 });
+    const sip = (goal, slab) => calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5, null, { regime: 'new', slab }).monthlySIP;
+    expect(sip(short, 30)).toBeCloseTo(sip(short, 5), 6);
+    expect(sip(long, 30)).toBeGreaterThan(sip(long, 5));
+  });
+
+  it('Post-tax SIP corpus still meets the target', () => {
+    const goal = createGoal({ yearsFromNow: 12, targetAmount: 5000000, linkedAssets: [{ assetId: 'eq', amount: 300000 }] });
+    const projections = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5, assetsData, slab30);
+    expect(projections.totalCorpusFV).toBeCloseTo(projections.inflationAdjustedTarget, 0);
+  });
+
+  it('Retirement projections pass the profile through', () => {
+    const goal = createGoal({ goalType: 'retirement', yearsFromNow: 20, targetAmount: 50000000, includeEpfNps: true });
+    const contributions = { monthlyEpf: 20000, monthlyNps: 10000, epfCorpus: 1000000, npsCorpus: 500000, totalMonthly: 30000, totalCorpus: 1500000 };
+    const pre = calculateRetirementProjectionsWithEpfNps(goal, contributions, 10, 5, 6, 60, 8, 9, 5, 5, 5, null);
+    const post = calculateRetirementProjectionsWithEpfNps(goal, contributions, 10, 5, 6, 60, 8, 9, 5, 5, 5, null, slab30);
+    expect(post.epfNps.totalEpfNpsFV).toBeCloseTo(pre.epfNps.totalEpfNpsFV, 4);
+    expect(post.monthlySIP).toBeGreaterThan(pre.monthlySIP);
+  });
+});
+
+describe('Ledger contributions', () => {
+  const now = new Date('2026-01-01');
+  const growth = (rate, months) => Math.pow(1 + rate / 100 / 12, months);
+
+  it('Each instalment compounds from its own date', () => {
+    const value = calculateContributionsValue([
+      { date: '2024-01-01', amount: 10000, annualRate: 12, category: 'Equity Mutual Funds' },
+      { date: '2025-01-01', amount: 10000, annualRate: 6, category: 'Debt/Arbitrage Mutual Funds' }
+    ], '2036-01-01', null, now);
+    expect(value.invested).toBe(20000);
+    expect(value.currentValue).toBeCloseTo(10000 * growth(12, 24) + 10000 * growth(6, 12), 4);
+    expect(value.futureValue).toBeCloseTo(10000 * growth(12, 144) + 10000 * growth(6, 132), 4);
+  });
+
+  it('Tax only lowers the goal-date value', () => {
+    const contributions = [{ date: '2024-01-01', amount: 10000, annualRate: 12, category: 'Equity Mutual Funds' }];
+    const pre = calculateContributionsValue(contributions, '2036-01-01', null, now);
+    const post = calculateContributionsValue(contributions, '2036-01-01', { regime: 'new', slab: 30 }, now);
+    expect(post.currentValue).toBeCloseTo(pre.currentValue, 6);
+    expect(post.futureValue).toBeLessThan(pre.futureValue);
+  });
+
+  it('Contributions shrink the gap and re-price the SIP', () => {
+    const goal = createGoal({ yearsFromNow: 12, targetAmount: 5000000 });
+    const projections = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5);
+    const perRupee = calculateSipPerRupeeOfGap(projections.category, projections.months, 5, projections.blendedReturn, 60, 10, 5);
+    const contributed = { invested: 500000, currentValue: 550000, futureValue: projections.gapAmount / 2 };
+    const adjusted = applyContributions(projections, contributed, perRupee);
+
+    expect(adjusted.gapAmount).toBeCloseTo(projections.gapAmount / 2, 4);
+    expect(adjusted.monthlySIP).toBeCloseTo(projections.monthlySIP / 2, 0);
+    expect(adjusted.sipBeforeContributions).toBe(projections.monthlySIP);
+    expect(adjusted.totalCorpusFV).toBeCloseTo(projections.inflationAdjustedTarget, 0);
+  });
+
+  it('No SIP is needed once contributions cover the gap', () => {
+    const goal = createGoal({ yearsFromNow: 3, targetAmount: 500000 });
+    const projections = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 0);
+    const adjusted = applyContributions(projections, { invested: 0, currentValue: 0, futureValue: projections.gapAmount * 2 }, 0.01);
+    expect(adjusted.gapAmount).toBe(0);
+    expect(adjusted.monthlySIP).toBe(0);
+    expect(adjusted.sipCorpusFV).toBe(0);
+  });
+});
+
+describe('XIRR', () => {
+  it('Matches the spreadsheet XIRR example', () => {
+    const flows = [
+      { date: '2008-01-01', amount: -10000 },
+      { date: '2008-03-01', amount: 2750 },
+      { date: '2008-10-30', amount: 4250 },
+      { date: '2009-02-15', amount: 3250 },
+      { date: '2009-04-01', amount: 2750 }
+    ];
+    expect(calculateXirr(flows)).toBeCloseTo(37.3363, 3);
+  });
+
+  it('A single lump sum compounds at the XIRR', () => {
+    const xirr = calculateXirr([{ date: '2021-01-01', amount: -100000 }, { date: '2025-12-31', amount: 200000 }]);
+    const years = (new Date('2025-12-31') - new Date('2021-01-01')) / (1000 * 60 * 60 * 24 * 365);
+    expect(100000 * Math.pow(1 + xirr / 100, years)).toBeCloseTo(200000, 2);
+  });
+
+  it('Handles losses', () => {
+    const xirr = calculateXirr([{ date: '2024-01-01', amount: -100000 }, { date: '2025-01-01', amount: 60000 }]);
+    expect(xirr).toBeCloseTo((Math.pow(0.6, 365 / 366) - 1) * 100, 4);
+  });
+
+  it('Order of the flows does not matter', () => {
+    const flows = [
+      { date: '2023-06-01', amount: -50000 },
+      { date: '2022-01-01', amount: -100000 },
+      { date: '2025-01-01', amount: 190000 }
+    ];
+    expect(calculateXirr([...flows].reverse())).toBeCloseTo(calculateXirr(flows), 8);
+  });
+
+  it('Needs money both in and out', () => {
+    expect(calculateXirr([{ date: '2024-01-01', amount: -1000 }])).toBeNull();
+    expect(calculateXirr([{ date: '2024-01-01', amount: 1000 }, { date: '2025-01-01', amount: 1000 }])).toBeNull();
+    expect(calculateXirr([])).toBeNull();
+  });
+});
+
 describe('Retirement Goal Golden Data', () => {
   // Golden scenario: 5 Cr retirement in 20 years with EPF/NPS
   // Inputs: target 5Cr, inflation 6%, equity allocation 60%
@@ -1824,3 +2001,88 @@ describe('Retirement Goal Golden Data', () => {
     expect(withLinked.epfNps.totalEpfNpsFV).toBeCloseTo(withoutLinked.epfNps.totalEpfNpsFV, -2);
   });
 });
+
+describe('Retirement Decumulation', () => {
+  const base = { monthlyWithdrawal: 50000, startAge: 50 };
+
+  it('Runs year by year from FI age to life expectancy', () => {
+    const result = simulateDecumulation(50000000, base);
+    expect(result.years).toHaveLength(LIFE_EXPECTANCY - 50);
+    expect(result.years[0].age).toBe(50);
+    expect(result.years.at(-1).age).toBe(LIFE_EXPECTANCY - 1);
+    expect(result.depletionAge).toBeNull();
+  });
+
+  it('Withdrawals rise with inflation each year', () => {
+    const { years } = simulateDecumulation(50000000, base);
+    expect(years[0].withdrawal).toBeCloseTo(600000, 2);
+    expect(years[1].withdrawal).toBeCloseTo(600000 * 1.06, 2);
+    expect(years[10].withdrawal).toBeCloseTo(600000 * Math.pow(1.06, 10), 2);
+  });
+
+  it('Opening + returns - withdrawals = closing', () => {
+    const { years } = simulateDecumulation(30000000, base);
+    years.forEach(y => {
+      expect(y.opening + y.returns - y.withdrawal).toBeCloseTo(y.closing, 2);
+    });
+  });
+
+  it('Reports the age money runs out', () => {
+    // Flat spend × years ignores inflation; at 0% equity it falls short
+    const flat = 50000 * 12 * 40;
+    const result = simulateDecumulation(flat, { ...base, equityAllocation: 0 });
+    expect(result.depletionAge).toBeGreaterThan(50);
+    expect(result.depletionAge).toBeLessThan(LIFE_EXPECTANCY);
+    expect(result.years.at(-1).age).toBe(result.depletionAge);
+    expect(result.finalCorpus).toBeCloseTo(0, 2);
+  });
+
+  it('Zero returns and zero inflation spend exactly the flat amount', () => {
+    const options = { ...base, inflationRate: 0, equityReturn: 0, debtReturn: 0, arbitrageReturn: 0 };
+    expect(simulateDecumulation(50000 * 12 * 40, options).depletionAge).toBeNull();
+    expect(simulateDecumulation(50000 * 12 * 40 - 1000, options).depletionAge).toBe(89);
+    expect(calculateRequiredRetirementCorpus(50000, 50, options)).toBeCloseTo(24000000, -1);
+  });
+
+  it('Buckets hold the next years of spending in cash and debt', () => {
+    const { years } = simulateDecumulation(50000000, base);
+    const { cashYears, incomeYears } = DECUMULATION_DEFAULTS;
+    const annual = (y) => 600000 * Math.pow(1.06, y);
+    let cashTarget = 0;
+    for (let y = 1; y < 1 + cashYears; y++) cashTarget += annual(y);
+    let incomeTarget = 0;
+    for (let y = 1 + cashYears; y < 1 + cashYears + incomeYears; y++) incomeTarget += annual(y);
+    expect(years[0].buckets.cash).toBeCloseTo(cashTarget, 0);
+    expect(years[0].buckets.income).toBeCloseTo(incomeTarget, 0);
+  });
+
+  it('Single portfolio (no buckets) keeps everything in growth', () => {
+    const { years } = simulateDecumulation(50000000, { ...base, cashYears: 0, incomeYears: 0 });
+    expect(years[0].buckets.cash).toBe(0);
+    expect(years[0].buckets.income).toBe(0);
+    expect(years[0].closing).toBe(years[0].buckets.growth);
+  });
+
+  it('Required corpus lasts exactly to life expectancy', () => {
+    const corpus = calculateRequiredRetirementCorpus(50000, 50);
+    expect(simulateDecumulation(corpus, base).depletionAge).toBeNull();
+    expect(simulateDecumulation(corpus * 0.99, base).depletionAge).not.toBeNull();
+  });
+
+  it('Required corpus scales linearly with the withdrawal', () => {
+    const one = calculateRequiredRetirementCorpus(50000, 50);
+    const two = calculateRequiredRetirementCorpus(100000, 50);
+    expect(two / one).toBeCloseTo(2, 4);
+  });
+
+  it('More equity or a later FI age needs less corpus', () => {
+    const base30 = calculateRequiredRetirementCorpus(50000, 50);
+    expect(calculateRequiredRetirementCorpus(50000, 50, { equityAllocation: 50 })).toBeLessThan(base30);
+    expect(calculateRequiredRetirementCorpus(50000, 55)).toBeLessThan(base30);
+  });
+
+  it('Returns 0 with no withdrawal or no years left', () => {
+    expect(calculateRequiredRetirementCorpus(0, 50)).toBe(0);
+    expect(calculateRequiredRetirementCorpus(50000, LIFE_EXPECTANCY)).toBe(0);
+  });
+});
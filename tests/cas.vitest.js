@@ -0,0 +1,220 @@
+// Unit tests for cas.js (Vitest)
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  normalizeFolio,
+  classifyScheme,
+  parseCasText,
+  parseCasJson,
+  parseCas,
+  planCasImport,
+  applyCasImport,
+  initCasImport
+} from '../modules/cas.js';
+import { initAssets } from '../modules/assets.js';
+import { createTestData, createGoal } from './helpers.js';
+
+const CAS_TEXT = `
+Consolidated Account Statement
+01-Apr-2025 To 31-Mar-2026
+
+Folio No: 1234567890 / 0   PAN: ABCDE1234F   KYC: OK  PAN: OK
+Mirae Asset Mutual Fund
+MAEG-Mirae Asset Large Cap Fund - Direct Plan - Growth - ISIN: INF769K01BI1(Advisor: DIRECT) Registrar : KFINTECH
+Nominee 1: Jane Doe
+Opening Unit Balance: 1,000.000
+01-Apr-2025 Purchase - SIP 5,000.00 48.567 102.9500 1,048.567
+Closing Unit Balance: 1,234.567   NAV on 31-Mar-2026: INR 110.2500   Total Cost Value: 1,00,000.00   Market Value on 31-Mar-2026: INR 1,36,110.51
+
+Folio No: 998877/12
+HDFC Mutual Fund
+HLQDG-HDFC Liquid Fund - Direct Plan - Growth - ISIN: INF179KB1HK0(Advisor: DIRECT) Registrar : CAMS
+Opening Unit Balance: 10.000
+Closing Unit Balance: 10.000   NAV on 31-Mar-2026: INR 5,012.3400   Total Cost Value: 48,000.00   Market Value on 31-Mar-2026: INR 50,123.40
+HGLDG-HDFC Gold ETF Fund of Fund - Direct Plan - ISIN: INF179K01VX8(Advisor: DIRECT) Registrar : CAMS
+Opening Unit Balance: 500.000
+Closing Unit Balance: 0.000   NAV on 31-Mar-2026: INR 25.1000   Total Cost Value: 0.00   Market Value on 31-Mar-2026: INR 0.00
+`;
+
+const CAS_JSON = {
+  statement_period: { from: '01-Apr-2025', to: '31-Mar-2026' },
+  folios: [
+    {
+      folio: '1234567890 / 0',
+      amc: 'Mirae Asset Mutual Fund',
+      schemes: [
+        {
+          scheme: 'Mirae Asset Large Cap Fund - Direct Plan - Growth',
+          isin: 'INF769K01BI1',
+          type: 'EQUITY',
+          close: 1300.5,
+          valuation: { date: '2026-06-30', nav: 115.5, value: 150207.75 }
+        },
+        {
+          scheme: 'Mirae Asset Short Term Fund - Direct Plan - Growth',
+          isin: 'INF769K01DE6',
+          type: 'DEBT',
+          close: '2,000.000',
+          valuation: { date: '2026-06-30', nav: '15.25', value: '30,500.00' }
+        }
+      ]
+    }
+  ]
+};
+
+describe('normalizeFolio', () => {
+  it('Ignores spacing around the slash', () => {
+    expect(normalizeFolio('1234567890 / 0')).toBe('1234567890/0');
+    expect(normalizeFolio('ab12/3')).toBe('AB12/3');
+  });
+});
+
+describe('classifyScheme', () => {
+  it('Maps schemes onto the existing asset categories', () => {
+    expect(classifyScheme('Parag Parikh Flexi Cap Fund - Direct Growth')).toBe('Equity Mutual Funds');
+    expect(classifyScheme('HDFC Liquid Fund - Direct Plan - Growth')).toBe('Debt/Arbitrage Mutual Funds');
+    expect(classifyScheme('Kotak Equity Arbitrage Fund - Direct Growth')).toBe('Debt/Arbitrage Mutual Funds');
+    expect(classifyScheme('ICICI Prudential Banking & PSU Debt Fund')).toBe('Debt/Arbitrage Mutual Funds');
+    expect(classifyScheme('Nippon India Gold Savings Fund')).toBe('Gold ETFs/SGBs');
+  });
+
+  it('Uses the scheme type from a JSON export', () => {
+    expect(classifyScheme('Mirae Asset Short Term Fund', 'DEBT')).toBe('Debt/Arbitrage Mutual Funds');
+    expect(classifyScheme('Mirae Asset Short Term Fund', 'EQUITY')).toBe('Equity Mutual Funds');
+  });
+});
+
+describe('parseCasText', () => {
+  it('Reads folio, scheme, ISIN, units, NAV and value per scheme', () => {
+    const holdings = parseCasText(CAS_TEXT);
+    expect(holdings).toHaveLength(3);
+    expect(holdings[0]).toEqual({
+      folio: '1234567890/0',
+      scheme: 'Mirae Asset Large Cap Fund - Direct Plan - Growth',
+      isin: 'INF769K01BI1',
+      units: 1234.567,
+      nav: 110.25,
+      value: 136110.51,
+      date: '2026-03-31',
+      category: 'Equity Mutual Funds'
+    });
+  });
+
+  it('Keeps the folio for every scheme under it', () => {
+    const holdings = parseCasText(CAS_TEXT);
+    expect(holdings.map(h => [h.folio, h.category])).toEqual([
+      ['1234567890/0', 'Equity Mutual Funds'],
+      ['998877/12', 'Debt/Arbitrage Mutual Funds'],
+      ['998877/12', 'Gold ETFs/SGBs']
+    ]);
+    expect(holdings[2].units).toBe(0);
+  });
+
+  it('Takes the scheme from the line before the opening balance when it has no ISIN', () => {
+    const holdings = parseCasText([
+      'Folio No: 55/1',
+      'Axis ELSS Tax Saver Fund - Direct Growth',
+      'Opening Unit Balance: 100.000',
+      'Closing Unit Balance: 100.000 NAV on 05-Jan-2026: INR 90.00 Market Value on 05-Jan-2026: INR 9,000.00'
+    ].join('\n'));
+    expect(holdings[0]).toMatchObject({ scheme: 'Axis ELSS Tax Saver Fund - Direct Growth', isin: null, value: 9000, date: '2026-01-05' });
+  });
+});
+
+describe('parseCasJson', () => {
+  it('Reads schemes and their valuation', () => {
+    const holdings = parseCasJson(CAS_JSON);
+    expect(holdings.map(h => [h.scheme, h.units, h.nav, h.value, h.category])).toEqual([
+      ['Mirae Asset Large Cap Fund - Direct Plan - Growth', 1300.5, 115.5, 150207.75, 'Equity Mutual Funds'],
+      ['Mirae Asset Short Term Fund - Direct Plan - Growth', 2000, 15.25, 30500, 'Debt/Arbitrage Mutual Funds']
+    ]);
+  });
+});
+
+describe('parseCas', () => {
+  it('Detects text and JSON files', () => {
+    expect(parseCas(CAS_TEXT).holdings).toHaveLength(3);
+    expect(parseCas(JSON.stringify(CAS_JSON)).holdings).toHaveLength(2);
+  });
+
+  it('Rejects files without holdings', () => {
+    expect(parseCas('{ not json').error).toBe('File is not valid JSON');
+    expect(parseCas('{"app":"rupeefolio"}').error).toBe('File is not a CAS statement');
+    expect(parseCas('Bank statement\nNothing here').error).toBe('No mutual fund holdings found in the file');
+  });
+});
+
+describe('planCasImport', () => {
+  it('Adds new schemes and skips redeemed ones', () => {
+    const plan = planCasImport([], parseCasText(CAS_TEXT));
+    expect(plan.map(p => [p.holding.scheme, p.action])).toEqual([
+      ['Mirae Asset Large Cap Fund - Direct Plan - Growth', 'add'],
+      ['HDFC Liquid Fund - Direct Plan - Growth', 'add']
+    ]);
+  });
+
+  it('Matches the same scheme in the same folio', () => {
+    const assets = [
+      { id: 'a1', name: 'My large cap', category: 'Equity Mutual Funds', value: 100000, folio: '1234567890/0', isin: 'INF769K01BI1' },
+      { id: 'a2', name: 'HDFC Gold ETF Fund of Fund - Direct Plan', category: 'Gold ETFs/SGBs', value: 12000, folio: '998877 / 12' },
+      { id: 'a3', name: 'HDFC Liquid Fund - Direct Plan - Growth', category: 'Debt/Arbitrage Mutual Funds', value: 40000, folio: '111/1' }
+    ];
+    const plan = planCasImport(assets, parseCasText(CAS_TEXT));
+    expect(plan.map(p => [p.holding.scheme, p.action, p.asset?.id])).toEqual([
+      ['Mirae Asset Large Cap Fund - Direct Plan - Growth', 'update', 'a1'],
+      ['HDFC Liquid Fund - Direct Plan - Growth', 'add', undefined],
+      ['HDFC Gold ETF Fund of Fund - Direct Plan', 'update', 'a2']
+    ]);
+  });
+});
+
+describe('applyCasImport', () => {
+  it('Re-importing a newer statement updates values in place', () => {
+    const data = createTestData([], [createGoal({ id: 'g1' })]);
+    applyCasImport(data, planCasImport(data.assets.items, parseCasText(CAS_TEXT)));
+    expect(data.assets.items).toHaveLength(2);
+    const largeCap = data.assets.items[0];
+    expect(largeCap).toMatchObject({ name: 'Mirae Asset Large Cap Fund - Direct Plan - Growth', value: 136111, units: 1234.567, nav: 110.25 });
+
+    data.goals[0].linkedAssets = [{ assetId: largeCap.id, amount: 100000 }];
+    largeCap.name = 'Large cap';
+    const result = applyCasImport(data, planCasImport(data.assets.items, parseCas(JSON.stringify(CAS_JSON)).holdings));
+
+    expect(result).toEqual({ added: 1, updated: 1 });
+    expect(data.assets.items).toHaveLength(3);
+    expect(data.assets.items[0]).toMatchObject({ id: largeCap.id, name: 'Large cap', value: 150208, units: 1300.5, nav: 115.5 });
+    expect(data.goals[0].linkedAssets[0].assetId).toBe(largeCap.id);
+  });
+});
+
+describe('CAS import modal', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Shows scheme names from the file as text in the preview and the asset list', () => {
+    const payload = '<img src=x onerror=alert(1)>';
+    const data = createTestData();
+    document.body.innerHTML = '<button id="import-cas-btn"></button><input type="file" id="import-cas-input"><div id="assets-list"></div>';
+    initCasImport(() => data, () => initAssets(data, 'INR', () => {}));
+
+    const input = document.getElementById('import-cas-input');
+    const text = CAS_TEXT.replace('Mirae Asset Large Cap Fund', `${payload} Large Cap Fund`);
+    Object.defineProperty(input, 'files', { value: [new File([text], 'cas.txt')], configurable: true });
+    input.dispatchEvent(new Event('change'));
+
+    return vi.waitFor(() => expect(document.getElementById('cas-modal-overlay')).not.toBeNull())
+      .then(() => {
+        const overlay = document.getElementById('cas-modal-overlay');
+        expect(overlay.querySelector('img')).toBeNull();
+        expect(overlay.textContent).toContain(`${payload} Large Cap Fund`);
+
+        overlay.querySelector('#confirm-cas-btn').click();
+        const list = document.getElementById('assets-list');
+        expect(list.querySelector('img')).toBeNull();
+        expect(list.textContent).toContain(`${payload} Large Cap Fund - Direct Plan - Growth`);
+
+        list.querySelector('.edit-asset-btn').click();
+        expect(list.querySelector('.edit-asset-name').value).toBe(`${payload} Large Cap Fund - Direct Plan - Growth`);
+      });
+  });
+});
@@ -1,6 +1,6 @@
 // Tests for cashflow module - savings rate calculations
 import { describe, it, expect } from 'vitest';
-import { getSavingsRate, getSavingsRateLabel, shouldShowSavingsSuggestion } from '../modules/cashflow.js';
+import { getSavingsRate, getSavingsRateLabel, shouldShowSavingsSuggestion, isExpenseActive, getActiveExpenses, getIncomeGrowth, parseGrowthRate, DEFAULT_INCOME_GROWTH, getFrequency, getMonthlyAmount, getAmountInMonth, validateFrequency, getCashflowCalendar, getLiquidBuffer } from '../modules/cashflow.js';
 
 describe('Savings Rate Calculation', () => {
   describe('getSavingsRate', () => {
@@ -127,3 +127,121 @@ describe('Savings Rate Calculation', () => {
     });
   });
 });
+
+describe('Expense end dates', () => {
+  const asOf = new Date(2030, 5, 15); // June 2030
+
+  it('expenses without endDate are always active', () => {
+    expect(isExpenseActive({ amount: 1000 }, asOf)).toBe(true);
+  });
+
+  it('EMI is active up to and including its payoff month', () => {
+    expect(isExpenseActive({ amount: 1000, endDate: '2030-06' }, asOf)).toBe(true);
+    expect(isExpenseActive({ amount: 1000, endDate: '2031-01' }, asOf)).toBe(true);
+  });
+
+  it('EMI drops off after the payoff month', () => {
+    expect(isExpenseActive({ amount: 1000, endDate: '2030-05' }, asOf)).toBe(false);
+  });
+
+  it('getActiveExpenses filters ended expenses', () => {
+    const expenses = [
+      { id: 'rent', amount: 20000 },
+      { id: 'car', amount: 15000, endDate: '2029-12' },
+      { id: 'home', amount: 40000, endDate: '2040-03' }
+    ];
+    expect(getActiveExpenses(expenses, asOf).map(e => e.id)).toEqual(['rent', 'home']);
+  });
+});
+
+describe('Income growth', () => {
+  it('uses the income growth rate, or the default raise when unset', () => {
+    expect(getIncomeGrowth({ amount: 100000, growthRate: 10 })).toBe(10);
+    expect(getIncomeGrowth({ amount: 100000, growthRate: 0 })).toBe(0);
+    expect(getIncomeGrowth({ amount: 100000 })).toBe(DEFAULT_INCOME_GROWTH);
+  });
+
+  it('parseGrowthRate treats blank as the default and rejects out-of-range values', () => {
+    expect(parseGrowthRate('')).toBe(DEFAULT_INCOME_GROWTH);
+    expect(parseGrowthRate('8.5')).toBe(8.5);
+    expect(parseGrowthRate('0')).toBe(0);
+    expect(parseGrowthRate('-1')).toBeNull();
+    expect(parseGrowthRate('31')).toBeNull();
+    expect(parseGrowthRate('abc')).toBeNull();
+  });
+});
+
+describe('Frequencies', () => {
+  it('Items without a frequency are monthly', () => {
+    expect(getFrequency({ amount: 1000 })).toBe('monthly');
+    expect(getFrequency({ amount: 1000, frequency: 'fortnightly' })).toBe('monthly');
+    expect(getFrequency({ amount: 1000, frequency: 'yearly' })).toBe('yearly');
+  });
+
+  it('Normalizes to a monthly equivalent', () => {
+    expect(getMonthlyAmount({ amount: 1000 })).toBe(1000);
+    expect(getMonthlyAmount({ amount: 3000, frequency: 'quarterly', date: '2026-01' })).toBe(1000);
+    expect(getMonthlyAmount({ amount: 6000, frequency: 'halfYearly', date: '2026-01' })).toBe(1000);
+    expect(getMonthlyAmount({ amount: 12000, frequency: 'yearly', date: '2026-01' })).toBe(1000);
+    expect(getMonthlyAmount({ amount: 500000, frequency: 'oneOff', date: '2026-11' })).toBe(0);
+  });
+
+  it('Periodic items fall due every interval from their month, before and after it', () => {
+    const quarterly = { amount: 3000, frequency: 'quarterly', date: '2026-02' };
+    expect(getAmountInMonth(quarterly, new Date(2026, 1, 1))).toBe(3000);
+    expect(getAmountInMonth(quarterly, new Date(2026, 4, 1))).toBe(3000);
+    expect(getAmountInMonth(quarterly, new Date(2026, 5, 1))).toBe(0);
+    expect(getAmountInMonth(quarterly, new Date(2025, 10, 1))).toBe(3000);
+  });
+
+  it('One-off items fall in their month only', () => {
+    const wedding = { amount: 500000, frequency: 'oneOff', date: '2026-11' };
+    expect(getAmountInMonth(wedding, new Date(2026, 10, 20))).toBe(500000);
+    expect(getAmountInMonth(wedding, new Date(2027, 10, 1))).toBe(0);
+  });
+
+  it('Non-monthly items need a month', () => {
+    expect(validateFrequency('monthly', null).valid).toBe(true);
+    expect(validateFrequency('yearly', '2026-04').valid).toBe(true);
+    expect(validateFrequency('yearly', '').error).toBe('Choose a month it is due in');
+    expect(validateFrequency('oneOff', null).error).toBe('Choose the month it falls in');
+    expect(validateFrequency('weekly', null).error).toBe('Choose how often it is due');
+  });
+});
+
+describe('Cash flow calendar', () => {
+  const cashflow = {
+    income: [
+      { name: 'Salary', amount: 100000 },
+      { name: 'Bonus', amount: 120000, frequency: 'yearly', date: '2026-12' }
+    ],
+    expenses: [
+      { name: 'Rent', amount: 30000 },
+      { name: 'Health premium', amount: 36000, frequency: 'yearly', date: '2026-04' },
+      { name: 'School fees', amount: 30000, frequency: 'quarterly', date: '2026-06' },
+      { name: 'Car EMI', amount: 10000, endDate: '2026-05' }
+    ]
+  };
+  const calendar = getCashflowCalendar(cashflow, new Date(2026, 3, 10)); // Apr 2026
+
+  it('Lists what falls due in each of the next 12 months', () => {
+    expect(calendar.map(r => r.month)[0]).toBe('2026-04');
+    expect(calendar).toHaveLength(12);
+    expect(calendar[0]).toMatchObject({ income: 100000, expenses: 30000 + 36000 + 10000, net: 24000 });
+    expect(calendar[0].items).toEqual([{ name: 'Health premium', amount: 36000, type: 'expense' }]);
+    expect(calendar[2].items.map(i => i.name)).toEqual(['School fees']);
+    expect(calendar[8].items).toEqual([
+      { name: 'Bonus', amount: 120000, type: 'income' },
+      { name: 'School fees', amount: 30000, type: 'expense' }
+    ]);
+  });
+
+  it('Drops loan EMIs after their payoff month', () => {
+    expect(calendar[2].expenses).toBe(30000 + 30000);
+  });
+
+  it('Liquid buffer is the deepest running shortfall against the monthly surplus', () => {
+    expect(getLiquidBuffer([{ net: 50000 }, { net: 10000 }, { net: 20000 }, { net: 80000 }], 40000)).toBe(40000);
+    expect(getLiquidBuffer([{ net: 80000 }, { net: 0 }], 40000)).toBe(0);
+  });
+});
@@ -0,0 +1,75 @@
+// Unit tests for crypto.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  KDF_ITERATIONS,
+  validatePassphrase,
+  isEncryptedPayload,
+  deriveKey,
+  encryptText,
+  decryptText,
+  decryptWithPassphrase
+} from '../modules/crypto.js';
+
+// Fewer iterations keep the tests quick; the stored count is what decryption uses
+const TEST_ITERATIONS = 1000;
+
+describe('validatePassphrase', () => {
+  it('Requires a long enough passphrase typed twice', () => {
+    expect(validatePassphrase('short', 'short').error).toBe('Passphrase must be at least 8 characters');
+    expect(validatePassphrase('', '').valid).toBe(false);
+    expect(validatePassphrase('correct horse', 'correct hose').error).toBe('Passphrases do not match');
+    expect(validatePassphrase('correct horse', 'correct horse')).toEqual({ valid: true, error: null });
+  });
+});
+
+describe('Encryption round trip', () => {
+  it('Decrypts with the same passphrase', () => {
+    return deriveKey('correct horse', null, TEST_ITERATIONS)
+      .then(keyInfo => encryptText(keyInfo, '{"salary":150000}'))
+      .then(payload => {
+        expect(isEncryptedPayload(payload)).toBe(true);
+        expect(payload.kdf).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256', iterations: TEST_ITERATIONS });
+        expect(payload.ciphertext).not.toContain('salary');
+        return decryptWithPassphrase(payload, 'correct horse');
+      })
+      .then(({ text, keyInfo }) => {
+        expect(text).toBe('{"salary":150000}');
+        expect(keyInfo.iterations).toBe(TEST_ITERATIONS);
+      });
+  });
+
+  it('Rejects a wrong passphrase', () => {
+    return deriveKey('correct horse', null, TEST_ITERATIONS)
+      .then(keyInfo => encryptText(keyInfo, 'secret'))
+      .then(payload => decryptWithPassphrase(payload, 'wrong horse'))
+      .then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(err.message).toBe('Wrong passphrase');
+      });
+  });
+
+  it('Uses a fresh IV for every encryption with the same key', () => {
+    return deriveKey('correct horse', null, TEST_ITERATIONS).then(keyInfo =>
+      Promise.all([encryptText(keyInfo, 'same'), encryptText(keyInfo, 'same')]).then(([a, b]) => {
+        expect(a.iv).not.toBe(b.iv);
+        expect(a.ciphertext).not.toBe(b.ciphertext);
+        return decryptText(keyInfo, b);
+      }).then(text => expect(text).toBe('same'))
+    );
+  });
+
+  it('Uses the recommended iteration count by default', () => {
+    return deriveKey('correct horse').then(keyInfo => {
+      expect(keyInfo.iterations).toBe(KDF_ITERATIONS);
+      expect(keyInfo.salt).toMatch(/^[A-Za-z0-9+/]+=*$/);
+    });
+  });
+});
+
+describe('isEncryptedPayload', () => {
+  it('Tells encrypted payloads from plan data', () => {
+    expect(isEncryptedPayload({ goals: [] })).toBe(false);
+    expect(isEncryptedPayload(null)).toBe(false);
+    expect(isEncryptedPayload({ encrypted: true, iv: 'a', ciphertext: 'b' })).toBe(false);
+    expect(isEncryptedPayload({ encrypted: true, iv: 'a', ciphertext: 'b', kdf: { salt: 'c', iterations: 1000 } })).toBe(true);
+  });
+});
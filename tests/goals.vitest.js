@@ -50,17 +50,19 @@ describe('calculateRetirementEstimate', () => {
     expect(result.estimates[1].age).toBe(50);
     expect(result.estimates[2].age).toBe(55);
 
-    // Age 45: 45 years in retirement, corpus = 62500 * 12 * 45 = 33,750,000 → rounds to 34,000,000
+    // Corpus that lasts to 90 with 6% inflation, 30% equity and 2y/5y buckets,
+    // rounded up to the next 10 Lakh
+    // Age 45: 45 years in retirement, ~3.12 Cr → 32,000,000
     expect(result.estimates[0].yearsInRetirement).toBe(45);
-    expect(result.estimates[0].corpus).toBe(34000000);
+    expect(result.estimates[0].corpus).toBe(32000000);
 
-    // Age 50: 40 years, corpus = 62500 * 12 * 40 = 30,000,000
+    // Age 50: 40 years, ~2.81 Cr → 29,000,000
     expect(result.estimates[1].yearsInRetirement).toBe(40);
-    expect(result.estimates[1].corpus).toBe(30000000);
+    expect(result.estimates[1].corpus).toBe(29000000);
 
-    // Age 55: 35 years, corpus = 62500 * 12 * 35 = 26,250,000 → rounds to 26,000,000
+    // Age 55: 35 years, ~2.50 Cr → 25,000,000
     expect(result.estimates[2].yearsInRetirement).toBe(35);
-    expect(result.estimates[2].corpus).toBe(26000000);
+    expect(result.estimates[2].corpus).toBe(25000000);
   });
 
   it('caps healthcare at 25000', () => {
@@ -129,7 +131,7 @@ describe('calculateRetirementEstimate', () => {
     expect(result.healthcare).toBe(7000);
   });
 
-  it('rounds corpus to nearest 10 Lakh (1,000,000)', () => {
+  it('rounds corpus up to the next 10 Lakh (1,000,000)', () => {
     setAppData({
       income: [{ name: 'Salary', amount: 100000 }],
       expenses: [{ category: 'Food', name: 'Food', amount: 100000 }]
@@ -138,8 +140,9 @@ describe('calculateRetirementEstimate', () => {
     const result = calculateRetirementEstimate();
     // Non-EMI = 100000, healthcare = min(5000, 25000) = 5000
     // Monthly = 100000 * 0.70 + 5000 = 75000
-    // Age 50: 75000 * 12 * 40 = 36,000,000 (exact)
-    expect(result.estimates[1].corpus).toBe(36000000);
+    // Age 50: ~3.37 Cr → 34,000,000
+    expect(result.estimates[1].corpus).toBe(34000000);
+    expect(result.estimates.every(e => e.corpus % 1000000 === 0)).toBe(true);
   });
 
   it('handles multiple income sources', () => {
@@ -157,3 +160,24 @@ describe('calculateRetirementEstimate', () => {
     expect(result.healthcare).toBe(8000);
   });
 });
+
+describe('calculateRetirementEstimate - withdrawal phase', () => {
+  const cashflow = {
+    income: [{ name: 'Salary', amount: 200000 }],
+    expenses: [{ category: 'Housing', name: 'Rent', amount: 75000 }]
+  };
+
+  it('needs less corpus with more equity after retirement', () => {
+    setAppData(cashflow);
+    const conservative = calculateRetirementEstimate({ equityAllocation: 0 });
+    const balanced = calculateRetirementEstimate({ equityAllocation: 50 });
+    expect(balanced.estimates[1].corpus).toBeLessThan(conservative.estimates[1].corpus);
+  });
+
+  it('needs more corpus with higher inflation', () => {
+    setAppData(cashflow);
+    const low = calculateRetirementEstimate({ inflationRate: 4 });
+    const high = calculateRetirementEstimate({ inflationRate: 8 });
+    expect(high.estimates[1].corpus).toBeGreaterThan(low.estimates[1].corpus);
+  });
+});
@@ -0,0 +1,178 @@
+// Unit tests for harvest.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  getFinancialYear,
+  getFinancialYearEnd,
+  isLongTermLot,
+  isHarvestable,
+  getLotGains,
+  getExemptionUsed,
+  getFifoGain,
+  planHarvest,
+  harvestLots,
+  validateLot
+} from '../modules/harvest.js';
+import { EQUITY_LTCG_EXEMPTION } from '../modules/tax.js';
+
+const asOf = new Date(2026, 1, 15); // 15 Feb 2026, FY 2025-26
+
+function createHolding(overrides = {}) {
+  return {
+    id: 'nifty',
+    name: 'Nifty 50 Index Fund',
+    category: 'Equity Mutual Funds',
+    value: 0,
+    nav: 200,
+    lots: [
+      { id: 'l1', date: '2023-06-10', units: 1000, price: 100 },
+      { id: 'l2', date: '2024-04-01', units: 500, price: 150 },
+      { id: 'l3', date: '2025-09-01', units: 300, price: 190 }
+    ],
+    ...overrides
+  };
+}
+
+describe('Financial year helpers', () => {
+  it('Runs April to March', () => {
+    expect(getFinancialYear(new Date(2026, 2, 31))).toBe('2025-26');
+    expect(getFinancialYear(new Date(2026, 3, 1))).toBe('2026-27');
+    expect(getFinancialYear(new Date(1999, 5, 1))).toBe('1999-00');
+  });
+
+  it('Ends on 31 March', () => {
+    expect(getFinancialYearEnd(asOf)).toBe('2026-03-31');
+    expect(getFinancialYearEnd(new Date(2026, 4, 1))).toBe('2027-03-31');
+  });
+});
+
+describe('isLongTermLot', () => {
+  it('Turns long-term the day after the one-year anniversary', () => {
+    const lot = { date: '2025-02-15' };
+    expect(isLongTermLot(lot, new Date(2026, 1, 15))).toBe(false);
+    expect(isLongTermLot(lot, new Date(2026, 1, 16))).toBe(true);
+  });
+});
+
+describe('isHarvestable', () => {
+  it('Covers equity funds and stocks only', () => {
+    expect(isHarvestable({ category: 'Equity Mutual Funds' })).toBe(true);
+    expect(isHarvestable({ category: 'Stocks' })).toBe(true);
+    expect(isHarvestable({ category: 'Debt/Arbitrage Mutual Funds' })).toBe(false);
+    expect(isHarvestable({ category: 'Gold ETFs/SGBs' })).toBe(false);
+  });
+});
+
+describe('getLotGains', () => {
+  it('Splits unrealized gains into short- and long-term, oldest lot first', () => {
+    const { shortTerm, longTerm, lots } = getLotGains(createHolding().lots, 200, asOf);
+    expect(longTerm).toBe(1000 * 100 + 500 * 50);
+    expect(shortTerm).toBe(300 * 10);
+    expect(lots.map(l => l.id)).toEqual(['l1', 'l2', 'l3']);
+    expect(lots[2].longTerm).toBe(false);
+  });
+});
+
+describe('getFifoGain', () => {
+  it('Redeems the oldest units first', () => {
+    const lots = createHolding().lots;
+    expect(getFifoGain(lots, 1000, 200)).toBe(100000);
+    expect(getFifoGain(lots, 1100, 200)).toBe(100000 + 100 * 50);
+  });
+});
+
+describe('planHarvest', () => {
+  it('Books gains up to the exemption from the oldest long-term lots', () => {
+    const plan = planHarvest([createHolding()], asOf);
+    expect(plan.financialYear).toBe('2025-26');
+    expect(plan.deadline).toBe('2026-03-31');
+    expect(plan.suggestions).toHaveLength(1);
+    // 1000 units gain 1L, then 25,000 more from l2 at 50/unit = 500 units
+    expect(plan.suggestions[0].units).toBe(1500);
+    expect(plan.totalGain).toBeCloseTo(EQUITY_LTCG_EXEMPTION, 6);
+    expect(plan.remaining).toBeCloseTo(0, 6);
+    expect(plan.taxSaved).toBeCloseTo(EQUITY_LTCG_EXEMPTION * 0.13, 6);
+  });
+
+  it('Stops before a short-term lot', () => {
+    const holding = createHolding({
+      lots: [
+        { id: 'l1', date: '2023-06-10', units: 100, price: 100 },
+        { id: 'l2', date: '2025-12-01', units: 5000, price: 120 }
+      ]
+    });
+    const plan = planHarvest([holding], asOf);
+    expect(plan.suggestions[0].units).toBe(100);
+    expect(plan.totalGain).toBe(10000);
+  });
+
+  it('Leaves room already used this year', () => {
+    const holding = createHolding({ harvests: [{ date: '2025-05-01', financialYear: '2025-26', units: 100, gain: 100000 }] });
+    const plan = planHarvest([holding], asOf);
+    expect(plan.used).toBe(100000);
+    expect(plan.totalGain).toBeCloseTo(25000, 6);
+  });
+
+  it('Ignores harvests from earlier years', () => {
+    expect(getExemptionUsed([createHolding({ harvests: [{ financialYear: '2024-25', gain: 125000 }] })], '2025-26')).toBe(0);
+  });
+
+  it('Rounds stock units down to whole shares', () => {
+    const stock = createHolding({ category: 'Stocks', nav: 1000, lots: [{ id: 's1', date: '2022-01-01', units: 1000, price: 300 }] });
+    const plan = planHarvest([stock], asOf);
+    // 125000 / 700 = 178.57 shares
+    expect(plan.suggestions[0].units).toBe(178);
+    expect(plan.totalGain).toBe(178 * 700);
+  });
+
+  it('Spreads the exemption across holdings', () => {
+    const small = createHolding({ id: 'a', lots: [{ id: 'a1', date: '2023-01-01', units: 500, price: 100 }] });
+    const large = createHolding({ id: 'b', lots: [{ id: 'b1', date: '2023-01-01', units: 5000, price: 100 }] });
+    const plan = planHarvest([small, large], asOf);
+    expect(plan.suggestions.map(s => [s.assetId, s.units])).toEqual([['a', 500], ['b', 750]]);
+  });
+
+  it('Skips holdings without a NAV or with only losses', () => {
+    const noNav = createHolding({ nav: 0 });
+    const underwater = createHolding({ nav: 50 });
+    expect(planHarvest([noNav, underwater], asOf).suggestions).toEqual([]);
+  });
+});
+
+describe('harvestLots', () => {
+  it('Sells FIFO and rebuys at NAV, stepping up the cost', () => {
+    const { lots, gain } = harvestLots(createHolding().lots, 1500, 200, asOf);
+    expect(gain).toBe(125000);
+    expect(lots.map(l => [l.date, l.units, l.price])).toEqual([
+      ['2025-09-01', 300, 190],
+      ['2026-02-15', 1500, 200]
+    ]);
+  });
+
+  it('Keeps the rest of a partly sold lot at its old cost', () => {
+    const { lots } = harvestLots(createHolding().lots, 1200, 200, asOf);
+    expect(lots.find(l => l.id === 'l2')).toMatchObject({ units: 300, price: 150 });
+    expect(lots.reduce((sum, l) => sum + l.units, 0)).toBe(1800);
+  });
+
+  it('Leaves clean fractional units behind', () => {
+    const { lots } = harvestLots([{ id: 'f1', date: '2023-05-01', units: 1000, price: 100 }], 833.333, 250, asOf);
+    expect(lots[0].units).toBe(166.667);
+  });
+
+  it('Stepped-up lots show no gain on the next plan', () => {
+    const holding = createHolding();
+    holding.lots = harvestLots(holding.lots, 1500, 200, asOf).lots;
+    const nextYear = new Date(2027, 2, 1);
+    expect(getLotGains(holding.lots, 200, nextYear).longTerm).toBe(300 * 10);
+  });
+});
+
+describe('validateLot', () => {
+  it('Requires a past date, units and price', () => {
+    expect(validateLot({ date: '2024-01-01', units: 10, price: 100 }, asOf).valid).toBe(true);
+    expect(validateLot({ date: '', units: 10, price: 100 }, asOf).error).toBe('Enter the purchase date');
+    expect(validateLot({ date: '2026-03-01', units: 10, price: 100 }, asOf).error).toBe('Purchase date cannot be in the future');
+    expect(validateLot({ date: '2024-01-01', units: 0, price: 100 }, asOf).error).toBe('Units must be more than zero');
+    expect(validateLot({ date: '2024-01-01', units: 10, price: 0 }, asOf).error).toBe('Purchase price must be more than zero');
+  });
+});
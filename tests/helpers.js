@@ -1,4 +1,18 @@
 // Shared test helpers
+import { initStorage } from '../modules/storage.js';
+import { createMemoryAdapter } from '../modules/adapters.js';
+
+export const STORAGE_KEY = 'financial-planner-data';
+
+/**
+ * Switch storage to a fresh in-memory adapter, optionally holding raw stored text
+ * @returns {Promise<object>} The adapter's store, to check what was written
+ *   (after flushSaves())
+ */
+export function useMemoryStorage(storedText = null) {
+  const store = storedText === null ? {} : { [STORAGE_KEY]: storedText };
+  return initStorage(createMemoryAdapter(store)).then(() => store);
+}
 
 /**
  * Create a goal object for testing
@@ -16,6 +30,7 @@ export function createGoal(options = {}) {
     inflationRate: options.inflationRate ?? 6,
     targetDate: options.targetDate || targetDate.toISOString().split('T')[0],
     goalType: options.goalType || 'one-time',
+    ...(options.priority ? { priority: options.priority } : {}),
     startDate: options.startDate || today.toISOString().split('T')[0],
     includeEpfNps: options.includeEpfNps || false,
     linkedAssets: options.linkedAssets || []
@@ -45,3 +60,43 @@ export function createTestData(assets = [], goals = []) {
     goals
   };
 }
+
+/**
+ * Just enough of IDBFactory for the IndexedDB adapter: one database whose
+ * requests complete asynchronously. Set failWith to make writes abort.
+ */
+export function createFakeIndexedDB() {
+  const stores = {};
+  const fake = { stores, failWith: null, opened: 0 };
+
+  const db = {
+    createObjectStore: name => { stores[name] = new Map(); },
+    transaction: (name) => {
+      const tx = {};
+      tx.objectStore = () => ({
+        get: key => ({ result: stores[name].get(key) }),
+        put: (value, key) => {
+          if (fake.failWith) tx.error = fake.failWith;
+          else stores[name].set(key, value);
+          return {};
+        },
+        delete: key => {
+          stores[name].delete(key);
+          return {};
+        }
+      });
+      setTimeout(() => (tx.error ? tx.onabort() : tx.oncomplete()), 0);
+      return tx;
+    }
+  };
+
+  fake.open = () => {
+    const request = { result: db };
+    setTimeout(() => {
+      if (fake.opened++ === 0) request.onupgradeneeded();
+      request.onsuccess();
+    }, 0);
+    return request;
+  };
+  return fake;
+}
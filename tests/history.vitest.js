@@ -0,0 +1,212 @@
+// Unit tests for history.js (Vitest)
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  MERGE_WINDOW_MS,
+  getSections,
+  diffSections,
+  mergeChanges,
+  applyChanges,
+  describeChanges,
+  getFingerprint,
+  initHistory,
+  recordExternalChange,
+  handleHistoryKeydown,
+  undo,
+  redo,
+  canUndo,
+  canRedo
+} from '../modules/history.js';
+import { loadData, flushSaves, addGoal, deleteGoal, addAsset, setEquityReturn, setSaveListener } from '../modules/storage.js';
+import { createTestData, createGoal, useMemoryStorage, STORAGE_KEY } from './helpers.js';
+
+let data;
+let changes;
+
+function startHistory(initial = createTestData([], [createGoal({ id: 'g1', name: 'House' })])) {
+  data = initial;
+  changes = 0;
+  initHistory(() => data, () => { changes++; });
+}
+
+// Each user action runs in its own task
+function nextTask() {
+  vi.runAllTimers();
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  sessionStorage.clear();
+  document.body.innerHTML = '<button id="undo-btn"></button><button id="redo-btn"></button>';
+});
+
+afterEach(() => {
+  setSaveListener(null);
+  vi.useRealTimers();
+});
+
+describe('Section diffs', () => {
+  it('Finds changed, added and removed sections', () => {
+    const before = getSections({ schemaVersion: 6, goals: [], settings: { a: 1 }, old: [] });
+    const after = getSections({ schemaVersion: 7, goals: [{ id: 'g1' }], settings: { a: 1 }, scenarios: [] });
+    expect(diffSections(before, after)).toEqual({
+      goals: { before: '[]', after: '[{"id":"g1"}]' },
+      old: { before: '[]', after: null },
+      scenarios: { before: null, after: '[]' }
+    });
+  });
+
+  it('Merging keeps the first before and the last after, and drops round trips', () => {
+    const merged = mergeChanges(
+      { settings: { before: '1', after: '2' }, goals: { before: 'a', after: 'b' } },
+      { settings: { before: '2', after: '3' }, goals: { before: 'b', after: 'a' } }
+    );
+    expect(merged).toEqual({ settings: { before: '1', after: '3' } });
+  });
+
+  it('Applies either side of a change', () => {
+    const target = { goals: [], extra: true };
+    const change = { goals: { before: '[]', after: '[{"id":"g1"}]' }, extra: { before: 'true', after: null } };
+    applyChanges(target, change, 'after');
+    expect(target).toEqual({ goals: [{ id: 'g1' }] });
+    applyChanges(target, change, 'before');
+    expect(target).toEqual({ goals: [], extra: true });
+  });
+
+  it('Names the sections a change touches', () => {
+    expect(describeChanges({ goals: {} })).toBe('goals');
+    expect(describeChanges({ goals: {}, assets: {}, transactions: {} })).toBe('goals, assets and investment ledger');
+  });
+
+  it('Fingerprints do not depend on section order', () => {
+    expect(getFingerprint({ a: '1', b: '2' })).toBe(getFingerprint({ b: '2', a: '1' }));
+    expect(getFingerprint({ a: '1' })).not.toBe(getFingerprint({ a: '2' }));
+  });
+});
+
+describe('Undo and redo', () => {
+  it('Brings back a deleted goal and deletes it again on redo', () => {
+    startHistory();
+    deleteGoal(data, 'g1');
+    nextTask();
+    expect(data.goals).toHaveLength(0);
+
+    expect(undo()).toBe(true);
+    expect(data.goals.map(g => g.name)).toEqual(['House']);
+    expect(loadData().goals).toHaveLength(1);
+    expect(changes).toBe(1);
+
+    expect(redo()).toBe(true);
+    expect(data.goals).toHaveLength(0);
+    expect(redo()).toBe(false);
+  });
+
+  it('Saves made by one action undo together', () => {
+    startHistory();
+    addGoal(data, createGoal({ id: 'g2', name: 'Car' }));
+    addAsset(data, { id: 'a1', name: 'Fund', category: 'Equity Mutual Funds', value: 100000 });
+    nextTask();
+    addAsset(data, { id: 'a2', name: 'FD', category: 'Fixed Deposits', value: 50000 });
+    nextTask();
+
+    undo();
+    expect(data.assets.items.map(a => a.id)).toEqual(['a1']);
+    undo();
+    expect(data.assets.items).toHaveLength(0);
+    expect(data.goals.map(g => g.id)).toEqual(['g1']);
+    expect(canUndo()).toBe(false);
+  });
+
+  it('A slider drag undoes as one step', () => {
+    startHistory();
+    setEquityReturn(data, 11);
+    nextTask();
+    vi.advanceTimersByTime(200);
+    setEquityReturn(data, 12);
+    nextTask();
+    undo();
+    expect(data.settings.equityReturn).toBe(10);
+    expect(canUndo()).toBe(false);
+
+    redo();
+    vi.advanceTimersByTime(MERGE_WINDOW_MS + 1);
+    setEquityReturn(data, 13);
+    nextTask();
+    undo();
+    expect(data.settings.equityReturn).toBe(12);
+  });
+
+  it('A new change clears redo', () => {
+    startHistory();
+    addAsset(data, { id: 'a1', name: 'Fund', category: 'Equity Mutual Funds', value: 100000 });
+    nextTask();
+    undo();
+    expect(canRedo()).toBe(true);
+    addGoal(data, createGoal({ id: 'g2' }));
+    nextTask();
+    expect(canRedo()).toBe(false);
+  });
+
+  it('Keyboard shortcuts skip text fields', () => {
+    startHistory();
+    deleteGoal(data, 'g1');
+    nextTask();
+    const key = (target, shiftKey = false) => ({ key: 'z', ctrlKey: true, shiftKey, target, preventDefault() {} });
+
+    const input = document.createElement('input');
+    handleHistoryKeydown(key(input));
+    expect(data.goals).toHaveLength(0);
+
+    handleHistoryKeydown(key(document.body));
+    expect(data.goals).toHaveLength(1);
+    handleHistoryKeydown(key(document.body, true));
+    expect(data.goals).toHaveLength(0);
+  });
+
+  it('Buttons reflect what can be undone', () => {
+    startHistory();
+    const undoBtn = document.getElementById('undo-btn');
+    expect(undoBtn.disabled).toBe(true);
+    deleteGoal(data, 'g1');
+    nextTask();
+    expect(undoBtn.disabled).toBe(false);
+    expect(undoBtn.title).toBe('Undo change to goals (Ctrl+Z)');
+  });
+});
+
+describe('Session and other tabs', () => {
+  it('History survives a reload of the same data', () => {
+    return useMemoryStorage().then(store => {
+      startHistory();
+      deleteGoal(data, 'g1');
+      nextTask();
+      return flushSaves().then(() => {
+        startHistory(JSON.parse(store[STORAGE_KEY]));
+        expect(canUndo()).toBe(true);
+        undo();
+        expect(data.goals).toHaveLength(1);
+      });
+    });
+  });
+
+  it('History is dropped if the data changed elsewhere', () => {
+    startHistory();
+    deleteGoal(data, 'g1');
+    nextTask();
+
+    startHistory(createTestData([], [createGoal({ id: 'g9' })]));
+    expect(canUndo()).toBe(false);
+  });
+
+  it('A change from another tab is its own step', () => {
+    startHistory();
+    deleteGoal(data, 'g1');
+    nextTask();
+
+    data = { ...JSON.parse(JSON.stringify(data)), goals: [createGoal({ id: 'g5', name: 'Other tab' })] };
+    recordExternalChange(data);
+    undo();
+    expect(data.goals).toHaveLength(0);
+    undo();
+    expect(data.goals.map(g => g.id)).toEqual(['g1']);
+  });
+});
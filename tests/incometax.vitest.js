@@ -0,0 +1,182 @@
+// Unit tests for incometax.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  FINANCIAL_YEARS,
+  DEDUCTION_LIMITS,
+  calculateSlabTax,
+  calculateHraExemption,
+  getRegimeDeductions,
+  calculateRegimeTax,
+  getMonthlyInHand,
+  estimateIncomeTax,
+  validateSalary
+} from '../modules/incometax.js';
+
+const fy26 = FINANCIAL_YEARS['2025-26'];
+const fy25 = FINANCIAL_YEARS['2024-25'];
+
+describe('calculateSlabTax', () => {
+  it('Taxes each slab at its own rate', () => {
+    // 4-8L at 5% + 8-12L at 10%
+    expect(calculateSlabTax(1200000, fy26.new.slabs)).toBe(60000);
+    // 2.5-5L at 5% + 5-10L at 20% + 2L at 30%
+    expect(calculateSlabTax(1200000, fy26.old.slabs)).toBe(12500 + 100000 + 60000);
+  });
+
+  it('Is zero within the basic exemption', () => {
+    expect(calculateSlabTax(400000, fy26.new.slabs)).toBe(0);
+    expect(calculateSlabTax(0, fy26.old.slabs)).toBe(0);
+  });
+});
+
+describe('calculateRegimeTax', () => {
+  it('87A rebate wipes out tax up to ₹12L taxable under the FY 2025-26 new regime', () => {
+    expect(calculateRegimeTax(1200000, fy26.new).total).toBe(0);
+  });
+
+  it('Marginal relief caps tax just above the rebate limit', () => {
+    // Slab tax 61,500 but only 10,000 earned above 12L
+    const { rebate, total } = calculateRegimeTax(1210000, fy26.new);
+    expect(rebate).toBe(51500);
+    expect(total).toBeCloseTo(10000 * 1.04, 6);
+  });
+
+  it('Adds cess once past marginal relief', () => {
+    expect(calculateRegimeTax(1300000, fy26.new).total).toBeCloseTo(75000 * 1.04, 6);
+  });
+
+  it('Uses the FY 2024-25 slabs and ₹7L rebate limit', () => {
+    expect(calculateRegimeTax(700000, fy25.new).total).toBe(0);
+    // 3-7L at 5% + 7-10L at 10%
+    expect(calculateRegimeTax(1000000, fy25.new).total).toBeCloseTo(50000 * 1.04, 6);
+  });
+
+  it('Old regime rebate has no marginal relief', () => {
+    expect(calculateRegimeTax(500000, fy26.old).total).toBe(0);
+    expect(calculateRegimeTax(510000, fy26.old).total).toBeCloseTo(14500 * 1.04, 6);
+  });
+
+  it('Adds surcharge above ₹50L', () => {
+    const { surcharge } = calculateRegimeTax(6000000, fy26.new);
+    expect(surcharge).toBeCloseTo(1380000 * 0.10, 6);
+  });
+
+  it('Marginal relief limits surcharge just past the threshold', () => {
+    // Tax at 50L is 10.8L; 10,000 more income can only add 10,000 of tax plus surcharge
+    const { slabTax, surcharge } = calculateRegimeTax(5010000, fy26.new);
+    expect(slabTax).toBe(1083000);
+    expect(surcharge).toBeCloseTo(7000, 6);
+  });
+
+  it('New regime surcharge is capped at 25%', () => {
+    const surchargeRate = rules => {
+      const { surcharge, slabTax } = calculateRegimeTax(60000000, rules);
+      return surcharge / slabTax;
+    };
+    expect(surchargeRate(fy26.new)).toBeCloseTo(0.25, 6);
+    expect(surchargeRate(fy26.old)).toBeCloseTo(0.37, 6);
+  });
+});
+
+describe('calculateHraExemption', () => {
+  it('Takes the least of HRA, rent over 10% of basic and 50% of basic in a metro', () => {
+    expect(calculateHraExemption({ basic: 500000, hra: 200000, rentPaid: 240000, metroCity: true })).toBe(190000);
+    expect(calculateHraExemption({ basic: 500000, hra: 300000, rentPaid: 600000, metroCity: true })).toBe(250000);
+    expect(calculateHraExemption({ basic: 500000, hra: 300000, rentPaid: 600000, metroCity: false })).toBe(200000);
+  });
+
+  it('Is zero without rent above 10% of basic', () => {
+    expect(calculateHraExemption({ basic: 500000, hra: 200000, rentPaid: 0 })).toBe(0);
+    expect(calculateHraExemption({ basic: 500000, hra: 200000, rentPaid: 40000 })).toBe(0);
+  });
+});
+
+describe('getRegimeDeductions', () => {
+  const salary = {
+    basic: 800000,
+    hra: 300000,
+    otherAllowances: 400000,
+    rentPaid: 300000,
+    metroCity: true,
+    ppf: 50000,
+    elss: 100000,
+    healthPremiumSelf: 30000,
+    healthPremiumParents: 45000,
+    parentsSenior: true,
+    homeLoanInterest: 250000
+  };
+
+  it('Caps each old regime deduction', () => {
+    const d = getRegimeDeductions(salary, 21600, 60000, fy26.old, 'old');
+    expect(d.standardDeduction).toBe(50000);
+    expect(d.hra).toBe(220000);
+    expect(d.section80C).toBe(DEDUCTION_LIMITS.section80C);
+    expect(d.section80D).toBe(25000 + 45000);
+    expect(d.section80CCD1B).toBe(50000);
+    expect(d.section24b).toBe(200000);
+    expect(d.total).toBe(50000 + 220000 + 150000 + 70000 + 50000 + 200000);
+  });
+
+  it('EPF counts toward 80C', () => {
+    const d = getRegimeDeductions({ basic: 800000 }, 21600, 0, fy26.old, 'old');
+    expect(d.section80C).toBe(21600);
+  });
+
+  it('Parents below 60 get the lower 80D cap', () => {
+    const d = getRegimeDeductions({ ...salary, parentsSenior: false }, 0, 0, fy26.old, 'old');
+    expect(d.section80D).toBe(50000);
+  });
+
+  it('New regime only allows the standard deduction', () => {
+    expect(getRegimeDeductions(salary, 21600, 60000, fy26.new, 'new')).toEqual({ standardDeduction: 75000, total: 75000 });
+  });
+});
+
+describe('estimateIncomeTax', () => {
+  it('Recommends the new regime for a salary without deductions', () => {
+    const estimate = estimateIncomeTax({ financialYear: '2025-26', basic: 600000, otherAllowances: 675000 });
+    expect(estimate.gross).toBe(1275000);
+    expect(estimate.new.taxableIncome).toBe(1200000);
+    expect(estimate.new.tax.total).toBe(0);
+    expect(estimate.recommended).toBe('new');
+    expect(estimate.savings).toBeCloseTo(estimate.old.tax.total, 6);
+  });
+
+  it('Recommends the old regime when deductions are large enough', () => {
+    const estimate = estimateIncomeTax({
+      financialYear: '2024-25',
+      basic: 1000000,
+      hra: 500000,
+      otherAllowances: 500000,
+      rentPaid: 600000,
+      metroCity: true,
+      ppf: 150000,
+      healthPremiumSelf: 25000,
+      homeLoanInterest: 200000
+    }, 0, 5000);
+    expect(estimate.recommended).toBe('old');
+    expect(estimate.old.tax.total).toBeLessThan(estimate.new.tax.total);
+  });
+
+  it('In-hand pay is gross less tax and payroll EPF/NPS', () => {
+    const estimate = estimateIncomeTax({ financialYear: '2025-26', basic: 1200000, otherAllowances: 1200000 }, 1800, 2000);
+    expect(estimate.new.monthlyInHand).toBeCloseTo((2400000 - estimate.new.tax.total) / 12 - 3800, 6);
+    expect(getMonthlyInHand(120000, 0, 0, 0)).toBe(10000);
+  });
+
+  it('Falls back to the default financial year', () => {
+    expect(estimateIncomeTax({ financialYear: '1999-00', basic: 1000000 }).financialYear).toBe('2025-26');
+  });
+});
+
+describe('validateSalary', () => {
+  it('Requires a financial year and a basic salary', () => {
+    expect(validateSalary({ financialYear: '2025-26', basic: 600000 }).valid).toBe(true);
+    expect(validateSalary({ basic: 600000 }).error).toBe('Choose a financial year');
+    expect(validateSalary({ financialYear: '2025-26', basic: 0 }).error).toBe('Enter your annual basic salary');
+  });
+
+  it('Rejects negative amounts', () => {
+    expect(validateSalary({ financialYear: '2025-26', basic: 600000, ppf: -1 }).error).toBe('Amounts cannot be negative');
+  });
+});
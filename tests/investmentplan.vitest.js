@@ -1,6 +1,8 @@
 // Unit tests for investmentplan.js (Vitest)
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import { getTaperedEquityAllocation, UNIFIED_PORTFOLIO } from '../modules/calculator.js';
+import { fitGoalsToBudget, initInvestmentPlan, getTotalMonthlySIP, getPlannedFundSplit, projectGoals, refreshData } from '../modules/investmentplan.js';
+import { createGoal, createTestData } from './helpers.js';
 
 /**
  * Replicate the per-goal equity/debt split logic from calculateCategorySummary
@@ -114,3 +116,119 @@ describe('Per-Goal Equity/Debt Split', () => {
     expect(result.effectiveEquity).toBe(60);
   });
 });
+
+describe('fitGoalsToBudget', () => {
+  const goal = (id, priority, monthlySIP, years) => ({ id, priority, projections: { monthlySIP, years } });
+
+  it('funds everything when the budget covers all SIPs', () => {
+    const result = fitGoalsToBudget([goal('a', 'essential', 10000, 5), goal('b', 'aspirational', 5000, 3)], 20000);
+    expect(result.totalRequired).toBe(15000);
+    expect(result.totalFunded).toBe(15000);
+    expect(Object.values(result.allocations).every(a => a.status === 'funded')).toBe(true);
+  });
+
+  it('funds higher tiers first, reduces the boundary goal and defers the rest', () => {
+    const goals = [
+      goal('dream', 'aspirational', 8000, 2),
+      goal('home', 'important', 10000, 6),
+      goal('retire', 'essential', 15000, 20),
+      goal('car', 'aspirational', 6000, 4)
+    ];
+    const { allocations, totalFunded } = fitGoalsToBudget(goals, 30000);
+
+    expect(allocations.retire).toEqual({ required: 15000, funded: 15000, status: 'funded' });
+    expect(allocations.home.status).toBe('funded');
+    // Aspirational goals: nearest first
+    expect(allocations.dream).toEqual({ required: 8000, funded: 5000, status: 'reduced' });
+    expect(allocations.car).toEqual({ required: 6000, funded: 0, status: 'deferred' });
+    expect(totalFunded).toBe(30000);
+  });
+
+  it('treats goals without a priority as important', () => {
+    const goals = [goal('a', 'aspirational', 10000, 1), { id: 'b', projections: { monthlySIP: 10000, years: 10 } }];
+    const { allocations } = fitGoalsToBudget(goals, 10000);
+    expect(allocations.b.status).toBe('funded');
+    expect(allocations.a.status).toBe('deferred');
+  });
+
+  it('achieved goals stay funded even with no budget', () => {
+    const { allocations } = fitGoalsToBudget([goal('done', 'aspirational', 0, 5), goal('x', 'essential', 1000, 5)], 0);
+    expect(allocations.done.status).toBe('funded');
+    expect(allocations.x.status).toBe('deferred');
+  });
+});
+
+describe('Ledger contributions in the plan', () => {
+  const lastMonth = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  function initPlan(transactions = []) {
+    const data = createTestData([], [createGoal({ id: 'g1', yearsFromNow: 10 }), createGoal({ id: 'g2', yearsFromNow: 2 })]);
+    data.transactions = transactions;
+    initInvestmentPlan(data, 'INR', 60, 10, 5, 6, 8, 9, 5, 0, 5);
+    return data;
+  }
+
+  it('SIPs invested for a goal lower what is still needed', () => {
+    initPlan();
+    const before = getTotalMonthlySIP();
+    initPlan([{ id: 't1', date: lastMonth, fund: 'nifty50', amount: 100000, goalId: 'g1' }]);
+    expect(getTotalMonthlySIP()).toBeLessThan(before);
+  });
+
+  it('Entries without a goal leave the plan unchanged', () => {
+    initPlan();
+    const before = getTotalMonthlySIP();
+    initPlan([{ id: 't1', date: lastMonth, fund: 'nifty50', amount: 100000, goalId: null }]);
+    expect(getTotalMonthlySIP()).toBeCloseTo(before, 6);
+  });
+
+  it('Planned fund split adds up to the total SIP', () => {
+    initPlan();
+    const split = getPlannedFundSplit();
+    const total = Object.values(split).reduce((sum, v) => sum + v, 0);
+    expect(Object.keys(split)).toEqual(['arbitrage', 'nifty50', 'niftyNext50', 'moneyMarket']);
+    expect(total).toBeCloseTo(getTotalMonthlySIP(), 4);
+  });
+});
+
+
+describe('projectGoals', () => {
+  const settings = { equityAllocation: 60, equityReturn: 10, debtReturn: 5, arbitrageReturn: 6, epfReturn: 8, npsReturn: 9, epfStepUp: 5, npsStepUp: 0, investmentStepUp: 5 };
+
+  it('Matches the plan for the same settings', () => {
+    const data = createTestData([], [createGoal({ id: 'g1', yearsFromNow: 10 }), createGoal({ id: 'g2', yearsFromNow: 2 })]);
+    initInvestmentPlan(data, 'INR', 60, 10, 5, 6, 8, 9, 5, 0, 5);
+    const goals = projectGoals(data, settings);
+    expect(goals.map(g => g.category)).toEqual(['long', 'short']);
+    expect(goals.reduce((sum, g) => sum + g.projections.monthlySIP, 0)).toBeCloseTo(getTotalMonthlySIP(), 6);
+  });
+
+  it('Uses the settings it is given, not the sliders', () => {
+    const data = createTestData([], [createGoal({ id: 'g1', yearsFromNow: 10 })]);
+    initInvestmentPlan(data, 'INR', 60, 10, 5, 6, 8, 9, 5, 0, 5);
+    const [optimistic] = projectGoals(data, { ...settings, equityReturn: 12 });
+    expect(optimistic.projections.monthlySIP).toBeLessThan(getTotalMonthlySIP());
+  });
+});
+
+describe('Linking strategy totals', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Are recomputed when assets change', () => {
+    document.body.innerHTML = '<div id="plan-view-allocation-row"><span id="plan-view-allocation-label"></span></div><div id="existing-investments-body"></div><div id="investment-plan-content"></div>';
+    const data = createTestData([], [createGoal({ id: 'g1', yearsFromNow: 10 })]);
+    data.assets.items = [{ id: 'a1', name: 'Index fund', category: 'Equity Mutual Funds', value: 100000 }];
+    const strategyText = () => document.querySelector('[name="assign-strategy"][value="greedy"]').closest('label').textContent;
+
+    initInvestmentPlan(data, 'INR', 60, 10, 5, 6, 8, 9, 5, 0, 5);
+    const before = strategyText();
+    refreshData(data);
+    expect(strategyText()).toBe(before);
+
+    data.assets.items[0].value = 500000;
+    refreshData(data);
+    expect(strategyText()).not.toBe(before);
+  });
+});
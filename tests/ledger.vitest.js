@@ -0,0 +1,93 @@
+// Unit tests for ledger.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  ADHERENCE_THRESHOLD,
+  validateTransaction,
+  getMonthlyInvestments,
+  getAdherenceCalendar,
+  getAdherenceStreak,
+  getFundAdherence
+} from '../modules/ledger.js';
+
+const today = new Date(2026, 3, 10); // 10 Apr 2026
+
+function entry(date, amount, fund = 'nifty50', goalId = null) {
+  return { id: `${date}-${fund}`, date, fund, amount, goalId };
+}
+
+describe('validateTransaction', () => {
+  it('Requires a past date, a plan fund and an amount', () => {
+    expect(validateTransaction(entry('2026-04-10', 5000), today).valid).toBe(true);
+    expect(validateTransaction(entry('', 5000), today).error).toBe('Enter the investment date');
+    expect(validateTransaction(entry('2026-04-11', 5000), today).error).toBe('Investment date cannot be in the future');
+    expect(validateTransaction(entry('2026-04-01', 5000, 'smallcap'), today).error).toBe('Choose a fund');
+    expect(validateTransaction(entry('2026-04-01', 0), today).error).toBe('Amount must be more than zero');
+  });
+});
+
+describe('getMonthlyInvestments', () => {
+  it('Totals each month in all and per fund', () => {
+    const months = getMonthlyInvestments([
+      entry('2026-01-05', 6000),
+      entry('2026-01-05', 4000, 'moneyMarket'),
+      entry('2026-01-20', 1000),
+      entry('2026-02-05', 10000)
+    ]);
+    expect(months['2026-01']).toEqual({ total: 11000, funds: { nifty50: 7000, moneyMarket: 4000 } });
+    expect(months['2026-02'].total).toBe(10000);
+  });
+});
+
+describe('getAdherenceCalendar', () => {
+  const transactions = [
+    entry('2025-12-05', 10000),
+    entry('2026-01-05', 9600),
+    entry('2026-03-05', 4000)
+  ];
+
+  it('Covers every month from the first entry to now', () => {
+    const calendar = getAdherenceCalendar(transactions, 10000, today);
+    expect(calendar.map(m => m.month)).toEqual(['2025-12', '2026-01', '2026-02', '2026-03', '2026-04']);
+  });
+
+  it('Marks months on plan, partly invested or missed', () => {
+    const calendar = getAdherenceCalendar(transactions, 10000, today);
+    expect(calendar.map(m => m.status)).toEqual(['met', 'met', 'missed', 'partial', 'pending']);
+    expect(calendar[1].ratio).toBeCloseTo(0.96, 10);
+    expect(calendar[1].ratio).toBeGreaterThanOrEqual(ADHERENCE_THRESHOLD);
+  });
+
+  it('The current month is on plan once the SIP is in', () => {
+    const calendar = getAdherenceCalendar([...transactions, entry('2026-04-02', 10000)], 10000, today);
+    expect(calendar[calendar.length - 1].status).toBe('met');
+  });
+
+  it('Is empty without entries', () => {
+    expect(getAdherenceCalendar([], 10000, today)).toEqual([]);
+  });
+});
+
+describe('getAdherenceStreak', () => {
+  const calendar = statuses => statuses.map(status => ({ status }));
+
+  it('Counts on-plan months back from the latest', () => {
+    expect(getAdherenceStreak(calendar(['met', 'missed', 'met', 'met']))).toBe(2);
+    expect(getAdherenceStreak(calendar(['met', 'partial']))).toBe(0);
+  });
+
+  it('An unfinished current month does not break the streak', () => {
+    expect(getAdherenceStreak(calendar(['met', 'met', 'pending']))).toBe(2);
+  });
+});
+
+describe('getFundAdherence', () => {
+  it('Compares the month per fund with the planned split', () => {
+    const split = { arbitrage: 0, nifty50: 7000, niftyNext50: 3000, moneyMarket: 0 };
+    const rows = getFundAdherence([entry('2026-04-05', 9000), entry('2026-04-05', 2000, 'moneyMarket')], split, '2026-04');
+    expect(rows.map(r => [r.key, r.planned, r.invested, r.difference])).toEqual([
+      ['nifty50', 7000, 9000, 2000],
+      ['niftyNext50', 3000, 0, -3000],
+      ['moneyMarket', 0, 2000, 2000]
+    ]);
+  });
+});
@@ -0,0 +1,298 @@
+// Unit tests for loans.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  calculateEmi,
+  calculateTenure,
+  hasLoanDetails,
+  validateLoanTerms,
+  buildAmortizationSchedule,
+  summarizeScheduleByYear,
+  getPaymentsMade,
+  getLoanStatus,
+  syncLoans,
+  comparePrepayVsInvest,
+  HOME_LOAN_INTEREST_DEDUCTION_CAP
+} from '../modules/loans.js';
+import { createTestData } from './helpers.js';
+
+// ₹10L at 8.5% for 20 years, first EMI in Feb 2020
+const homeLoan = {
+  id: 'loan-1',
+  name: 'Home Loan',
+  category: 'Home Loan',
+  amount: 1000000,
+  principal: 1000000,
+  interestRate: 8.5,
+  startDate: '2020-01-10',
+  tenureMonths: 240
+};
+
+describe('calculateEmi', () => {
+  it('Matches the standard EMI formula', () => {
+    expect(calculateEmi(1000000, 8.5, 240)).toBeCloseTo(8678.23, 2);
+  });
+
+  it('Zero interest splits principal evenly', () => {
+    expect(calculateEmi(120000, 0, 12)).toBe(10000);
+  });
+
+  it('Returns 0 for invalid inputs', () => {
+    expect(calculateEmi(0, 8, 12)).toBe(0);
+    expect(calculateEmi(100000, 8, 0)).toBe(0);
+  });
+});
+
+describe('calculateTenure', () => {
+  it('Inverts calculateEmi', () => {
+    expect(calculateTenure(1000000, 8.5, calculateEmi(1000000, 8.5, 240))).toBe(240);
+  });
+
+  it('Rounds a partial final month up', () => {
+    expect(calculateTenure(1000000, 8.5, 10000)).toBe(175);
+  });
+
+  it('Returns null when EMI does not cover interest', () => {
+    expect(calculateTenure(1000000, 12, 10000)).toBeNull();
+  });
+
+  it('Zero interest', () => {
+    expect(calculateTenure(100000, 0, 30000)).toBe(4);
+  });
+});
+
+describe('hasLoanDetails / validateLoanTerms', () => {
+  it('Plain liabilities have no loan details', () => {
+    expect(hasLoanDetails({ name: 'Card', amount: 5000 })).toBe(false);
+    expect(hasLoanDetails(homeLoan)).toBe(true);
+  });
+
+  it('Accepts EMI instead of tenure', () => {
+    const loan = { ...homeLoan, tenureMonths: undefined, emi: 10000 };
+    expect(hasLoanDetails(loan)).toBe(true);
+    expect(validateLoanTerms(loan).valid).toBe(true);
+  });
+
+  it('Rejects missing fields', () => {
+    expect(validateLoanTerms({ ...homeLoan, principal: NaN }).valid).toBe(false);
+    expect(validateLoanTerms({ ...homeLoan, interestRate: NaN }).valid).toBe(false);
+    expect(validateLoanTerms({ ...homeLoan, startDate: '' }).valid).toBe(false);
+    expect(validateLoanTerms({ ...homeLoan, tenureMonths: 0, emi: 0 }).error).toMatch(/tenure or the EMI/);
+  });
+
+  it('Rejects an EMI that never repays the loan', () => {
+    const result = validateLoanTerms({ ...homeLoan, tenureMonths: 0, emi: 5000 });
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/too low/);
+  });
+});
+
+describe('buildAmortizationSchedule', () => {
+  const schedule = buildAmortizationSchedule(homeLoan);
+
+  it('Has one row per month of tenure', () => {
+    expect(schedule).toHaveLength(240);
+    expect(schedule[0].date).toBe('2020-02');
+    expect(schedule[239].date).toBe('2040-01');
+  });
+
+  it('First row splits EMI into interest and principal', () => {
+    expect(schedule[0].interest).toBeCloseTo(7083.33, 2);
+    expect(schedule[0].principal).toBeCloseTo(1594.90, 2);
+    expect(schedule[0].closing).toBeCloseTo(998405.10, 2);
+  });
+
+  it('Ends at zero balance and principal sums to the loan', () => {
+    expect(schedule[239].closing).toBe(0);
+    const principalPaid = schedule.reduce((sum, row) => sum + row.principal, 0);
+    expect(principalPaid).toBeCloseTo(1000000, 2);
+  });
+
+  it('EMI-driven schedule has a smaller final payment', () => {
+    const rows = buildAmortizationSchedule({ ...homeLoan, tenureMonths: undefined, emi: 10000 });
+    expect(rows).toHaveLength(175);
+    expect(rows[174].emi).toBeLessThan(10000);
+    expect(rows[174].closing).toBe(0);
+  });
+
+  it('Yearly summary rolls up months by calendar year', () => {
+    const years = summarizeScheduleByYear(schedule);
+    expect(years[0].year).toBe(2020);
+    expect(years[years.length - 1].year).toBe(2040);
+    expect(years[years.length - 1].closing).toBe(0);
+    const interest = years.reduce((sum, y) => sum + y.interest, 0);
+    expect(interest).toBeCloseTo(schedule.reduce((sum, r) => sum + r.interest, 0), 2);
+  });
+});
+
+describe('getPaymentsMade', () => {
+  it('Counts an EMI once its day of month has passed', () => {
+    expect(getPaymentsMade('2020-01-10', new Date(2020, 1, 9))).toBe(0);
+    expect(getPaymentsMade('2020-01-10', new Date(2020, 1, 10))).toBe(1);
+    expect(getPaymentsMade('2020-01-10', new Date(2025, 0, 10))).toBe(60);
+  });
+
+  it('Future loans have no payments', () => {
+    expect(getPaymentsMade('2030-01-01', new Date(2025, 0, 1))).toBe(0);
+  });
+});
+
+describe('getLoanStatus', () => {
+  it('Computes outstanding, payoff date and interest left', () => {
+    const status = getLoanStatus(homeLoan, new Date(2025, 0, 10));
+    expect(status.paymentsMade).toBe(60);
+    expect(status.remainingMonths).toBe(180);
+    expect(status.outstanding).toBeCloseTo(881271.83, 1);
+    expect(status.interestRemaining).toBeCloseTo(680809.99, 1);
+    expect(status.totalInterest).toBeCloseTo(1082775.76, 1);
+    expect(status.payoffDate).toBe('2040-01');
+    expect(status.isPaidOff).toBe(false);
+  });
+
+  it('Before the first EMI the full principal is outstanding', () => {
+    const status = getLoanStatus(homeLoan, new Date(2020, 0, 15));
+    expect(status.outstanding).toBe(1000000);
+    expect(status.interestPaid).toBe(0);
+  });
+
+  it('After payoff nothing is outstanding', () => {
+    const status = getLoanStatus(homeLoan, new Date(2041, 0, 1));
+    expect(status.isPaidOff).toBe(true);
+    expect(status.outstanding).toBe(0);
+    expect(status.interestRemaining).toBe(0);
+  });
+
+  it('Returns null without loan details', () => {
+    expect(getLoanStatus({ name: 'Card', amount: 5000 })).toBeNull();
+  });
+});
+
+describe('syncLoans', () => {
+  function createLoanData() {
+    const data = createTestData();
+    data.liabilities.items.push({ ...homeLoan });
+    return data;
+  }
+
+  it('Updates outstanding and creates the EMI expense', () => {
+    const data = createLoanData();
+    expect(syncLoans(data, new Date(2025, 0, 10))).toBe(true);
+
+    expect(data.liabilities.items[0].amount).toBe(881272);
+    expect(data.cashflow.expenses).toHaveLength(1);
+    expect(data.cashflow.expenses[0]).toMatchObject({
+      category: 'EMIs/Loans',
+      name: 'Home Loan EMI',
+      amount: 8678,
+      liabilityId: 'loan-1',
+      endDate: '2040-01'
+    });
+  });
+
+  it('Updates an existing linked expense without renaming it', () => {
+    const data = createLoanData();
+    data.cashflow.expenses.push({ id: 'e1', category: 'EMIs/Loans', name: 'SBI EMI', amount: 9000, liabilityId: 'loan-1' });
+
+    syncLoans(data, new Date(2025, 0, 10));
+
+    expect(data.cashflow.expenses).toHaveLength(1);
+    expect(data.cashflow.expenses[0].name).toBe('SBI EMI');
+    expect(data.cashflow.expenses[0].amount).toBe(8678);
+    expect(data.cashflow.expenses[0].endDate).toBe('2040-01');
+  });
+
+  it('Reports no change when already in sync', () => {
+    const data = createLoanData();
+    syncLoans(data, new Date(2025, 0, 10));
+    expect(syncLoans(data, new Date(2025, 0, 20))).toBe(false);
+  });
+
+  it('Unlinks the expense when loan details are removed', () => {
+    const data = createLoanData();
+    syncLoans(data, new Date(2025, 0, 10));
+    delete data.liabilities.items[0].principal;
+
+    syncLoans(data, new Date(2025, 0, 10));
+
+    expect(data.cashflow.expenses[0].liabilityId).toBeUndefined();
+    expect(data.cashflow.expenses[0].endDate).toBeUndefined();
+  });
+
+  it('Leaves plain liabilities alone', () => {
+    const data = createTestData();
+    data.liabilities.items.push({ id: 'cc', name: 'Card', category: 'Credit Card', amount: 5000 });
+    expect(syncLoans(data)).toBe(false);
+    expect(data.liabilities.items[0].amount).toBe(5000);
+  });
+});
+
+describe('comparePrepayVsInvest', () => {
+  // ₹50L at 8.5%, 18 years left as of Jan 2026
+  const bigLoan = { ...homeLoan, principal: 5000000, amount: 5000000, startDate: '2024-01-10' };
+  const asOf = new Date(2026, 0, 15);
+  const compare = (loan, options) => comparePrepayVsInvest(loan, { monthlySurplus: 20000, asOf, ...options });
+
+  it('Prepaying saves interest and shortens the tenure', () => {
+    const result = compare(bigLoan, { investReturn: 10 });
+    const status = getLoanStatus(bigLoan, asOf);
+    expect(result.years).toHaveLength(Math.ceil(status.remainingMonths / 12));
+    expect(result.monthsSaved).toBeGreaterThan(0);
+    expect(result.interestSaved).toBeGreaterThan(0);
+    expect(result.interestSaved).toBeLessThan(status.interestRemaining);
+    expect(result.originalPayoffDate).toBe('2044-01');
+    expect(result.prepayPayoffDate < result.originalPayoffDate).toBe(true);
+  });
+
+  it('Both paths end loan-free by the original payoff date', () => {
+    const last = compare(bigLoan, { investReturn: 10 }).years.at(-1);
+    expect(last.invest.balance).toBe(0);
+    expect(last.prepay.balance).toBe(0);
+    expect(last.advantage).toBeCloseTo(last.invest.netWorth - last.prepay.netWorth, 2);
+  });
+
+  it('A high investment return breaks even from the first year', () => {
+    const result = compare(bigLoan, { investReturn: 12, taxRate: 31.2 });
+    expect(result.breakEvenYear).toBe(1);
+    expect(result.finalAdvantage).toBeGreaterThan(0);
+  });
+
+  it('A return below the loan rate favours prepaying', () => {
+    const result = compare(bigLoan, { investReturn: 6 });
+    expect(result.breakEvenYear).toBeNull();
+    expect(result.finalAdvantage).toBeLessThan(0);
+  });
+
+  it('The interest deduction tilts the result towards investing', () => {
+    const without = compare(bigLoan, { investReturn: 8 });
+    const withTax = compare(bigLoan, { investReturn: 8, taxRate: 31.2 });
+    expect(withTax.finalAdvantage).toBeGreaterThan(without.finalAdvantage);
+    expect(withTax.taxBenefitLost).toBeGreaterThan(0);
+    expect(without.taxBenefitLost).toBe(0);
+  });
+
+  it('Tax savings per year are capped', () => {
+    const result = compare(bigLoan, { investReturn: 8, taxRate: 31.2 });
+    const years = result.years.length;
+    expect(result.taxBenefitLost).toBeLessThanOrEqual(HOME_LOAN_INTEREST_DEDUCTION_CAP * 0.312 * years);
+  });
+
+  it('Only home loans get the deduction', () => {
+    const carLoan = { ...bigLoan, category: 'Car Loan' };
+    const plain = compare(carLoan, { investReturn: 8 });
+    const taxed = compare(carLoan, { investReturn: 8, taxRate: 31.2 });
+    expect(taxed.finalAdvantage).toBeCloseTo(plain.finalAdvantage, 2);
+    expect(taxed.taxBenefitLost).toBe(0);
+  });
+
+  it('A lump sum covering the balance closes the loan at once', () => {
+    const status = getLoanStatus(bigLoan, asOf);
+    const result = compare(bigLoan, { monthlySurplus: 0, lumpSum: status.outstanding + 100000, investReturn: 8 });
+    expect(result.prepayPayoffDate).toBe('2026-01');
+    expect(result.interestSaved).toBeCloseTo(status.interestRemaining, 0);
+    expect(result.years[0].prepay.balance).toBe(0);
+  });
+
+  it('Returns null for paid-off loans and plain liabilities', () => {
+    expect(comparePrepayVsInvest(homeLoan, { monthlySurplus: 1000, asOf: new Date(2041, 0, 1) })).toBeNull();
+    expect(comparePrepayVsInvest({ name: 'Card', amount: 5000 }, { monthlySurplus: 1000 })).toBeNull();
+  });
+});
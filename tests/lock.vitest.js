@@ -0,0 +1,74 @@
+// Unit tests for lock.js (Vitest)
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { shouldAutoLock, formatAutoLock, showUnlockScreen, showPassphraseModal } from '../modules/lock.js';
+import { enableEncryption, lockData, clearData, isEncryptionEnabled } from '../modules/storage.js';
+import { createTestData, createGoal } from './helpers.js';
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+});
+
+afterEach(() => {
+  clearData();
+});
+
+describe('shouldAutoLock', () => {
+  it('Locks once idle for the chosen minutes', () => {
+    expect(shouldAutoLock(14 * 60000, 15)).toBe(false);
+    expect(shouldAutoLock(15 * 60000, 15)).toBe(true);
+    expect(shouldAutoLock(24 * 3600000, 0)).toBe(false);
+  });
+
+  it('Labels the options', () => {
+    expect(formatAutoLock(5)).toBe('5 minutes');
+    expect(formatAutoLock(60)).toBe('1 hour');
+    expect(formatAutoLock(0)).toBe('Never');
+  });
+});
+
+describe('Unlock screen', () => {
+  it('Shows an error for a wrong passphrase and hands over the data once unlocked', () => {
+    let unlocked = null;
+    const submit = (value) => {
+      document.getElementById('unlock-passphrase').value = value;
+      document.querySelector('#unlock-screen form').dispatchEvent(new Event('submit', { cancelable: true }));
+    };
+
+    // Key derivation runs asynchronously, so wait for each outcome
+    return enableEncryption(createTestData([], [createGoal({ name: 'House' })]), 'correct horse')
+      .then(() => lockData())
+      .then(() => {
+        showUnlockScreen(data => { unlocked = data; });
+        submit('wrong horse');
+        return vi.waitFor(() => expect(document.getElementById('unlock-error').textContent).toBe('Wrong passphrase'), { timeout: 5000 });
+      })
+      .then(() => {
+        expect(unlocked).toBeNull();
+        submit('correct horse');
+        return vi.waitFor(() => expect(unlocked).not.toBeNull(), { timeout: 5000 });
+      })
+      .then(() => {
+        expect(document.getElementById('unlock-screen')).toBeNull();
+        expect(unlocked.goals[0].name).toBe('House');
+        expect(isEncryptionEnabled()).toBe(true);
+      });
+  });
+});
+
+describe('Passphrase modal', () => {
+  it('Checks the confirmation before calling onSubmit', () => {
+    let submitted = null;
+    showPassphraseModal({ title: 'Set Passphrase', confirm: true, onSubmit: values => { submitted = values; return Promise.resolve(); } });
+    const form = document.querySelector('#passphrase-modal-overlay form');
+    document.getElementById('passphrase-input').value = 'correct horse';
+    document.getElementById('confirm-passphrase').value = 'correct hose';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    expect(document.getElementById('passphrase-error').textContent).toBe('Passphrases do not match');
+    expect(submitted).toBeNull();
+
+    document.getElementById('confirm-passphrase').value = 'correct horse';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    expect(submitted).toEqual({ current: null, passphrase: 'correct horse' });
+    return vi.waitFor(() => expect(document.getElementById('passphrase-modal-overlay')).toBeNull());
+  });
+});
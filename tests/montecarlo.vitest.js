@@ -0,0 +1,212 @@
+// Unit tests for montecarlo.js (Vitest)
+import { describe, it, expect, vi } from 'vitest';
+import {
+  MONTE_CARLO_DEFAULTS,
+  createRng,
+  createNormalSampler,
+  deriveSeed,
+  getPercentile,
+  getGoalSimulationInput,
+  simulateGoal,
+  runMonteCarlo,
+  runMonteCarloInBackground
+} from '../modules/montecarlo.js';
+import { calculateTaperedSipFV, calculateUnifiedGoalProjections } from '../modules/calculator.js';
+import { createGoal } from './helpers.js';
+
+// 15-year goal with a ₹10k SIP, no linked assets
+function longGoalInput(overrides = {}) {
+  return {
+    id: 'g1',
+    months: 180,
+    category: 'long',
+    target: 3500000,
+    monthlySIP: 10000,
+    annualStepUp: 0,
+    equityHoldings: 0,
+    debtHoldings: 0,
+    fixedValue: 0,
+    equityAllocation: 60,
+    equityReturn: 10,
+    debtReturn: 5,
+    arbitrageReturn: 6,
+    ...overrides
+  };
+}
+
+const noVolatility = { simulations: 50, equityVolatility: 0, debtVolatility: 0 };
+
+describe('createRng', () => {
+  it('Same seed gives the same sequence', () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const seqA = Array.from({ length: 5 }, () => a());
+    const seqB = Array.from({ length: 5 }, () => b());
+    expect(seqA).toEqual(seqB);
+    seqA.forEach(v => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    });
+  });
+
+  it('Different seeds give different sequences', () => {
+    expect(createRng(1)()).not.toBe(createRng(2)());
+  });
+});
+
+describe('createNormalSampler', () => {
+  it('Draws have mean ~0 and standard deviation ~1', () => {
+    const normal = createNormalSampler(createRng(123));
+    const draws = Array.from({ length: 20000 }, () => normal());
+    const mean = draws.reduce((s, x) => s + x, 0) / draws.length;
+    const variance = draws.reduce((s, x) => s + (x - mean) ** 2, 0) / draws.length;
+    expect(mean).toBeCloseTo(0, 1);
+    expect(Math.sqrt(variance)).toBeCloseTo(1, 1);
+  });
+});
+
+describe('deriveSeed / getPercentile', () => {
+  it('Seeds differ per goal and are stable', () => {
+    expect(deriveSeed(42, 'a')).toBe(deriveSeed(42, 'a'));
+    expect(deriveSeed(42, 'a')).not.toBe(deriveSeed(42, 'b'));
+    expect(deriveSeed(42, 'a')).not.toBe(deriveSeed(43, 'a'));
+  });
+
+  it('Interpolates between sorted values', () => {
+    const sorted = [0, 10, 20, 30, 40];
+    expect(getPercentile(sorted, 0)).toBe(0);
+    expect(getPercentile(sorted, 50)).toBe(20);
+    expect(getPercentile(sorted, 10)).toBeCloseTo(4, 10);
+    expect(getPercentile(sorted, 100)).toBe(40);
+    expect(getPercentile([], 50)).toBe(0);
+  });
+});
+
+describe('simulateGoal', () => {
+  it('With zero volatility every path matches the deterministic tapered FV', () => {
+    const input = longGoalInput({ annualStepUp: 5 });
+    const expected = calculateTaperedSipFV(10000, 180, 5, 60, 10, 5);
+    const result = simulateGoal(input, noVolatility);
+    expect(result.p10).toBeCloseTo(expected, 2);
+    expect(result.p50).toBeCloseTo(expected, 2);
+    expect(result.p90).toBeCloseTo(expected, 2);
+  });
+
+  it('Zero volatility gives a certain outcome either side of the target', () => {
+    const fv = calculateTaperedSipFV(10000, 180, 0, 60, 10, 5);
+    expect(simulateGoal(longGoalInput({ target: fv - 1 }), noVolatility).probability).toBe(1);
+    expect(simulateGoal(longGoalInput({ target: fv + 1 }), noVolatility).probability).toBe(0);
+  });
+
+  it('Same seed reproduces results; a different seed does not', () => {
+    const options = { simulations: 300 };
+    const a = simulateGoal(longGoalInput(), options);
+    const b = simulateGoal(longGoalInput(), options);
+    const c = simulateGoal(longGoalInput(), { ...options, seed: 7 });
+    expect(a).toEqual(b);
+    expect(c.p50).not.toBe(a.p50);
+  });
+
+  it('Volatility spreads outcomes around the deterministic value', () => {
+    const expected = calculateTaperedSipFV(10000, 180, 0, 60, 10, 5);
+    const result = simulateGoal(longGoalInput({ target: expected }), { simulations: 2000 });
+    expect(result.p10).toBeLessThan(result.p50);
+    expect(result.p50).toBeLessThan(result.p90);
+    expect(result.p10).toBeLessThan(expected);
+    expect(result.p90).toBeGreaterThan(expected);
+    // SIP sized for the average path succeeds about half the time
+    expect(result.probability).toBeGreaterThan(0.3);
+    expect(result.probability).toBeLessThan(0.7);
+  });
+
+  it('Higher equity volatility widens the range', () => {
+    const calm = simulateGoal(longGoalInput(), { simulations: 1000, equityVolatility: 10 });
+    const wild = simulateGoal(longGoalInput(), { simulations: 1000, equityVolatility: 25 });
+    expect(wild.p90 - wild.p10).toBeGreaterThan(calm.p90 - calm.p10);
+  });
+
+  it('Short-term goals are unaffected by equity volatility', () => {
+    const input = longGoalInput({ category: 'short', months: 36 });
+    const calm = simulateGoal(input, { simulations: 200, equityVolatility: 10 });
+    const wild = simulateGoal(input, { simulations: 200, equityVolatility: 25 });
+    expect(wild.p50).toBeCloseTo(calm.p50, 6);
+  });
+
+  it('Linked holdings and fixed values add to the corpus', () => {
+    const withHoldings = simulateGoal(
+      longGoalInput({ monthlySIP: 0, equityHoldings: 100000, debtHoldings: 100000, fixedValue: 50000 }),
+      noVolatility
+    );
+    const expected = 100000 * Math.pow(1 + 10 / 1200, 180) + 100000 * Math.pow(1 + 5 / 1200, 180) + 50000;
+    expect(withHoldings.p50).toBeCloseTo(expected, 2);
+  });
+
+  it('Uses the default simulation count', () => {
+    expect(simulateGoal(longGoalInput({ months: 12 })).simulations).toBe(MONTE_CARLO_DEFAULTS.simulations);
+  });
+});
+
+describe('getGoalSimulationInput', () => {
+  const assetsData = {
+    items: [
+      { id: 'mf', category: 'Equity Mutual Funds', value: 500000 },
+      { id: 'fd', category: 'FDs & RDs', value: 300000 },
+      { id: 'sb', category: 'Savings Bank', value: 100000 }
+    ]
+  };
+  const settings = { equityAllocation: 60, equityReturn: 10, debtReturn: 5, arbitrageReturn: 6 };
+
+  it('Splits linked assets by category path', () => {
+    const goal = createGoal({
+      id: 'g1',
+      linkedAssets: [
+        { assetId: 'mf', amount: 200000 },
+        { assetId: 'fd', amount: 100000 },
+        { assetId: 'sb', amount: 50000 },
+        { assetId: 'missing', amount: 999 }
+      ]
+    });
+    const projections = calculateUnifiedGoalProjections(goal, 10, 5, 6, 60, 5, assetsData);
+    const input = getGoalSimulationInput(goal, projections, assetsData, settings);
+
+    expect(input.equityHoldings).toBe(200000);
+    expect(input.debtHoldings).toBe(100000);
+    expect(input.fixedValue).toBe(50000);
+    expect(input.monthlySIP).toBe(projections.monthlySIP);
+    expect(input.target).toBe(projections.inflationAdjustedTarget);
+    expect(input.annualStepUp).toBe(5);
+    expect(input.months).toBe(projections.months);
+  });
+
+  it('Counts EPF/NPS future value as fixed', () => {
+    const goal = createGoal({ id: 'r1' });
+    const projections = { months: 120, inflationAdjustedTarget: 1e7, monthlySIP: 5000, epfNps: { totalEpfNpsFV: 2500000 } };
+    expect(getGoalSimulationInput(goal, projections, assetsData, settings).fixedValue).toBe(2500000);
+  });
+});
+
+describe('runMonteCarlo', () => {
+  it('Returns results keyed by goal id, independent of order', () => {
+    const a = longGoalInput({ id: 'a' });
+    const b = longGoalInput({ id: 'b', target: 1000000 });
+    const forward = runMonteCarlo([a, b], { simulations: 100 });
+    const reversed = runMonteCarlo([b, a], { simulations: 100 });
+    expect(Object.keys(forward).sort()).toEqual(['a', 'b']);
+    expect(forward.a).toEqual(reversed.a);
+    expect(forward.b).toEqual(reversed.b);
+  });
+});
+
+describe('runMonteCarloInBackground', () => {
+  it('Drops superseded requests only within the same stream', () => {
+    const reported = [];
+    const input = [longGoalInput({ id: 'a' })];
+    runMonteCarloInBackground(input, { simulations: 50 }, () => reported.push('plan 1'));
+    runMonteCarloInBackground(input, { simulations: 50 }, () => reported.push('scenarios'), 'scenarios');
+    runMonteCarloInBackground(input, { simulations: 50 }, (results) => {
+      expect(results.a.probability).toBeGreaterThanOrEqual(0);
+      reported.push('plan 2');
+    });
+    return vi.waitFor(() => expect(reported.sort()).toEqual(['plan 2', 'scenarios']));
+  });
+});
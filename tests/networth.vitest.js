@@ -0,0 +1,115 @@
+// Unit tests for networth.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  getSnapshotMonth,
+  createSnapshot,
+  recordMonthlySnapshot,
+  getSnapshotClassTotals,
+  getSnapshotHistory
+} from '../modules/networth.js';
+import { createTestData } from './helpers.js';
+
+function createPlan() {
+  const data = createTestData([
+    { id: 'a1', name: 'Nifty 50', category: 'Equity Mutual Funds', value: 600000 },
+    { id: 'a2', name: 'Bank FD', category: 'FDs & RDs', value: 200000 },
+    { id: 'a3', name: 'EPF', category: 'EPF Corpus', value: 400000 }
+  ]);
+  data.liabilities.items.push({ id: 'l1', name: 'Car Loan', category: 'Car Loan', amount: 300000 });
+  data.snapshots = [];
+  return data;
+}
+
+function snapshotFor(month, netWorth, assets = []) {
+  return { id: month, month, date: `${month}-01`, assets, liabilities: [], totalAssets: netWorth, totalLiabilities: 0, netWorth };
+}
+
+describe('getSnapshotMonth', () => {
+  it('Formats year and zero-padded month', () => {
+    expect(getSnapshotMonth(new Date(2026, 0, 15))).toBe('2026-01');
+    expect(getSnapshotMonth(new Date(2026, 10, 1))).toBe('2026-11');
+  });
+});
+
+describe('createSnapshot', () => {
+  it('Captures every asset and liability with totals', () => {
+    const snapshot = createSnapshot(createPlan(), new Date(2026, 2, 7));
+    expect(snapshot.month).toBe('2026-03');
+    expect(snapshot.date).toBe('2026-03-07');
+    expect(snapshot.assets).toHaveLength(3);
+    expect(snapshot.liabilities).toHaveLength(1);
+    expect(snapshot.totalAssets).toBe(1200000);
+    expect(snapshot.totalLiabilities).toBe(300000);
+    expect(snapshot.netWorth).toBe(900000);
+  });
+
+  it('Copies values so later edits do not change the snapshot', () => {
+    const data = createPlan();
+    const snapshot = createSnapshot(data);
+    data.assets.items[0].value = 1;
+    expect(snapshot.assets[0].value).toBe(600000);
+  });
+});
+
+describe('recordMonthlySnapshot', () => {
+  it('Records once per calendar month', () => {
+    const data = createPlan();
+    expect(recordMonthlySnapshot(data, new Date(2026, 0, 5))).toBe(true);
+    expect(recordMonthlySnapshot(data, new Date(2026, 0, 28))).toBe(false);
+    expect(recordMonthlySnapshot(data, new Date(2026, 1, 1))).toBe(true);
+    expect(data.snapshots.map(s => s.month)).toEqual(['2026-01', '2026-02']);
+  });
+
+  it('Skips an empty plan', () => {
+    const data = createTestData();
+    data.snapshots = [];
+    expect(recordMonthlySnapshot(data)).toBe(false);
+    expect(data.snapshots).toHaveLength(0);
+  });
+});
+
+describe('getSnapshotClassTotals', () => {
+  it('Groups asset values using the pie chart classes', () => {
+    const totals = getSnapshotClassTotals(createSnapshot(createPlan()));
+    expect(totals.Equity).toBe(600000);
+    expect(totals.Debt).toBe(200000);
+    expect(totals.Retirement).toBe(400000);
+    expect(totals.Gold).toBe(0);
+  });
+
+  it('Unknown categories fall into Other', () => {
+    const totals = getSnapshotClassTotals(snapshotFor('2026-01', 0, [{ category: 'Mystery', value: 5000 }]));
+    expect(totals.Other).toBe(5000);
+  });
+});
+
+describe('getSnapshotHistory', () => {
+  it('Sorts by month and computes month-over-month change', () => {
+    const history = getSnapshotHistory([
+      snapshotFor('2026-03', 1100000),
+      snapshotFor('2026-01', 1000000),
+      snapshotFor('2026-02', 1050000)
+    ]);
+    expect(history.map(h => h.month)).toEqual(['2026-01', '2026-02', '2026-03']);
+    expect(history[0].change).toBeNull();
+    expect(history[1].change).toBe(50000);
+    expect(history[1].changePercent).toBeCloseTo(5, 5);
+    expect(history[2].change).toBe(50000);
+  });
+
+  it('Reports a decline as negative change', () => {
+    const history = getSnapshotHistory([snapshotFor('2026-01', 1000000), snapshotFor('2026-02', 900000)]);
+    expect(history[1].change).toBe(-100000);
+    expect(history[1].changePercent).toBeCloseTo(-10, 5);
+  });
+
+  it('Percent change is null when previous net worth is zero', () => {
+    const history = getSnapshotHistory([snapshotFor('2026-01', 0), snapshotFor('2026-02', 50000)]);
+    expect(history[1].change).toBe(50000);
+    expect(history[1].changePercent).toBeNull();
+  });
+
+  it('Handles a missing list', () => {
+    expect(getSnapshotHistory(undefined)).toEqual([]);
+  });
+});
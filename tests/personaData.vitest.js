@@ -422,6 +422,7 @@ describe('Persona Data Generation', () => {
       const emergency = data.goals.find(g => g.name === 'Emergency Fund');
       expect(emergency).toBeDefined();
       expect(emergency.goalType).toBe('one-time');
+      expect(emergency.priority).toBe('essential');
     });
 
     it('always generates FI goal for users under default retirement age', () => {
@@ -610,11 +611,11 @@ describe('Persona Data Generation', () => {
       const retirement = data.goals.find(g => g.goalType === 'retirement');
       expect(retirement).toBeDefined();
       // nonEmiExpenses=52000 (groceries 6K + eatingOut 2K + utilities 3K + insurance 3K + entertainment 5K + shopping 5K + houseHelp 3K + rent 25K)
-      // corpus=41400*12*40=19,872,000 → rounded to 19,000,000
+      // monthly spend 41,400 from age 50 to 90 needs ~1.86 Cr → rounded up to 19,000,000
       expect(retirement.targetAmount).toBe(19000000);
     });
 
-    it('rounds retirement corpus to nearest 10 lakh', () => {
+    it('rounds retirement corpus up to the next 10 lakh', () => {
       const data = generatePersonaData({
         age: 30,
         family: 'single',
@@ -721,9 +722,9 @@ describe('Persona Data Generation', () => {
       // At ₹20L income: 5% = ₹1L, but capped at ₹25K
       // nonEmiExpenses: groceries 35K + eatingOut 15K + utilities 15K + insurance 30K + entertainment 30K + shopping 30K + houseHelp 20K = 175K
       // retMonthly = round(175000*0.7 + 25000) = round(122500 + 25000) = 147500
-      // corpus = 147500 * 12 * 40 = 70,800,000 → rounded to 70,000,000
+      // corpus lasting from 50 to 90 ≈ 6.64 Cr → rounded up to 67,000,000
       const retirement = data.goals.find(g => g.goalType === 'retirement');
-      expect(retirement.targetAmount).toBe(70000000);
+      expect(retirement.targetAmount).toBe(67000000);
     });
 
     it('uses longer retirement duration with earlier FI age', () => {
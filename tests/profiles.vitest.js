@@ -0,0 +1,79 @@
+// Unit tests for profiles.js (Vitest)
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { validateProfileName, getUniqueProfileName, initProfiles, MAX_PROFILE_NAME_LENGTH } from '../modules/profiles.js';
+import { getProfiles, createProfile } from '../modules/storage.js';
+
+describe('validateProfileName', () => {
+  const profiles = [{ id: 'default', name: 'My Plan' }, { id: 'p2', name: 'Parents' }];
+
+  it('Accepts a new name', () => {
+    expect(validateProfileName('Sister', profiles)).toEqual({ valid: true, error: null });
+  });
+
+  it('Rejects empty and overlong names', () => {
+    expect(validateProfileName('   ', profiles).error).toBe('Enter a profile name');
+    expect(validateProfileName('x'.repeat(MAX_PROFILE_NAME_LENGTH + 1), profiles).valid).toBe(false);
+  });
+
+  it('Rejects a name already in use, ignoring case, except by the profile being renamed', () => {
+    expect(validateProfileName(' parents ', profiles).error).toBe('A profile with this name already exists');
+    expect(validateProfileName('PARENTS', profiles, 'p2').valid).toBe(true);
+  });
+});
+
+describe('getUniqueProfileName', () => {
+  it('Numbers a name that is taken', () => {
+    expect(getUniqueProfileName('Sample Plan', [])).toBe('Sample Plan');
+    expect(getUniqueProfileName('Sample Plan', [{ name: 'sample plan' }])).toBe('Sample Plan 2');
+    expect(getUniqueProfileName('Sample Plan', [{ name: 'Sample Plan' }, { name: 'Sample Plan 2' }])).toBe('Sample Plan 3');
+  });
+});
+
+describe('Profiles modal', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<select id="profile-select"></select><button id="manage-profiles-btn"></button>';
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Lists profiles in the switcher', () => {
+    return createProfile('Parents').then(() => {
+      initProfiles();
+      const options = [...document.getElementById('profile-select').options];
+      expect(options.map(o => o.textContent)).toEqual(['My Plan', 'Parents']);
+      expect(options[0].selected).toBe(true);
+    });
+  });
+
+  it('Renames and duplicates from the modal', () => {
+    initProfiles();
+    document.getElementById('manage-profiles-btn').click();
+    const row = () => document.querySelector('#profiles-list [data-id="default"]');
+
+    row().querySelector('.rename-profile-btn').click();
+    row().querySelector('.profile-name-input').value = '<b>Us</b>';
+    row().querySelector('.save-profile-name-btn').click();
+    return vi.waitFor(() => expect(getProfiles()[0].name).toBe('<b>Us</b>'))
+      .then(() => {
+        // Names are shown as text
+        expect(row().querySelector('.profile-name').textContent).toBe('<b>Us</b>');
+        row().querySelector('.duplicate-profile-btn').click();
+        return vi.waitFor(() => expect(getProfiles().map(p => p.name)).toEqual(['<b>Us</b>', '<b>Us</b> (copy)']));
+      })
+      .then(() => {
+        expect(document.querySelectorAll('#profiles-list li')).toHaveLength(2);
+        expect(document.getElementById('profile-select').options).toHaveLength(2);
+      });
+  });
+
+  it('Shows an error for a duplicate name', () => {
+    initProfiles();
+    document.getElementById('manage-profiles-btn').click();
+    document.getElementById('new-profile-name').value = 'my plan';
+    document.getElementById('new-profile-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    expect(document.getElementById('profiles-error').textContent).toBe('A profile with this name already exists');
+    expect(getProfiles()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,165 @@
+// Unit tests for projection.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  PROJECTION_YEARS,
+  DEFAULT_EXPENSE_INFLATION,
+  getCategoryInflationRate,
+  projectCashflow,
+  getFirstShortfallYear,
+  getShortfallYears,
+  getProjectionYears
+} from '../modules/projection.js';
+import { createGoal } from './helpers.js';
+
+const startDate = new Date(2026, 0, 1); // Jan 2026
+
+describe('getCategoryInflationRate', () => {
+  it('Education and healthcare inflate faster than other categories', () => {
+    expect(getCategoryInflationRate('Food')).toBe(DEFAULT_EXPENSE_INFLATION);
+    expect(getCategoryInflationRate('Education')).toBeGreaterThan(DEFAULT_EXPENSE_INFLATION);
+    expect(getCategoryInflationRate('Health & Insurance')).toBeGreaterThan(DEFAULT_EXPENSE_INFLATION);
+    expect(getCategoryInflationRate('EMIs/Loans')).toBe(0);
+  });
+
+  it('User overrides win, including zero', () => {
+    expect(getCategoryInflationRate('Education', { Education: 12 })).toBe(12);
+    expect(getCategoryInflationRate('Food', { Food: 0 })).toBe(0);
+  });
+});
+
+describe('projectCashflow', () => {
+  const cashflow = {
+    income: [{ name: 'Salary', amount: 100000, growthRate: 10 }],
+    expenses: [
+      { category: 'Food', name: 'Groceries', amount: 20000 },
+      { category: 'Education', name: 'Fees', amount: 10000 }
+    ]
+  };
+
+  it('Projects 30 years by default with calendar years', () => {
+    const rows = projectCashflow(cashflow, [], { startDate });
+    expect(rows).toHaveLength(PROJECTION_YEARS);
+    expect(rows[0]).toMatchObject({ year: 1, calendarYear: 2026 });
+    expect(rows[29].calendarYear).toBe(2055);
+  });
+
+  it("Year 1 matches today's monthly snapshot", () => {
+    const [first] = projectCashflow(cashflow, [], { startDate });
+    expect(first.income).toBeCloseTo(100000, 6);
+    expect(first.expenses).toBeCloseTo(30000, 6);
+    expect(first.surplus).toBeCloseTo(70000, 6);
+  });
+
+  it('Grows income and inflates expenses by category', () => {
+    const rows = projectCashflow(cashflow, [], { years: 11, startDate });
+    expect(rows[10].income).toBeCloseTo(100000 * Math.pow(1.10, 10), 4);
+    expect(rows[10].expenses).toBeCloseTo(20000 * Math.pow(1.06, 10) + 10000 * Math.pow(1.10, 10), 4);
+  });
+
+  it('Uses the default raise for income without a growth rate', () => {
+    const rows = projectCashflow({ income: [{ amount: 50000 }], expenses: [] }, [], { years: 2, startDate });
+    expect(rows[1].income).toBeCloseTo(50000 * 1.07, 6);
+  });
+
+  it('Applies category inflation overrides', () => {
+    const rows = projectCashflow(cashflow, [], { years: 2, startDate, categoryInflation: { Food: 0, Education: 0 } });
+    expect(rows[1].expenses).toBeCloseTo(30000, 6);
+  });
+
+  it('Drops loan EMIs after their payoff month without inflating them', () => {
+    const withLoan = {
+      income: [{ amount: 100000, growthRate: 0 }],
+      expenses: [{ category: 'EMIs/Loans', name: 'Car EMI', amount: 12000, endDate: '2027-06' }]
+    };
+    const rows = projectCashflow(withLoan, [], { years: 3, startDate });
+    expect(rows[0].expenses).toBeCloseTo(12000, 6);
+    expect(rows[1].expenses).toBeCloseTo(12000 * 6 / 12, 6); // Jan-Jun 2027
+    expect(rows[2].expenses).toBe(0);
+  });
+
+  it('Steps SIPs up yearly and stops each at its goal date', () => {
+    const goalSips = [
+      { monthlySIP: 10000, months: 18, annualStepUp: 10 },
+      { monthlySIP: 5000, months: 360, annualStepUp: 0 }
+    ];
+    const rows = projectCashflow(cashflow, goalSips, { years: 3, startDate });
+    expect(rows[0].sip).toBeCloseTo(15000, 6);
+    expect(rows[1].sip).toBeCloseTo((11000 * 6 + 5000 * 12) / 12, 6);
+    expect(rows[2].sip).toBeCloseTo(5000, 6);
+    expect(rows[0].balance).toBeCloseTo(rows[0].surplus - rows[0].sip, 6);
+  });
+
+  it('Counts yearly and one-off items in the year they fall due', () => {
+    const lumpy = {
+      income: [{ amount: 100000, growthRate: 0 }, { name: 'Bonus', amount: 240000, growthRate: 0, frequency: 'yearly', date: '2026-03' }],
+      expenses: [
+        { category: 'Health & Insurance', name: 'Premium', amount: 24000, frequency: 'yearly', date: '2026-08' },
+        { category: 'Other', name: 'Wedding', amount: 600000, frequency: 'oneOff', date: '2027-11' }
+      ]
+    };
+    const rows = projectCashflow(lumpy, [], { years: 3, startDate, categoryInflation: { 'Health & Insurance': 0, Other: 0 } });
+    expect(rows[0].income).toBeCloseTo(120000, 6);
+    expect(rows[0].expenses).toBeCloseTo(2000, 6);
+    expect(rows[1].expenses).toBeCloseTo(2000 + 50000, 6);
+    expect(rows[2].expenses).toBeCloseTo(2000, 6);
+  });
+
+  it('Breaks the SIP total down by goal in input order', () => {
+    const goalSips = [
+      { monthlySIP: 10000, months: 12, annualStepUp: 0 },
+      { monthlySIP: 5000, months: 24, annualStepUp: 10 }
+    ];
+    const rows = projectCashflow(cashflow, goalSips, { years: 2, startDate });
+    expect(rows[0].goalSips).toEqual([10000, 5000]);
+    expect(rows[1].goalSips[0]).toBe(0);
+    expect(rows[1].goalSips[1]).toBeCloseTo(5500, 6);
+    expect(rows[1].sip).toBeCloseTo(5500, 6);
+  });
+});
+
+describe('getFirstShortfallYear', () => {
+  it('Finds the first year SIPs outgrow the surplus', () => {
+    // Flat income, 6% expense inflation, 10% SIP step-up
+    const cashflow = {
+      income: [{ amount: 100000, growthRate: 0 }],
+      expenses: [{ category: 'Food', amount: 50000 }]
+    };
+    const rows = projectCashflow(cashflow, [{ monthlySIP: 30000, months: 360, annualStepUp: 10 }], { startDate });
+    const shortfall = getFirstShortfallYear(rows);
+    expect(shortfall).not.toBeNull();
+    expect(shortfall.year).toBeGreaterThan(1);
+    expect(rows[shortfall.year - 2].balance).toBeGreaterThanOrEqual(0);
+    expect(shortfall.balance).toBeLessThan(0);
+  });
+
+  it('Returns null when SIPs stay affordable', () => {
+    const cashflow = { income: [{ amount: 100000, growthRate: 10 }], expenses: [] };
+    const rows = projectCashflow(cashflow, [{ monthlySIP: 20000, months: 360, annualStepUp: 5 }], { startDate });
+    expect(getFirstShortfallYear(rows)).toBeNull();
+  });
+
+  it('getShortfallYears lists every year SIPs do not fit', () => {
+    const cashflow = { income: [{ amount: 50000, growthRate: 0 }], expenses: [] };
+    const goalSips = [{ monthlySIP: 60000, months: 24, annualStepUp: 0 }];
+    const rows = projectCashflow(cashflow, goalSips, { years: 3, startDate });
+    expect(getShortfallYears(rows).map(r => r.calendarYear)).toEqual([2026, 2027]);
+  });
+
+  it('Ignores deficits in years without SIPs', () => {
+    const rows = projectCashflow({ income: [], expenses: [{ category: 'Food', amount: 1000 }] }, [], { years: 2, startDate });
+    expect(getFirstShortfallYear(rows)).toBeNull();
+  });
+});
+
+describe('getProjectionYears', () => {
+  it('Projects the full horizon without a retirement goal', () => {
+    expect(getProjectionYears([createGoal()])).toBe(PROJECTION_YEARS);
+  });
+
+  it('Stops at retirement when it comes sooner', () => {
+    const now = new Date();
+    const targetDate = `${now.getFullYear() + 12}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+    const retirement = createGoal({ goalType: 'retirement', targetDate });
+    expect(getProjectionYears([retirement])).toBe(12);
+  });
+});
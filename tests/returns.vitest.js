@@ -0,0 +1,114 @@
+// Unit tests for returns.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  getAssetFlows,
+  getReturnSummary,
+  getClassReturns,
+  getGoalReturns,
+  getAssumedReturn,
+  validateCashflow
+} from '../modules/returns.js';
+import { createGoal } from './helpers.js';
+
+const asOf = new Date(2026, 0, 1); // 1 Jan 2026
+
+function createAsset(overrides = {}) {
+  return {
+    id: 'nifty',
+    name: 'Nifty 50 Index Fund',
+    category: 'Equity Mutual Funds',
+    value: 121000,
+    cashflows: [{ id: 'c1', date: '2024-01-01', type: 'invest', amount: 100000 }],
+    ...overrides
+  };
+}
+
+describe('getAssetFlows', () => {
+  it('Investments are outflows and the current value closes the series', () => {
+    const flows = getAssetFlows(createAsset({
+      cashflows: [
+        { id: 'c1', date: '2024-01-01', type: 'invest', amount: 100000 },
+        { id: 'c2', date: '2025-01-01', type: 'withdraw', amount: 5000 }
+      ]
+    }), asOf);
+    expect(flows).toEqual([
+      { date: '2024-01-01', amount: -100000 },
+      { date: '2025-01-01', amount: 5000 },
+      { date: '2026-01-01', amount: 121000 }
+    ]);
+  });
+
+  it('Is empty without recorded cash flows', () => {
+    expect(getAssetFlows(createAsset({ cashflows: [] }), asOf)).toEqual([]);
+  });
+});
+
+describe('getReturnSummary', () => {
+  it('Reports money in, out, gain and XIRR', () => {
+    const summary = getReturnSummary([createAsset()], asOf);
+    expect(summary.invested).toBe(100000);
+    expect(summary.withdrawn).toBe(0);
+    expect(summary.gain).toBe(21000);
+    expect(summary.years).toBeCloseTo(731 / 365, 6);
+    // 21% over two years (one leap day)
+    expect(summary.xirr).toBeCloseTo((Math.pow(1.21, 365 / 731) - 1) * 100, 4);
+  });
+
+  it('Skips assets without cash flows', () => {
+    const untracked = createAsset({ id: 'fd', cashflows: undefined, value: 500000 });
+    const summary = getReturnSummary([createAsset(), untracked], asOf);
+    expect(summary.assetCount).toBe(1);
+    expect(summary.value).toBe(121000);
+    expect(getReturnSummary([untracked], asOf)).toBeNull();
+  });
+
+  it('Scales an asset by its share', () => {
+    const summary = getReturnSummary([createAsset()], asOf, { nifty: 0.5 });
+    expect(summary.invested).toBe(50000);
+    expect(summary.value).toBe(60500);
+    expect(summary.xirr).toBeCloseTo(getReturnSummary([createAsset()], asOf).xirr, 8);
+  });
+});
+
+describe('getClassReturns', () => {
+  it('Groups tracked assets by class', () => {
+    const fd = createAsset({
+      id: 'fd',
+      category: 'FDs & RDs',
+      value: 107000,
+      cashflows: [{ id: 'c1', date: '2025-01-01', type: 'invest', amount: 100000 }]
+    });
+    const rows = getClassReturns([createAsset(), fd, createAsset({ id: 'house', category: 'House', cashflows: [] })], asOf);
+    expect(rows.map(r => r.assetClass)).toEqual(['Equity', 'Debt']);
+    expect(rows[1].xirr).toBeCloseTo(7, 6);
+  });
+});
+
+describe('getGoalReturns', () => {
+  it('Counts the linked share of each tracked asset', () => {
+    const goal = createGoal({ id: 'g1', name: 'House', linkedAssets: [{ assetId: 'nifty', amount: 60500 }] });
+    const unlinked = createGoal({ id: 'g2', name: 'Car' });
+    const rows = getGoalReturns([goal, unlinked], [createAsset()], asOf);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ goalId: 'g1', name: 'House', invested: 50000, value: 60500 });
+  });
+});
+
+describe('getAssumedReturn', () => {
+  it('Uses the equity and debt sliders', () => {
+    expect(getAssumedReturn('Equity', 10, 5)).toBe(10);
+    expect(getAssumedReturn('Debt', 10, 5)).toBe(5);
+    expect(getAssumedReturn('Gold', 10, 5)).toBeNull();
+  });
+});
+
+describe('validateCashflow', () => {
+  it('Requires a past date, a type and an amount', () => {
+    const today = new Date(2026, 0, 1);
+    expect(validateCashflow({ date: '2025-06-01', type: 'invest', amount: 1000 }, today).valid).toBe(true);
+    expect(validateCashflow({ date: '', type: 'invest', amount: 1000 }, today).error).toBe('Enter the date');
+    expect(validateCashflow({ date: '2026-01-02', type: 'invest', amount: 1000 }, today).error).toBe('Date cannot be in the future');
+    expect(validateCashflow({ date: '2025-06-01', type: 'dividend', amount: 1000 }, today).error).toBe('Choose invested or withdrawn');
+    expect(validateCashflow({ date: '2025-06-01', type: 'withdraw', amount: 0 }, today).error).toBe('Amount must be more than zero');
+  });
+});
@@ -0,0 +1,152 @@
+// Unit tests for scenarios.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  getBaseSettings,
+  getScenarioSettings,
+  applyScenario,
+  validateScenario,
+  evaluateScenario,
+  getScenarioSimulation,
+  withProbabilities,
+  describeScenario,
+  getOverrides,
+  promoteScenario
+} from '../modules/scenarios.js';
+import { runMonteCarlo } from '../modules/montecarlo.js';
+import { createTestData, createGoal } from './helpers.js';
+
+const now = new Date(2026, 3, 10); // 10 Apr 2026
+
+function createData() {
+  const data = createTestData([], [
+    createGoal({ id: 'g1', name: 'House', yearsFromNow: 20, targetAmount: 30000000 }),
+    createGoal({ id: 'g2', name: 'Car', yearsFromNow: 2, targetAmount: 800000 })
+  ]);
+  data.cashflow.income = [{ id: 'i1', name: 'Salary', amount: 200000 }];
+  data.cashflow.expenses = [{ id: 'e1', category: 'Housing', name: 'Rent', amount: 50000 }];
+  data.scenarios = [];
+  return data;
+}
+
+describe('getScenarioSettings', () => {
+  it('Overlays scenario values on the base settings', () => {
+    const data = createData();
+    const settings = getScenarioSettings(data, { settings: { equityReturn: 12, investmentStepUp: 0 } });
+    expect(settings).toEqual({ ...getBaseSettings(data), equityReturn: 12, investmentStepUp: 0 });
+    expect(getScenarioSettings(data, null)).toEqual(getBaseSettings(data));
+  });
+});
+
+describe('applyScenario', () => {
+  it('Applies goal edits without touching the stored plan', () => {
+    const data = createData();
+    const scenario = { settings: { equityReturn: 12 }, goals: { g2: { targetDate: '2030-01-01' }, gone: { targetAmount: 1 } } };
+    const result = applyScenario(data, scenario);
+    expect(result.goals.map(g => g.targetDate)).toEqual([data.goals[0].targetDate, '2030-01-01']);
+    expect(result.settings.equityReturn).toBe(12);
+    expect(data.settings.equityReturn).toBe(10);
+    expect(data.goals[1].targetDate).not.toBe('2030-01-01');
+  });
+});
+
+describe('validateScenario', () => {
+  const existing = [{ id: 'sc1', name: 'Optimistic' }];
+
+  it('Requires a unique name', () => {
+    expect(validateScenario({ name: ' ' }, existing, now).error).toBe('Enter a scenario name');
+    expect(validateScenario({ name: 'optimistic' }, existing, now).error).toBe('A scenario with this name already exists');
+    expect(validateScenario({ id: 'sc1', name: 'Optimistic' }, existing, now).valid).toBe(true);
+  });
+
+  it('Keeps settings within the slider ranges', () => {
+    expect(validateScenario({ name: 'A', settings: { equityReturn: 15 } }, [], now).error).toBe('Equity return must be between 8% and 13%');
+    expect(validateScenario({ name: 'A', settings: { investmentStepUp: NaN } }, [], now).error).toBe('Investment step-up must be between 0% and 10%');
+  });
+
+  it('Checks goal edits', () => {
+    expect(validateScenario({ name: 'A', goals: { g1: { targetAmount: 0 } } }, [], now).error).toBe('Target amounts must be more than zero');
+    expect(validateScenario({ name: 'A', goals: { g1: { targetDate: '2026-01-01' } } }, [], now).error).toBe('Target dates must be in the future');
+    expect(validateScenario({ name: 'A', goals: { g1: { targetDate: '2031-01-01', targetAmount: 5000000 } } }, [], now).valid).toBe(true);
+  });
+});
+
+describe('getOverrides', () => {
+  it('Keeps only what differs from the base plan', () => {
+    const data = createData();
+    const base = getBaseSettings(data);
+    const sameMonth = `${data.goals[0].targetDate.slice(0, 7)}-01`;
+    const overrides = getOverrides(data, { ...base, equityReturn: 12 }, {
+      g1: { targetAmount: 30000000, targetDate: sameMonth },
+      g2: { targetAmount: 1000000, targetDate: `${data.goals[1].targetDate.slice(0, 7)}-01` }
+    });
+    expect(overrides).toEqual({ settings: { equityReturn: 12 }, goals: { g2: { targetAmount: 1000000 } } });
+  });
+});
+
+describe('evaluateScenario', () => {
+  it('Reports total SIP, per-goal SIP and the monthly margin', () => {
+    const data = createData();
+    const result = evaluateScenario(data, null, { simulations: 0 });
+    expect(result.goals.map(g => g.id)).toEqual(['g1', 'g2']);
+    expect(result.totalSIP).toBeCloseTo(result.goals[0].monthlySIP + result.goals[1].monthlySIP, 6);
+    expect(result.surplus).toBe(150000);
+    expect(result.margin).toBeCloseTo(150000 - result.totalSIP, 6);
+    expect(result.goals[0].probability).toBeNull();
+  });
+
+  it('Pushing a goal back needs a smaller SIP', () => {
+    const data = createData();
+    const later = new Date();
+    later.setFullYear(later.getFullYear() + 25);
+    const base = evaluateScenario(data, null, { simulations: 0 });
+    const scenario = evaluateScenario(data, { goals: { g1: { targetDate: later.toISOString().split('T')[0] } } }, { simulations: 0 });
+    expect(scenario.goals[0].monthlySIP).toBeLessThan(base.goals[0].monthlySIP);
+    expect(scenario.goals[1].monthlySIP).toBeCloseTo(base.goals[1].monthlySIP, 2);
+    expect(scenario.margin).toBeGreaterThan(base.margin);
+  });
+
+  it('Simulates each goal under the scenario settings', () => {
+    const data = createData();
+    const result = evaluateScenario(data, { settings: { equityReturn: 12 } }, { simulations: 200 });
+    result.goals.forEach(g => {
+      expect(g.probability).toBeGreaterThanOrEqual(0);
+      expect(g.probability).toBeLessThanOrEqual(1);
+    });
+    const again = evaluateScenario(data, { settings: { equityReturn: 12 } }, { simulations: 200 });
+    expect(again.goals.map(g => g.probability)).toEqual(result.goals.map(g => g.probability));
+  });
+
+  it('Gives the same chances when the simulation runs separately', () => {
+    const data = createData();
+    const scenario = { settings: { equityReturn: 12 } };
+    const { inputs, options } = getScenarioSimulation(data, scenario, 200);
+    expect(inputs.map(i => i.id)).toEqual(['g1', 'g2']);
+    const separate = withProbabilities(evaluateScenario(data, scenario, { simulations: 0 }), runMonteCarlo(inputs, options));
+    const together = evaluateScenario(data, scenario, { simulations: 200 });
+    expect(separate.goals.map(g => g.probability)).toEqual(together.goals.map(g => g.probability));
+  });
+});
+
+describe('describeScenario', () => {
+  it('Lists changed settings and goals', () => {
+    const data = createData();
+    const changes = describeScenario(data, { settings: { equityReturn: 12, debtReturn: 5 }, goals: { g2: { targetDate: '2030-01-01' } } });
+    expect(changes).toEqual(['Equity return 12%', 'Car by Jan 2030']);
+  });
+});
+
+describe('promoteScenario', () => {
+  it('Writes the scenario into the base plan and removes it', () => {
+    const data = createData();
+    data.scenarios = [
+      { id: 'sc1', name: 'Optimistic', settings: { equityReturn: 12 }, goals: { g2: { targetAmount: 1000000 } } },
+      { id: 'sc2', name: 'Cautious', settings: { equityReturn: 8 }, goals: {} }
+    ];
+    expect(promoteScenario(data, 'sc1')).toBe(true);
+    expect(data.settings.equityReturn).toBe(12);
+    expect(data.goals[1].targetAmount).toBe(1000000);
+    expect(data.goals[1].id).toBe('g2');
+    expect(data.scenarios.map(s => s.id)).toEqual(['sc2']);
+    expect(promoteScenario(data, 'missing')).toBe(false);
+  });
+});
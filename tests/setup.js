@@ -0,0 +1,6 @@
+// Every test starts on an empty in-memory storage adapter
+import { beforeEach } from 'vitest';
+import { initStorage } from '../modules/storage.js';
+import { createMemoryAdapter } from '../modules/adapters.js';
+
+beforeEach(() => initStorage(createMemoryAdapter()));
@@ -0,0 +1,201 @@
+// Unit tests for statement.js (Vitest)
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  SKIP_CATEGORY,
+  DEFAULT_EXPENSE_RULES,
+  parseCsv,
+  parseStatementDate,
+  getSpend,
+  guessColumnMapping,
+  findHeaderRow,
+  validateColumnMapping,
+  readTransactions,
+  mergeStatements,
+  categorizeTransaction,
+  getStatementMonths,
+  buildMonthlyExpenses,
+  initStatementImport
+} from '../modules/statement.js';
+import { expenseCategories } from '../modules/cashflow.js';
+import { createTestData } from './helpers.js';
+
+const BANK_CSV = `Account Statement for XXXXXX1234
+Period,01/01/2026 to 28/02/2026
+
+Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance
+02/01/26,SALARY JAN,,02/01/26,,"1,50,000.00","2,00,000.00"
+03/01/26,UPI-SWIGGY-swiggy@icici,4001,03/01/26,450.00,,"1,99,550.00"
+05/01/26,"RENT, FLAT 402",4002,05/01/26,"30,000.00",,"1,69,550.00"
+10/01/26,ACH D- HDFC MUTUAL FUND SIP,4003,10/01/26,"10,000.00",,"1,59,550.00"
+28/02/26,UPI-UBER INDIA,4004,28/02/26,320.00,,"1,59,230.00"
+Closing balance,,,,,,"1,59,230.00"
+`;
+
+describe('parseCsv', () => {
+  it('Handles quoted commas, escaped quotes and blank lines', () => {
+    expect(parseCsv('a,"b, c","say ""hi"""\r\n\r\n1,2,3')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', '2', '3']
+    ]);
+  });
+});
+
+describe('parseStatementDate', () => {
+  it('Reads Indian statement date formats, day first', () => {
+    expect(parseStatementDate('05/01/2026')).toBe('2026-01-05');
+    expect(parseStatementDate('05-01-26')).toBe('2026-01-05');
+    expect(parseStatementDate('5-Jan-2026')).toBe('2026-01-05');
+    expect(parseStatementDate('05 January 2026')).toBe('2026-01-05');
+    expect(parseStatementDate('2026-01-05')).toBe('2026-01-05');
+    expect(parseStatementDate('31/12/2025 18:42')).toBe('2025-12-31');
+  });
+
+  it('Rejects anything else', () => {
+    expect(parseStatementDate('Closing balance')).toBeNull();
+    expect(parseStatementDate('13/13/2026')).toBeNull();
+    expect(parseStatementDate('')).toBeNull();
+  });
+});
+
+describe('getSpend', () => {
+  it('A withdrawal column counts every amount except credits', () => {
+    expect(getSpend('1,250.00', 'withdrawal')).toBe(1250);
+    expect(getSpend('', 'withdrawal')).toBe(0);
+    expect(getSpend('500.00 Cr', 'withdrawal')).toBe(0);
+  });
+
+  it('A signed column counts negatives and debits', () => {
+    expect(getSpend('-450', 'signed')).toBe(450);
+    expect(getSpend('(450.00)', 'signed')).toBe(450);
+    expect(getSpend('2,000.00 Dr', 'signed')).toBe(2000);
+    expect(getSpend('2,000.00DR', 'signed')).toBe(2000);
+    expect(getSpend('2,000.00', 'signed')).toBe(0);
+  });
+});
+
+describe('Column mapping', () => {
+  it('Finds the header row below the account details', () => {
+    const rows = parseCsv(BANK_CSV);
+    expect(findHeaderRow(rows)).toBe(2);
+    expect(guessColumnMapping(rows[2])).toEqual({ date: 0, description: 1, amount: 4, amountType: 'withdrawal' });
+  });
+
+  it('Falls back to a signed amount column', () => {
+    expect(guessColumnMapping(['Transaction Date', 'Value Date', 'Description', 'Amount (INR)']))
+      .toEqual({ date: 0, description: 2, amount: 3, amountType: 'signed' });
+  });
+
+  it('Requires date, description and amount columns', () => {
+    expect(validateColumnMapping({ date: 0, description: 1, amount: 4, amountType: 'withdrawal' }).valid).toBe(true);
+    expect(validateColumnMapping({ date: -1, description: 1, amount: 4, amountType: 'withdrawal' }).error).toBe('Choose the date column');
+    expect(validateColumnMapping({ date: 0, description: -1, amount: 4, amountType: 'withdrawal' }).error).toBe('Choose the description column');
+    expect(validateColumnMapping({ date: 0, description: 1, amount: -1, amountType: 'withdrawal' }).error).toBe('Choose the amount column');
+    expect(validateColumnMapping({ date: 0, description: 1, amount: 4, amountType: 'net' }).error).toBe('Choose how amounts are written');
+  });
+});
+
+describe('readTransactions', () => {
+  it('Keeps dated spending and drops deposits and footers', () => {
+    const rows = parseCsv(BANK_CSV);
+    const transactions = readTransactions(rows.slice(3), guessColumnMapping(rows[2]));
+    expect(transactions.map(t => [t.date, t.amount])).toEqual([
+      ['2026-01-03', 450],
+      ['2026-01-05', 30000],
+      ['2026-01-10', 10000],
+      ['2026-02-28', 320]
+    ]);
+    expect(transactions[1].description).toBe('RENT, FLAT 402');
+  });
+});
+
+describe('mergeStatements', () => {
+  it('Drops transactions repeated across overlapping statements', () => {
+    const coffee = { date: '2026-01-03', description: 'CAFE', amount: 200 };
+    const rent = { date: '2026-01-05', description: 'RENT', amount: 30000 };
+    const fuel = { date: '2026-02-01', description: 'FUEL', amount: 2000 };
+    const merged = mergeStatements([[coffee, coffee, rent], [rent, fuel]]);
+    expect(merged).toEqual([coffee, coffee, rent, fuel]);
+  });
+});
+
+describe('categorizeTransaction', () => {
+  it('Matches keywords at the start of a word', () => {
+    expect(categorizeTransaction('UPI-SWIGGY-swiggy@icici', DEFAULT_EXPENSE_RULES)).toBe('Food');
+    expect(categorizeTransaction('POS AMAZON PAY INDIA', DEFAULT_EXPENSE_RULES)).toBe('Lifestyle');
+    expect(categorizeTransaction('ACH D- HDFC MUTUAL FUND SIP', DEFAULT_EXPENSE_RULES)).toBe(SKIP_CATEGORY);
+    expect(categorizeTransaction('HDFC ERGO PREMIUM', DEFAULT_EXPENSE_RULES)).toBe('Other');
+    expect(categorizeTransaction('NEFT TO RAMESH', DEFAULT_EXPENSE_RULES)).toBe('Other');
+  });
+
+  it('Finds a word-start match after the keyword appears inside another word', () => {
+    expect(categorizeTransaction('UPI/BHOLANATH/OLA CABS', DEFAULT_EXPENSE_RULES)).toBe('Transport');
+    expect(categorizeTransaction('UPI/BHOLANATH', DEFAULT_EXPENSE_RULES)).toBe('Other');
+  });
+
+  it('First matching rule wins', () => {
+    const rules = [{ category: 'Children', keywords: ['amazon'] }, ...DEFAULT_EXPENSE_RULES];
+    expect(categorizeTransaction('AMAZON', rules)).toBe('Children');
+  });
+
+  it('Default rules cover every expense category', () => {
+    expect(DEFAULT_EXPENSE_RULES.map(r => r.category).filter(c => c !== SKIP_CATEGORY))
+      .toEqual(expenseCategories.map(c => c.name));
+  });
+});
+
+describe('getStatementMonths', () => {
+  it('Counts months from the first to the last transaction', () => {
+    const on = dates => dates.map(date => ({ date }));
+    expect(getStatementMonths(on(['2026-01-01', '2026-01-31']))).toBe(1);
+    expect(getStatementMonths(on(['2026-01-15', '2026-03-15']))).toBe(2);
+    expect(getStatementMonths(on(['2026-01-01', '2026-03-31']))).toBe(3);
+    expect(getStatementMonths([])).toBe(1);
+  });
+});
+
+describe('buildMonthlyExpenses', () => {
+  it('Averages each category over the months and leaves skipped ones out', () => {
+    const expenses = buildMonthlyExpenses([
+      { amount: 30000, category: 'Housing' },
+      { amount: 30000, category: 'Housing' },
+      { amount: 450, category: 'Food' },
+      { amount: 551, category: 'Food' },
+      { amount: 10000, category: SKIP_CATEGORY }
+    ], 2);
+    expect(expenses.map(e => [e.category, e.amount, e.count])).toEqual([
+      ['Housing', 30000, 2],
+      ['Food', 501, 2]
+    ]);
+    expect(expenses[0].name).toBe('From statement (2-month average)');
+  });
+});
+
+describe('Statement import modal', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('Shows descriptions and headers from the file as plain text', () => {
+    const markup = '<img src=x onerror=alert(1)>';
+    const csv = `Date,Narration ${markup},Withdrawal Amt.,Deposit Amt.
+03/01/26,UPI-${markup}-swiggy,450.00,
+`;
+    document.body.innerHTML = '<button id="import-statement-btn"></button><input type="file" id="import-statement-input">';
+    initStatementImport(() => createTestData(), () => {});
+    const input = document.getElementById('import-statement-input');
+    Object.defineProperty(input, 'files', { value: [new File([csv], 'statement.csv')], configurable: true });
+    input.dispatchEvent(new Event('change'));
+
+    return vi.waitFor(() => expect(document.getElementById('read-statement-btn')).not.toBeNull())
+      .then(() => {
+        const options = [...document.querySelectorAll('.statement-mapping[data-field="description"] option')];
+        expect(options.some(o => o.textContent === `Narration ${markup}`)).toBe(true);
+        document.getElementById('read-statement-btn').click();
+
+        const modal = document.getElementById('statement-modal-overlay');
+        expect(modal.querySelector('img')).toBeNull();
+        expect(modal.textContent).toContain(`UPI-${markup}-swiggy`);
+        expect(modal.querySelector(`[title="UPI-${markup}-swiggy"]`)).not.toBeNull();
+      });
+  });
+});
@@ -1,5 +1,5 @@
 // Unit tests for storage.js (Vitest)
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   generateId,
   loadData,
@@ -18,7 +18,21 @@ import {
   getNpsStepUp,
   setNpsStepUp,
   getInvestmentStepUp,
+  getCategoryInflation,
+  setCategoryInflation,
+  getAssignStrategy,
+  setAssignStrategy,
+  getTaxProfile,
+  setTaxProfile,
+  getExpenseRules,
+  setExpenseRules,
   setInvestmentStepUp,
+  getEquityVolatility,
+  setEquityVolatility,
+  getDebtVolatility,
+  setDebtVolatility,
+  getReturnCorrelation,
+  setReturnCorrelation,
   addIncome,
   updateIncome,
   deleteIncome,
@@ -36,8 +50,45 @@ import {
   deleteLiability,
   linkAssetToGoal,
   unlinkAssetFromGoal,
-  updateLinkedAssetAmount
+  updateLinkedAssetAmount,
+  setLinkLocked,
+  setGoalLinksLocked,
+  migrateData,
+  getDataSchemaVersion,
+  isStoredByNewerVersion,
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  saveSnapshot,
+  deleteSnapshot,
+  addTransaction,
+  deleteTransaction,
+  addScenario,
+  updateScenario,
+  deleteScenario,
+  getAutoLockMinutes,
+  setAutoLockMinutes,
+  isStoredEncrypted,
+  isEncryptionEnabled,
+  enableEncryption,
+  unlockData,
+  readStoredData,
+  changePassphrase,
+  disableEncryption,
+  lockData,
+  flushSaves,
+  initStorage,
+  setSaveErrorListener,
+  watchExternalChanges,
+  getProfiles,
+  getActiveProfile,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  deleteProfile,
+  switchProfile
 } from '../modules/storage.js';
+import { createMemoryAdapter } from '../modules/adapters.js';
+import { useMemoryStorage, createFakeIndexedDB, STORAGE_KEY } from './helpers.js';
 
 // Helper to get fresh data
 function getFreshData() {
@@ -62,15 +113,6 @@ function getFreshData() {
   };
 }
 
-// Clear localStorage before each test
-beforeEach(() => {
-  localStorage.clear();
-});
-
-afterEach(() => {
-  localStorage.clear();
-});
-
 describe('ID Generation', () => {
   it('Returns a string', () => {
     expect(typeof generateId()).toBe('string');
@@ -129,21 +171,229 @@ describe('Load/Save Data', () => {
   });
 
   it('Handles corrupted JSON gracefully', () => {
-    localStorage.setItem('financial-planner-data', 'not valid json {{{');
-    const data = loadData();
-    expect(data.settings).toBeDefined();
-    expect(data.cashflow).toBeDefined();
+    return useMemoryStorage('not valid json {{{').then(() => {
+      const data = loadData();
+      expect(data.settings).toBeDefined();
+      expect(data.cashflow).toBeDefined();
+    });
   });
 
   it('Merges with defaults for schema updates', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
+    return useMemoryStorage(JSON.stringify({
       settings: { currency: 'INR' },
       goals: []
-    }));
+    })).then(() => {
+      const data = loadData();
+      expect(data.settings.currency).toBe('INR');
+      expect(data.cashflow.income).toBeDefined();
+    });
+  });
+});
 
-    const data = loadData();
-    expect(data.settings.currency).toBe('INR');
-    expect(data.cashflow.income).toBeDefined();
+describe('Storage adapter', () => {
+  afterEach(() => {
+    setSaveErrorListener(null);
+    delete globalThis.indexedDB;
+    localStorage.clear();
+  });
+
+  it('A burst of saves writes only the latest data', () => {
+    const adapter = createMemoryAdapter();
+    let writes = 0;
+    const write = adapter.write;
+    adapter.write = (key, text) => {
+      writes++;
+      return write(key, text);
+    };
+    return initStorage(adapter).then(() => {
+      const data = getFreshData();
+      for (let i = 1; i <= 10; i++) setEquityReturn(data, i);
+      expect(loadData().settings.equityReturn).toBe(10);
+      return flushSaves();
+    }).then(() => {
+      expect(writes).toBeLessThanOrEqual(2);
+      expect(JSON.parse(adapter.store[STORAGE_KEY]).settings.equityReturn).toBe(10);
+    });
+  });
+
+  it('Reports a full quota and clears the error once a save succeeds', () => {
+    const adapter = createMemoryAdapter({}, { quota: 2000 });
+    const reported = [];
+    setSaveErrorListener(error => reported.push(error && error.name));
+    return initStorage(adapter).then(() => {
+      const data = getFreshData();
+      addIncome(data, { name: 'x'.repeat(3000), amount: 1 });
+      return flushSaves().then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(err.name).toBe('QuotaExceededError');
+        expect(reported).toEqual(['QuotaExceededError']);
+        expect(adapter.store[STORAGE_KEY]).toBeUndefined();
+        deleteIncome(data, data.cashflow.income[0].id);
+        return flushSaves();
+      });
+    }).then(() => {
+      expect(reported).toEqual(['QuotaExceededError', null]);
+      expect(JSON.parse(adapter.store[STORAGE_KEY]).cashflow.income).toEqual([]);
+    });
+  });
+
+  it('clearData removes the stored data', () => {
+    return useMemoryStorage(JSON.stringify(getFreshData())).then(store => {
+      clearData();
+      return flushSaves().then(() => expect(store).toEqual({}));
+    });
+  });
+
+  it('Falls back to localStorage without IndexedDB', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ goals: [{ id: 'g1', name: 'Goal' }] }));
+    return initStorage().then(name => {
+      expect(name).toBe('localStorage');
+      expect(loadData().goals[0].name).toBe('Goal');
+    });
+  });
+
+  it('Moves localStorage data to IndexedDB once', () => {
+    const factory = createFakeIndexedDB();
+    globalThis.indexedDB = factory;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ goals: [{ id: 'g1', name: 'Goal' }] }));
+    return initStorage().then(name => {
+      expect(name).toBe('indexedDB');
+      expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+      const data = loadData();
+      expect(data.goals[0].name).toBe('Goal');
+      addGoal(data, { id: 'g2', name: 'Second', targetAmount: 100000 });
+      return flushSaves();
+    }).then(() => {
+      expect(JSON.parse(factory.stores.keyval.get(STORAGE_KEY)).goals).toHaveLength(2);
+      expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+  });
+});
+
+describe('Profiles', () => {
+  const PROFILES_KEY = 'rupeefolio-profiles';
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createMemoryAdapter();
+    return initStorage(adapter);
+  });
+
+  afterEach(() => {
+    sessionStorage.clear();
+  });
+
+  it('Starts with one default profile stored under the original key', () => {
+    expect(getProfiles()).toEqual([{ id: 'default', name: 'My Plan' }]);
+    expect(getActiveProfile().id).toBe('default');
+    saveData(getFreshData());
+    return flushSaves().then(() => {
+      expect(Object.keys(adapter.store)).toEqual([STORAGE_KEY]);
+    });
+  });
+
+  it('Keeps each profile\'s data separate', () => {
+    const data = getFreshData();
+    addGoal(data, { id: 'g1', name: 'Own house', targetAmount: 100000 });
+    let parents;
+    return createProfile('Parents')
+      .then(profile => {
+        parents = profile;
+        return switchProfile(parents.id);
+      })
+      .then(() => initStorage(adapter))
+      .then(() => {
+        expect(getActiveProfile()).toEqual(parents);
+        const parentsData = loadData();
+        expect(parentsData.goals).toEqual([]);
+        addGoal(parentsData, { id: 'g2', name: 'Pilgrimage', targetAmount: 50000 });
+        return flushSaves();
+      })
+      .then(() => {
+        expect(JSON.parse(adapter.store[STORAGE_KEY]).goals.map(g => g.name)).toEqual(['Own house']);
+        expect(JSON.parse(adapter.store[`${STORAGE_KEY}:${parents.id}`]).goals.map(g => g.name)).toEqual(['Pilgrimage']);
+        expect(JSON.parse(adapter.store[PROFILES_KEY]).active).toBe(parents.id);
+      });
+  });
+
+  it('Creates a profile from data at the current schema version', () => {
+    return createProfile('Sample Plan', getFreshData()).then(profile => {
+      expect(JSON.parse(adapter.store[`${STORAGE_KEY}:${profile.id}`]).schemaVersion).toBe(SCHEMA_VERSION);
+      expect(getProfiles().map(p => p.name)).toEqual(['My Plan', 'Sample Plan']);
+    });
+  });
+
+  it('Duplicates a profile\'s stored data', () => {
+    const data = getFreshData();
+    addGoal(data, { id: 'g1', name: 'Car', targetAmount: 100000 });
+    return duplicateProfile('default', 'My Plan (copy)').then(copy => {
+      expect(copy.name).toBe('My Plan (copy)');
+      expect(adapter.store[`${STORAGE_KEY}:${copy.id}`]).toBe(adapter.store[STORAGE_KEY]);
+    });
+  });
+
+  it('Renames and deletes profiles, but never the last one', () => {
+    let other;
+    return createProfile('Parents', getFreshData())
+      .then(profile => {
+        other = profile;
+        return renameProfile(other.id, 'Mom & Dad');
+      })
+      .then(() => {
+        expect(getProfiles().map(p => p.name)).toEqual(['My Plan', 'Mom & Dad']);
+        return deleteProfile(other.id);
+      })
+      .then(() => {
+        expect(getProfiles().map(p => p.id)).toEqual(['default']);
+        expect(adapter.store[`${STORAGE_KEY}:${other.id}`]).toBeUndefined();
+        return deleteProfile('default');
+      })
+      .then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(err.message).toBe('The only profile can\'t be deleted');
+      });
+  });
+
+  it('A tab keeps its profile when another tab switches', () => {
+    let parents;
+    return createProfile('Parents')
+      .then(profile => {
+        parents = profile;
+        return switchProfile(parents.id);
+      })
+      .then(() => {
+        // Another tab opens the default profile
+        adapter.store[PROFILES_KEY] = JSON.stringify({ ...JSON.parse(adapter.store[PROFILES_KEY]), active: 'default' });
+        return initStorage(adapter);
+      })
+      .then(() => {
+        expect(getActiveProfile().id).toBe(parents.id);
+        sessionStorage.clear(); // A new tab
+        return initStorage(adapter);
+      })
+      .then(() => expect(getActiveProfile().id).toBe('default'));
+  });
+
+  it('Ignores a stored profile list it can\'t read', () => {
+    adapter.store[PROFILES_KEY] = '{"profiles": "nope"}';
+    return initStorage(adapter).then(() => {
+      expect(getProfiles()).toEqual([{ id: 'default', name: 'My Plan' }]);
+    });
+  });
+
+  it('Only reports other tabs\' writes to the open profile and the profile list', () => {
+    const changes = [];
+    const otherTab = new BroadcastChannel('rupeefolio-storage');
+    watchExternalChanges(change => changes.push(change));
+    adapter.store[STORAGE_KEY] = JSON.stringify({ goals: [{ id: 'g1', name: 'From the other tab' }] });
+
+    otherTab.postMessage({ key: `${STORAGE_KEY}:someone-else` });
+    otherTab.postMessage({ key: STORAGE_KEY });
+    otherTab.postMessage({ key: PROFILES_KEY });
+    return vi.waitFor(() => expect(changes).toHaveLength(2))
+      .then(() => {
+        expect(changes.sort()).toEqual(['data', 'profiles']);
+        expect(loadData().goals[0].name).toBe('From the other tab');
+      })
+      .finally(() => otherTab.close());
   });
 });
 
@@ -326,6 +576,196 @@ describe('Return Rate Settings', () => {
   });
 });
 
+describe('Volatility Settings', () => {
+  it('Defaults apply when not set', () => {
+    expect(getEquityVolatility({})).toBe(16);
+    expect(getDebtVolatility({ settings: {} })).toBe(2);
+    expect(getReturnCorrelation({})).toBe(0);
+  });
+
+  it('Default data includes volatility settings', () => {
+    clearData();
+    const data = loadData();
+    expect(data.settings.equityVolatility).toBe(16);
+    expect(data.settings.debtVolatility).toBe(2);
+    expect(data.settings.returnCorrelation).toBe(0);
+  });
+
+  it('Round-trip preserves volatility values', () => {
+    const data = getFreshData();
+    setEquityVolatility(data, 20);
+    setDebtVolatility(data, 4);
+    setReturnCorrelation(data, -0.2);
+
+    const loaded = loadData();
+    expect(getEquityVolatility(loaded)).toBe(20);
+    expect(getDebtVolatility(loaded)).toBe(4);
+    expect(getReturnCorrelation(loaded)).toBe(-0.2);
+  });
+});
+
+describe('Category Inflation Settings', () => {
+  it('Defaults to no overrides', () => {
+    expect(getCategoryInflation({})).toEqual({});
+    clearData();
+    expect(loadData().settings.categoryInflation).toEqual({});
+  });
+
+  it('Round-trip preserves overrides per category', () => {
+    const data = getFreshData();
+    setCategoryInflation(data, 'Education', 12);
+    setCategoryInflation(data, 'Food', 7);
+
+    const loaded = loadData();
+    expect(getCategoryInflation(loaded)).toEqual({ Education: 12, Food: 7 });
+  });
+
+  it('Does not leak overrides into fresh default data', () => {
+    saveData(getFreshData());
+    const data = loadData(); // settings filled in from defaults
+    setCategoryInflation(data, 'Education', 12);
+    clearData();
+    expect(loadData().settings.categoryInflation).toEqual({});
+  });
+});
+
+describe('Assign Strategy Setting', () => {
+  it('Defaults to greedy', () => {
+    expect(getAssignStrategy({})).toBe('greedy');
+    clearData();
+    expect(getAssignStrategy(loadData())).toBe('greedy');
+  });
+
+  it('Round-trip preserves the chosen strategy', () => {
+    const data = getFreshData();
+    setAssignStrategy(data, 'optimal');
+    expect(getAssignStrategy(loadData())).toBe('optimal');
+  });
+});
+
+describe('Tax Profile Setting', () => {
+  it('Defaults to no profile', () => {
+    expect(getTaxProfile({})).toBeNull();
+    clearData();
+    expect(getTaxProfile(loadData())).toBeNull();
+  });
+
+  it('Round-trip preserves the profile and clearing it', () => {
+    const data = getFreshData();
+    setTaxProfile(data, { regime: 'old', slab: 20 });
+    expect(getTaxProfile(loadData())).toEqual({ regime: 'old', slab: 20 });
+    setTaxProfile(data, null);
+    expect(getTaxProfile(loadData())).toBeNull();
+  });
+});
+
+describe('Expense Rules Setting', () => {
+  it('Defaults to the built-in rules', () => {
+    expect(getExpenseRules({})).toBeNull();
+    clearData();
+    expect(getExpenseRules(loadData())).toBeNull();
+  });
+
+  it('Round-trip preserves edited rules', () => {
+    const data = getFreshData();
+    setExpenseRules(data, [{ category: 'Food', keywords: ['swiggy'] }]);
+    expect(getExpenseRules(loadData())).toEqual([{ category: 'Food', keywords: ['swiggy'] }]);
+  });
+});
+
+describe('Auto-lock Setting', () => {
+  it('Defaults to 15 minutes and round-trips', () => {
+    expect(getAutoLockMinutes({})).toBe(15);
+    const data = getFreshData();
+    setAutoLockMinutes(data, 0);
+    expect(getAutoLockMinutes(loadData())).toBe(0);
+  });
+});
+
+describe('Passphrase encryption', () => {
+  let store;
+  const stored = () => store[STORAGE_KEY];
+
+  beforeEach(() => useMemoryStorage().then(s => { store = s; }));
+
+  it('Encrypts saves once a passphrase is set', () => {
+    const data = getFreshData();
+    addIncome(data, { name: 'Salary', amount: 150000 });
+    return enableEncryption(data, 'correct horse').then(() => {
+      expect(isEncryptionEnabled()).toBe(true);
+      expect(isStoredEncrypted()).toBe(true);
+      expect(stored()).not.toContain('Salary');
+
+      addGoal(data, { name: 'Sabbatical', targetAmount: 1000000 });
+      return flushSaves();
+    }).then(() => {
+      expect(stored()).not.toContain('Sabbatical');
+      return unlockData('correct horse');
+    }).then(unlocked => {
+      expect(unlocked.cashflow.income[0].name).toBe('Salary');
+      expect(unlocked.goals[0].name).toBe('Sabbatical');
+      expect(unlocked.schemaVersion).toBe(SCHEMA_VERSION);
+    });
+  });
+
+  it('Loading encrypted data without the passphrase refuses saves', () => {
+    const data = getFreshData();
+    return enableEncryption(data, 'correct horse').then(() => {
+      const locked = loadData();
+      expect(locked.goals).toHaveLength(0);
+      expect(isEncryptionEnabled()).toBe(false);
+      const before = stored();
+      expect(saveData(locked)).toBe(false);
+      expect(stored()).toBe(before);
+    });
+  });
+
+  it('Unlocking rejects a wrong passphrase', () => {
+    return enableEncryption(getFreshData(), 'correct horse')
+      .then(() => lockData())
+      .then(() => {
+        expect(saveData(getFreshData())).toBe(false);
+        return unlockData('wrong horse');
+      })
+      .then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(err.message).toBe('Wrong passphrase');
+      });
+  });
+
+  it('Changing the passphrase re-encrypts the data', () => {
+    const data = getFreshData();
+    addIncome(data, { name: 'Salary', amount: 150000 });
+    return enableEncryption(data, 'correct horse')
+      .then(() => changePassphrase(data, 'wrong horse', 'battery staple'))
+      .then(() => { throw new Error('Expected rejection'); }, err => {
+        expect(err.message).toBe('Wrong passphrase');
+        return changePassphrase(data, 'correct horse', 'battery staple');
+      })
+      .then(() => readStoredData())
+      .then(current => {
+        expect(current.cashflow.income).toHaveLength(1);
+        return unlockData('correct horse').catch(err => err.message);
+      })
+      .then(result => {
+        expect(result).toBe('Wrong passphrase');
+        return unlockData('battery staple');
+      })
+      .then(unlocked => expect(unlocked.cashflow.income[0].name).toBe('Salary'));
+  });
+
+  it('Removing the passphrase stores plain JSON again', () => {
+    const data = getFreshData();
+    addIncome(data, { name: 'Salary', amount: 150000 });
+    return enableEncryption(data, 'correct horse')
+      .then(() => disableEncryption(data, 'correct horse'))
+      .then(() => {
+        expect(isEncryptionEnabled()).toBe(false);
+        expect(isStoredEncrypted()).toBe(false);
+        expect(loadData().cashflow.income[0].name).toBe('Salary');
+      });
+  });
+});
+
 describe('Income CRUD', () => {
   it('addIncome adds income with generated ID', () => {
     const data = getFreshData();
@@ -569,6 +1009,16 @@ describe('Liability CRUD', () => {
     expect(data.liabilities.items.length).toBe(1);
     expect(data.liabilities.items[0].id).toBe('loan-2');
   });
+
+  it('deleteLiability removes the linked EMI expense', () => {
+    const data = getFreshData();
+    addLiability(data, { id: 'loan-1', name: 'Home Loan', category: 'Home Loan', amount: 4500000 });
+    addExpense(data, { id: 'emi-1', category: 'EMIs/Loans', name: 'Home Loan EMI', amount: 40000, liabilityId: 'loan-1' });
+    addExpense(data, { id: 'rent', category: 'Housing', name: 'Rent', amount: 20000 });
+    deleteLiability(data, 'loan-1');
+
+    expect(data.cashflow.expenses.map(e => e.id)).toEqual(['rent']);
+  });
 });
 
 describe('Schema Validation', () => {
@@ -596,20 +1046,131 @@ describe('Schema Validation', () => {
   });
 });
 
-describe('Migration - EPF/NPS Corpus to Assets', () => {
+// Run a single registered migration step against normalized data
+function runMigration(version, data) {
+  const step = MIGRATIONS.find(m => m.version === version);
+  step.migrate(data);
+  return data;
+}
+
+describe('Migration registry', () => {
+  it('Versions are sequential starting at 1', () => {
+    MIGRATIONS.forEach((m, i) => {
+      expect(m.version).toBe(i + 1);
+      expect(typeof m.description).toBe('string');
+      expect(typeof m.migrate).toBe('function');
+    });
+  });
+
+  it('SCHEMA_VERSION matches the latest migration', () => {
+    expect(SCHEMA_VERSION).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+
+  it('Data without schemaVersion counts as version 0', () => {
+    expect(getDataSchemaVersion({ goals: [] })).toBe(0);
+    expect(getDataSchemaVersion({ schemaVersion: 3 })).toBe(3);
+  });
+
+  it('Legacy data runs every migration and is tagged with the current version', () => {
+    const { data, migrated } = migrateData({ goals: [{ id: 'g1', name: 'Goal', investments: [] }] });
+    expect(migrated).toBe(true);
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(data.goals[0].investments).toBeUndefined();
+    expect(data.goals[0].linkedAssets).toEqual([]);
+  });
+
+  it('Current data runs no migrations', () => {
+    const stored = { ...getFreshData(), schemaVersion: SCHEMA_VERSION };
+    // Would be stripped by the deprecated-fields step if it ran
+    stored.goals.push({ id: 'g1', name: 'Goal', annualStepUp: 5, linkedAssets: [] });
+    const { data, migrated } = migrateData(stored);
+    expect(migrated).toBe(false);
+    expect(data.goals[0].annualStepUp).toBe(5);
+  });
+
+  it('Only pending migrations run', () => {
+    const stored = {
+      ...getFreshData(),
+      schemaVersion: 2,
+      goals: [{ id: 'g1', name: 'Goal' }]
+    };
+    const { data, migrated } = migrateData(stored);
+    expect(migrated).toBe(true);
+    expect(data.goals[0].linkedAssets).toEqual([]);
+  });
+
+  it('Does not mutate its input', () => {
+    const stored = { goals: [{ id: 'g1', name: 'Goal' }] };
+    migrateData(stored);
+    expect(stored.goals[0].linkedAssets).toBeUndefined();
+  });
+
+  it('loadData saves migrated data once', () => {
+    return useMemoryStorage(JSON.stringify({ goals: [{ id: 'g1', name: 'Goal' }] })).then(store => {
+      loadData();
+      return flushSaves().then(() => {
+        const stored = JSON.parse(store[STORAGE_KEY]);
+        expect(stored.schemaVersion).toBe(SCHEMA_VERSION);
+        expect(stored.goals[0].linkedAssets).toEqual([]);
+      });
+    });
+  });
+
+  it('saveData tags data with the current version', () => {
+    return useMemoryStorage().then(store => {
+      saveData(getFreshData());
+      return flushSaves().then(() => {
+        expect(JSON.parse(store[STORAGE_KEY]).schemaVersion).toBe(SCHEMA_VERSION);
+      });
+    });
+  });
+});
+
+describe('Downgrade detection', () => {
+  afterEach(() => {
+    clearData();
+  });
+
+  it('Data from a newer version is flagged and not migrated', () => {
+    const { newer, migrated } = migrateData({ ...getFreshData(), schemaVersion: SCHEMA_VERSION + 1 });
+    expect(newer).toBe(true);
+    expect(migrated).toBe(false);
+  });
+
+  it('saveData refuses to overwrite newer data', () => {
+    const raw = JSON.stringify({ ...getFreshData(), schemaVersion: SCHEMA_VERSION + 1, futureField: 'keep' });
+    return useMemoryStorage(raw).then(store => {
+      const data = loadData();
+      expect(isStoredByNewerVersion()).toBe(true);
+
+      data.goals.push({ id: 'g1', name: 'Goal' });
+      expect(saveData(data)).toBe(false);
+      return flushSaves().then(() => expect(store[STORAGE_KEY]).toBe(raw));
+    });
+  });
+
+  it('clearData lifts the save block', () => {
+    return useMemoryStorage(JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1 })).then(() => {
+      loadData();
+      const fresh = clearData();
+      expect(isStoredByNewerVersion()).toBe(false);
+      expect(saveData(fresh)).toBe(true);
+    });
+  });
+
+  it('Current data is not flagged', () => {
+    saveData(getFreshData());
+    loadData();
+    expect(isStoredByNewerVersion()).toBe(false);
+  });
+});
+
+describe('Migration 1 - EPF/NPS Corpus to Assets', () => {
   it('EPF corpus moved to assets', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
-      settings: { currency: 'INR', equityReturn: 10, debtReturn: 5 },
-      cashflow: {
-        income: [
-          { id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 36000, nps: 0, epfCorpus: 1500000, npsCorpus: 0 }
-        ],
-        expenses: []
-      },
-      goals: []
-    }));
+    const data = getFreshData();
+    data.cashflow.income.push({ id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 36000, nps: 0, epfCorpus: 1500000, npsCorpus: 0 });
 
-    const data = loadData();
+    runMigration(1, data);
 
     const epfAssets = data.assets.items.filter(a => a.category === 'EPF');
     expect(epfAssets.length).toBe(1);
@@ -619,18 +1180,10 @@ describe('Migration - EPF/NPS Corpus to Assets', () => {
   });
 
   it('NPS corpus moved to assets', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
-      settings: { currency: 'INR', equityReturn: 10, debtReturn: 5 },
-      cashflow: {
-        income: [
-          { id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 0, nps: 10000, epfCorpus: 0, npsCorpus: 500000 }
-        ],
-        expenses: []
-      },
-      goals: []
-    }));
+    const data = getFreshData();
+    data.cashflow.income.push({ id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 0, nps: 10000, epfCorpus: 0, npsCorpus: 500000 });
 
-    const data = loadData();
+    runMigration(1, data);
 
     const npsAssets = data.assets.items.filter(a => a.category === 'NPS');
     expect(npsAssets.length).toBe(1);
@@ -640,19 +1193,13 @@ describe('Migration - EPF/NPS Corpus to Assets', () => {
   });
 
   it('Multiple income entries with corpus', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
-      settings: { currency: 'INR', equityReturn: 10, debtReturn: 5 },
-      cashflow: {
-        income: [
-          { id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 36000, nps: 10000, epfCorpus: 1500000, npsCorpus: 500000 },
-          { id: 'inc-2', name: 'Salary Spouse', amount: 150000, epf: 24000, nps: 0, epfCorpus: 800000, npsCorpus: 0 }
-        ],
-        expenses: []
-      },
-      goals: []
-    }));
+    const data = getFreshData();
+    data.cashflow.income.push(
+      { id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 36000, nps: 10000, epfCorpus: 1500000, npsCorpus: 500000 },
+      { id: 'inc-2', name: 'Salary Spouse', amount: 150000, epf: 24000, nps: 0, epfCorpus: 800000, npsCorpus: 0 }
+    );
 
-    const data = loadData();
+    runMigration(1, data);
 
     const epfAssets = data.assets.items.filter(a => a.category === 'EPF');
     const npsAssets = data.assets.items.filter(a => a.category === 'NPS');
@@ -665,79 +1212,201 @@ describe('Migration - EPF/NPS Corpus to Assets', () => {
   });
 
   it('Zero corpus values not migrated', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
-      settings: { currency: 'INR', equityReturn: 10, debtReturn: 5 },
-      cashflow: {
-        income: [
-          { id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 36000, nps: 10000, epfCorpus: 0, npsCorpus: 0 }
-        ],
-        expenses: []
-      },
-      goals: []
-    }));
+    const data = getFreshData();
+    data.cashflow.income.push({ id: 'inc-1', name: 'Salary Self', amount: 200000, epf: 36000, nps: 10000, epfCorpus: 0, npsCorpus: 0 });
 
-    const data = loadData();
+    runMigration(1, data);
     expect(data.assets.items.length).toBe(0);
   });
+
+  it('Does not duplicate an existing EPF asset', () => {
+    const data = getFreshData();
+    data.cashflow.income.push({ id: 'inc-1', name: 'Salary Self', amount: 200000, epfCorpus: 1500000 });
+    data.assets.items.push({ id: 'a1', name: 'EPF - Salary Self', category: 'EPF', value: 1600000 });
+
+    runMigration(1, data);
+    expect(data.assets.items.length).toBe(1);
+    expect(data.assets.items[0].value).toBe(1600000);
+  });
 });
 
-describe('Migration - linkedAssets', () => {
+describe('Migration 2 - Deprecated goal fields', () => {
+  it('Strips per-goal investment fields', () => {
+    const data = getFreshData();
+    data.goals.push({ id: 'goal-1', name: 'Goal 1', targetAmount: 1000000, investments: [], initialLumpsum: 0, equityPercent: 60, debtPercent: 40, annualStepUp: 5 });
+
+    runMigration(2, data);
+
+    const goal = data.goals[0];
+    ['investments', 'initialLumpsum', 'equityPercent', 'debtPercent', 'annualStepUp'].forEach(field => {
+      expect(goal).not.toHaveProperty(field);
+    });
+    expect(goal.targetAmount).toBe(1000000);
+  });
+});
+
+describe('Migration 3 - linkedAssets', () => {
   it('Adds linkedAssets array to goals that lack it', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
-      settings: { currency: 'INR', equityReturn: 10, debtReturn: 5 },
-      cashflow: { income: [], expenses: [] },
-      assets: { items: [] },
-      goals: [
-        { id: 'goal-1', name: 'Goal 1', targetAmount: 1000000 },
-        { id: 'goal-2', name: 'Goal 2', targetAmount: 500000 }
-      ]
-    }));
+    const data = getFreshData();
+    data.goals.push(
+      { id: 'goal-1', name: 'Goal 1', targetAmount: 1000000 },
+      { id: 'goal-2', name: 'Goal 2', targetAmount: 500000 }
+    );
 
-    const data = loadData();
+    runMigration(3, data);
 
-    expect(data.goals[0].linkedAssets).toBeDefined();
     expect(Array.isArray(data.goals[0].linkedAssets)).toBe(true);
     expect(data.goals[0].linkedAssets.length).toBe(0);
     expect(data.goals[1].linkedAssets).toBeDefined();
   });
 
   it('Preserves existing linkedAssets', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
-      settings: { currency: 'INR', equityReturn: 10, debtReturn: 5 },
-      cashflow: { income: [], expenses: [] },
-      assets: { items: [{ id: 'asset-1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 500000 }] },
-      goals: [
-        { id: 'goal-1', name: 'Goal 1', targetAmount: 1000000, linkedAssets: [{ assetId: 'asset-1', amount: 200000 }] }
-      ]
-    }));
+    const data = getFreshData();
+    data.goals.push({ id: 'goal-1', name: 'Goal 1', targetAmount: 1000000, linkedAssets: [{ assetId: 'asset-1', amount: 200000 }] });
 
-    const data = loadData();
+    runMigration(3, data);
 
     expect(data.goals[0].linkedAssets.length).toBe(1);
     expect(data.goals[0].linkedAssets[0].assetId).toBe('asset-1');
     expect(data.goals[0].linkedAssets[0].amount).toBe(200000);
   });
+});
 
+describe('Migration 4 - Orphaned links', () => {
   it('Cleans up orphaned linkedAssets references', () => {
-    localStorage.setItem('financial-planner-data', JSON.stringify({
-      settings: { currency: 'INR', equityReturn: 10, debtReturn: 5 },
-      cashflow: { income: [], expenses: [] },
-      assets: { items: [{ id: 'asset-1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 500000 }] },
-      goals: [
-        { id: 'goal-1', name: 'Goal 1', targetAmount: 1000000, linkedAssets: [
-          { assetId: 'asset-1', amount: 200000 },
-          { assetId: 'deleted-asset', amount: 100000 } // This asset doesn't exist
-        ]}
-      ]
-    }));
+    const data = getFreshData();
+    data.assets.items.push({ id: 'asset-1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 500000 });
+    data.goals.push({ id: 'goal-1', name: 'Goal 1', targetAmount: 1000000, linkedAssets: [
+      { assetId: 'asset-1', amount: 200000 },
+      { assetId: 'deleted-asset', amount: 100000 } // This asset doesn't exist
+    ]});
 
-    const data = loadData();
+    runMigration(4, data);
 
     expect(data.goals[0].linkedAssets.length).toBe(1);
     expect(data.goals[0].linkedAssets[0].assetId).toBe('asset-1');
   });
 });
 
+describe('Migration 5 - Net-worth snapshots', () => {
+  it('Adds an empty snapshots list', () => {
+    const data = getFreshData();
+    runMigration(5, data);
+    expect(data.snapshots).toEqual([]);
+  });
+
+  it('Keeps existing snapshots through load', () => {
+    const stored = { ...getFreshData(), snapshots: [{ id: 's1', month: '2026-01', netWorth: 100 }] };
+    const { data } = migrateData(stored);
+    expect(data.snapshots).toHaveLength(1);
+  });
+});
+
+describe('Snapshot CRUD', () => {
+  it('saveSnapshot adds snapshots in month order', () => {
+    const data = { ...getFreshData(), snapshots: [] };
+    saveSnapshot(data, { month: '2026-02', netWorth: 200 });
+    saveSnapshot(data, { month: '2026-01', netWorth: 100 });
+    expect(data.snapshots.map(s => s.month)).toEqual(['2026-01', '2026-02']);
+    expect(data.snapshots[0].id).toBeDefined();
+  });
+
+  it('saveSnapshot replaces the same month and keeps its id', () => {
+    const data = { ...getFreshData(), snapshots: [] };
+    saveSnapshot(data, { id: 's1', month: '2026-01', netWorth: 100 });
+    saveSnapshot(data, { id: 's2', month: '2026-01', netWorth: 150 });
+    expect(data.snapshots).toHaveLength(1);
+    expect(data.snapshots[0].id).toBe('s1');
+    expect(data.snapshots[0].netWorth).toBe(150);
+  });
+
+  it('deleteSnapshot removes by id', () => {
+    const data = { ...getFreshData(), snapshots: [] };
+    saveSnapshot(data, { id: 's1', month: '2026-01', netWorth: 100 });
+    deleteSnapshot(data, 's1');
+    expect(data.snapshots).toHaveLength(0);
+  });
+});
+
+describe('Migration 6 - SIP transaction ledger', () => {
+  it('Adds an empty transactions list', () => {
+    const data = getFreshData();
+    runMigration(6, data);
+    expect(data.transactions).toEqual([]);
+  });
+
+  it('Keeps existing transactions through load', () => {
+    const stored = { ...getFreshData(), transactions: [{ id: 't1', date: '2026-01-05', fund: 'nifty50', amount: 5000 }] };
+    const { data } = migrateData(stored);
+    expect(data.transactions).toHaveLength(1);
+  });
+});
+
+describe('Transaction CRUD', () => {
+  it('addTransaction keeps entries in date order', () => {
+    const data = { ...getFreshData(), transactions: [] };
+    addTransaction(data, { date: '2026-02-05', fund: 'nifty50', amount: 5000 });
+    addTransaction(data, { date: '2026-01-05', fund: 'arbitrage', amount: 3000 });
+    expect(data.transactions.map(t => t.date)).toEqual(['2026-01-05', '2026-02-05']);
+    expect(data.transactions[0].id).toBeDefined();
+  });
+
+  it('deleteTransaction removes by id', () => {
+    const data = { ...getFreshData(), transactions: [] };
+    addTransaction(data, { date: '2026-01-05', fund: 'nifty50', amount: 5000 });
+    deleteTransaction(data, data.transactions[0].id);
+    expect(data.transactions).toHaveLength(0);
+  });
+
+  it('Deleting a goal keeps its transactions without the goal', () => {
+    const data = { ...getFreshData(), transactions: [] };
+    addGoal(data, { id: 'g1', name: 'Goal' });
+    addTransaction(data, { date: '2026-01-05', fund: 'nifty50', amount: 5000, goalId: 'g1' });
+    deleteGoal(data, 'g1');
+    expect(data.transactions).toHaveLength(1);
+    expect(data.transactions[0].goalId).toBeNull();
+  });
+});
+
+describe('Migration 7 - What-if scenarios', () => {
+  it('Adds an empty scenarios list', () => {
+    const data = getFreshData();
+    runMigration(7, data);
+    expect(data.scenarios).toEqual([]);
+  });
+
+  it('Keeps existing scenarios through load', () => {
+    const stored = { ...getFreshData(), scenarios: [{ id: 'sc1', name: 'Retire at 50', settings: {}, goals: {} }] };
+    const { data } = migrateData(stored);
+    expect(data.scenarios).toHaveLength(1);
+  });
+});
+
+describe('Scenario CRUD', () => {
+  it('addScenario assigns an id', () => {
+    const data = { ...getFreshData(), scenarios: [] };
+    addScenario(data, { name: 'Optimistic', settings: { equityReturn: 12 }, goals: {} });
+    expect(data.scenarios[0].id).toBeDefined();
+  });
+
+  it('updateScenario and deleteScenario work by id', () => {
+    const data = { ...getFreshData(), scenarios: [] };
+    addScenario(data, { id: 'sc1', name: 'Optimistic', settings: { equityReturn: 12 }, goals: {} });
+    updateScenario(data, 'sc1', { name: 'Very optimistic', settings: { equityReturn: 13 } });
+    expect(data.scenarios[0]).toMatchObject({ id: 'sc1', name: 'Very optimistic', settings: { equityReturn: 13 } });
+    deleteScenario(data, 'sc1');
+    expect(data.scenarios).toHaveLength(0);
+  });
+
+  it('Deleting a goal drops its scenario edits', () => {
+    const data = { ...getFreshData(), scenarios: [] };
+    addGoal(data, { id: 'g1', name: 'Goal' });
+    addScenario(data, { name: 'Bigger goal', settings: {}, goals: { g1: { targetAmount: 2000000 } } });
+    deleteGoal(data, 'g1');
+    expect(data.scenarios[0].goals).toEqual({});
+  });
+});
+
 describe('Linked Assets CRUD', () => {
   it('linkAssetToGoal adds new link', () => {
     const data = getFreshData();
@@ -813,6 +1482,37 @@ describe('Linked Assets CRUD', () => {
     expect(data.goals[0].linkedAssets[0].amount).toBe(350000);
   });
 
+  it('Manual links and amount edits are locked', () => {
+    const data = getFreshData();
+    addGoal(data, { id: 'goal-1', name: 'Goal 1', targetAmount: 1000000, linkedAssets: [{ assetId: 'asset-1', amount: 200000 }] });
+
+    updateLinkedAssetAmount(data, 'goal-1', 'asset-1', 350000);
+    linkAssetToGoal(data, 'goal-1', 'asset-2', 100000);
+
+    expect(data.goals[0].linkedAssets.every(la => la.locked)).toBe(true);
+  });
+
+  it('setLinkLocked toggles a single link', () => {
+    const data = getFreshData();
+    addGoal(data, { id: 'goal-1', name: 'Goal 1', targetAmount: 1000000, linkedAssets: [{ assetId: 'asset-1', amount: 200000 }] });
+
+    setLinkLocked(data, 'goal-1', 'asset-1', true);
+    expect(loadData().goals[0].linkedAssets[0].locked).toBe(true);
+
+    setLinkLocked(data, 'goal-1', 'asset-1', false);
+    expect(data.goals[0].linkedAssets[0].locked).toBe(false);
+    expect(setLinkLocked(data, 'goal-1', 'missing', true)).toBe(data);
+  });
+
+  it('setGoalLinksLocked locks the whole goal', () => {
+    const data = getFreshData();
+    addGoal(data, { id: 'goal-1', name: 'Goal 1', targetAmount: 1000000 });
+
+    setGoalLinksLocked(data, 'goal-1', true);
+
+    expect(loadData().goals[0].linksLocked).toBe(true);
+  });
+
   it('deleteAsset cleans up linkedAssets references across goals', () => {
     const data = getFreshData();
     addAsset(data, { id: 'asset-1', name: 'Equity MF', category: 'Equity Mutual Funds', value: 500000 });
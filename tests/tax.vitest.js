@@ -0,0 +1,152 @@
+// Unit tests for tax.js (Vitest)
+import { describe, it, expect } from 'vitest';
+import {
+  TAX_REGIMES,
+  EQUITY_LTCG_EXEMPTION,
+  getTaxTreatment,
+  validateTaxProfile,
+  withCess,
+  getGainsTaxRate,
+  getAccrualRate,
+  calculatePostTaxValue,
+  getPostTaxGrowthFactor,
+  calculatePostTaxSipValue,
+  calculateSipInvested,
+  getBlendedGainsTaxRate
+} from '../modules/tax.js';
+import { calculateSipFV } from '../modules/calculator.js';
+
+const slab30 = { regime: 'new', slab: 30 };
+const growth = (rate, months) => Math.pow(1 + rate / 100 / 12, months);
+
+describe('getTaxTreatment', () => {
+  it('Maps each asset category to its tax rules', () => {
+    expect(getTaxTreatment('Equity Mutual Funds')).toBe('equity');
+    expect(getTaxTreatment('Stocks')).toBe('equity');
+    expect(getTaxTreatment('Gold ETFs/SGBs')).toBe('listed');
+    expect(getTaxTreatment('Debt/Arbitrage Mutual Funds')).toBe('slab');
+    expect(getTaxTreatment('FDs & RDs')).toBe('accrual');
+    expect(getTaxTreatment('PPF Corpus')).toBe('exempt');
+  });
+
+  it('Taxes unknown categories at slab', () => {
+    expect(getTaxTreatment('Other')).toBe('slab');
+  });
+});
+
+describe('validateTaxProfile', () => {
+  it('Accepts every slab of each regime', () => {
+    Object.entries(TAX_REGIMES).forEach(([regime, { slabs }]) => {
+      slabs.forEach(slab => expect(validateTaxProfile({ regime, slab }).valid).toBe(true));
+    });
+  });
+
+  it('Rejects a missing regime or a slab the regime does not have', () => {
+    expect(validateTaxProfile(null).valid).toBe(false);
+    expect(validateTaxProfile({ regime: 'flat', slab: 30 }).valid).toBe(false);
+    const result = validateTaxProfile({ regime: 'old', slab: 10 });
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('10%');
+  });
+});
+
+describe('Tax rates', () => {
+  it('Adds 4% cess', () => {
+    expect(withCess(30)).toBeCloseTo(31.2, 10);
+  });
+
+  it('Equity pays STCG up to 12 months and LTCG after', () => {
+    expect(getGainsTaxRate('equity', 12, slab30)).toBeCloseTo(20.8, 10);
+    expect(getGainsTaxRate('equity', 13, slab30)).toBeCloseTo(13, 10);
+  });
+
+  it('Gold pays slab short-term and LTCG long-term', () => {
+    expect(getGainsTaxRate('listed', 6, slab30)).toBeCloseTo(31.2, 10);
+    expect(getGainsTaxRate('listed', 24, slab30)).toBeCloseTo(13, 10);
+  });
+
+  it('Debt funds pay slab at any holding period', () => {
+    expect(getGainsTaxRate('slab', 120, slab30)).toBeCloseTo(31.2, 10);
+    expect(getGainsTaxRate('slab', 120, { regime: 'new', slab: 0 })).toBe(0);
+  });
+
+  it('FD interest is taxed yearly, so it compounds at the post-tax rate', () => {
+    expect(getGainsTaxRate('accrual', 120, slab30)).toBe(0);
+    expect(getAccrualRate(7, 'accrual', slab30)).toBeCloseTo(7 * (1 - 0.312), 10);
+    expect(getAccrualRate(7, 'slab', slab30)).toBe(7);
+  });
+});
+
+describe('calculatePostTaxValue', () => {
+  it('Taxes long-term equity gains above the exemption', () => {
+    const fv = 1000000 * growth(12, 120);
+    const tax = (fv - 1000000 - EQUITY_LTCG_EXEMPTION) * 0.13;
+    const value = calculatePostTaxValue([{ principal: 1000000, annualRate: 12, category: 'Equity Mutual Funds' }], 10, slab30);
+    expect(value).toBeCloseTo(fv - tax, 4);
+  });
+
+  it('Pools equity holdings against a single exemption', () => {
+    const one = calculatePostTaxValue([{ principal: 1000000, annualRate: 12, category: 'Stocks' }], 10, slab30);
+    const split = calculatePostTaxValue([
+      { principal: 500000, annualRate: 12, category: 'Stocks' },
+      { principal: 500000, annualRate: 12, category: 'Equity Mutual Funds' }
+    ], 10, slab30);
+    expect(split).toBeCloseTo(one, 4);
+  });
+
+  it('Leaves tax-free holdings untaxed', () => {
+    const value = calculatePostTaxValue([{ principal: 100000, annualRate: 7, category: 'PPF Corpus' }], 15, slab30);
+    expect(value).toBeCloseTo(100000 * growth(7, 180), 4);
+  });
+
+  it('A higher slab leaves less after tax on debt', () => {
+    const holdings = [{ principal: 100000, annualRate: 7, category: 'Debt/Arbitrage Mutual Funds' }];
+    const low = calculatePostTaxValue(holdings, 5, { regime: 'new', slab: 10 });
+    const high = calculatePostTaxValue(holdings, 5, slab30);
+    expect(high).toBeLessThan(low);
+  });
+
+  it('Growth factor skips the exemption and scales linearly', () => {
+    const factor = getPostTaxGrowthFactor(12, 10, 'Equity Mutual Funds', slab30);
+    const withoutExemption = calculatePostTaxValue([{ principal: 1000000, annualRate: 12, category: 'Equity Mutual Funds' }], 10, slab30, 0);
+    expect(factor * 1000000).toBeCloseTo(withoutExemption, 4);
+    expect(factor).toBeLessThan(growth(12, 120));
+  });
+});
+
+describe('calculatePostTaxSipValue', () => {
+  it('Tax-free SIP matches the pre-tax SIP future value', () => {
+    const value = calculatePostTaxSipValue(10000, 8, 120, 0, 'exempt', slab30);
+    expect(value).toBeCloseTo(calculateSipFV(10000, 8, 120), 4);
+  });
+
+  it('Taxes each instalment on its own holding period', () => {
+    // 24 months: the first 12 instalments are long-term, the last 12 short-term
+    const rate = 12;
+    let expected = 0;
+    for (let month = 0; month < 24; month++) {
+      const held = 24 - month;
+      const fv = 10000 * growth(rate, held);
+      expected += fv - (fv - 10000) * (held > 12 ? 0.13 : 0.208);
+    }
+    expect(calculatePostTaxSipValue(10000, rate, 24, 0, 'equity', slab30)).toBeCloseTo(expected, 4);
+  });
+
+  it('Returns 0 without a SIP or time', () => {
+    expect(calculatePostTaxSipValue(0, 12, 24, 0, 'equity', slab30)).toBe(0);
+    expect(calculatePostTaxSipValue(10000, 12, 0, 0, 'equity', slab30)).toBe(0);
+  });
+
+  it('calculateSipInvested applies the yearly step-up', () => {
+    expect(calculateSipInvested(10000, 24, 10)).toBeCloseTo(120000 + 132000, 6);
+  });
+});
+
+describe('getBlendedGainsTaxRate', () => {
+  it('Blends LTCG and slab by where the gains came from', () => {
+    expect(getBlendedGainsTaxRate(1, slab30)).toBeCloseTo(13, 10);
+    expect(getBlendedGainsTaxRate(0, slab30)).toBeCloseTo(31.2, 10);
+    expect(getBlendedGainsTaxRate(0.5, slab30)).toBeCloseTo(22.1, 10);
+    expect(getBlendedGainsTaxRate(2, slab30)).toBeCloseTo(13, 10);
+  });
+});
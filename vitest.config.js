@@ -3,6 +3,7 @@ import { defineConfig } from 'vitest/config';
 export default defineConfig({
   test: {
     include: ['tests/**/*.vitest.js'],
-    environment: 'jsdom'
+    environment: 'jsdom',
+    setupFiles: ['tests/setup.js']
   }
 });